@@ -6,6 +6,12 @@ import Dashboard from './components/Dashboard';
 import PropertyDetails from './components/PropertyDetails';
 import LoanManager from './components/LoanManager';
 import TransactionTable from './components/TransactionTable';
+import ServiceabilityCalculator from './components/ServiceabilityCalculator';
+import EquityPlanner from './components/EquityPlanner';
+import TenantManager from './components/TenantManager';
+import TaxReport from './components/TaxReport';
+import AfterTaxCashFlow from './components/AfterTaxCashFlow';
+import OwnerManager from './components/OwnerManager';
 import Settings from './components/Settings';
 import Payments from './components/Payments';
 import CheckoutResult from './components/CheckoutResult';
@@ -33,10 +39,25 @@ function App() {
   const [data, setData] = useState({
     properties: [],
     loans: [],
+    loanRateChanges: [],
+    loanOffsetAccounts: [],
+    loanOffsetBalances: [],
+    loanExtraRepayments: [],
     transactions: [],
     expenses: [],
     rentals: [],
+    vacancies: [],
+    rentChanges: [],
+    rentPayments: [],
     agents: [],
+    tenants: [],
+    units: [],
+    recurringExpenses: [],
+    documents: [],
+    capitalImprovements: [],
+    depreciationAssets: [],
+    owners: [],
+    propertyOwnerships: [],
     settings: {
       financialYearStart: '07-01',
       notifications: []
@@ -152,6 +173,11 @@ function App() {
                       properties={data.properties}
                       loans={data.loans}
                       transactions={data.transactions}
+                      rentals={data.rentals}
+                      rentPayments={data.rentPayments}
+                      recurringExpenses={data.recurringExpenses}
+                      owners={data.owners}
+                      propertyOwnerships={data.propertyOwnerships}
                       settings={data.settings || { financialYearStart: '07-01', notifications: [] }}
                       onSaveData={handleSaveDataWithNotificationCallback}
                     />
@@ -175,6 +201,7 @@ function App() {
                         loans: data.loans,
                         properties: data.properties,
                         transactions: data.transactions,
+                        owners: data.owners,
                         settings: data.settings
                       }}
                       onSaveData={handleSaveDataWithNotificationCallback}
@@ -186,9 +213,73 @@ function App() {
                       user={user}
                       transactions={data.transactions}
                       properties={data.properties}
+                      loans={data.loans}
+                      owners={data.owners}
+                      settings={data.settings}
+                      onSaveData={handleSaveDataWithNotificationCallback}
+                    />
+                  } />
+                  <Route path="/tenants" element={
+                    <TenantManager
+                      user={user}
+                      tenants={data.tenants}
+                      rentals={data.rentals}
+                      properties={data.properties}
+                      onSaveData={handleSaveDataWithNotificationCallback}
+                    />
+                  } />
+                  <Route path="/tax-report" element={
+                    <TaxReport
+                      user={user}
+                      properties={data.properties}
+                      transactions={data.transactions}
+                      expenses={data.expenses}
+                      loans={data.loans}
+                      capitalImprovements={data.capitalImprovements}
+                      depreciationAssets={data.depreciationAssets}
+                      owners={data.owners}
+                      propertyOwnerships={data.propertyOwnerships}
+                      settings={data.settings}
+                      onSaveData={handleSaveDataWithNotificationCallback}
+                    />
+                  } />
+                  <Route path="/after-tax" element={
+                    <AfterTaxCashFlow
+                      properties={data.properties}
+                      transactions={data.transactions}
+                      expenses={data.expenses}
+                      loans={data.loans}
+                      depreciationAssets={data.depreciationAssets}
+                      owners={data.owners}
+                      propertyOwnerships={data.propertyOwnerships}
+                      settings={data.settings}
+                    />
+                  } />
+                  <Route path="/owners" element={
+                    <OwnerManager
+                      user={user}
+                      owners={data.owners}
+                      propertyOwnerships={data.propertyOwnerships}
+                      properties={data.properties}
                       onSaveData={handleSaveDataWithNotificationCallback}
                     />
                   } />
+                  <Route path="/serviceability" element={
+                    <ServiceabilityCalculator
+                      properties={data.properties}
+                      loans={data.loans}
+                      transactions={data.transactions}
+                      rentals={data.rentals}
+                      settings={data.settings}
+                    />
+                  } />
+                  <Route path="/equity" element={
+                    <EquityPlanner
+                      properties={data.properties}
+                      loans={data.loans}
+                      settings={data.settings}
+                    />
+                  } />
                   <Route path="/payments" element={
                     <Payments user={user} />
                   } />
@@ -3,10 +3,12 @@ import { motion } from 'framer-motion';
 import * as FiIcons from 'react-icons/fi';
 import SafeIcon from '../common/SafeIcon';
 import { parseCurrency, formatForInput } from '../utils/number';
+import { getEntities } from '../utils/OwnershipCalculations';
 
 const { FiX, FiHome, FiPlus, FiTrash2 } = FiIcons;
 
-const AddPropertyModal = ({ isOpen, onClose, onSave }) => {
+const AddPropertyModal = ({ isOpen, onClose, onSave, owners }) => {
+  const entities = getEntities(owners);
   const [formData, setFormData] = useState({
     name: '',
     address: '',
@@ -15,6 +17,8 @@ const AddPropertyModal = ({ isOpen, onClose, onSave }) => {
     postcode: '',
     basePropertyCost: '',
     currentValue: '',
+    ownershipPercentage: '100',
+    entityId: '',
     purchaseDate: '',
     propertyType: 'Residential',
     bedrooms: '',
@@ -105,6 +109,11 @@ const AddPropertyModal = ({ isOpen, onClose, onSave }) => {
       newErrors.currentValue = 'Current value must be greater than 0';
     }
 
+    const ownership = parseFloat(formData.ownershipPercentage);
+    if (!(ownership > 0 && ownership <= 100)) {
+      newErrors.ownershipPercentage = 'Ownership must be between 0 and 100%';
+    }
+
     // Validate acquisition costs
     formData.acquisitionCosts.forEach((cost, index) => {
       if (cost.category && !cost.category.trim()) {
@@ -149,6 +158,9 @@ const AddPropertyModal = ({ isOpen, onClose, onSave }) => {
       basePropertyCost: sanitizedBasePropertyCost,
       purchasePrice: sanitizedBasePropertyCost, // Keep both for compatibility
       currentValue: sanitizedCurrentValue || sanitizedBasePropertyCost,
+      valuationDate: new Date().toISOString().split('T')[0],
+      ownershipPercentage: parseFloat(formData.ownershipPercentage),
+      entityId: formData.entityId || null,
       purchaseDate: formData.purchaseDate,
       propertyType: formData.propertyType,
       bedrooms: formData.bedrooms ? parseInt(formData.bedrooms) : null,
@@ -177,6 +189,8 @@ const AddPropertyModal = ({ isOpen, onClose, onSave }) => {
       bedrooms: '',
       bathrooms: '',
       notes: '',
+      ownershipPercentage: '100',
+      entityId: '',
       acquisitionCosts: []
     });
     setErrors({});
@@ -354,6 +368,43 @@ const AddPropertyModal = ({ isOpen, onClose, onSave }) => {
               {errors.currentValue && <p className="text-red-400 text-sm mt-1">{errors.currentValue}</p>}
             </div>
 
+            <div>
+              <label className="block text-sm font-medium text-gray-300 mb-2">
+                Your Ownership (%)
+              </label>
+              <input
+                type="number"
+                name="ownershipPercentage"
+                value={formData.ownershipPercentage}
+                onChange={handleChange}
+                min="0"
+                max="100"
+                step="0.01"
+                className={`form-input ${errors.ownershipPercentage ? 'border-red-500' : ''}`}
+                placeholder="100"
+              />
+              {errors.ownershipPercentage && <p className="text-red-400 text-sm mt-1">{errors.ownershipPercentage}</p>}
+            </div>
+
+            {entities.length > 0 && (
+              <div>
+                <label className="block text-sm font-medium text-gray-300 mb-2">
+                  Held By
+                </label>
+                <select
+                  name="entityId"
+                  value={formData.entityId}
+                  onChange={handleChange}
+                  className="form-select"
+                >
+                  <option value="">Personal</option>
+                  {entities.map(entity => (
+                    <option key={entity.id} value={entity.id}>{entity.name}</option>
+                  ))}
+                </select>
+              </div>
+            )}
+
             <div>
               <label className="block text-sm font-medium text-gray-300 mb-2">
                 Bedrooms
@@ -0,0 +1,286 @@
+import React, { useState, useMemo } from 'react';
+import { useNavigate } from 'react-router-dom';
+import * as FiIcons from 'react-icons/fi';
+import SafeIcon from '../common/SafeIcon';
+import { formatCurrency, parseCurrency } from '../utils/number';
+import DateUtils from '../utils/DateUtils';
+import { calculateAfterTaxCashFlow } from '../utils/AfterTaxCalculations';
+import { OWNER_TYPE_LABELS, DEFAULT_OWNER } from '../utils/OwnershipCalculations';
+
+const { FiPercent, FiInfo, FiBriefcase } = FiIcons;
+
+// Tax refunds show as a positive amount, tax payable as a negative one
+const formatTaxEffect = (taxChange) => formatCurrency(-taxChange);
+
+const AfterTaxCashFlow = ({ properties, transactions, expenses, loans, depreciationAssets, owners, propertyOwnerships, settings }) => {
+  const navigate = useNavigate();
+  const safeProperties = Array.isArray(properties) ? properties.filter(Boolean) : [];
+  const safeTransactions = Array.isArray(transactions) ? transactions : [];
+  const safeExpenses = Array.isArray(expenses) ? expenses : [];
+  const safeLoans = Array.isArray(loans) ? loans : [];
+  const safeDepreciationAssets = Array.isArray(depreciationAssets) ? depreciationAssets : [];
+  const fyStartMonth = parseInt((settings?.financialYearStart || '07-01').split('-')[0]) || 7;
+  const safeOwners = Array.isArray(owners) ? owners : [];
+  const safePropertyOwnerships = Array.isArray(propertyOwnerships) ? propertyOwnerships : [];
+  const hasOwners = safeOwners.length > 0;
+
+  const [selectedYear, setSelectedYear] = useState(() =>
+    DateUtils.getFinancialYearStart(new Date(), fyStartMonth).getFullYear());
+  const [formData, setFormData] = useState({
+    otherIncome: '',
+    marginalRate: ''
+  });
+
+  const handleChange = (e) => {
+    const { name, value } = e.target;
+    setFormData((prev) => ({ ...prev, [name]: value }));
+  };
+
+  const years = useMemo(() => {
+    const currentYear = new Date().getFullYear();
+    return Array.from({ length: 6 }, (_, i) => currentYear - 5 + i);
+  }, []);
+
+  // Without owners set up, the tax details entered here stand in for the default owner's
+  const taxOwners = useMemo(() => (hasOwners ? safeOwners : [{
+    ...DEFAULT_OWNER,
+    other_income: parseCurrency(formData.otherIncome),
+    marginal_rate: formData.marginalRate === '' ? null : parseFloat(formData.marginalRate)
+  }]), [hasOwners, safeOwners, formData]);
+
+  const result = useMemo(
+    () => calculateAfterTaxCashFlow(
+      safeProperties,
+      { transactions: safeTransactions, expenses: safeExpenses, loans: safeLoans, depreciationAssets: safeDepreciationAssets },
+      { owners: taxOwners, propertyOwnerships: safePropertyOwnerships },
+      selectedYear,
+      { startMonth: fyStartMonth }
+    ),
+    [safeProperties, safeTransactions, safeExpenses, safeLoans, safeDepreciationAssets, taxOwners, safePropertyOwnerships, selectedYear, fyStartMonth]
+  );
+
+  const cashFlowClass = (value) => (value >= 0 ? 'text-green-400' : 'text-red-400');
+
+  return (
+    <div className="space-y-6">
+      {/* Header */}
+      <div className="flex flex-col md:flex-row md:items-center md:justify-between gap-4">
+        <div>
+          <h1 className="text-3xl font-bold text-white">After-Tax Cash Flow</h1>
+          <p className="text-gray-400 mt-1">
+            Cash flow after the tax refund from negative gearing, or the tax on positive gearing
+          </p>
+        </div>
+        <select
+          value={selectedYear}
+          onChange={(e) => setSelectedYear(parseInt(e.target.value))}
+          className="form-select text-sm"
+        >
+          {years.map(year => (
+            <option key={year} value={year}>
+              FY {year}-{(year + 1).toString().slice(-2)}
+            </option>
+          ))}
+        </select>
+      </div>
+
+      {!hasOwners && (
+        <div className="card space-y-4">
+          <div className="grid grid-cols-1 md:grid-cols-3 gap-4 items-end">
+            <div>
+              <label className="block text-sm font-medium text-gray-300 mb-2">
+                Other Taxable Income (per year)
+              </label>
+              <input
+                type="text"
+                inputMode="decimal"
+                name="otherIncome"
+                value={formData.otherIncome}
+                onChange={handleChange}
+                className="form-input"
+                placeholder="e.g., 120000"
+              />
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-300 mb-2">
+                Marginal Tax Rate (%)
+              </label>
+              <input
+                type="number"
+                name="marginalRate"
+                value={formData.marginalRate}
+                onChange={handleChange}
+                min="0"
+                max="100"
+                step="0.5"
+                className="form-input"
+                placeholder="Auto"
+              />
+            </div>
+            <p className="text-gray-400 text-sm">
+              Marginal rate {result.owners[0]?.marginalRate}%, including the Medicare levy. Leave the rate blank to work
+              it out from your other income.
+            </p>
+          </div>
+          <div className="bg-blue-900/20 border border-blue-700 rounded p-3 flex items-center justify-between gap-4">
+            <p className="text-blue-400 text-sm flex items-center">
+              <SafeIcon icon={FiInfo} className="w-4 h-4 mr-2 flex-shrink-0" />
+              Properties held jointly or through a trust or company? Add the owners to work out each one's tax.
+            </p>
+            <button
+              onClick={() => navigate('/owners')}
+              className="btn-secondary flex items-center space-x-2 text-sm flex-shrink-0"
+            >
+              <SafeIcon icon={FiBriefcase} className="w-4 h-4" />
+              <span>Owners</span>
+            </button>
+          </div>
+        </div>
+      )}
+
+      {result.properties.length === 0 ? (
+        <div className="card text-center py-12">
+          <SafeIcon icon={FiPercent} className="w-16 h-16 text-gray-600 mx-auto mb-4" />
+          <h3 className="text-xl font-medium text-gray-400 mb-2">No Properties</h3>
+          <p className="text-gray-500">No properties were held in {DateUtils.formatFinancialYear(selectedYear)}</p>
+        </div>
+      ) : (
+        <>
+          <div className="grid grid-cols-1 md:grid-cols-4 gap-4">
+            <div className="card">
+              <p className="text-gray-400 text-sm">Pre-Tax Cash Flow</p>
+              <p className={`text-2xl font-bold ${cashFlowClass(result.totals.preTaxCashFlow)}`}>
+                {formatCurrency(result.totals.preTaxCashFlow)}
+              </p>
+            </div>
+            <div className="card">
+              <p className="text-gray-400 text-sm">Taxable Rental Result</p>
+              <p className={`text-2xl font-bold ${cashFlowClass(result.totals.rentalNet)}`}>
+                {formatCurrency(result.totals.rentalNet)}
+              </p>
+              <p className="text-gray-500 text-xs mt-1">After depreciation and other non-cash deductions</p>
+            </div>
+            <div className="card">
+              <p className="text-gray-400 text-sm">{result.totals.taxChange <= 0 ? 'Tax Refund' : 'Tax Payable'}</p>
+              <p className={`text-2xl font-bold ${cashFlowClass(-result.totals.taxChange)}`}>
+                {formatCurrency(Math.abs(result.totals.taxChange))}
+              </p>
+            </div>
+            <div className="card">
+              <p className="text-gray-400 text-sm">After-Tax Cash Flow</p>
+              <p className={`text-2xl font-bold ${cashFlowClass(result.totals.afterTaxCashFlow)}`}>
+                {formatCurrency(result.totals.afterTaxCashFlow)}
+              </p>
+              <p className="text-gray-500 text-xs mt-1">
+                {formatCurrency(result.totals.afterTaxCashFlow / 52)} a week
+              </p>
+            </div>
+          </div>
+
+          {/* By owner */}
+          <div className="card">
+            <h3 className="text-lg font-semibold text-white mb-4">By Owner</h3>
+            <div className="overflow-x-auto">
+              <table className="w-full text-sm">
+                <thead>
+                  <tr className="text-gray-400 text-left">
+                    <th className="py-2 pr-3 font-medium">Owner</th>
+                    <th className="py-2 pr-3 font-medium text-right">Other Income</th>
+                    <th className="py-2 pr-3 font-medium text-right">Rental Result</th>
+                    <th className="py-2 pr-3 font-medium text-right">Marginal Rate</th>
+                    <th className="py-2 pr-3 font-medium text-right">Pre-Tax Cash Flow</th>
+                    <th className="py-2 pr-3 font-medium text-right">Tax Refund / (Payable)</th>
+                    <th className="py-2 font-medium text-right">After-Tax Cash Flow</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {result.owners.map(ownerResult => (
+                    <tr key={ownerResult.owner.id} className="border-t border-gray-700">
+                      <td className="py-2 pr-3 text-white">
+                        {ownerResult.owner.name}
+                        <p className="text-gray-500 text-xs">
+                          {OWNER_TYPE_LABELS[ownerResult.owner.owner_type] || 'Individual'} ·{' '}
+                          {ownerResult.properties.length} {ownerResult.properties.length === 1 ? 'property' : 'properties'}
+                        </p>
+                      </td>
+                      <td className="py-2 pr-3 text-right text-gray-300">{formatCurrency(ownerResult.otherIncome)}</td>
+                      <td className={`py-2 pr-3 text-right ${cashFlowClass(ownerResult.rentalNet)}`}>{formatCurrency(ownerResult.rentalNet)}</td>
+                      <td className="py-2 pr-3 text-right text-gray-300">{ownerResult.marginalRate}%</td>
+                      <td className={`py-2 pr-3 text-right ${cashFlowClass(ownerResult.preTaxCashFlow)}`}>{formatCurrency(ownerResult.preTaxCashFlow)}</td>
+                      <td className={`py-2 pr-3 text-right ${cashFlowClass(-ownerResult.taxChange)}`}>
+                        {formatTaxEffect(ownerResult.taxChange)}
+                        {ownerResult.lossCarriedForward > 0 && (
+                          <p className="text-gray-500 text-xs">
+                            {formatCurrency(ownerResult.lossCarriedForward)} loss carried forward
+                          </p>
+                        )}
+                      </td>
+                      <td className={`py-2 text-right font-medium ${cashFlowClass(ownerResult.afterTaxCashFlow)}`}>{formatCurrency(ownerResult.afterTaxCashFlow)}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          </div>
+
+          {/* By property */}
+          <div className="card">
+            <h3 className="text-lg font-semibold text-white mb-1">By Property</h3>
+            <p className="text-gray-500 text-xs mb-4">
+              Cash flow and the taxable result are for the whole property. The tax and after-tax cash flow are for the owners' shares.
+            </p>
+            <div className="overflow-x-auto">
+              <table className="w-full text-sm">
+                <thead>
+                  <tr className="text-gray-400 text-left">
+                    <th className="py-2 pr-3 font-medium">Property</th>
+                    <th className="py-2 pr-3 font-medium text-right">Income</th>
+                    <th className="py-2 pr-3 font-medium text-right">Cash Expenses</th>
+                    <th className="py-2 pr-3 font-medium text-right">Pre-Tax Cash Flow</th>
+                    <th className="py-2 pr-3 font-medium text-right">Depreciation</th>
+                    <th className="py-2 pr-3 font-medium text-right">Taxable Result</th>
+                    <th className="py-2 pr-3 font-medium text-right">Tax Refund / (Payable)</th>
+                    <th className="py-2 font-medium text-right">After-Tax Cash Flow</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {result.properties.map(propertyResult => (
+                    <tr key={propertyResult.property.id} className="border-t border-gray-700 align-top">
+                      <td className="py-2 pr-3">
+                        <p className="text-white">{propertyResult.property.name || propertyResult.property.address}</p>
+                        <p className="text-gray-500 text-xs">
+                          {propertyResult.owners.map(share => `${share.owner.name} ${share.percentage}%`).join(' · ') || 'No owners'}
+                        </p>
+                      </td>
+                      <td className="py-2 pr-3 text-right text-gray-300">{formatCurrency(propertyResult.income)}</td>
+                      <td className="py-2 pr-3 text-right text-gray-300">{formatCurrency(propertyResult.cashExpenses)}</td>
+                      <td className={`py-2 pr-3 text-right ${cashFlowClass(propertyResult.preTaxCashFlow)}`}>{formatCurrency(propertyResult.preTaxCashFlow)}</td>
+                      <td className="py-2 pr-3 text-right text-gray-300">{formatCurrency(propertyResult.depreciation)}</td>
+                      <td className={`py-2 pr-3 text-right ${cashFlowClass(propertyResult.taxableNet)}`}>{formatCurrency(propertyResult.taxableNet)}</td>
+                      <td className={`py-2 pr-3 text-right ${cashFlowClass(-propertyResult.taxChange)}`}>{formatTaxEffect(propertyResult.taxChange)}</td>
+                      <td className={`py-2 text-right font-medium ${cashFlowClass(propertyResult.afterTaxCashFlow)}`}>{formatCurrency(propertyResult.afterTaxCashFlow)}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          </div>
+
+          <div className="bg-blue-900/20 border border-blue-700 rounded p-3">
+            <p className="text-blue-400 text-sm flex items-start">
+              <SafeIcon icon={FiInfo} className="w-4 h-4 mr-2 mt-0.5 flex-shrink-0" />
+              Each owner's tax is worked out on their other income plus their share of every property, at the
+              resident tax rates and Medicare levy, or at the owner's own marginal rate. Trusts, companies and SMSFs use
+              their entity rate unless one is set, and get no refund for a rental loss: it is carried forward instead.
+              Shares that changed during the year are weighted by the days each applied. Capital improvements and loan
+              principal aren't counted as cash expenses. Tax offsets and losses carried forward from earlier years
+              aren't included.
+            </p>
+          </div>
+        </>
+      )}
+    </div>
+  );
+};
+
+export default AfterTaxCashFlow;
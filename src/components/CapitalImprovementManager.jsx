@@ -0,0 +1,480 @@
+import React, { useState, useEffect } from 'react';
+import { motion, AnimatePresence } from 'framer-motion';
+import * as FiIcons from 'react-icons/fi';
+import SafeIcon from '../common/SafeIcon';
+import { parseCurrency, formatForInput, formatCurrency } from '../utils/number';
+import { canUserPerformActions } from '../utils/AuthUtils';
+import {
+  createCapitalImprovement,
+  updateCapitalImprovement,
+  deleteCapitalImprovement,
+  convertExpenseToCapitalImprovement
+} from '../utils/DataUtils';
+import { DEFAULT_CAPITAL_WORKS_RATE } from '../utils/DepreciationCalculations';
+import { calculateCostBase } from '../utils/TaxCalculations';
+import DateUtils from '../utils/DateUtils';
+
+const { FiPlus, FiEdit, FiTrash2, FiSave, FiX, FiTool } = FiIcons;
+
+const IMPROVEMENT_CATEGORIES = [
+  'Renovation',
+  'Extension',
+  'Kitchen',
+  'Bathroom',
+  'Structural',
+  'Outdoor & Landscaping',
+  'Other'
+];
+
+const EMPTY_FORM = {
+  description: '',
+  category: 'Renovation',
+  amount: '',
+  completion_date: '',
+  vendor: '',
+  claim_capital_works: true,
+  notes: ''
+};
+
+// Register of capital improvements on a property. They add to the cost base instead of being
+// claimed as expenses, and can be written off as capital works on the Depreciation tab.
+// convertExpense opens the form prefilled from an expense that should have been capital.
+const CapitalImprovementManager = ({
+  user,
+  property,
+  capitalImprovements,
+  depreciationAssets,
+  transactions,
+  convertExpense,
+  onConvertHandled,
+  onSaveData
+}) => {
+  const canPerformActions = canUserPerformActions(user);
+  const [showForm, setShowForm] = useState(false);
+  const [editingImprovement, setEditingImprovement] = useState(null);
+  const [sourceExpense, setSourceExpense] = useState(null);
+  const [formData, setFormData] = useState(EMPTY_FORM);
+  const [errors, setErrors] = useState({});
+
+  const safeAssets = Array.isArray(depreciationAssets) ? depreciationAssets : [];
+  const improvements = (Array.isArray(capitalImprovements) ? capitalImprovements : [])
+    .filter(improvement => improvement && improvement.property_id === property.id)
+    .sort((a, b) => (b.completion_date || '').localeCompare(a.completion_date || ''));
+  const total = improvements.reduce((sum, improvement) => sum + (parseFloat(improvement.amount) || 0), 0);
+  const costBase = calculateCostBase(property, { transactions, capitalImprovements, depreciationAssets: safeAssets }, property.sale_date || new Date());
+
+  useEffect(() => {
+    if (!convertExpense) return;
+
+    setFormData({
+      ...EMPTY_FORM,
+      description: convertExpense.description || '',
+      amount: formatForInput(convertExpense.amount),
+      completion_date: convertExpense.date ? String(convertExpense.date).split('T')[0] : '',
+      vendor: convertExpense.vendor || '',
+      notes: convertExpense.notes || ''
+    });
+    setErrors({});
+    setEditingImprovement(null);
+    setSourceExpense(convertExpense);
+    setShowForm(true);
+    if (onConvertHandled) {
+      onConvertHandled();
+    }
+  }, [convertExpense, onConvertHandled]);
+
+  const resetForm = () => {
+    setFormData(EMPTY_FORM);
+    setErrors({});
+    setSourceExpense(null);
+  };
+
+  const handleChange = (e) => {
+    const { name, value, type, checked } = e.target;
+    setFormData(prev => ({
+      ...prev,
+      [name]: type === 'checkbox' ? checked : value
+    }));
+
+    if (errors[name]) {
+      setErrors(prev => ({ ...prev, [name]: null }));
+    }
+  };
+
+  const handleBlur = (e) => {
+    const { name, value } = e.target;
+
+    if (name === 'amount') {
+      const sanitized = parseCurrency(value);
+      setFormData(prev => ({ ...prev, [name]: sanitized > 0 ? formatForInput(sanitized) : '' }));
+    }
+  };
+
+  const validateForm = () => {
+    const newErrors = {};
+
+    if (!formData.description.trim()) {
+      newErrors.description = 'Description is required';
+    }
+
+    const amount = parseCurrency(formData.amount);
+    if (!amount || amount <= 0) {
+      newErrors.amount = 'Valid amount is required';
+    }
+
+    if (!formData.completion_date) {
+      newErrors.completion_date = 'Completion date is required';
+    }
+
+    setErrors(newErrors);
+    return Object.keys(newErrors).length === 0;
+  };
+
+  const handleSave = async () => {
+    if (!validateForm()) {
+      return;
+    }
+
+    try {
+      const improvementData = {
+        property_id: property.id,
+        description: formData.description.trim(),
+        category: formData.category,
+        amount: parseCurrency(formData.amount),
+        completion_date: formData.completion_date,
+        vendor: formData.vendor,
+        notes: formData.notes
+      };
+      const claimCapitalWorks = formData.claim_capital_works;
+
+      let result;
+      if (editingImprovement) {
+        result = await updateCapitalImprovement(editingImprovement, improvementData, { depreciationAssets: safeAssets, claimCapitalWorks });
+      } else if (sourceExpense) {
+        result = await convertExpenseToCapitalImprovement(sourceExpense, improvementData, { transactions, claimCapitalWorks });
+      } else {
+        result = await createCapitalImprovement(improvementData, { claimCapitalWorks });
+      }
+      if (!result.success) {
+        setErrors({ submit: result.error || 'Failed to save the capital improvement' });
+        return;
+      }
+
+      if (onSaveData) {
+        onSaveData(null, editingImprovement
+          ? 'Capital improvement updated successfully'
+          : sourceExpense
+            ? 'Expense moved to capital improvements'
+            : 'Capital improvement added successfully');
+      }
+
+      setShowForm(false);
+      setEditingImprovement(null);
+      resetForm();
+    } catch (error) {
+      console.error('Error saving capital improvement:', error);
+    }
+  };
+
+  const handleEdit = (improvement) => {
+    setFormData({
+      description: improvement.description || '',
+      category: improvement.category || 'Other',
+      amount: formatForInput(improvement.amount),
+      completion_date: improvement.completion_date || '',
+      vendor: improvement.vendor || '',
+      claim_capital_works: safeAssets.some(asset => asset.capital_improvement_id === improvement.id),
+      notes: improvement.notes || ''
+    });
+    setErrors({});
+    setSourceExpense(null);
+    setEditingImprovement(improvement);
+    setShowForm(true);
+  };
+
+  const handleDelete = async (improvement) => {
+    if (!window.confirm(`Are you sure you want to delete "${improvement.description}"? Its transaction and capital works deductions are deleted too.`)) {
+      return;
+    }
+
+    try {
+      const result = await deleteCapitalImprovement(improvement);
+      if (!result.success) {
+        console.error('Failed to delete capital improvement:', result.error);
+        return;
+      }
+
+      if (onSaveData) {
+        onSaveData(null, 'Capital improvement deleted successfully');
+      }
+    } catch (error) {
+      console.error('Error deleting capital improvement:', error);
+    }
+  };
+
+  const handleCancel = () => {
+    setShowForm(false);
+    setEditingImprovement(null);
+    resetForm();
+  };
+
+  return (
+    <div className="space-y-6">
+      <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+        <div className="card">
+          <p className="text-gray-400 text-sm">Capital Improvements</p>
+          <p className="text-2xl font-bold text-white">{formatCurrency(total)}</p>
+        </div>
+        <div className="card">
+          <p className="text-gray-400 text-sm">Capital Works Claimed to Date</p>
+          <p className="text-2xl font-bold text-white">{formatCurrency(costBase.capitalWorksClaimed)}</p>
+        </div>
+        <div className="card">
+          <p className="text-gray-400 text-sm">{property.sale_date ? 'Cost Base at Sale' : 'Cost Base Today'}</p>
+          <p className="text-2xl font-bold text-green-400">{formatCurrency(costBase.total - costBase.sellingCosts)}</p>
+          <p className="text-gray-500 text-xs mt-1">Before selling costs</p>
+        </div>
+      </div>
+
+      <div className="card">
+        <div className="flex items-center justify-between mb-4">
+          <div className="flex items-center space-x-2">
+            <SafeIcon icon={FiTool} className="w-5 h-5 text-blue-400" />
+            <h3 className="text-lg font-semibold text-white">Capital Improvements</h3>
+          </div>
+          {canPerformActions && (
+            <button
+              onClick={() => {
+                resetForm();
+                setEditingImprovement(null);
+                setShowForm(true);
+              }}
+              className="btn-secondary flex items-center space-x-2 text-sm"
+            >
+              <SafeIcon icon={FiPlus} className="w-4 h-4" />
+              <span>Add Improvement</span>
+            </button>
+          )}
+        </div>
+
+        {improvements.length === 0 ? (
+          <p className="text-gray-400 text-sm">
+            Record renovations, extensions and other capital work here rather than as expenses.
+            They add to the cost base when you sell, and can be claimed as capital works deductions.
+          </p>
+        ) : (
+          <div className="space-y-2">
+            {improvements.map(improvement => {
+              const claimsCapitalWorks = safeAssets.some(asset => asset.capital_improvement_id === improvement.id);
+
+              return (
+                <div
+                  key={improvement.id}
+                  className="flex justify-between items-center text-sm bg-gray-700/30 rounded px-3 py-2"
+                >
+                  <div>
+                    <p className="text-white">
+                      {improvement.description}
+                      <span className="text-gray-400">
+                        {' '}· {improvement.category || 'Other'}{improvement.vendor ? ` · ${improvement.vendor}` : ''}
+                      </span>
+                    </p>
+                    <p className="text-gray-400 text-xs">
+                      Completed {DateUtils.formatShortDate(improvement.completion_date)}
+                      {claimsCapitalWorks && ' · claimed as capital works'}
+                    </p>
+                  </div>
+
+                  <div className="flex items-center space-x-3 ml-4">
+                    <span className="text-white font-medium">{formatCurrency(improvement.amount)}</span>
+                    {canPerformActions && (
+                      <>
+                        <button
+                          onClick={() => handleEdit(improvement)}
+                          className="text-gray-400 hover:text-blue-400 transition-colors"
+                          title="Edit improvement"
+                        >
+                          <SafeIcon icon={FiEdit} className="w-4 h-4" />
+                        </button>
+                        <button
+                          onClick={() => handleDelete(improvement)}
+                          className="text-gray-400 hover:text-red-400 transition-colors"
+                          title="Delete improvement"
+                        >
+                          <SafeIcon icon={FiTrash2} className="w-4 h-4" />
+                        </button>
+                      </>
+                    )}
+                  </div>
+                </div>
+              );
+            })}
+          </div>
+        )}
+      </div>
+
+      {/* Add/Edit Form */}
+      <AnimatePresence>
+        {canPerformActions && showForm && (
+          <motion.div
+            initial={{ opacity: 0, scale: 0.95 }}
+            animate={{ opacity: 1, scale: 1 }}
+            exit={{ opacity: 0, scale: 0.95 }}
+            className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center p-4 z-50"
+            onClick={(e) => e.target === e.currentTarget && handleCancel()}
+          >
+            <div className="bg-gray-800 rounded-lg p-6 w-full max-w-2xl max-h-[90vh] overflow-y-auto">
+              <div className="flex items-center justify-between mb-6">
+                <h2 className="text-xl font-bold text-white">
+                  {editingImprovement
+                    ? 'Edit Capital Improvement'
+                    : sourceExpense ? 'Move Expense to Capital Improvements' : 'Add Capital Improvement'}
+                </h2>
+                <button
+                  onClick={handleCancel}
+                  className="text-gray-400 hover:text-white transition-colors"
+                >
+                  <SafeIcon icon={FiX} className="w-6 h-6" />
+                </button>
+              </div>
+
+              {sourceExpense && (
+                <p className="text-gray-400 text-sm mb-4">
+                  The expense is removed and its transaction is kept as a capital improvement, so it
+                  is no longer claimed as a deduction.
+                </p>
+              )}
+
+              <div className="space-y-4">
+                <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+                  <div>
+                    <label className="block text-sm font-medium text-gray-300 mb-2">
+                      Description *
+                    </label>
+                    <input
+                      type="text"
+                      name="description"
+                      value={formData.description}
+                      onChange={handleChange}
+                      className={`form-input ${errors.description ? 'border-red-500' : ''}`}
+                      placeholder="e.g., Kitchen renovation"
+                    />
+                    {errors.description && <p className="text-red-400 text-sm mt-1">{errors.description}</p>}
+                  </div>
+
+                  <div>
+                    <label className="block text-sm font-medium text-gray-300 mb-2">
+                      Category
+                    </label>
+                    <select
+                      name="category"
+                      value={formData.category}
+                      onChange={handleChange}
+                      className="form-select"
+                    >
+                      {IMPROVEMENT_CATEGORIES.map(category => (
+                        <option key={category} value={category}>{category}</option>
+                      ))}
+                    </select>
+                  </div>
+
+                  <div>
+                    <label className="block text-sm font-medium text-gray-300 mb-2">
+                      Cost *
+                    </label>
+                    <input
+                      type="text"
+                      inputMode="decimal"
+                      name="amount"
+                      value={formData.amount}
+                      onChange={handleChange}
+                      onBlur={handleBlur}
+                      className={`form-input ${errors.amount ? 'border-red-500' : ''}`}
+                      placeholder="25000"
+                    />
+                    {errors.amount && <p className="text-red-400 text-sm mt-1">{errors.amount}</p>}
+                  </div>
+
+                  <div>
+                    <label className="block text-sm font-medium text-gray-300 mb-2">
+                      Completion Date *
+                    </label>
+                    <input
+                      type="date"
+                      name="completion_date"
+                      value={formData.completion_date}
+                      onChange={handleChange}
+                      className={`form-input ${errors.completion_date ? 'border-red-500' : ''}`}
+                    />
+                    {errors.completion_date && <p className="text-red-400 text-sm mt-1">{errors.completion_date}</p>}
+                  </div>
+
+                  <div>
+                    <label className="block text-sm font-medium text-gray-300 mb-2">
+                      Builder / Vendor
+                    </label>
+                    <input
+                      type="text"
+                      name="vendor"
+                      value={formData.vendor}
+                      onChange={handleChange}
+                      className="form-input"
+                      placeholder="e.g., ABC Builders"
+                    />
+                  </div>
+                </div>
+
+                <label className="flex items-center space-x-2 text-sm text-gray-300">
+                  <input
+                    type="checkbox"
+                    name="claim_capital_works"
+                    checked={formData.claim_capital_works}
+                    onChange={handleChange}
+                    className="form-checkbox"
+                  />
+                  <span>Claim as capital works ({DEFAULT_CAPITAL_WORKS_RATE}% of the cost a year from completion)</span>
+                </label>
+
+                <div>
+                  <label className="block text-sm font-medium text-gray-300 mb-2">
+                    Notes
+                  </label>
+                  <textarea
+                    name="notes"
+                    value={formData.notes}
+                    onChange={handleChange}
+                    rows="3"
+                    className="form-textarea"
+                    placeholder="e.g., Council approval reference"
+                  />
+                </div>
+
+                {errors.submit && <p className="text-red-400 text-sm">{errors.submit}</p>}
+
+                <div className="flex space-x-3 pt-4">
+                  <button
+                    onClick={handleCancel}
+                    className="btn-secondary flex-1"
+                  >
+                    Cancel
+                  </button>
+                  <button
+                    onClick={handleSave}
+                    className="btn-primary flex-1 flex items-center justify-center space-x-2"
+                  >
+                    <SafeIcon icon={FiSave} className="w-4 h-4" />
+                    <span>
+                      {editingImprovement ? 'Update Improvement' : sourceExpense ? 'Move to Improvements' : 'Add Improvement'}
+                    </span>
+                  </button>
+                </div>
+              </div>
+            </div>
+          </motion.div>
+        )}
+      </AnimatePresence>
+    </div>
+  );
+};
+
+export default CapitalImprovementManager;
@@ -5,13 +5,31 @@ import SafeIcon from "../common/SafeIcon";
 import PortfolioSummary from "./PortfolioSummary";
 import PropertyCard from "./PropertyCard";
 import AddPropertyModal from "./AddPropertyModal";
-import { calculatePortfolioMetrics } from "../utils/FinancialCalculations";
+import {
+  calculatePortfolioMetrics,
+  calculateCashFlowForecast,
+  getLvrAlerts,
+  isPropertyHeldAt,
+} from "../utils/FinancialCalculations";
+import {
+  getTenantsInArrears,
+  getLeaseStatus,
+  LEASE_STATUSES,
+} from "../utils/RentCalculations";
 import {
   formatCurrency,
   sanitize,
   formatCurrencyForChart,
 } from "../utils/number";
 import { canUserPerformActions } from "../utils/AuthUtils";
+import {
+  OWNER_TYPE_LABELS,
+  CONSOLIDATED_ENTITY_ID,
+  getEntities,
+  getLedgers,
+  filterByEntity,
+  withEntityNames,
+} from "../utils/OwnershipCalculations";
 import DataManager from "../services/DataManager";
 import html2canvas from "html2canvas";
 
@@ -30,6 +48,9 @@ const {
   FiCalendar,
   FiTarget,
   FiDollarSign,
+  FiAlertTriangle,
+  FiRepeat,
+  FiBriefcase,
 } = FiIcons;
 
 const Dashboard = ({
@@ -37,21 +58,76 @@ const Dashboard = ({
   properties,
   loans,
   transactions,
+  rentals,
+  rentPayments,
+  recurringExpenses,
+  owners,
+  propertyOwnerships,
   settings,
   onSaveData,
 }) => {
   const navigate = useNavigate();
   const [showAddModal, setShowAddModal] = useState(false);
   const [selectedYear, setSelectedYear] = useState(new Date().getFullYear());
+  const [selectedOwnerId, setSelectedOwnerId] = useState("all");
+  const [selectedEntityId, setSelectedEntityId] = useState(
+    CONSOLIDATED_ENTITY_ID
+  );
 
   // Check if user can perform actions (create/edit/delete)
   const canPerformActions = canUserPerformActions(user);
 
+  const safeOwners = Array.isArray(owners) ? owners : [];
+  const entities = getEntities(safeOwners);
+
+  // The selected entity's books, or everything for the consolidated view
+  const ledger = useMemo(
+    () =>
+      filterByEntity(
+        { properties, loans, transactions, owners: safeOwners },
+        selectedEntityId
+      ),
+    [properties, loans, transactions, safeOwners, selectedEntityId]
+  );
+
   // FIXED: Ensure all props are safe arrays to prevent crashes
-  const safeProperties = Array.isArray(properties) ? properties : [];
-  const safeLoans = Array.isArray(loans) ? loans : [];
-  const safeTransactions = Array.isArray(transactions) ? transactions : [];
+  const safeProperties = ledger.properties;
+  const safeLoans = ledger.loans;
+  const safeTransactions = ledger.transactions;
+  const safeRentals = useMemo(
+    () =>
+      (Array.isArray(rentals) ? rentals : []).filter(
+        (r) => r && safeProperties.some((p) => p && p.id === r.property_id)
+      ),
+    [rentals, safeProperties]
+  );
+  const safeRentPayments = Array.isArray(rentPayments) ? rentPayments : [];
+  const safeRecurringExpenses = useMemo(
+    () =>
+      (Array.isArray(recurringExpenses) ? recurringExpenses : []).filter(
+        (r) => r && safeProperties.some((p) => p && p.id === r.property_id)
+      ),
+    [recurringExpenses, safeProperties]
+  );
   const safeSettings = settings || { financialYearStart: "07-01" };
+  const safePropertyOwnerships = Array.isArray(propertyOwnerships)
+    ? propertyOwnerships
+    : [];
+
+  // Portfolio totals for one owner's shares, or the whole portfolio
+  const ownerOptions = useMemo(
+    () =>
+      selectedOwnerId === "all"
+        ? {}
+        : {
+            ownerId: selectedOwnerId,
+            ownership: {
+              owners: safeOwners,
+              propertyOwnerships: safePropertyOwnerships,
+            },
+          },
+    [selectedOwnerId, safeOwners, safePropertyOwnerships]
+  );
 
   const years = useMemo(() => {
     const currentYear = new Date().getFullYear();
@@ -65,9 +141,39 @@ const Dashboard = ({
       safeLoans,
       safeTransactions,
       selectedYear,
-      safeSettings
+      safeSettings,
+      [],
+      ownerOptions
     );
-  }, [safeProperties, safeLoans, safeTransactions, selectedYear, safeSettings]);
+  }, [safeProperties, safeLoans, safeTransactions, selectedYear, safeSettings, ownerOptions]);
+
+  // Each entity's totals alongside the consolidated view
+  const entityTotals = useMemo(() => {
+    if (
+      selectedEntityId !== CONSOLIDATED_ENTITY_ID ||
+      getEntities(safeOwners).length === 0
+    ) {
+      return [];
+    }
+    return getLedgers(safeOwners).map((entity) => {
+      const books = filterByEntity(
+        { properties, loans, transactions, owners: safeOwners },
+        entity.id
+      );
+      return {
+        entity,
+        metrics: calculatePortfolioMetrics(
+          books.properties,
+          books.loans,
+          books.transactions,
+          selectedYear,
+          safeSettings,
+          [],
+          ownerOptions
+        ),
+      };
+    });
+  }, [properties, loans, transactions, safeOwners, selectedEntityId, selectedYear, safeSettings, ownerOptions]);
 
   // Get reminders due in next 30 days
   const upcomingReminders = useMemo(() => {
@@ -120,8 +226,150 @@ const Dashboard = ({
       }
     });
 
-    return reminders.sort((a, b) => a.date - b.date);
-  }, [safeTransactions, safeProperties]);
+    // Rental reminders and lease milestones: fixed terms expiring and tenants vacating
+    const sixtyDaysFromNow = new Date(now.getTime() + 60 * 24 * 60 * 60 * 1000);
+    safeRentals.forEach((rental) => {
+      if (!rental) return;
+      const property = safeProperties.find((p) => p.id === rental.property_id);
+      const propertyName = property ? property.name || property.address : "";
+      const status = getLeaseStatus(rental, now);
+
+      if (rental.reminder_date) {
+        const reminderDate = new Date(rental.reminder_date);
+        if (reminderDate >= now && reminderDate <= thirtyDaysFromNow) {
+          reminders.push({
+            id: rental.id,
+            type: "rental",
+            title: `Rental: ${rental.tenant_name}`,
+            subtitle: propertyName,
+            date: reminderDate,
+            data: rental,
+            propertyId: rental.property_id,
+          });
+        }
+      }
+
+      if (status === LEASE_STATUSES.ACTIVE && rental.lease_end) {
+        const leaseEnd = new Date(rental.lease_end);
+        if (leaseEnd >= now && leaseEnd <= sixtyDaysFromNow) {
+          reminders.push({
+            id: `${rental.id}-expiry`,
+            type: "rental",
+            title: `Lease expiring: ${rental.tenant_name}`,
+            subtitle: `Renew, go periodic or give notice - ${propertyName}`,
+            date: leaseEnd,
+            data: rental,
+            propertyId: rental.property_id,
+          });
+        }
+      }
+
+      if (status === LEASE_STATUSES.NOTICE_GIVEN && rental.vacate_date) {
+        const vacateDate = new Date(rental.vacate_date);
+        if (vacateDate >= now && vacateDate <= thirtyDaysFromNow) {
+          reminders.push({
+            id: `${rental.id}-vacate`,
+            type: "rental",
+            title: `Tenant vacating: ${rental.tenant_name}`,
+            subtitle: `Plan re-letting - ${propertyName}`,
+            date: vacateDate,
+            data: rental,
+            propertyId: rental.property_id,
+          });
+        }
+      }
+    });
+
+    // Recurring bills due in the next 30 days, and any not yet recorded
+    safeRecurringExpenses.forEach((template) => {
+      if (!template || template.is_active === false || !template.next_due_date) {
+        return;
+      }
+      const dueDate = new Date(template.next_due_date);
+      if (dueDate > thirtyDaysFromNow) return;
+
+      const property = safeProperties.find((p) => p.id === template.property_id);
+      if (!property) return;
+      reminders.push({
+        id: template.id,
+        type: "expense",
+        title: `${dueDate < now ? "Overdue" : "Due"}: ${template.description}`,
+        subtitle: `${formatCurrency(template.amount)} - ${
+          property.name || property.address
+        }`,
+        date: dueDate,
+        data: template,
+        propertyId: template.property_id,
+      });
+    });
+
+    reminders.sort((a, b) => a.date - b.date);
+
+    // LVR alerts stay up while the property is over a threshold, so list them first
+    const lvrAlerts = getLvrAlerts(safeProperties, safeLoans, safeSettings).map(
+      (alert) => ({
+        id: alert.propertyId || "portfolio",
+        type: "lvr",
+        title: `LVR ${alert.lvr.toFixed(1)}%: ${alert.name}`,
+        subtitle: `${
+          alert.status === "max" ? "Above maximum" : "Above LMI threshold"
+        } of ${alert.threshold}%${
+          alert.trigger === "new_loan"
+            ? " after new loan"
+            : alert.trigger === "valuation"
+            ? " after valuation change"
+            : alert.propertyId
+            ? ""
+            : " across all properties"
+        }`,
+        date: alert.date,
+        data: alert,
+        propertyId: alert.propertyId,
+      })
+    );
+
+    // Tenants behind on rent, longest in arrears first
+    const arrearsAlerts = getTenantsInArrears(safeRentals, safeRentPayments).map(
+      (tenant) => {
+        const property = safeProperties.find((p) => p.id === tenant.propertyId);
+        return {
+          id: tenant.rentalId,
+          type: "arrears",
+          title: `Arrears: ${tenant.tenantName}`,
+          subtitle: `${formatCurrency(tenant.amountOwing)} owing, ${
+            tenant.daysInArrears
+          } day${tenant.daysInArrears === 1 ? "" : "s"} behind${
+            property ? ` - ${property.name || property.address}` : ""
+          }`,
+          date: tenant.arrearsSince,
+          data: tenant,
+          propertyId: tenant.propertyId,
+        };
+      }
+    );
+
+    return [...lvrAlerts, ...arrearsAlerts, ...reminders];
+  }, [
+    safeTransactions,
+    safeProperties,
+    safeLoans,
+    safeRentals,
+    safeRentPayments,
+    safeRecurringExpenses,
+    safeSettings,
+  ]);
+
+  // Next 12 months of rent, loan repayments and recurring bills
+  const cashFlowForecast = useMemo(
+    () =>
+      calculateCashFlowForecast({
+        properties: safeProperties,
+        rentals: safeRentals,
+        loans: safeLoans,
+        recurringExpenses: safeRecurringExpenses,
+      }),
+    [safeProperties, safeRentals, safeLoans, safeRecurringExpenses]
+  );
 
   // Transaction statistics calculations
   const transactionStats = useMemo(() => {
@@ -271,7 +519,9 @@ const Dashboard = ({
         safeLoans,
         safeTransactions,
         year,
-        safeSettings
+        safeSettings,
+        [],
+        ownerOptions
       );
       data.push({
         year,
@@ -281,7 +531,7 @@ const Dashboard = ({
       });
     });
     return data;
-  }, [safeProperties, safeLoans, safeTransactions, years, safeSettings]);
+  }, [safeProperties, safeLoans, safeTransactions, years, safeSettings, ownerOptions]);
 
   const handleAddProperty = async (propertyData) => {
     try {
@@ -313,8 +563,15 @@ const Dashboard = ({
   };
 
   const handleReminderClick = (reminder) => {
-    if (reminder.type === "rental" && reminder.propertyId) {
+    if (
+      (reminder.type === "rental" || reminder.type === "arrears") &&
+      reminder.propertyId
+    ) {
       navigate(`/property/${reminder.propertyId}?tab=rentals`);
+    } else if (reminder.type === "expense" && reminder.propertyId) {
+      navigate(`/property/${reminder.propertyId}?tab=expenses`);
+    } else if (reminder.type === "lvr" && reminder.propertyId) {
+      navigate(`/property/${reminder.propertyId}`);
     } else if (reminder.type === "transaction") {
       console.log("Transaction reminder clicked:", reminder);
     }
@@ -365,7 +622,16 @@ const Dashboard = ({
 
   const handleExportTransactions = async () => {
     try {
-      const result = await DataManager.exportAll("csv");
+      const result = await DataManager.exportTransactions(
+        entities.length > 0
+          ? withEntityNames(safeTransactions, safeOwners, properties)
+          : safeTransactions,
+        null,
+        null,
+        selectedEntityId !== CONSOLIDATED_ENTITY_ID
+          ? getLedgers(safeOwners).find((l) => l.id === selectedEntityId)?.name
+          : null
+      );
       if (result.success) {
         alert("Transactions exported successfully!");
       }
@@ -810,6 +1076,38 @@ const Dashboard = ({
             ))}
           </select>
 
+          {entities.length > 0 && (
+            <select
+              value={selectedEntityId}
+              onChange={(e) => setSelectedEntityId(e.target.value)}
+              className="form-select text-sm"
+              title="Show one entity's books, or all of them together"
+            >
+              <option value={CONSOLIDATED_ENTITY_ID}>Consolidated</option>
+              {getLedgers(safeOwners).map((entity) => (
+                <option key={entity.id} value={entity.id}>
+                  {entity.name}
+                </option>
+              ))}
+            </select>
+          )}
+
+          {safeOwners.length > 0 && (
+            <select
+              value={selectedOwnerId}
+              onChange={(e) => setSelectedOwnerId(e.target.value)}
+              className="form-select text-sm"
+              title="Show the portfolio at one owner's shares"
+            >
+              <option value="all">All Owners</option>
+              {safeOwners.map((owner) => (
+                <option key={owner.id} value={owner.id}>
+                  {owner.name} ({OWNER_TYPE_LABELS[owner.owner_type] || "Individual"})
+                </option>
+              ))}
+            </select>
+          )}
+
           <div className="flex flex-wrap gap-2">
             <button
               onClick={handleExportTransactions}
@@ -860,7 +1158,7 @@ const Dashboard = ({
         <div className="bg-yellow-900/20 border border-yellow-700 rounded-lg p-4">
           <h3 className="text-yellow-400 font-medium mb-3 flex items-center">
             <SafeIcon icon={FiBell} className="w-5 h-5 mr-2" />
-            Reminders Due in Next 30 Days ({upcomingReminders.length})
+            Reminders & Alerts ({upcomingReminders.length})
           </h3>
           <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-3">
             {upcomingReminders.slice(0, 6).map((reminder) => (
@@ -871,7 +1169,20 @@ const Dashboard = ({
               >
                 <div className="flex items-start justify-between">
                   <div className="flex-1">
-                    <h4 className="text-white font-medium text-sm">
+                    <h4
+                      className={`font-medium text-sm flex items-center ${
+                        reminder.type === "lvr"
+                          ? reminder.data.status === "max"
+                            ? "text-red-400"
+                            : "text-orange-400"
+                          : reminder.type === "arrears"
+                          ? "text-red-400"
+                          : "text-white"
+                      }`}
+                    >
+                      {(reminder.type === "lvr" || reminder.type === "arrears") && (
+                        <SafeIcon icon={FiAlertTriangle} className="w-4 h-4 mr-1" />
+                      )}
                       {reminder.title}
                     </h4>
                     <p className="text-gray-400 text-xs mt-1">
@@ -905,6 +1216,156 @@ const Dashboard = ({
         settings={safeSettings}
       />
 
+      {/* Per-entity totals */}
+      {entityTotals.length > 0 && (
+        <div className="bg-gray-800 rounded-lg p-6">
+          <h3 className="text-xl font-bold text-white mb-4 flex items-center">
+            <SafeIcon icon={FiBriefcase} className="w-6 h-6 mr-3 text-blue-400" />
+            By Entity
+          </h3>
+          <div className="overflow-x-auto">
+            <table className="w-full text-sm">
+              <thead>
+                <tr className="text-gray-400 text-left">
+                  <th className="py-2 pr-3 font-medium">Entity</th>
+                  <th className="py-2 pr-3 font-medium text-right">Properties</th>
+                  <th className="py-2 pr-3 font-medium text-right">Value</th>
+                  <th className="py-2 pr-3 font-medium text-right">Loans</th>
+                  <th className="py-2 pr-3 font-medium text-right">Equity</th>
+                  <th className="py-2 font-medium text-right">Net Cash Flow</th>
+                </tr>
+              </thead>
+              <tbody>
+                {[
+                  ...entityTotals,
+                  {
+                    entity: { id: CONSOLIDATED_ENTITY_ID, name: "Consolidated" },
+                    metrics: portfolioMetrics,
+                  },
+                ].map(({ entity, metrics }) => (
+                  <tr
+                    key={entity.id}
+                    className={`border-t ${
+                      entity.id === CONSOLIDATED_ENTITY_ID
+                        ? "border-gray-500 font-semibold"
+                        : "border-gray-700"
+                    }`}
+                  >
+                    <td className="py-2 pr-3 text-white">
+                      {entity.id === CONSOLIDATED_ENTITY_ID ? (
+                        entity.name
+                      ) : (
+                        <button
+                          onClick={() => setSelectedEntityId(entity.id)}
+                          className="hover:text-blue-400 transition-colors"
+                        >
+                          {entity.name}
+                          {entity.owner_type && (
+                            <span className="text-gray-500 text-xs ml-2">
+                              {OWNER_TYPE_LABELS[entity.owner_type]}
+                            </span>
+                          )}
+                        </button>
+                      )}
+                    </td>
+                    <td className="py-2 pr-3 text-right text-gray-300">
+                      {metrics.propertyCount}
+                    </td>
+                    <td className="py-2 pr-3 text-right text-gray-300">
+                      {formatCurrency(metrics.totalValue)}
+                    </td>
+                    <td className="py-2 pr-3 text-right text-gray-300">
+                      {formatCurrency(metrics.totalLoanAmount)}
+                    </td>
+                    <td className="py-2 pr-3 text-right text-white">
+                      {formatCurrency(metrics.totalValue - metrics.totalLoanAmount)}
+                    </td>
+                    <td
+                      className={`py-2 text-right ${
+                        metrics.netCashFlow >= 0 ? "text-green-400" : "text-red-400"
+                      }`}
+                    >
+                      {formatCurrency(metrics.netCashFlow)}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        </div>
+      )}
+
+      {/* Cash Flow Forecast */}
+      {safeProperties.length > 0 && (
+        <div className="bg-gray-800 rounded-lg p-6">
+          <h3 className="text-xl font-bold text-white mb-2 flex items-center">
+            <SafeIcon icon={FiRepeat} className="w-6 h-6 mr-3 text-blue-400" />
+            Cash Flow Forecast - Next 12 Months
+          </h3>
+          <p className="text-gray-400 text-sm mb-4">
+            Rent due on current leases less management fees, loan repayments
+            and recurring expenses
+          </p>
+          <div className="overflow-x-auto">
+            <table className="w-full text-sm">
+              <thead>
+                <tr className="text-gray-400 text-left">
+                  <th className="py-2 pr-3 font-medium">Month</th>
+                  <th className="py-2 pr-3 font-medium text-right">Rent</th>
+                  <th className="py-2 pr-3 font-medium text-right">Fees</th>
+                  <th className="py-2 pr-3 font-medium text-right">
+                    Loan Repayments
+                  </th>
+                  <th className="py-2 pr-3 font-medium text-right">
+                    Recurring Expenses
+                  </th>
+                  <th className="py-2 pr-3 font-medium text-right">Net</th>
+                  <th className="py-2 font-medium text-right">Cumulative</th>
+                </tr>
+              </thead>
+              <tbody>
+                {cashFlowForecast.map((row) => (
+                  <tr key={row.month} className="border-t border-gray-700">
+                    <td className="py-2 pr-3 text-white">
+                      {new Date(`${row.month}-01T00:00:00`).toLocaleDateString(
+                        undefined,
+                        { month: "short", year: "numeric" }
+                      )}
+                    </td>
+                    <td className="py-2 pr-3 text-right text-green-400">
+                      {formatCurrency(row.rent)}
+                    </td>
+                    <td className="py-2 pr-3 text-right text-gray-300">
+                      {formatCurrency(row.managementFees)}
+                    </td>
+                    <td className="py-2 pr-3 text-right text-gray-300">
+                      {formatCurrency(row.loanRepayments)}
+                    </td>
+                    <td className="py-2 pr-3 text-right text-gray-300">
+                      {formatCurrency(row.recurringExpenses)}
+                    </td>
+                    <td
+                      className={`py-2 pr-3 text-right font-medium ${
+                        row.net >= 0 ? "text-green-400" : "text-red-400"
+                      }`}
+                    >
+                      {formatCurrency(row.net)}
+                    </td>
+                    <td
+                      className={`py-2 text-right ${
+                        row.cumulative >= 0 ? "text-green-400" : "text-red-400"
+                      }`}
+                    >
+                      {formatCurrency(row.cumulative)}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        </div>
+      )}
+
       {/* Transaction Statistics */}
       <div className="bg-gray-800 rounded-lg p-6">
         <h3 className="text-xl font-bold text-white mb-6 flex items-center">
@@ -1118,7 +1579,7 @@ const Dashboard = ({
       <div className="grid grid-cols-1 xl:grid-cols-2 gap-6">
         <IncomeExpenseChart data={chartData} />
         <PortfolioDistributionChart
-          properties={safeProperties}
+          properties={safeProperties.filter((property) => isPropertyHeldAt(property))}
           totalValue={portfolioMetrics.totalValue}
         />
       </div>
@@ -1171,6 +1632,7 @@ const Dashboard = ({
           isOpen={showAddModal}
           onClose={() => setShowAddModal(false)}
           onSave={handleAddProperty}
+          owners={safeOwners}
         />
       )}
     </div>
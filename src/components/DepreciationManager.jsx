@@ -0,0 +1,545 @@
+import React, { useState } from 'react';
+import { motion, AnimatePresence } from 'framer-motion';
+import * as FiIcons from 'react-icons/fi';
+import SafeIcon from '../common/SafeIcon';
+import { parseCurrency, formatForInput, formatCurrency } from '../utils/number';
+import { canUserPerformActions } from '../utils/AuthUtils';
+import { createDepreciationAsset, updateDepreciationAsset, deleteDepreciationAsset } from '../utils/DataUtils';
+import {
+  DEPRECIATION_ASSET_TYPES,
+  DEPRECIATION_METHODS,
+  DEFAULT_CAPITAL_WORKS_RATE,
+  getDepreciationSchedule,
+  getPropertyDepreciationForYear
+} from '../utils/DepreciationCalculations';
+import DateUtils from '../utils/DateUtils';
+
+const { FiPlus, FiEdit, FiTrash2, FiSave, FiX, FiClock, FiList } = FiIcons;
+
+const METHOD_LABELS = {
+  [DEPRECIATION_METHODS.DIMINISHING_VALUE]: 'Diminishing value',
+  [DEPRECIATION_METHODS.PRIME_COST]: 'Prime cost'
+};
+
+const EMPTY_FORM = {
+  asset_type: DEPRECIATION_ASSET_TYPES.PLANT,
+  name: '',
+  cost: '',
+  start_date: '',
+  effective_life_years: '',
+  method: DEPRECIATION_METHODS.DIMINISHING_VALUE,
+  rate: String(DEFAULT_CAPITAL_WORKS_RATE),
+  notes: ''
+};
+
+const SECTIONS = [
+  {
+    type: DEPRECIATION_ASSET_TYPES.PLANT,
+    title: 'Plant and Equipment (Division 40)',
+    empty: 'Appliances, carpets, blinds and hot water systems, written off over their effective life.'
+  },
+  {
+    type: DEPRECIATION_ASSET_TYPES.CAPITAL_WORKS,
+    title: 'Capital Works (Division 43)',
+    empty: 'The building and structural improvements, usually written off at 2.5% of the construction cost a year.'
+  }
+];
+
+const DepreciationManager = ({ user, property, depreciationAssets, settings, onSaveData }) => {
+  const canPerformActions = canUserPerformActions(user);
+  const fyStartMonth = parseInt((settings?.financialYearStart || '07-01').split('-')[0]) || 7;
+  const [selectedYear, setSelectedYear] = useState(() =>
+    DateUtils.getFinancialYearStart(new Date(), fyStartMonth).getFullYear());
+  const [showForm, setShowForm] = useState(false);
+  const [editingAsset, setEditingAsset] = useState(null);
+  const [scheduleAssetId, setScheduleAssetId] = useState(null);
+  const [formData, setFormData] = useState(EMPTY_FORM);
+  const [errors, setErrors] = useState({});
+
+  const currentYear = new Date().getFullYear();
+  const years = Array.from({ length: 11 }, (_, i) => currentYear - 5 + i);
+  const yearDepreciation = getPropertyDepreciationForYear(depreciationAssets, property, selectedYear, { startMonth: fyStartMonth });
+  const isCapitalWorks = formData.asset_type === DEPRECIATION_ASSET_TYPES.CAPITAL_WORKS;
+
+  const resetForm = () => {
+    setFormData(EMPTY_FORM);
+    setErrors({});
+  };
+
+  const handleChange = (e) => {
+    const { name, value } = e.target;
+    setFormData(prev => ({ ...prev, [name]: value }));
+
+    if (errors[name]) {
+      setErrors(prev => ({ ...prev, [name]: null }));
+    }
+  };
+
+  const handleBlur = (e) => {
+    const { name, value } = e.target;
+
+    if (name === 'cost') {
+      const sanitized = parseCurrency(value);
+      setFormData(prev => ({ ...prev, [name]: sanitized > 0 ? formatForInput(sanitized) : '' }));
+    }
+  };
+
+  const validateForm = () => {
+    const newErrors = {};
+
+    if (!formData.name.trim()) {
+      newErrors.name = 'Description is required';
+    }
+
+    const cost = parseCurrency(formData.cost);
+    if (!cost || cost <= 0) {
+      newErrors.cost = 'Valid cost is required';
+    }
+
+    if (!formData.start_date) {
+      newErrors.start_date = 'Start date is required';
+    }
+
+    if (isCapitalWorks) {
+      const rate = parseFloat(formData.rate);
+      if (!(rate > 0 && rate <= 100)) {
+        newErrors.rate = 'Rate must be between 0 and 100%';
+      }
+    } else if (!(parseFloat(formData.effective_life_years) > 0)) {
+      newErrors.effective_life_years = 'Effective life is required';
+    }
+
+    setErrors(newErrors);
+    return Object.keys(newErrors).length === 0;
+  };
+
+  const handleSave = async () => {
+    if (!validateForm()) {
+      return;
+    }
+
+    try {
+      const assetData = {
+        property_id: property.id,
+        asset_type: formData.asset_type,
+        name: formData.name.trim(),
+        cost: parseCurrency(formData.cost),
+        start_date: formData.start_date,
+        effective_life_years: isCapitalWorks ? null : parseFloat(formData.effective_life_years),
+        method: isCapitalWorks ? DEPRECIATION_METHODS.PRIME_COST : formData.method,
+        rate: isCapitalWorks ? parseFloat(formData.rate) : null,
+        notes: formData.notes
+      };
+
+      const result = editingAsset
+        ? await updateDepreciationAsset(editingAsset.id, assetData)
+        : await createDepreciationAsset(assetData);
+      if (!result.success) {
+        console.error(`Failed to ${editingAsset ? 'update' : 'create'} depreciation asset:`, result.error);
+        return;
+      }
+
+      if (onSaveData) {
+        onSaveData(null, editingAsset ? 'Depreciation asset updated successfully' : 'Depreciation asset added successfully');
+      }
+
+      setShowForm(false);
+      setEditingAsset(null);
+      resetForm();
+    } catch (error) {
+      console.error('Error saving depreciation asset:', error);
+    }
+  };
+
+  const handleAdd = (assetType) => {
+    setFormData({ ...EMPTY_FORM, asset_type: assetType });
+    setEditingAsset(null);
+    setShowForm(true);
+  };
+
+  const handleEdit = (asset) => {
+    setFormData({
+      asset_type: asset.asset_type || DEPRECIATION_ASSET_TYPES.PLANT,
+      name: asset.name || '',
+      cost: formatForInput(asset.cost),
+      start_date: asset.start_date || '',
+      effective_life_years: asset.effective_life_years ? String(asset.effective_life_years) : '',
+      method: asset.method || DEPRECIATION_METHODS.DIMINISHING_VALUE,
+      rate: asset.rate ? String(asset.rate) : String(DEFAULT_CAPITAL_WORKS_RATE),
+      notes: asset.notes || ''
+    });
+    setEditingAsset(asset);
+    setShowForm(true);
+  };
+
+  const handleDelete = async (asset) => {
+    if (!window.confirm(`Are you sure you want to delete "${asset.name}"? Its deductions will no longer be claimed in any year.`)) {
+      return;
+    }
+
+    try {
+      const result = await deleteDepreciationAsset(asset.id);
+      if (!result.success) {
+        console.error('Failed to delete depreciation asset:', result.error);
+        return;
+      }
+
+      if (onSaveData) {
+        onSaveData(null, 'Depreciation asset deleted successfully');
+      }
+    } catch (error) {
+      console.error('Error deleting depreciation asset:', error);
+    }
+  };
+
+  const handleCancel = () => {
+    setShowForm(false);
+    setEditingAsset(null);
+    resetForm();
+  };
+
+  const renderSchedule = (asset) => {
+    const schedule = getDepreciationSchedule(asset, { startMonth: fyStartMonth, endDate: property.sale_date });
+
+    return (
+      <tr>
+        <td colSpan={canPerformActions ? 7 : 6} className="pb-3">
+          <div className="bg-gray-700/30 rounded p-3 max-h-64 overflow-y-auto">
+            <table className="w-full text-xs">
+              <thead>
+                <tr className="text-gray-400 text-left">
+                  <th className="py-1 pr-3 font-medium">Financial Year</th>
+                  <th className="py-1 pr-3 font-medium text-right">Opening Value</th>
+                  <th className="py-1 pr-3 font-medium text-right">Deduction</th>
+                  <th className="py-1 font-medium text-right">Closing Value</th>
+                </tr>
+              </thead>
+              <tbody>
+                {schedule.map(row => (
+                  <tr key={row.year} className={row.year === selectedYear ? 'text-blue-300' : 'text-gray-300'}>
+                    <td className="py-1 pr-3">
+                      {DateUtils.formatFinancialYear(row.year)}{row.days < 365 ? ` (${row.days} days)` : ''}
+                    </td>
+                    <td className="py-1 pr-3 text-right">{formatCurrency(row.openingValue)}</td>
+                    <td className="py-1 pr-3 text-right">{formatCurrency(row.deduction)}</td>
+                    <td className="py-1 text-right">{formatCurrency(row.closingValue)}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        </td>
+      </tr>
+    );
+  };
+
+  return (
+    <div className="space-y-6">
+      <div className="flex flex-col md:flex-row md:items-center md:justify-between gap-4">
+        <div className="flex items-center space-x-2">
+          <SafeIcon icon={FiClock} className="w-5 h-5 text-blue-400" />
+          <h3 className="text-lg font-semibold text-white">Depreciation</h3>
+        </div>
+        <select
+          value={selectedYear}
+          onChange={(e) => setSelectedYear(parseInt(e.target.value))}
+          className="form-select text-sm"
+        >
+          {years.map(year => (
+            <option key={year} value={year}>{DateUtils.formatFinancialYear(year)}</option>
+          ))}
+        </select>
+      </div>
+
+      <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+        <div className="card">
+          <p className="text-gray-400 text-sm">Plant and Equipment</p>
+          <p className="text-2xl font-bold text-white">{formatCurrency(yearDepreciation.plant)}</p>
+        </div>
+        <div className="card">
+          <p className="text-gray-400 text-sm">Capital Works</p>
+          <p className="text-2xl font-bold text-white">{formatCurrency(yearDepreciation.capitalWorks)}</p>
+        </div>
+        <div className="card">
+          <p className="text-gray-400 text-sm">Total Deductions {DateUtils.formatFinancialYear(selectedYear)}</p>
+          <p className="text-2xl font-bold text-green-400">{formatCurrency(yearDepreciation.total)}</p>
+        </div>
+      </div>
+
+      {SECTIONS.map(section => {
+        const items = yearDepreciation.items.filter(item => (item.asset.asset_type || DEPRECIATION_ASSET_TYPES.PLANT) === section.type);
+
+        return (
+          <div key={section.type} className="card">
+            <div className="flex items-center justify-between mb-4">
+              <h3 className="text-lg font-semibold text-white">{section.title}</h3>
+              {canPerformActions && (
+                <button
+                  onClick={() => handleAdd(section.type)}
+                  className="btn-secondary flex items-center space-x-2 text-sm"
+                >
+                  <SafeIcon icon={FiPlus} className="w-4 h-4" />
+                  <span>Add</span>
+                </button>
+              )}
+            </div>
+
+            {items.length === 0 ? (
+              <p className="text-gray-400 text-sm">{section.empty}</p>
+            ) : (
+              <div className="overflow-x-auto">
+                <table className="w-full text-sm">
+                  <thead>
+                    <tr className="text-gray-400 text-left">
+                      <th className="py-2 pr-3 font-medium">Item</th>
+                      <th className="py-2 pr-3 font-medium text-right">Cost</th>
+                      <th className="py-2 pr-3 font-medium">Basis</th>
+                      <th className="py-2 pr-3 font-medium text-right">Opening Value</th>
+                      <th className="py-2 pr-3 font-medium text-right">Deduction</th>
+                      <th className="py-2 pr-3 font-medium text-right">Closing Value</th>
+                      {canPerformActions && <th className="py-2 font-medium" />}
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {items.map(({ asset, openingValue, deduction, closingValue }) => (
+                      <React.Fragment key={asset.id}>
+                        <tr className="border-t border-gray-700">
+                          <td className="py-2 pr-3">
+                            <button
+                              onClick={() => setScheduleAssetId(scheduleAssetId === asset.id ? null : asset.id)}
+                              className="text-white hover:text-blue-400 transition-colors flex items-center text-left"
+                              title="Show the year-by-year schedule"
+                            >
+                              <SafeIcon icon={FiList} className="w-3 h-3 mr-2 text-gray-400 flex-shrink-0" />
+                              {asset.name}
+                            </button>
+                            <p className="text-gray-500 text-xs">
+                              From {DateUtils.formatShortDate(asset.start_date)}
+                              {asset.capital_improvement_id && ' · from a capital improvement'}
+                            </p>
+                          </td>
+                          <td className="py-2 pr-3 text-right text-gray-300">{formatCurrency(asset.cost)}</td>
+                          <td className="py-2 pr-3 text-gray-300">
+                            {section.type === DEPRECIATION_ASSET_TYPES.CAPITAL_WORKS
+                              ? `${asset.rate || DEFAULT_CAPITAL_WORKS_RATE}% a year`
+                              : `${METHOD_LABELS[asset.method] || METHOD_LABELS[DEPRECIATION_METHODS.DIMINISHING_VALUE]}, ${asset.effective_life_years} yrs`}
+                          </td>
+                          <td className="py-2 pr-3 text-right text-gray-300">
+                            {openingValue === null ? '-' : formatCurrency(openingValue)}
+                          </td>
+                          <td className="py-2 pr-3 text-right text-white">{formatCurrency(deduction)}</td>
+                          <td className="py-2 pr-3 text-right text-gray-300">
+                            {closingValue === null ? '-' : formatCurrency(closingValue)}
+                          </td>
+                          {canPerformActions && (
+                            <td className="py-2">
+                              <div className="flex items-center justify-end space-x-2">
+                                <button
+                                  onClick={() => handleEdit(asset)}
+                                  className="text-gray-400 hover:text-blue-400 transition-colors"
+                                  title="Edit asset"
+                                >
+                                  <SafeIcon icon={FiEdit} className="w-4 h-4" />
+                                </button>
+                                <button
+                                  onClick={() => handleDelete(asset)}
+                                  className="text-gray-400 hover:text-red-400 transition-colors"
+                                  title="Delete asset"
+                                >
+                                  <SafeIcon icon={FiTrash2} className="w-4 h-4" />
+                                </button>
+                              </div>
+                            </td>
+                          )}
+                        </tr>
+                        {scheduleAssetId === asset.id && renderSchedule(asset)}
+                      </React.Fragment>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+            )}
+          </div>
+        );
+      })}
+
+      {/* Add/Edit Form */}
+      <AnimatePresence>
+        {canPerformActions && showForm && (
+          <motion.div
+            initial={{ opacity: 0, scale: 0.95 }}
+            animate={{ opacity: 1, scale: 1 }}
+            exit={{ opacity: 0, scale: 0.95 }}
+            className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center p-4 z-50"
+            onClick={(e) => e.target === e.currentTarget && handleCancel()}
+          >
+            <div className="bg-gray-800 rounded-lg p-6 w-full max-w-2xl max-h-[90vh] overflow-y-auto">
+              <div className="flex items-center justify-between mb-6">
+                <h2 className="text-xl font-bold text-white">
+                  {editingAsset ? 'Edit Depreciation Asset' : 'Add Depreciation Asset'}
+                </h2>
+                <button
+                  onClick={handleCancel}
+                  className="text-gray-400 hover:text-white transition-colors"
+                >
+                  <SafeIcon icon={FiX} className="w-6 h-6" />
+                </button>
+              </div>
+
+              <div className="space-y-4">
+                <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+                  <div>
+                    <label className="block text-sm font-medium text-gray-300 mb-2">
+                      Type
+                    </label>
+                    <select
+                      name="asset_type"
+                      value={formData.asset_type}
+                      onChange={handleChange}
+                      className="form-select"
+                    >
+                      <option value={DEPRECIATION_ASSET_TYPES.PLANT}>Plant and equipment (Div 40)</option>
+                      <option value={DEPRECIATION_ASSET_TYPES.CAPITAL_WORKS}>Capital works (Div 43)</option>
+                    </select>
+                  </div>
+
+                  <div>
+                    <label className="block text-sm font-medium text-gray-300 mb-2">
+                      Description *
+                    </label>
+                    <input
+                      type="text"
+                      name="name"
+                      value={formData.name}
+                      onChange={handleChange}
+                      className={`form-input ${errors.name ? 'border-red-500' : ''}`}
+                      placeholder={isCapitalWorks ? 'e.g., Building construction' : 'e.g., Split system air conditioner'}
+                    />
+                    {errors.name && <p className="text-red-400 text-sm mt-1">{errors.name}</p>}
+                  </div>
+
+                  <div>
+                    <label className="block text-sm font-medium text-gray-300 mb-2">
+                      {isCapitalWorks ? 'Construction Cost *' : 'Cost *'}
+                    </label>
+                    <input
+                      type="text"
+                      inputMode="decimal"
+                      name="cost"
+                      value={formData.cost}
+                      onChange={handleChange}
+                      onBlur={handleBlur}
+                      className={`form-input ${errors.cost ? 'border-red-500' : ''}`}
+                      placeholder={isCapitalWorks ? '250000' : '2500'}
+                    />
+                    {errors.cost && <p className="text-red-400 text-sm mt-1">{errors.cost}</p>}
+                  </div>
+
+                  <div>
+                    <label className="block text-sm font-medium text-gray-300 mb-2">
+                      {isCapitalWorks ? 'Deductions Start *' : 'First Used or Installed *'}
+                    </label>
+                    <input
+                      type="date"
+                      name="start_date"
+                      value={formData.start_date}
+                      onChange={handleChange}
+                      className={`form-input ${errors.start_date ? 'border-red-500' : ''}`}
+                    />
+                    {errors.start_date && <p className="text-red-400 text-sm mt-1">{errors.start_date}</p>}
+                  </div>
+
+                  {isCapitalWorks ? (
+                    <div>
+                      <label className="block text-sm font-medium text-gray-300 mb-2">
+                        Rate (% a year) *
+                      </label>
+                      <input
+                        type="number"
+                        name="rate"
+                        value={formData.rate}
+                        onChange={handleChange}
+                        className={`form-input ${errors.rate ? 'border-red-500' : ''}`}
+                        min="0"
+                        max="100"
+                        step="0.1"
+                      />
+                      {errors.rate && <p className="text-red-400 text-sm mt-1">{errors.rate}</p>}
+                    </div>
+                  ) : (
+                    <>
+                      <div>
+                        <label className="block text-sm font-medium text-gray-300 mb-2">
+                          Effective Life (years) *
+                        </label>
+                        <input
+                          type="number"
+                          name="effective_life_years"
+                          value={formData.effective_life_years}
+                          onChange={handleChange}
+                          className={`form-input ${errors.effective_life_years ? 'border-red-500' : ''}`}
+                          placeholder="10"
+                          min="0"
+                          step="0.5"
+                        />
+                        {errors.effective_life_years && <p className="text-red-400 text-sm mt-1">{errors.effective_life_years}</p>}
+                      </div>
+
+                      <div>
+                        <label className="block text-sm font-medium text-gray-300 mb-2">
+                          Method
+                        </label>
+                        <select
+                          name="method"
+                          value={formData.method}
+                          onChange={handleChange}
+                          className="form-select"
+                        >
+                          {Object.values(DEPRECIATION_METHODS).map(method => (
+                            <option key={method} value={method}>{METHOD_LABELS[method]}</option>
+                          ))}
+                        </select>
+                      </div>
+                    </>
+                  )}
+                </div>
+
+                <div>
+                  <label className="block text-sm font-medium text-gray-300 mb-2">
+                    Notes
+                  </label>
+                  <textarea
+                    name="notes"
+                    value={formData.notes}
+                    onChange={handleChange}
+                    rows="3"
+                    className="form-textarea"
+                    placeholder="e.g., From the quantity surveyor's depreciation schedule"
+                  />
+                </div>
+
+                <div className="flex space-x-3 pt-4">
+                  <button
+                    onClick={handleCancel}
+                    className="btn-secondary flex-1"
+                  >
+                    Cancel
+                  </button>
+                  <button
+                    onClick={handleSave}
+                    className="btn-primary flex-1 flex items-center justify-center space-x-2"
+                  >
+                    <SafeIcon icon={FiSave} className="w-4 h-4" />
+                    <span>{editingAsset ? 'Update Asset' : 'Add Asset'}</span>
+                  </button>
+                </div>
+              </div>
+            </div>
+          </motion.div>
+        )}
+      </AnimatePresence>
+    </div>
+  );
+};
+
+export default DepreciationManager;
@@ -0,0 +1,26 @@
+import React from 'react';
+import * as FiIcons from 'react-icons/fi';
+import SafeIcon from '../common/SafeIcon';
+
+const { FiPaperclip } = FiIcons;
+
+// Paperclip with the number of documents attached to a record; opens the property's
+// document library filtered to that record. Renders nothing without onOpen.
+const DocumentLinkButton = ({ documents = [], field, recordId, onOpen, className = '' }) => {
+  if (!onOpen || !recordId) return null;
+
+  const count = documents.filter(document => document && document[field] === recordId).length;
+
+  return (
+    <button
+      onClick={() => onOpen(`${field}:${recordId}`)}
+      className={`text-gray-400 hover:text-blue-400 transition-colors flex items-center ${className}`}
+      title={count > 0 ? `${count} document${count === 1 ? '' : 's'} attached` : 'Attach documents'}
+    >
+      <SafeIcon icon={FiPaperclip} className="w-4 h-4" />
+      {count > 0 && <span className="text-xs ml-0.5">{count}</span>}
+    </button>
+  );
+};
+
+export default DocumentLinkButton;
@@ -0,0 +1,687 @@
+import React, { useState, useEffect } from 'react';
+import { motion, AnimatePresence } from 'framer-motion';
+import * as FiIcons from 'react-icons/fi';
+import SafeIcon from '../common/SafeIcon';
+import { parseCurrency, formatForInput, formatCurrency } from '../utils/number';
+import { canUserPerformActions } from '../utils/AuthUtils';
+import { createDocument, updateDocument, deleteDocument, getDocumentFileUrl } from '../utils/DataUtils';
+
+const { FiPlus, FiEdit, FiTrash2, FiSave, FiX, FiFileText, FiEye, FiDownload, FiSearch, FiHardDrive } = FiIcons;
+
+export const DOCUMENT_TYPES = {
+  invoice: 'Invoice',
+  receipt: 'Receipt',
+  contract_of_sale: 'Contract of Sale',
+  lease: 'Lease',
+  depreciation_schedule: 'Depreciation Schedule',
+  insurance: 'Insurance',
+  loan: 'Loan Document',
+  other: 'Other'
+};
+
+// Columns a document can be linked through, labelled by the kind of record
+const LINK_FIELDS = {
+  expense_id: 'Expense',
+  transaction_id: 'Transaction',
+  loan_id: 'Loan',
+  rental_id: 'Lease'
+};
+
+// Keep uploads well under Supabase Storage's default 50 MB object limit
+const MAX_FILE_SIZE = 25 * 1024 * 1024;
+
+const EMPTY_FORM = {
+  name: '',
+  document_type: 'invoice',
+  document_date: '',
+  amount: '',
+  link: '',
+  notes: ''
+};
+
+const formatFileSize = (bytes) => {
+  if (!bytes) return '';
+  if (bytes < 1024 * 1024) return `${Math.max(1, Math.round(bytes / 1024))} KB`;
+  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+};
+
+const formatDate = (value) => (value ? new Date(value).toLocaleDateString() : '');
+
+// 'expense_id:<id>' for the first link column set on a document, or '' for the property itself
+const getDocumentLink = (document) => {
+  const field = Object.keys(LINK_FIELDS).find(key => document?.[key]);
+  return field ? `${field}:${document[field]}` : '';
+};
+
+const DocumentManager = ({
+  user,
+  property,
+  documents = [],
+  expenses = [],
+  transactions = [],
+  loans = [],
+  rentals = [],
+  initialLink = '',
+  onSaveData
+}) => {
+  const canPerformActions = canUserPerformActions(user);
+  const [showForm, setShowForm] = useState(false);
+  const [editingDocument, setEditingDocument] = useState(null);
+  const [formData, setFormData] = useState(EMPTY_FORM);
+  const [file, setFile] = useState(null);
+  const [errors, setErrors] = useState({});
+  const [isSaving, setIsSaving] = useState(false);
+  const [searchTerm, setSearchTerm] = useState('');
+  const [typeFilter, setTypeFilter] = useState('');
+  const [linkFilter, setLinkFilter] = useState(initialLink);
+  const [preview, setPreview] = useState(null);
+
+  useEffect(() => {
+    setLinkFilter(initialLink);
+  }, [initialLink]);
+
+  // Release local object URLs once the preview closes
+  useEffect(() => {
+    return () => {
+      if (preview?.isObjectUrl && preview.url) {
+        URL.revokeObjectURL(preview.url);
+      }
+    };
+  }, [preview]);
+
+  const belongsToProperty = (record) =>
+    record && (record.property_id === property.id || record.propertyId === property.id);
+
+  const linkOptions = {
+    expense_id: expenses
+      .filter(belongsToProperty)
+      .sort((a, b) => new Date(b.date) - new Date(a.date))
+      .map(expense => ({
+        id: expense.id,
+        label: `${expense.description} - ${formatCurrency(expense.amount)} (${formatDate(expense.date)})`
+      })),
+    transaction_id: transactions
+      .filter(belongsToProperty)
+      .sort((a, b) => new Date(b.date) - new Date(a.date))
+      .map(t => ({
+        id: t.id,
+        label: `${t.description || t.category} - ${formatCurrency(Math.abs(t.amount))} (${formatDate(t.date)})`
+      })),
+    loan_id: loans
+      .filter(belongsToProperty)
+      .map(loan => ({ id: loan.id, label: `${loan.lender} - ${formatCurrency(loan.amount)}` })),
+    rental_id: rentals
+      .filter(belongsToProperty)
+      .map(rental => ({
+        id: rental.id,
+        label: `${rental.tenant_name || 'Tenant'}${rental.lease_start ? ` from ${formatDate(rental.lease_start)}` : ''}`
+      }))
+  };
+
+  const getLinkLabel = (link) => {
+    if (!link) return '';
+    const [field, id] = link.split(':');
+    const option = (linkOptions[field] || []).find(o => o.id === id);
+    return `${LINK_FIELDS[field]}: ${option ? option.label : 'record no longer available'}`;
+  };
+
+  const propertyDocuments = documents
+    .filter(document => document && document.property_id === property.id)
+    .filter(document => !typeFilter || document.document_type === typeFilter)
+    .filter(document => !linkFilter || getDocumentLink(document) === linkFilter)
+    .filter(document => {
+      if (!searchTerm) return true;
+      const term = searchTerm.toLowerCase();
+      return [document.name, document.file_name, document.notes]
+        .some(value => value && value.toLowerCase().includes(term));
+    })
+    .sort((a, b) => new Date(b.document_date || b.created_at) - new Date(a.document_date || a.created_at));
+
+  const resetForm = () => {
+    setFormData({ ...EMPTY_FORM, link: linkFilter });
+    setFile(null);
+    setErrors({});
+  };
+
+  const handleChange = (e) => {
+    const { name, value } = e.target;
+    setFormData(prev => ({ ...prev, [name]: value }));
+
+    if (errors[name]) {
+      setErrors(prev => ({ ...prev, [name]: null }));
+    }
+  };
+
+  const handleBlur = (e) => {
+    const { name, value } = e.target;
+
+    if (name === 'amount') {
+      const sanitized = parseCurrency(value);
+      setFormData(prev => ({ ...prev, [name]: sanitized > 0 ? formatForInput(sanitized) : '' }));
+    }
+  };
+
+  const handleFileChange = (e) => {
+    const selected = e.target.files && e.target.files[0];
+    setFile(selected || null);
+    if (selected && !formData.name) {
+      setFormData(prev => ({ ...prev, name: selected.name.replace(/\.[^.]+$/, '') }));
+    }
+    if (errors.file) {
+      setErrors(prev => ({ ...prev, file: null }));
+    }
+  };
+
+  const validateForm = () => {
+    const newErrors = {};
+
+    if (!editingDocument) {
+      if (!file) {
+        newErrors.file = 'Choose a file to upload';
+      } else if (file.size > MAX_FILE_SIZE) {
+        newErrors.file = `Files must be under ${formatFileSize(MAX_FILE_SIZE)}`;
+      }
+    }
+
+    if (!formData.name.trim()) {
+      newErrors.name = 'Name is required';
+    }
+
+    setErrors(newErrors);
+    return Object.keys(newErrors).length === 0;
+  };
+
+  const handleSave = async () => {
+    if (!validateForm()) {
+      return;
+    }
+
+    setIsSaving(true);
+    try {
+      const [linkField, linkId] = formData.link ? formData.link.split(':') : [];
+      const documentData = {
+        property_id: property.id,
+        name: formData.name.trim(),
+        document_type: formData.document_type,
+        document_date: formData.document_date || null,
+        amount: formData.amount ? parseCurrency(formData.amount) : null,
+        expense_id: linkField === 'expense_id' ? linkId : null,
+        transaction_id: linkField === 'transaction_id' ? linkId : null,
+        loan_id: linkField === 'loan_id' ? linkId : null,
+        rental_id: linkField === 'rental_id' ? linkId : null,
+        notes: formData.notes
+      };
+
+      const result = editingDocument
+        ? await updateDocument(editingDocument.id, documentData)
+        : await createDocument(file, documentData);
+      if (!result.success) {
+        setErrors({ save: result.error || 'Failed to save document' });
+        return;
+      }
+
+      if (onSaveData) {
+        onSaveData(null, editingDocument ? 'Document updated successfully' : 'Document uploaded successfully');
+      }
+
+      setShowForm(false);
+      setEditingDocument(null);
+      resetForm();
+    } catch (error) {
+      console.error('Error saving document:', error);
+      setErrors({ save: error.message });
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const handleAdd = () => {
+    resetForm();
+    setShowForm(true);
+  };
+
+  const handleEdit = (document) => {
+    setFormData({
+      name: document.name || '',
+      document_type: document.document_type || 'other',
+      document_date: document.document_date || '',
+      amount: document.amount ? formatForInput(document.amount) : '',
+      link: getDocumentLink(document),
+      notes: document.notes || ''
+    });
+    setFile(null);
+    setErrors({});
+    setEditingDocument(document);
+    setShowForm(true);
+  };
+
+  const handleDelete = async (document) => {
+    if (!window.confirm(`Are you sure you want to delete "${document.name}"? The file will be removed too.`)) {
+      return;
+    }
+
+    try {
+      const result = await deleteDocument(document);
+      if (!result.success) {
+        console.error('Failed to delete document:', result.error);
+        return;
+      }
+
+      if (onSaveData) {
+        onSaveData(null, 'Document deleted successfully');
+      }
+    } catch (error) {
+      console.error('Error deleting document:', error);
+    }
+  };
+
+  const handlePreview = async (document) => {
+    setPreview({ document, loading: true });
+    const result = await getDocumentFileUrl(document);
+    setPreview(result.success
+      ? { document, url: result.url, isObjectUrl: result.isObjectUrl }
+      : { document, error: result.error });
+  };
+
+  const handleDownload = async (document) => {
+    const result = await getDocumentFileUrl(document);
+    if (!result.success) {
+      window.alert(result.error || 'Failed to download document');
+      return;
+    }
+
+    const link = window.document.createElement('a');
+    link.href = result.url;
+    link.download = document.file_name;
+    window.document.body.appendChild(link);
+    link.click();
+    window.document.body.removeChild(link);
+    if (result.isObjectUrl) {
+      URL.revokeObjectURL(result.url);
+    }
+  };
+
+  const handleCancel = () => {
+    setShowForm(false);
+    setEditingDocument(null);
+    resetForm();
+  };
+
+  const renderPreview = () => {
+    if (preview.loading) {
+      return <p className="text-gray-400">Loading...</p>;
+    }
+    if (preview.error) {
+      return (
+        <p className="text-red-400">
+          {preview.document.storage_provider === 'local'
+            ? 'This file was uploaded on another device or browser and is only stored there.'
+            : preview.error}
+        </p>
+      );
+    }
+
+    const type = preview.document.file_type || '';
+    if (type.startsWith('image/')) {
+      return <img src={preview.url} alt={preview.document.name} className="max-w-full max-h-[70vh] mx-auto rounded" />;
+    }
+    if (type === 'application/pdf') {
+      return <iframe src={preview.url} title={preview.document.name} className="w-full h-[70vh] rounded bg-white" />;
+    }
+    return (
+      <p className="text-gray-400">
+        No preview available for this file type. Use download to open it.
+      </p>
+    );
+  };
+
+  return (
+    <div className="space-y-6">
+      <div className="flex items-center justify-between">
+        <div>
+          <h2 className="text-2xl font-bold text-white">Documents</h2>
+          <p className="text-gray-400">
+            Invoices, contracts, leases and depreciation schedules for this property
+          </p>
+        </div>
+        {canPerformActions && (
+          <button
+            onClick={handleAdd}
+            className="btn-primary flex items-center space-x-2"
+          >
+            <SafeIcon icon={FiPlus} className="w-4 h-4" />
+            <span>Upload Document</span>
+          </button>
+        )}
+      </div>
+
+      {/* Filters */}
+      <div className="flex flex-col md:flex-row md:items-center gap-3">
+        <div className="relative flex-1">
+          <SafeIcon icon={FiSearch} className="w-4 h-4 text-gray-400 absolute left-3 top-1/2 -translate-y-1/2" />
+          <input
+            type="text"
+            value={searchTerm}
+            onChange={(e) => setSearchTerm(e.target.value)}
+            className="form-input pl-9"
+            placeholder="Search documents..."
+          />
+        </div>
+        <select
+          value={typeFilter}
+          onChange={(e) => setTypeFilter(e.target.value)}
+          className="form-select md:w-56"
+        >
+          <option value="">All types</option>
+          {Object.entries(DOCUMENT_TYPES).map(([value, label]) => (
+            <option key={value} value={value}>{label}</option>
+          ))}
+        </select>
+      </div>
+
+      {linkFilter && (
+        <div className="flex items-center justify-between text-sm bg-blue-900/20 border border-blue-700 rounded px-3 py-2">
+          <span className="text-blue-300">Showing documents for {getLinkLabel(linkFilter)}</span>
+          <button
+            onClick={() => setLinkFilter('')}
+            className="text-blue-300 hover:text-white transition-colors"
+          >
+            Show all
+          </button>
+        </div>
+      )}
+
+      {/* Document List */}
+      {propertyDocuments.length === 0 ? (
+        <div className="card text-center py-12">
+          <SafeIcon icon={FiFileText} className="w-16 h-16 text-gray-600 mx-auto mb-4" />
+          <h3 className="text-lg font-medium text-gray-300 mb-2">No documents</h3>
+          <p className="text-gray-400">
+            {searchTerm || typeFilter || linkFilter
+              ? 'No documents match these filters'
+              : 'Upload invoices, receipts, contracts and schedules to keep them with the property'}
+          </p>
+        </div>
+      ) : (
+        <div className="space-y-3">
+          {propertyDocuments.map((document) => {
+            const link = getDocumentLink(document);
+            return (
+              <div key={document.id} className="card flex items-start justify-between">
+                <div className="flex items-start space-x-3 min-w-0">
+                  <SafeIcon icon={FiFileText} className="w-5 h-5 text-blue-400 mt-1 flex-shrink-0" />
+                  <div className="min-w-0">
+                    <div className="flex items-center flex-wrap gap-2">
+                      <h3 className="text-white font-medium truncate">{document.name}</h3>
+                      <span className="px-2 py-0.5 rounded text-xs bg-gray-700 text-gray-300">
+                        {DOCUMENT_TYPES[document.document_type] || 'Other'}
+                      </span>
+                      {document.storage_provider === 'local' && (
+                        <span
+                          className="px-2 py-0.5 rounded text-xs bg-yellow-900/40 text-yellow-300 flex items-center"
+                          title="Stored in this browser only"
+                        >
+                          <SafeIcon icon={FiHardDrive} className="w-3 h-3 mr-1" />
+                          This device
+                        </span>
+                      )}
+                    </div>
+                    <p className="text-gray-400 text-sm mt-1">
+                      {[
+                        formatDate(document.document_date),
+                        document.amount ? formatCurrency(document.amount) : '',
+                        `${document.file_name}${document.file_size ? ` (${formatFileSize(document.file_size)})` : ''}`
+                      ].filter(Boolean).join(' · ')}
+                    </p>
+                    {link && <p className="text-gray-500 text-xs mt-1">{getLinkLabel(link)}</p>}
+                    {document.notes && <p className="text-gray-400 text-sm mt-1">{document.notes}</p>}
+                  </div>
+                </div>
+
+                <div className="flex items-center space-x-2 ml-4">
+                  <button
+                    onClick={() => handlePreview(document)}
+                    className="text-gray-400 hover:text-blue-400 transition-colors"
+                    title="Preview"
+                  >
+                    <SafeIcon icon={FiEye} className="w-4 h-4" />
+                  </button>
+                  <button
+                    onClick={() => handleDownload(document)}
+                    className="text-gray-400 hover:text-green-400 transition-colors"
+                    title="Download"
+                  >
+                    <SafeIcon icon={FiDownload} className="w-4 h-4" />
+                  </button>
+                  {canPerformActions && (
+                    <>
+                      <button
+                        onClick={() => handleEdit(document)}
+                        className="text-gray-400 hover:text-blue-400 transition-colors"
+                        title="Edit details"
+                      >
+                        <SafeIcon icon={FiEdit} className="w-4 h-4" />
+                      </button>
+                      <button
+                        onClick={() => handleDelete(document)}
+                        className="text-gray-400 hover:text-red-400 transition-colors"
+                        title="Delete document"
+                      >
+                        <SafeIcon icon={FiTrash2} className="w-4 h-4" />
+                      </button>
+                    </>
+                  )}
+                </div>
+              </div>
+            );
+          })}
+        </div>
+      )}
+
+      {/* Preview */}
+      <AnimatePresence>
+        {preview && (
+          <motion.div
+            initial={{ opacity: 0, scale: 0.95 }}
+            animate={{ opacity: 1, scale: 1 }}
+            exit={{ opacity: 0, scale: 0.95 }}
+            className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center p-4 z-50"
+            onClick={(e) => e.target === e.currentTarget && setPreview(null)}
+          >
+            <div className="bg-gray-800 rounded-lg p-6 w-full max-w-4xl max-h-[90vh] overflow-y-auto">
+              <div className="flex items-center justify-between mb-4">
+                <h2 className="text-xl font-bold text-white truncate">{preview.document.name}</h2>
+                <div className="flex items-center space-x-3">
+                  {preview.url && (
+                    <button
+                      onClick={() => handleDownload(preview.document)}
+                      className="text-gray-400 hover:text-green-400 transition-colors"
+                      title="Download"
+                    >
+                      <SafeIcon icon={FiDownload} className="w-5 h-5" />
+                    </button>
+                  )}
+                  <button
+                    onClick={() => setPreview(null)}
+                    className="text-gray-400 hover:text-white transition-colors"
+                  >
+                    <SafeIcon icon={FiX} className="w-6 h-6" />
+                  </button>
+                </div>
+              </div>
+              {renderPreview()}
+            </div>
+          </motion.div>
+        )}
+      </AnimatePresence>
+
+      {/* Upload/Edit Form */}
+      <AnimatePresence>
+        {canPerformActions && showForm && (
+          <motion.div
+            initial={{ opacity: 0, scale: 0.95 }}
+            animate={{ opacity: 1, scale: 1 }}
+            exit={{ opacity: 0, scale: 0.95 }}
+            className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center p-4 z-50"
+            onClick={(e) => e.target === e.currentTarget && handleCancel()}
+          >
+            <div className="bg-gray-800 rounded-lg p-6 w-full max-w-2xl max-h-[90vh] overflow-y-auto">
+              <div className="flex items-center justify-between mb-6">
+                <h2 className="text-xl font-bold text-white">
+                  {editingDocument ? 'Edit Document' : 'Upload Document'}
+                </h2>
+                <button
+                  onClick={handleCancel}
+                  className="text-gray-400 hover:text-white transition-colors"
+                >
+                  <SafeIcon icon={FiX} className="w-6 h-6" />
+                </button>
+              </div>
+
+              <div className="space-y-4">
+                {editingDocument ? (
+                  <p className="text-gray-400 text-sm">
+                    File: {editingDocument.file_name}
+                  </p>
+                ) : (
+                  <div>
+                    <label className="block text-sm font-medium text-gray-300 mb-2">
+                      File *
+                    </label>
+                    <input
+                      type="file"
+                      onChange={handleFileChange}
+                      accept="application/pdf,image/*,.doc,.docx,.xls,.xlsx,.csv,.txt"
+                      className={`form-input ${errors.file ? 'border-red-500' : ''}`}
+                    />
+                    {errors.file && <p className="text-red-400 text-sm mt-1">{errors.file}</p>}
+                  </div>
+                )}
+
+                <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+                  <div>
+                    <label className="block text-sm font-medium text-gray-300 mb-2">
+                      Name *
+                    </label>
+                    <input
+                      type="text"
+                      name="name"
+                      value={formData.name}
+                      onChange={handleChange}
+                      className={`form-input ${errors.name ? 'border-red-500' : ''}`}
+                      placeholder="e.g., Plumber invoice"
+                    />
+                    {errors.name && <p className="text-red-400 text-sm mt-1">{errors.name}</p>}
+                  </div>
+
+                  <div>
+                    <label className="block text-sm font-medium text-gray-300 mb-2">
+                      Type
+                    </label>
+                    <select
+                      name="document_type"
+                      value={formData.document_type}
+                      onChange={handleChange}
+                      className="form-select"
+                    >
+                      {Object.entries(DOCUMENT_TYPES).map(([value, label]) => (
+                        <option key={value} value={value}>{label}</option>
+                      ))}
+                    </select>
+                  </div>
+
+                  <div>
+                    <label className="block text-sm font-medium text-gray-300 mb-2">
+                      Document Date
+                    </label>
+                    <input
+                      type="date"
+                      name="document_date"
+                      value={formData.document_date}
+                      onChange={handleChange}
+                      className="form-input"
+                    />
+                  </div>
+
+                  <div>
+                    <label className="block text-sm font-medium text-gray-300 mb-2">
+                      Amount (Optional)
+                    </label>
+                    <input
+                      type="text"
+                      inputMode="decimal"
+                      name="amount"
+                      value={formData.amount}
+                      onChange={handleChange}
+                      onBlur={handleBlur}
+                      className="form-input"
+                      placeholder="0.00"
+                    />
+                  </div>
+                </div>
+
+                <div>
+                  <label className="block text-sm font-medium text-gray-300 mb-2">
+                    Linked Record
+                  </label>
+                  <select
+                    name="link"
+                    value={formData.link}
+                    onChange={handleChange}
+                    className="form-select"
+                  >
+                    <option value="">Property only</option>
+                    {Object.entries(LINK_FIELDS).map(([field, label]) => (
+                      linkOptions[field].length > 0 && (
+                        <optgroup key={field} label={`${label}s`}>
+                          {linkOptions[field].map(option => (
+                            <option key={option.id} value={`${field}:${option.id}`}>{option.label}</option>
+                          ))}
+                        </optgroup>
+                      )
+                    ))}
+                  </select>
+                </div>
+
+                <div>
+                  <label className="block text-sm font-medium text-gray-300 mb-2">
+                    Notes
+                  </label>
+                  <textarea
+                    name="notes"
+                    value={formData.notes}
+                    onChange={handleChange}
+                    rows="3"
+                    className="form-textarea"
+                    placeholder="Additional notes..."
+                  />
+                </div>
+
+                {errors.save && <p className="text-red-400 text-sm">{errors.save}</p>}
+
+                <div className="flex space-x-3 pt-4">
+                  <button
+                    onClick={handleCancel}
+                    className="btn-secondary flex-1"
+                  >
+                    Cancel
+                  </button>
+                  <button
+                    onClick={handleSave}
+                    disabled={isSaving}
+                    className="btn-primary flex-1 flex items-center justify-center space-x-2 disabled:opacity-50"
+                  >
+                    <SafeIcon icon={FiSave} className="w-4 h-4" />
+                    <span>{isSaving ? 'Saving...' : editingDocument ? 'Update Document' : 'Upload Document'}</span>
+                  </button>
+                </div>
+              </div>
+            </div>
+          </motion.div>
+        )}
+      </AnimatePresence>
+    </div>
+  );
+};
+
+export default DocumentManager;
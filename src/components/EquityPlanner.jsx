@@ -0,0 +1,435 @@
+import React, { useMemo, useState } from "react";
+import { Link } from "react-router-dom";
+import * as FiIcons from "react-icons/fi";
+import SafeIcon from "../common/SafeIcon";
+import { formatCurrency, formatForInput, parseCurrency } from "../utils/number";
+import { getLvrThresholds } from "../utils/FinancialCalculations";
+import {
+  DEFAULT_EQUITY_LENDING_RATIO,
+  STAMP_DUTY_STATES,
+  calculateUsableEquity,
+  calculateMaxPurchasePrice,
+  getPurchaseCashRequired,
+} from "../utils/EquityCalculations";
+
+const { FiLayers, FiHome, FiCreditCard, FiPlus, FiTrash2 } = FiIcons;
+
+const newCostId = () => `acq_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+
+// Typical costs on top of stamp duty; same shape as a property's acquisition_costs
+const DEFAULT_ACQUISITION_COSTS = [
+  { category: "Legal / Conveyancing", amount: "2,000", notes: "" },
+  { category: "Building & Pest Inspection", amount: "600", notes: "" },
+  { category: "Loan Establishment", amount: "600", notes: "" },
+];
+
+const EquityPlanner = ({ properties, loans, settings }) => {
+  const safeProperties = Array.isArray(properties) ? properties : [];
+  const safeLoans = Array.isArray(loans) ? loans.filter((l) => l && typeof l === "object") : [];
+
+  const [lendingRatio, setLendingRatio] = useState(String(DEFAULT_EQUITY_LENDING_RATIO));
+  const [formData, setFormData] = useState({
+    cashSavings: "",
+    state: "NSW",
+    targetLvr: String(getLvrThresholds(settings).warning),
+    targetPrice: "",
+  });
+  const [acquisitionCosts, setAcquisitionCosts] = useState(() =>
+    DEFAULT_ACQUISITION_COSTS.map((cost) => ({ ...cost, id: newCostId() }))
+  );
+
+  const handleChange = (e) => {
+    const { name, value } = e.target;
+    setFormData((prev) => ({ ...prev, [name]: value }));
+  };
+
+  const handleCostChange = (index, field, value) => {
+    setAcquisitionCosts((prev) =>
+      prev.map((cost, i) => (i === index ? { ...cost, [field]: value } : cost))
+    );
+  };
+
+  const handleCostBlur = (index) => {
+    setAcquisitionCosts((prev) =>
+      prev.map((cost, i) =>
+        i === index ? { ...cost, amount: formatForInput(parseCurrency(cost.amount)) } : cost
+      )
+    );
+  };
+
+  const addCost = () => {
+    setAcquisitionCosts((prev) => [
+      ...prev,
+      { id: newCostId(), category: "", amount: "", notes: "" },
+    ]);
+  };
+
+  const removeCost = (index) => {
+    setAcquisitionCosts((prev) => prev.filter((_, i) => i !== index));
+  };
+
+  const equity = useMemo(
+    () => calculateUsableEquity(safeProperties, safeLoans, parseFloat(lendingRatio) || 0),
+    [safeProperties, safeLoans, lendingRatio]
+  );
+
+  const purchaseOptions = useMemo(
+    () => ({
+      state: formData.state,
+      targetLvr: parseFloat(formData.targetLvr) || 0,
+      acquisitionCosts: acquisitionCosts.map((cost) => ({
+        ...cost,
+        amount: parseCurrency(cost.amount),
+      })),
+    }),
+    [formData.state, formData.targetLvr, acquisitionCosts]
+  );
+
+  const availableFunds =
+    Math.round((equity.totalUsableEquity + parseCurrency(formData.cashSavings)) * 100) / 100;
+
+  const maxPurchase = useMemo(
+    () => calculateMaxPurchasePrice(availableFunds, purchaseOptions),
+    [availableFunds, purchaseOptions]
+  );
+
+  const targetPurchase = useMemo(() => {
+    const price = parseCurrency(formData.targetPrice);
+    return price > 0 ? getPurchaseCashRequired(price, purchaseOptions) : null;
+  }, [formData.targetPrice, purchaseOptions]);
+
+  const targetGap = targetPurchase ? availableFunds - targetPurchase.totalCashRequired : 0;
+
+  const renderBreakdown = (purchase) => (
+    <div className="space-y-2 text-sm">
+      <div className="flex justify-between">
+        <span className="text-gray-400">
+          Deposit ({Math.round((100 - purchaseOptions.targetLvr) * 100) / 100}%)
+        </span>
+        <span className="text-white">{formatCurrency(purchase.deposit)}</span>
+      </div>
+      <div className="flex justify-between">
+        <span className="text-gray-400">Stamp duty ({formData.state}, estimated)</span>
+        <span className="text-white">{formatCurrency(purchase.stampDuty)}</span>
+      </div>
+      <div className="flex justify-between">
+        <span className="text-gray-400">Other acquisition costs</span>
+        <span className="text-white">{formatCurrency(purchase.otherCosts)}</span>
+      </div>
+      <div className="flex justify-between border-t border-gray-700 pt-2 font-medium">
+        <span className="text-white">Cash required</span>
+        <span className="text-white">{formatCurrency(purchase.totalCashRequired)}</span>
+      </div>
+      <div className="flex justify-between">
+        <span className="text-gray-400">New loan ({purchaseOptions.targetLvr}% LVR)</span>
+        <span className="text-cyan-400">{formatCurrency(purchase.loanAmount)}</span>
+      </div>
+    </div>
+  );
+
+  return (
+    <div className="space-y-6">
+      {/* Header */}
+      <div>
+        <h1 className="text-3xl font-bold text-white">Equity Planner</h1>
+        <p className="text-gray-400 mt-1">
+          See how much equity you can release and how far it goes as your next deposit
+        </p>
+      </div>
+
+      {/* Summary */}
+      <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+        <div className="card p-4">
+          <div className="flex items-center justify-between">
+            <div>
+              <p className="text-sm text-gray-400">Usable Equity</p>
+              <p className="text-2xl font-bold text-green-400">
+                {formatCurrency(equity.totalUsableEquity)}
+              </p>
+              <p className="text-xs text-gray-500 mt-1">{lendingRatio || 0}% of value less debt</p>
+            </div>
+            <div className="w-12 h-12 rounded-full bg-green-900/30 flex items-center justify-center">
+              <SafeIcon icon={FiLayers} className="w-6 h-6 text-green-400" />
+            </div>
+          </div>
+        </div>
+
+        <div className="card p-4">
+          <div className="flex items-center justify-between">
+            <div>
+              <p className="text-sm text-gray-400">Portfolio Value</p>
+              <p className="text-2xl font-bold text-white">{formatCurrency(equity.totalValue)}</p>
+              <p className="text-xs text-gray-500 mt-1">{equity.properties.length} properties</p>
+            </div>
+            <div className="w-12 h-12 rounded-full bg-purple-900/30 flex items-center justify-center">
+              <SafeIcon icon={FiHome} className="w-6 h-6 text-purple-400" />
+            </div>
+          </div>
+        </div>
+
+        <div className="card p-4">
+          <div className="flex items-center justify-between">
+            <div>
+              <p className="text-sm text-gray-400">Outstanding Debt</p>
+              <p className="text-2xl font-bold text-white">{formatCurrency(equity.totalDebt)}</p>
+              <p className="text-xs text-gray-500 mt-1">Active loans only</p>
+            </div>
+            <div className="w-12 h-12 rounded-full bg-cyan-900/30 flex items-center justify-center">
+              <SafeIcon icon={FiCreditCard} className="w-6 h-6 text-cyan-400" />
+            </div>
+          </div>
+        </div>
+      </div>
+
+      {/* Equity by property */}
+      <div className="card p-6">
+        <div className="flex justify-between items-center mb-4">
+          <h3 className="text-lg font-semibold text-white">Equity by Property</h3>
+          <div className="flex items-center space-x-2">
+            <label className="text-sm text-gray-400">Lending ratio (%)</label>
+            <input
+              type="number"
+              step="5"
+              min="0"
+              max="100"
+              value={lendingRatio}
+              onChange={(e) => setLendingRatio(e.target.value)}
+              className="form-input w-24"
+            />
+          </div>
+        </div>
+        {equity.properties.length === 0 ? (
+          <p className="text-sm text-gray-500">No properties recorded.</p>
+        ) : (
+          <div className="overflow-x-auto">
+            <table className="w-full text-sm">
+              <thead className="bg-gray-700/50">
+                <tr>
+                  <th className="px-3 py-2 text-left text-xs font-medium text-gray-300 uppercase">
+                    Property
+                  </th>
+                  <th className="px-3 py-2 text-right text-xs font-medium text-gray-300 uppercase">
+                    Value
+                  </th>
+                  <th className="px-3 py-2 text-right text-xs font-medium text-gray-300 uppercase">
+                    Debt
+                  </th>
+                  <th className="px-3 py-2 text-right text-xs font-medium text-gray-300 uppercase">
+                    LVR
+                  </th>
+                  <th className="px-3 py-2 text-right text-xs font-medium text-gray-300 uppercase">
+                    {lendingRatio || 0}% of Value
+                  </th>
+                  <th className="px-3 py-2 text-right text-xs font-medium text-gray-300 uppercase">
+                    Usable Equity
+                  </th>
+                </tr>
+              </thead>
+              <tbody className="divide-y divide-gray-700">
+                {equity.properties.map((property) => (
+                  <tr key={property.propertyId}>
+                    <td className="px-3 py-2">
+                      <Link
+                        to={`/property/${property.propertyId}`}
+                        className="text-blue-400 hover:text-blue-300"
+                      >
+                        {property.name}
+                      </Link>
+                    </td>
+                    <td className="px-3 py-2 text-right text-white">
+                      {formatCurrency(property.propertyValue)}
+                    </td>
+                    <td className="px-3 py-2 text-right text-gray-300">
+                      {formatCurrency(property.debt)}
+                    </td>
+                    <td className="px-3 py-2 text-right text-gray-300">
+                      {property.lvr.toFixed(1)}%
+                    </td>
+                    <td className="px-3 py-2 text-right text-gray-300">
+                      {formatCurrency(property.lendableValue)}
+                    </td>
+                    <td
+                      className={`px-3 py-2 text-right font-medium ${
+                        property.usableEquity > 0 ? "text-green-400" : "text-gray-500"
+                      }`}
+                    >
+                      {formatCurrency(property.usableEquity)}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+      </div>
+
+      {/* Next purchase planner */}
+      <div className="grid grid-cols-1 lg:grid-cols-3 gap-6">
+        <div className="card p-6 space-y-4">
+          <h3 className="text-lg font-semibold text-white">Next Purchase</h3>
+          <div>
+            <label className="block text-sm font-medium text-gray-300 mb-2">
+              Cash Savings to Contribute
+            </label>
+            <input
+              type="text"
+              inputMode="decimal"
+              name="cashSavings"
+              value={formData.cashSavings}
+              onChange={handleChange}
+              className="form-input"
+              placeholder="e.g., 20000"
+            />
+          </div>
+          <div className="grid grid-cols-2 gap-4">
+            <div>
+              <label className="block text-sm font-medium text-gray-300 mb-2">State</label>
+              <select
+                name="state"
+                value={formData.state}
+                onChange={handleChange}
+                className="form-select"
+              >
+                {STAMP_DUTY_STATES.map((state) => (
+                  <option key={state} value={state}>
+                    {state}
+                  </option>
+                ))}
+              </select>
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-300 mb-2">
+                New Loan LVR (%)
+              </label>
+              <input
+                type="number"
+                step="5"
+                min="0"
+                max="100"
+                name="targetLvr"
+                value={formData.targetLvr}
+                onChange={handleChange}
+                className="form-input"
+              />
+            </div>
+          </div>
+          <div>
+            <label className="block text-sm font-medium text-gray-300 mb-2">
+              Target Price (optional)
+            </label>
+            <input
+              type="text"
+              inputMode="decimal"
+              name="targetPrice"
+              value={formData.targetPrice}
+              onChange={handleChange}
+              className="form-input"
+              placeholder="e.g., 650000"
+            />
+          </div>
+
+          <div className="border-t border-gray-700 pt-4">
+            <div className="flex justify-between items-center mb-3">
+              <h4 className="text-white font-medium">Acquisition Costs</h4>
+              <button
+                type="button"
+                onClick={addCost}
+                className="btn-secondary flex items-center space-x-1 text-sm"
+              >
+                <SafeIcon icon={FiPlus} className="w-4 h-4" />
+                <span>Add Cost</span>
+              </button>
+            </div>
+            <div className="space-y-2">
+              {acquisitionCosts.map((cost, index) => (
+                <div key={cost.id} className="flex items-center space-x-2">
+                  <input
+                    type="text"
+                    value={cost.category}
+                    onChange={(e) => handleCostChange(index, "category", e.target.value)}
+                    className="form-input flex-1"
+                    placeholder="e.g., Legal Fees"
+                  />
+                  <input
+                    type="text"
+                    inputMode="decimal"
+                    value={cost.amount}
+                    onChange={(e) => handleCostChange(index, "amount", e.target.value)}
+                    onBlur={() => handleCostBlur(index)}
+                    className="form-input w-28"
+                    placeholder="Amount"
+                  />
+                  <button
+                    type="button"
+                    onClick={() => removeCost(index)}
+                    className="p-2 text-gray-400 hover:text-red-400"
+                    title="Remove cost"
+                  >
+                    <SafeIcon icon={FiTrash2} className="w-4 h-4" />
+                  </button>
+                </div>
+              ))}
+              {acquisitionCosts.length === 0 && (
+                <p className="text-sm text-gray-500">Stamp duty only.</p>
+              )}
+            </div>
+            <p className="text-xs text-gray-500 mt-2">
+              Stamp duty is estimated automatically from the state's general transfer duty scale.
+            </p>
+          </div>
+        </div>
+
+        <div className="lg:col-span-2 space-y-6">
+          <div className="card p-6">
+            <div className="flex justify-between items-start mb-4">
+              <div>
+                <h3 className="text-lg font-semibold text-white">Maximum Purchase Price</h3>
+                <p className="text-sm text-gray-400">
+                  Using {formatCurrency(availableFunds)} of equity and savings
+                </p>
+              </div>
+              <p className="text-2xl font-bold text-green-400">
+                {formatCurrency(maxPurchase.purchasePrice)}
+              </p>
+            </div>
+            {renderBreakdown(maxPurchase)}
+          </div>
+
+          {targetPurchase && (
+            <div className="card p-6">
+              <div className="flex justify-between items-start mb-4">
+                <div>
+                  <h3 className="text-lg font-semibold text-white">
+                    Buying at {formatCurrency(targetPurchase.purchasePrice)}
+                  </h3>
+                  <p className="text-sm text-gray-400">
+                    {targetGap >= 0 ? "Funds left over" : "Shortfall"}
+                  </p>
+                </div>
+                <p
+                  className={`text-2xl font-bold ${
+                    targetGap >= 0 ? "text-green-400" : "text-red-400"
+                  }`}
+                >
+                  {formatCurrency(Math.abs(targetGap))}
+                </p>
+              </div>
+              {renderBreakdown(targetPurchase)}
+            </div>
+          )}
+
+          <p className="text-xs text-gray-500">
+            Released equity is borrowed against your existing properties, so the lender will
+            still assess your ability to repay it. Check the{" "}
+            <Link to="/serviceability" className="text-blue-400 hover:text-blue-300">
+              Borrowing Capacity
+            </Link>{" "}
+            page before committing to a purchase.
+          </p>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default EquityPlanner;
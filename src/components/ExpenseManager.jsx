@@ -5,8 +5,10 @@ import SafeIcon from '../common/SafeIcon';
 import { parseCurrency, formatForInput } from '../utils/number';
 import { canUserPerformActions } from '../utils/AuthUtils';
 import { createExpense, updateExpense, deleteExpense, createTransaction } from '../utils/DataUtils';
+import { getPropertyUnits } from '../utils/UnitCalculations';
+import DocumentLinkButton from './DocumentLinkButton';
 
-const { FiPlus, FiEdit, FiTrash2, FiSave, FiX, FiReceipt, FiDollarSign, FiCalendar, FiTag, FiCopy } = FiIcons;
+const { FiPlus, FiEdit, FiTrash2, FiSave, FiX, FiReceipt, FiDollarSign, FiCalendar, FiTag, FiCopy, FiTool } = FiIcons;
 
 // FIXED: Inline tiny ID + transaction builder (no imports needed)
 const __mkid = () => `tx_${Date.now()}_${Math.random().toString(36).slice(2,8)}`;
@@ -21,7 +23,7 @@ const __makeTx = ({ propertyId, amount, date=new Date(), category="", descriptio
   ...meta,
 });
 
-const ExpenseManager = ({ user, property, properties, onSaveData, loans, transactions, settings, expenses = [] }) => {
+const ExpenseManager = ({ user, property, properties, onSaveData, loans, transactions, settings, expenses = [], units = [], documents = [], onOpenDocuments, onConvertToImprovement }) => {
   const [showAddForm, setShowAddForm] = useState(false);
   const [editingExpense, setEditingExpense] = useState(null);
   
@@ -33,6 +35,7 @@ const ExpenseManager = ({ user, property, properties, onSaveData, loans, transac
     date: '',
     description: '',
     vendor: '',
+    unit_id: '',
     deductible: true,
     notes: ''
   });
@@ -55,6 +58,7 @@ const ExpenseManager = ({ user, property, properties, onSaveData, loans, transac
       date: '',
       description: '',
       vendor: '',
+      unit_id: '',
       deductible: true,
       notes: ''
     });
@@ -111,6 +115,7 @@ const ExpenseManager = ({ user, property, properties, onSaveData, loans, transac
       const expenseData = {
         ...formData,
         amount: parseCurrency(formData.amount),
+        unit_id: formData.unit_id || null,
         property_id: property.id
       };
 
@@ -143,6 +148,7 @@ const ExpenseManager = ({ user, property, properties, onSaveData, loans, transac
         date: expenseData.date,
         payee: expenseData.vendor || '',
         expense_id: savedExpense.id,
+        unit_id: expenseData.unit_id,
         deductible: expenseData.deductible,
         notes: expenseData.notes
       };
@@ -166,7 +172,8 @@ const ExpenseManager = ({ user, property, properties, onSaveData, loans, transac
   const handleEdit = (expense) => {
     setFormData({
       ...expense,
-      amount: formatForInput(expense.amount)
+      amount: formatForInput(expense.amount),
+      unit_id: expense.unit_id || ''
     });
     setEditingExpense(expense);
     setShowAddForm(true);
@@ -177,6 +184,7 @@ const ExpenseManager = ({ user, property, properties, onSaveData, loans, transac
     const similarExpenseData = {
       ...expense,
       amount: formatForInput(expense.amount),
+      unit_id: expense.unit_id || '',
       date: new Date().toISOString().split('T')[0], // Set to today's date
       description: `${expense.description} (Copy)` // Add "(Copy)" to description
     };
@@ -220,6 +228,8 @@ const ExpenseManager = ({ user, property, properties, onSaveData, loans, transac
 
   // Filter expenses for this specific property
   const propertyExpenses = expenses.filter(expense => expense.property_id === property.id);
+  const propertyUnits = getPropertyUnits(units, property.id);
+  const getUnitName = (unitId) => propertyUnits.find(unit => unit.id === unitId)?.name;
 
   const categoryColors = {
     'Maintenance': 'bg-orange-900/30 text-orange-400',
@@ -300,6 +310,11 @@ const ExpenseManager = ({ user, property, properties, onSaveData, loans, transac
                           Tax Deductible
                         </span>
                       )}
+                      {getUnitName(expense.unit_id) && (
+                        <span className="px-2 py-1 text-xs font-medium rounded-full bg-blue-900/50 text-blue-400">
+                          {getUnitName(expense.unit_id)}
+                        </span>
+                      )}
                     </div>
                   </div>
 
@@ -331,6 +346,12 @@ const ExpenseManager = ({ user, property, properties, onSaveData, loans, transac
 
                 {canPerformActions && (
                   <div className="flex space-x-2 ml-4">
+                    <DocumentLinkButton
+                      documents={documents}
+                      field="expense_id"
+                      recordId={expense.id}
+                      onOpen={onOpenDocuments}
+                    />
                     <button
                       onClick={() => handleAddSimilar(expense)}
                       className="text-gray-400 hover:text-green-400 transition-colors"
@@ -338,6 +359,15 @@ const ExpenseManager = ({ user, property, properties, onSaveData, loans, transac
                     >
                       <SafeIcon icon={FiCopy} className="w-4 h-4" />
                     </button>
+                    {onConvertToImprovement && (
+                      <button
+                        onClick={() => onConvertToImprovement(expense)}
+                        className="text-gray-400 hover:text-yellow-400 transition-colors"
+                        title="Move to Capital Improvements"
+                      >
+                        <SafeIcon icon={FiTool} className="w-4 h-4" />
+                      </button>
+                    )}
                     <button
                       onClick={() => handleEdit(expense)}
                       className="text-gray-400 hover:text-blue-400 transition-colors"
@@ -452,6 +482,28 @@ const ExpenseManager = ({ user, property, properties, onSaveData, loans, transac
                     {errors.date && <p className="text-red-400 text-sm mt-1">{errors.date}</p>}
                   </div>
 
+                  {propertyUnits.length > 0 && (
+                    <div className="md:col-span-2">
+                      <label className="block text-sm font-medium text-gray-300 mb-2">
+                        Unit / Room
+                      </label>
+                      <select
+                        name="unit_id"
+                        value={formData.unit_id}
+                        onChange={handleChange}
+                        className="form-select"
+                      >
+                        <option value="">Shared (whole property)</option>
+                        {propertyUnits.map(unit => (
+                          <option key={unit.id} value={unit.id}>{unit.name}</option>
+                        ))}
+                      </select>
+                      <p className="text-gray-500 text-xs mt-1">
+                        Shared expenses are split across units by their expense share.
+                      </p>
+                    </div>
+                  )}
+
                   <div className="md:col-span-2">
                     <label className="block text-sm font-medium text-gray-300 mb-2">
                       Vendor/Supplier
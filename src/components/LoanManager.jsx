@@ -8,8 +8,37 @@ import {
   createLoan,
   updateLoan,
   deleteLoan,
-  createTransaction,
+  createLoanRateChange,
+  updateLoanRateChange,
+  deleteLoanRateChange,
+  createOffsetAccount,
+  updateOffsetAccount,
+  deleteOffsetAccount,
+  createOffsetBalance,
+  deleteOffsetBalance,
+  createExtraRepayment,
+  updateExtraRepayment,
+  deleteExtraRepayment,
 } from "../utils/DataUtils";
+import {
+  REPAYMENT_TYPES,
+  RATE_TYPES,
+  EXTRA_REPAYMENT_TYPES,
+  generateAmortizationSchedule,
+  summarizeSchedule,
+  getLoanBalanceAt,
+  getLoanMonthlyPayment,
+  getLoanRateAt,
+  getOffsetBalanceAt,
+  getOffsetInterestSavings,
+  getExtraRepaymentSavings,
+  compareRefinance,
+  isLoanActiveAt,
+  LOAN_STATUSES,
+} from "../utils/LoanCalculations";
+import DateUtils from "../utils/DateUtils";
+import { getEntities, getEntityName, createEntityResolver } from "../utils/OwnershipCalculations";
+import DocumentLinkButton from "./DocumentLinkButton";
 
 const {
   FiEdit,
@@ -23,8 +52,185 @@ const {
   FiCreditCard,
   FiChevronRight,
   FiChevronDown,
+  FiList,
+  FiTrendingUp,
+  FiRefreshCw,
 } = FiIcons;
 
+const EMPTY_RATE_CHANGE = {
+  id: null,
+  loanId: "",
+  effectiveDate: "",
+  interestRate: "",
+  splitId: "",
+  notes: "",
+};
+
+const EMPTY_OFFSET_ACCOUNT = {
+  id: null,
+  loanId: "",
+  name: "",
+  accountType: "offset",
+  splitId: "",
+  notes: "",
+  openingBalance: "",
+  openingDate: "",
+};
+
+const EMPTY_EXTRA_REPAYMENT = {
+  id: null,
+  loanId: "",
+  repaymentType: EXTRA_REPAYMENT_TYPES.LUMP_SUM,
+  amount: "",
+  paymentDate: "",
+  endDate: "",
+  splitId: "",
+  notes: "",
+};
+
+const EMPTY_SPLIT = {
+  label: "",
+  amount: "",
+  rateType: RATE_TYPES.VARIABLE,
+  interestRate: "",
+  fixedRateExpiry: "",
+  revertRate: "",
+  repaymentType: REPAYMENT_TYPES.PRINCIPAL_AND_INTEREST,
+  interestOnlyEndDate: "",
+};
+
+// Rates are stored as decimals but entered as percentages
+const toPercentInput = (rate) =>
+  rate === null || rate === undefined || rate === ""
+    ? ""
+    : (Number(rate) * 100).toString();
+
+const fromPercentInput = (value) =>
+  value === "" || value === null || value === undefined
+    ? null
+    : parseFloat(value) / 100;
+
+// Short labels describing how a loan is structured
+const getStructureBadges = (loan) => {
+  const badges = [];
+  const splits = Array.isArray(loan.splits) ? loan.splits : [];
+
+  if (splits.length > 0) {
+    badges.push(`Split ${splits.length} ways`);
+    return badges;
+  }
+
+  if (loan.repayment_type === REPAYMENT_TYPES.INTEREST_ONLY) {
+    badges.push(
+      loan.interest_only_end_date
+        ? `Interest only until ${new Date(loan.interest_only_end_date).toLocaleDateString()}`
+        : "Interest only"
+    );
+  }
+  if (loan.rate_type === RATE_TYPES.FIXED) {
+    badges.push(
+      loan.fixed_rate_expiry
+        ? `Fixed until ${new Date(loan.fixed_rate_expiry).toLocaleDateString()}`
+        : "Fixed"
+    );
+  }
+
+  return badges;
+};
+
+// Costs prefilled when refinancing; recorded on the new loan like acquisition costs
+const REFINANCE_COST_CATEGORIES = ["Break cost", "Establishment fee"];
+
+// Build the replacement loan from the refinance form. It starts on the refinance date
+// with the carried-over balance and points back at the loan it replaces.
+const toRefinancedLoan = (form, oldLoan) => {
+  const isInterestOnly = form.repaymentType === REPAYMENT_TYPES.INTEREST_ONLY;
+  const loanData = {
+    property_id: oldLoan.property_id,
+    entity_id: oldLoan.entity_id || null,
+    lender: form.lender.trim(),
+    loan_type: oldLoan.loan_type || "conventional",
+    amount: parseCurrency(form.amount),
+    interest_rate: fromPercentInput(form.interestRate) || 0,
+    term_years: parseInt(form.termYears) || 0,
+    start_date: form.refinanceDate,
+    repayment_type: form.repaymentType,
+    interest_only_end_date: isInterestOnly ? form.interestOnlyEndDate : null,
+    rate_type: RATE_TYPES.VARIABLE,
+    fixed_rate_expiry: null,
+    revert_rate: null,
+    splits: [],
+    status: LOAN_STATUSES.ACTIVE,
+    refinanced_from: oldLoan.id,
+    loan_costs: form.costs
+      .filter((cost) => cost.category.trim() && parseCurrency(cost.amount) > 0)
+      .map((cost) => ({
+        id: cost.id,
+        category: cost.category.trim(),
+        amount: parseCurrency(cost.amount),
+        notes: cost.notes ? cost.notes.trim() : "",
+      })),
+  };
+
+  loanData.monthly_payment = generateAmortizationSchedule(loanData)[0]?.payment || 0;
+  return loanData;
+};
+
+// Map the form's amount, rate, term and structure fields onto loans columns
+const toLoanStructure = (form) => {
+  const splits = form.splits.map((split) => ({
+    id: split.id,
+    label: split.label,
+    amount: parseFloat(split.amount) || 0,
+    rate_type: split.rateType,
+    interest_rate: fromPercentInput(split.interestRate) || 0,
+    fixed_rate_expiry:
+      split.rateType === RATE_TYPES.FIXED ? split.fixedRateExpiry : null,
+    revert_rate:
+      split.rateType === RATE_TYPES.FIXED
+        ? fromPercentInput(split.revertRate)
+        : null,
+    repayment_type: split.repaymentType,
+    interest_only_end_date:
+      split.repaymentType === REPAYMENT_TYPES.INTEREST_ONLY
+        ? split.interestOnlyEndDate
+        : null,
+  }));
+  const splitTotal = splits.reduce((sum, split) => sum + split.amount, 0);
+
+  // Split loans store the total amount and the balance-weighted rate on the loan itself
+  if (splits.length > 0) {
+    const weightedRate = splitTotal
+      ? splits.reduce((sum, split) => sum + split.amount * split.interest_rate, 0) /
+        splitTotal
+      : 0;
+
+    return {
+      amount: splitTotal,
+      interest_rate: Math.round(weightedRate * 10000) / 10000,
+      term_years: parseInt(form.termYears) || 0,
+      repayment_type: REPAYMENT_TYPES.PRINCIPAL_AND_INTEREST,
+      interest_only_end_date: null,
+      rate_type: RATE_TYPES.VARIABLE,
+      fixed_rate_expiry: null,
+      revert_rate: null,
+      splits,
+    };
+  }
+
+  return {
+    amount: parseFloat(form.amount) || 0,
+    interest_rate: (parseFloat(form.interestRate) || 0) / 100, // Convert percentage to decimal
+    term_years: parseInt(form.termYears) || 0,
+    repayment_type: form.repaymentType,
+    interest_only_end_date: form.interestOnlyEndDate,
+    rate_type: form.rateType,
+    fixed_rate_expiry: form.fixedRateExpiry,
+    revert_rate: fromPercentInput(form.revertRate),
+    splits: [],
+  };
+};
+
 const LoanManager = ({
   user,
   property,
@@ -32,15 +238,20 @@ const LoanManager = ({
   propertyId,
   onSaveData,
   addNotification,
+  documents = [],
+  onOpenDocuments,
 }) => {
   const canPerformActions = canUserPerformActions(user);
   const [showForm, setShowForm] = useState(false);
   const [editingLoan, setEditingLoan] = useState(null);
   const [expandedProperties, setExpandedProperties] = useState(new Set());
+  const [expandedSchedules, setExpandedSchedules] = useState(new Set());
 
   // Safe defaults for all props
   const safeLoans = Array.isArray(data.loans) ? data.loans : [];
   const safeProperties = Array.isArray(data.properties) ? data.properties : [];
+  const entities = getEntities(data.owners);
+  const resolveEntity = createEntityResolver(data.owners, safeProperties);
 
   // Filter loans based on propertyId
   const propertyLoans = useMemo(
@@ -71,6 +282,7 @@ const LoanManager = ({
 
   const [formData, setFormData] = useState({
     propertyId: propertyId || "",
+    entityId: "",
     lender: "",
     loanType: "conventional",
     amount: "",
@@ -80,9 +292,37 @@ const LoanManager = ({
     monthlyPayment: "",
     startDate: "",
     status: "active",
+    repaymentType: REPAYMENT_TYPES.PRINCIPAL_AND_INTEREST,
+    interestOnlyEndDate: "",
+    rateType: RATE_TYPES.VARIABLE,
+    fixedRateExpiry: "",
+    revertRate: "",
+    splits: [],
   });
 
   const [errors, setErrors] = useState({});
+  const [rateChangeForm, setRateChangeForm] = useState(null);
+  const [rateChangeErrors, setRateChangeErrors] = useState({});
+  const [offsetAccountForm, setOffsetAccountForm] = useState(null);
+  const [offsetBalanceForm, setOffsetBalanceForm] = useState(null);
+  const [offsetErrors, setOffsetErrors] = useState({});
+  const [extraRepaymentForm, setExtraRepaymentForm] = useState(null);
+  const [extraRepaymentErrors, setExtraRepaymentErrors] = useState({});
+  const [refinanceForm, setRefinanceForm] = useState(null);
+  const [refinanceErrors, setRefinanceErrors] = useState({});
+
+  // Financial year start month from settings ('07-01' -> 7)
+  const fyStartMonth =
+    parseInt((data.settings?.financialYearStart || "07-01").split("-")[0]) || 7;
+
+  // First repayment implied by the amount, rate, term and structure entered
+  const calculatedRepayment = useMemo(() => {
+    const previewLoan = {
+      ...toLoanStructure(formData),
+      start_date: formData.startDate || new Date().toISOString().split("T")[0],
+    };
+    return generateAmortizationSchedule(previewLoan)[0]?.payment || 0;
+  }, [formData]);
 
   React.useEffect(() => {
     if (!propertyId) {
@@ -102,9 +342,20 @@ const LoanManager = ({
     setExpandedProperties(newExpanded);
   };
 
+  const toggleScheduleExpansion = (loanId) => {
+    const newExpanded = new Set(expandedSchedules);
+    if (newExpanded.has(loanId)) {
+      newExpanded.delete(loanId);
+    } else {
+      newExpanded.add(loanId);
+    }
+    setExpandedSchedules(newExpanded);
+  };
+
   const resetForm = () => {
     setFormData({
       propertyId: propertyId || "",
+      entityId: "",
       lender: "",
       loanType: "conventional",
       amount: "",
@@ -114,6 +365,12 @@ const LoanManager = ({
       monthlyPayment: "",
       startDate: "",
       status: "active",
+      repaymentType: REPAYMENT_TYPES.PRINCIPAL_AND_INTEREST,
+      interestOnlyEndDate: "",
+      rateType: RATE_TYPES.VARIABLE,
+      fixedRateExpiry: "",
+      revertRate: "",
+      splits: [],
     });
     setErrors({});
     setEditingLoan(null);
@@ -127,19 +384,78 @@ const LoanManager = ({
     }
   };
 
+  // Split tranche handlers
+  const handleSplitChange = (index, field, value) => {
+    const updatedSplits = [...formData.splits];
+    updatedSplits[index] = { ...updatedSplits[index], [field]: value };
+    setFormData((prev) => ({ ...prev, splits: updatedSplits }));
+  };
+
+  const addSplit = () => {
+    const newSplit = {
+      ...EMPTY_SPLIT,
+      id: `split_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+      label: `Split ${formData.splits.length + 1}`,
+    };
+    setFormData((prev) => ({ ...prev, splits: [...prev.splits, newSplit] }));
+  };
+
+  const removeSplit = (index) => {
+    const updatedSplits = formData.splits.filter((_, i) => i !== index);
+    setFormData((prev) => ({ ...prev, splits: updatedSplits }));
+  };
+
+  const isSplitLoan = formData.splits.length > 0;
+
   const validateForm = () => {
     const newErrors = {};
     if (!formData.propertyId) newErrors.propertyId = "Property is required";
     if (!formData.lender.trim()) newErrors.lender = "Lender is required";
-    if (!formData.amount || parseFloat(formData.amount) <= 0) {
-      newErrors.amount = "Amount must be greater than 0";
-    }
-    if (
-      !formData.interestRate ||
-      parseFloat(formData.interestRate) < 0 ||
-      parseFloat(formData.interestRate) > 100
-    ) {
-      newErrors.interestRate = "Interest rate must be between 0 and 100%";
+    if (isSplitLoan) {
+      formData.splits.forEach((split, index) => {
+        if (!split.amount || parseFloat(split.amount) <= 0) {
+          newErrors[`split_${index}_amount`] = "Amount must be greater than 0";
+        }
+        if (
+          split.interestRate === "" ||
+          parseFloat(split.interestRate) < 0 ||
+          parseFloat(split.interestRate) > 100
+        ) {
+          newErrors[`split_${index}_interestRate`] =
+            "Rate must be between 0 and 100%";
+        }
+        if (split.rateType === RATE_TYPES.FIXED && !split.fixedRateExpiry) {
+          newErrors[`split_${index}_fixedRateExpiry`] =
+            "Fixed rate expiry is required";
+        }
+        if (
+          split.repaymentType === REPAYMENT_TYPES.INTEREST_ONLY &&
+          !split.interestOnlyEndDate
+        ) {
+          newErrors[`split_${index}_interestOnlyEndDate`] =
+            "Interest-only end date is required";
+        }
+      });
+    } else {
+      if (!formData.amount || parseFloat(formData.amount) <= 0) {
+        newErrors.amount = "Amount must be greater than 0";
+      }
+      if (
+        !formData.interestRate ||
+        parseFloat(formData.interestRate) < 0 ||
+        parseFloat(formData.interestRate) > 100
+      ) {
+        newErrors.interestRate = "Interest rate must be between 0 and 100%";
+      }
+      if (formData.rateType === RATE_TYPES.FIXED && !formData.fixedRateExpiry) {
+        newErrors.fixedRateExpiry = "Fixed rate expiry is required";
+      }
+      if (
+        formData.repaymentType === REPAYMENT_TYPES.INTEREST_ONLY &&
+        !formData.interestOnlyEndDate
+      ) {
+        newErrors.interestOnlyEndDate = "Interest-only end date is required";
+      }
     }
     if (!formData.termYears || parseInt(formData.termYears) <= 0) {
       newErrors.termYears = "Term years must be greater than 0";
@@ -157,16 +473,18 @@ const LoanManager = ({
     try {
       const loanData = {
         property_id: formData.propertyId,
+        entity_id: formData.entityId || null,
         lender: formData.lender,
-        amount: parseFloat(formData.amount),
-        interest_rate: parseFloat(formData.interestRate) / 100, // Convert percentage to decimal
-        term_years: parseInt(formData.termYears),
+        ...toLoanStructure(formData),
         start_date: formData.startDate,
-        monthly_payment: formData.monthlyPayment
-          ? parseFloat(formData.monthlyPayment)
-          : 0,
+        loan_type: formData.loanType,
       };
 
+      // Fall back to the first scheduled repayment when no payment is entered
+      loanData.monthly_payment = formData.monthlyPayment
+        ? parseFloat(formData.monthlyPayment)
+        : generateAmortizationSchedule(loanData)[0]?.payment || 0;
+
       let result;
       if (editingLoan) {
         // Update existing loan in PocketBase
@@ -182,21 +500,6 @@ const LoanManager = ({
           console.error("Failed to create loan:", result.error);
           return;
         }
-
-        const transactionData = {
-          property_id: formData.propertyId,
-          type: "expense",
-          category: "Loan",
-          description: `Loan payment for ${formData.lender}`,
-          amount: -Math.abs(parseFloat(formData.amount)), // Expenses are negative
-          date: formData.startDate,
-          payee: formData.lender || "",
-          expense_id: result.id,
-          deductible: false,
-          notes: "",
-        };
-
-        await createTransaction(transactionData);
       }
 
       setShowForm(false);
@@ -218,8 +521,9 @@ const LoanManager = ({
     setEditingLoan(loan);
     setFormData({
       propertyId: loan.property_id,
+      entityId: loan.entity_id || "",
       lender: loan.lender,
-      loanType: loan.loanType || "conventional",
+      loanType: loan.loan_type || "conventional",
       amount: loan.amount.toString(),
       currentBalance: loan.currentBalance ? loan.currentBalance.toString() : "",
       interestRate: (loan.interest_rate * 100).toString(),
@@ -227,194 +531,1443 @@ const LoanManager = ({
       monthlyPayment: loan.monthly_payment.toString(),
       startDate: loan.start_date,
       status: loan.status || "active",
+      repaymentType: loan.repayment_type || REPAYMENT_TYPES.PRINCIPAL_AND_INTEREST,
+      interestOnlyEndDate: loan.interest_only_end_date || "",
+      rateType: loan.rate_type || RATE_TYPES.VARIABLE,
+      fixedRateExpiry: loan.fixed_rate_expiry || "",
+      revertRate: toPercentInput(loan.revert_rate),
+      splits: (Array.isArray(loan.splits) ? loan.splits : []).map((split) => ({
+        id: split.id,
+        label: split.label || "",
+        amount: split.amount ? split.amount.toString() : "",
+        rateType: split.rate_type || RATE_TYPES.VARIABLE,
+        interestRate: toPercentInput(split.interest_rate),
+        fixedRateExpiry: split.fixed_rate_expiry || "",
+        revertRate: toPercentInput(split.revert_rate),
+        repaymentType:
+          split.repayment_type || REPAYMENT_TYPES.PRINCIPAL_AND_INTEREST,
+        interestOnlyEndDate: split.interest_only_end_date || "",
+      })),
     });
     setShowForm(true);
   };
 
-  const handleDelete = async (loanId) => {
-    if (window.confirm("Are you sure you want to delete this loan?")) {
+  // Rate change handlers
+  const openRateChangeForm = (loan, rateChange = null) => {
+    setRateChangeErrors({});
+    setRateChangeForm(
+      rateChange
+        ? {
+            id: rateChange.id,
+            loanId: loan.id,
+            effectiveDate: rateChange.effective_date,
+            interestRate: toPercentInput(rateChange.interest_rate),
+            splitId: rateChange.split_id || "",
+            notes: rateChange.notes || "",
+          }
+        : { ...EMPTY_RATE_CHANGE, loanId: loan.id }
+    );
+  };
+
+  // Splits of the loan an offset account is being linked to
+  const offsetAccountLoan = offsetAccountForm
+    ? safeLoans.find((l) => l && l.id === offsetAccountForm.loanId)
+    : null;
+  const offsetAccountSplits = Array.isArray(offsetAccountLoan?.splits)
+    ? offsetAccountLoan.splits
+    : [];
+
+  // Splits of the loan a rate change is being logged against
+  const rateChangeLoan = rateChangeForm
+    ? safeLoans.find((l) => l && l.id === rateChangeForm.loanId)
+    : null;
+  const rateChangeSplits = Array.isArray(rateChangeLoan?.splits)
+    ? rateChangeLoan.splits
+    : [];
+
+  const handleRateChangeFieldChange = (e) => {
+    const { name, value } = e.target;
+    setRateChangeForm((prev) => ({ ...prev, [name]: value }));
+    if (rateChangeErrors[name]) {
+      setRateChangeErrors((prev) => ({ ...prev, [name]: "" }));
+    }
+  };
+
+  const handleRateChangeSubmit = async (e) => {
+    e.preventDefault();
+
+    const newErrors = {};
+    if (!rateChangeForm.effectiveDate) {
+      newErrors.effectiveDate = "Effective date is required";
+    }
+    if (
+      rateChangeForm.interestRate === "" ||
+      parseFloat(rateChangeForm.interestRate) < 0 ||
+      parseFloat(rateChangeForm.interestRate) > 100
+    ) {
+      newErrors.interestRate = "Interest rate must be between 0 and 100%";
+    }
+    setRateChangeErrors(newErrors);
+    if (Object.keys(newErrors).length > 0) return;
+
+    try {
+      const rateChangeData = {
+        loan_id: rateChangeForm.loanId,
+        split_id: rateChangeForm.splitId || null,
+        effective_date: rateChangeForm.effectiveDate,
+        interest_rate: fromPercentInput(rateChangeForm.interestRate),
+        notes: rateChangeForm.notes,
+      };
+
+      const result = rateChangeForm.id
+        ? await updateLoanRateChange(rateChangeForm.id, rateChangeData)
+        : await createLoanRateChange(rateChangeData);
+      if (!result.success) {
+        console.error("Failed to save rate change:", result.error);
+        return;
+      }
+
+      const actionDescription = rateChangeForm.id
+        ? "Rate change updated successfully"
+        : "Rate change logged successfully";
+      setRateChangeForm(null);
+
+      if (onSaveData) {
+        onSaveData(null, actionDescription);
+      }
+    } catch (error) {
+      console.error("Error saving rate change:", error);
+    }
+  };
+
+  const handleRateChangeDelete = async (rateChangeId) => {
+    if (window.confirm("Are you sure you want to delete this rate change?")) {
       try {
-        // Delete loan from PocketBase
-        const result = await deleteLoan(loanId);
+        const result = await deleteLoanRateChange(rateChangeId);
         if (!result.success) {
-          console.error("Failed to delete loan:", result.error);
+          console.error("Failed to delete rate change:", result.error);
           return;
         }
 
-        // Trigger data refresh with notification
         if (onSaveData) {
-          onSaveData(null, "Loan deleted successfully");
+          onSaveData(null, "Rate change deleted successfully");
         }
       } catch (error) {
-        console.error("Error deleting loan:", error);
+        console.error("Error deleting rate change:", error);
       }
     }
   };
 
-  const getPropertyName = (propId) => {
-    const property = safeProperties.find((p) => p && p.id === propId);
-    return property ? property.address : "Unknown Property";
+  // Refinance handlers
+  const openRefinanceForm = (loan) => {
+    const today = new Date().toISOString().split("T")[0];
+    setRefinanceErrors({});
+    setRefinanceForm({
+      loanId: loan.id,
+      refinanceDate: today,
+      lender: "",
+      amount: formatForInput(getLoanBalanceAt(loan, today)),
+      interestRate: toPercentInput(getLoanRateAt(loan, today)),
+      termYears: loan.term_years ? loan.term_years.toString() : "",
+      repaymentType: REPAYMENT_TYPES.PRINCIPAL_AND_INTEREST,
+      interestOnlyEndDate: "",
+      costs: REFINANCE_COST_CATEGORIES.map((category) => ({
+        id: `cost_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+        category,
+        amount: "",
+        notes: "",
+      })),
+    });
   };
 
-  const getPropertyLoanStats = (propLoans) => {
-    const totalAmount = propLoans.reduce(
-      (sum, loan) => sum + (loan.currentBalance || loan.amount),
-      0
-    );
-    const totalMonthly = propLoans.reduce(
-      (sum, loan) => sum + (loan.monthly_payment || 0),
-      0
-    );
+  const refinanceLoan = refinanceForm
+    ? safeLoans.find((l) => l && l.id === refinanceForm.loanId)
+    : null;
+  const refinanceComparison =
+    refinanceLoan && refinanceForm.refinanceDate && parseCurrency(refinanceForm.amount) > 0
+      ? compareRefinance(
+          refinanceLoan,
+          toRefinancedLoan(refinanceForm, refinanceLoan),
+          refinanceForm.refinanceDate
+        )
+      : null;
 
-    return {
-      active: propLoans.length,
-      total: propLoans.length,
-      totalAmount,
-      totalMonthly,
-    };
+  const handleRefinanceFieldChange = (e) => {
+    const { name, value } = e.target;
+    setRefinanceForm((prev) => {
+      const next = { ...prev, [name]: value };
+      // Carry over the balance outstanding on the new refinance date
+      if (name === "refinanceDate" && value && refinanceLoan) {
+        next.amount = formatForInput(getLoanBalanceAt(refinanceLoan, value));
+      }
+      return next;
+    });
+    if (refinanceErrors[name]) {
+      setRefinanceErrors((prev) => ({ ...prev, [name]: "" }));
+    }
   };
 
-  const renderLoanCard = (loan) => (
-    <div
-      key={loan.id}
-      className="bg-gray-800 rounded-lg p-6 border border-gray-700"
-    >
-      <div className="flex justify-between items-start mb-4">
-        <h3 className="text-lg font-semibold text-white mb-1">{loan.lender}</h3>
-        {canPerformActions && (
-          <div className="flex space-x-2">
-            <button
-              onClick={() => handleEdit(loan)}
-              className="p-2 text-gray-400 hover:text-blue-400 hover:bg-gray-700 rounded-lg transition-colors"
-            >
-              <SafeIcon icon={FiEdit} className="w-4 h-4" />
-            </button>
-            <button
-              onClick={() => handleDelete(loan.id)}
-              className="p-2 text-gray-400 hover:text-red-400 hover:bg-gray-700 rounded-lg transition-colors"
-            >
-              <SafeIcon icon={FiTrash2} className="w-4 h-4" />
-            </button>
-          </div>
-        )}
-      </div>
+  const handleRefinanceCostChange = (index, field, value) => {
+    setRefinanceForm((prev) => {
+      const costs = [...prev.costs];
+      costs[index] = { ...costs[index], [field]: value };
+      return { ...prev, costs };
+    });
+  };
 
-      <div className="grid grid-cols-2 md:grid-cols-4 gap-4">
-        <div>
-          <p className="text-xs text-gray-400 mb-1">Original Amount</p>
-          <p className="text-white font-medium">
-            {formatCurrency(loan.amount)}
-          </p>
-        </div>
-        <div>
-          <p className="text-xs text-gray-400 mb-1">Current Balance</p>
-          <p className="text-white font-medium">
-            {formatCurrency(loan.currentBalance || loan.amount)}
-          </p>
-        </div>
-        <div>
-          <p className="text-xs text-gray-400 mb-1">Interest Rate</p>
-          <p className="text-white font-medium">
-            {(loan.interest_rate * 100).toFixed(2)}%
-          </p>
-        </div>
-        <div>
-          <p className="text-xs text-gray-400 mb-1">Monthly Payment</p>
-          <p className="text-white font-medium">
-            {formatCurrency(loan.monthly_payment || 0)}
-          </p>
-        </div>
-      </div>
-    </div>
-  );
+  const addRefinanceCost = () => {
+    setRefinanceForm((prev) => ({
+      ...prev,
+      costs: [
+        ...prev.costs,
+        {
+          id: `cost_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+          category: "",
+          amount: "",
+          notes: "",
+        },
+      ],
+    }));
+  };
 
-  return (
-    <div className="space-y-6">
-      {/* Header */}
-      <div className="flex justify-between items-center">
-        <div>
-          <h2 className="text-2xl font-bold text-white">
-            {propertyId ? "Property Loans" : "Loan Management"}
-          </h2>
-          <p className="text-gray-400 mt-1">
-            {propertyId
-              ? "Manage loans for this property"
-              : "Manage all property loans"}
-          </p>
-        </div>
-        {canPerformActions && (
-          <button
-            onClick={() => setShowForm(true)}
-            className="bg-blue-600 hover:bg-blue-700 text-white px-4 py-2 rounded-lg flex items-center space-x-2 transition-colors"
-          >
-            <SafeIcon icon={FiPlus} className="w-4 h-4" />
-            <span>Add Loan</span>
-          </button>
-        )}
-      </div>
+  const removeRefinanceCost = (index) => {
+    setRefinanceForm((prev) => ({
+      ...prev,
+      costs: prev.costs.filter((_, i) => i !== index),
+    }));
+  };
 
-      {/* Form Modal */}
-      {canPerformActions && showForm && (
-        <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center p-4 z-50">
-          <div className="bg-gray-800 rounded-lg p-6 w-full max-w-md max-h-[90vh] overflow-y-auto">
-            <h3 className="text-xl font-semibold text-white mb-4">
-              {editingLoan ? "Edit Loan" : "Add New Loan"}
-            </h3>
+  const handleRefinanceSubmit = async (e) => {
+    e.preventDefault();
 
-            <form onSubmit={handleSubmit} className="space-y-4">
-              {!propertyId && (
-                <div>
-                  <label className="block text-sm font-medium text-gray-300 mb-2">
-                    Property *
-                  </label>
-                  <select
-                    name="propertyId"
-                    value={formData.propertyId}
-                    onChange={handleChange}
-                    className={`form-select ${
-                      errors.propertyId ? "border-red-500" : ""
-                    }`}
-                  >
-                    <option value="">Select Property</option>
-                    {safeProperties.map((p) =>
-                      p && p.id ? (
-                        <option key={p.id} value={p.id}>
-                          {p.address}
-                        </option>
-                      ) : null
-                    )}
-                  </select>
-                  {errors.propertyId && (
-                    <p className="text-red-400 text-sm mt-1">
-                      {errors.propertyId}
-                    </p>
-                  )}
-                </div>
-              )}
+    const newErrors = {};
+    if (!refinanceForm.refinanceDate) {
+      newErrors.refinanceDate = "Refinance date is required";
+    } else if (refinanceForm.refinanceDate <= refinanceLoan.start_date) {
+      newErrors.refinanceDate = "Refinance date must be after the loan start date";
+    }
+    if (!refinanceForm.lender.trim()) newErrors.lender = "Lender is required";
+    if (!refinanceForm.amount || parseCurrency(refinanceForm.amount) <= 0) {
+      newErrors.amount = "Loan amount must be greater than 0";
+    }
+    if (
+      refinanceForm.interestRate === "" ||
+      parseFloat(refinanceForm.interestRate) < 0 ||
+      parseFloat(refinanceForm.interestRate) > 100
+    ) {
+      newErrors.interestRate = "Interest rate must be between 0 and 100%";
+    }
+    if (!refinanceForm.termYears || parseInt(refinanceForm.termYears) <= 0) {
+      newErrors.termYears = "Loan term must be greater than 0";
+    }
+    if (
+      refinanceForm.repaymentType === REPAYMENT_TYPES.INTEREST_ONLY &&
+      refinanceForm.interestOnlyEndDate &&
+      refinanceForm.interestOnlyEndDate <= refinanceForm.refinanceDate
+    ) {
+      newErrors.interestOnlyEndDate = "Interest-only period must end after the refinance date";
+    }
+    setRefinanceErrors(newErrors);
+    if (Object.keys(newErrors).length > 0) return;
 
-              <div>
-                <label className="block text-sm font-medium text-gray-300 mb-2">
-                  Lender *
-                </label>
-                <input
-                  type="text"
-                  name="lender"
-                  value={formData.lender}
-                  onChange={handleChange}
-                  className={`form-input ${
-                    errors.lender ? "border-red-500" : ""
-                  }`}
-                  placeholder="Bank or lender name"
-                />
-                {errors.lender && (
-                  <p className="text-red-400 text-sm mt-1">{errors.lender}</p>
-                )}
-              </div>
+    try {
+      const newLoanData = toRefinancedLoan(refinanceForm, refinanceLoan);
 
-              <div>
-                <label className="block text-sm font-medium text-gray-300 mb-2">
-                  Loan Type
-                </label>
+      const result = await createLoan(newLoanData);
+      if (!result.success) {
+        throw new Error(result.error || "Failed to create the new loan");
+      }
+
+      // Keep the old loan and its history; it stops on the refinance date. If it can't be
+      // closed, the new loan is removed so the debt isn't counted twice.
+      const closeResult = await updateLoan(refinanceLoan.id, {
+        status: LOAN_STATUSES.REFINANCED,
+        end_date: refinanceForm.refinanceDate,
+      });
+      if (!closeResult.success) {
+        await deleteLoan(result.loan.id);
+        throw new Error(closeResult.error || "Failed to close the old loan");
+      }
+
+      setRefinanceForm(null);
+
+      if (onSaveData) {
+        onSaveData(null, "Loan refinanced successfully");
+      }
+    } catch (error) {
+      console.error("Error refinancing loan:", error);
+      if (addNotification) {
+        addNotification(`Refinance failed: ${error.message}`, "error");
+      }
+    }
+  };
+
+  // Extra repayment handlers
+  const openExtraRepaymentForm = (loan, extra = null) => {
+    setExtraRepaymentErrors({});
+    setExtraRepaymentForm(
+      extra
+        ? {
+            id: extra.id,
+            loanId: loan.id,
+            repaymentType: extra.repayment_type || EXTRA_REPAYMENT_TYPES.LUMP_SUM,
+            amount: formatForInput(extra.amount),
+            paymentDate: extra.payment_date,
+            endDate: extra.end_date || "",
+            splitId: extra.split_id || "",
+            notes: extra.notes || "",
+          }
+        : { ...EMPTY_EXTRA_REPAYMENT, loanId: loan.id }
+    );
+  };
+
+  // Splits of the loan an extra repayment is being made against
+  const extraRepaymentLoan = extraRepaymentForm
+    ? safeLoans.find((l) => l && l.id === extraRepaymentForm.loanId)
+    : null;
+  const extraRepaymentSplits = Array.isArray(extraRepaymentLoan?.splits)
+    ? extraRepaymentLoan.splits
+    : [];
+  const isRecurringExtra =
+    extraRepaymentForm?.repaymentType === EXTRA_REPAYMENT_TYPES.RECURRING;
+
+  const handleExtraRepaymentFieldChange = (e) => {
+    const { name, value } = e.target;
+    setExtraRepaymentForm((prev) => ({ ...prev, [name]: value }));
+    if (extraRepaymentErrors[name]) {
+      setExtraRepaymentErrors((prev) => ({ ...prev, [name]: "" }));
+    }
+  };
+
+  const handleExtraRepaymentSubmit = async (e) => {
+    e.preventDefault();
+
+    const newErrors = {};
+    if (!extraRepaymentForm.amount || parseCurrency(extraRepaymentForm.amount) <= 0) {
+      newErrors.amount = "Amount must be greater than 0";
+    }
+    if (!extraRepaymentForm.paymentDate) {
+      newErrors.paymentDate = "Date is required";
+    }
+    if (
+      isRecurringExtra &&
+      extraRepaymentForm.endDate &&
+      extraRepaymentForm.endDate < extraRepaymentForm.paymentDate
+    ) {
+      newErrors.endDate = "End date must be after the start date";
+    }
+    setExtraRepaymentErrors(newErrors);
+    if (Object.keys(newErrors).length > 0) return;
+
+    try {
+      const extraRepaymentData = {
+        loan_id: extraRepaymentForm.loanId,
+        split_id: extraRepaymentForm.splitId || null,
+        repayment_type: extraRepaymentForm.repaymentType,
+        amount: parseCurrency(extraRepaymentForm.amount),
+        payment_date: extraRepaymentForm.paymentDate,
+        end_date: isRecurringExtra ? extraRepaymentForm.endDate || null : null,
+        notes: extraRepaymentForm.notes,
+      };
+
+      const result = extraRepaymentForm.id
+        ? await updateExtraRepayment(extraRepaymentForm.id, extraRepaymentData)
+        : await createExtraRepayment(extraRepaymentData);
+      if (!result.success) {
+        console.error("Failed to save extra repayment:", result.error);
+        return;
+      }
+
+      const actionDescription = extraRepaymentForm.id
+        ? "Extra repayment updated successfully"
+        : "Extra repayment added successfully";
+      setExtraRepaymentForm(null);
+
+      if (onSaveData) {
+        onSaveData(null, actionDescription);
+      }
+    } catch (error) {
+      console.error("Error saving extra repayment:", error);
+    }
+  };
+
+  const handleExtraRepaymentDelete = async (extraRepaymentId) => {
+    if (window.confirm("Are you sure you want to delete this extra repayment?")) {
+      try {
+        const result = await deleteExtraRepayment(extraRepaymentId);
+        if (!result.success) {
+          console.error("Failed to delete extra repayment:", result.error);
+          return;
+        }
+
+        if (onSaveData) {
+          onSaveData(null, "Extra repayment deleted successfully");
+        }
+      } catch (error) {
+        console.error("Error deleting extra repayment:", error);
+      }
+    }
+  };
+
+  // Offset and redraw account handlers
+  const openOffsetAccountForm = (loan, account = null) => {
+    setOffsetErrors({});
+    setOffsetAccountForm(
+      account
+        ? {
+            id: account.id,
+            loanId: loan.id,
+            name: account.name || "",
+            accountType: account.account_type || "offset",
+            splitId: account.split_id || "",
+            notes: account.notes || "",
+            openingBalance: "",
+            openingDate: "",
+          }
+        : { ...EMPTY_OFFSET_ACCOUNT, loanId: loan.id }
+    );
+  };
+
+  const handleOffsetAccountFieldChange = (e) => {
+    const { name, value } = e.target;
+    setOffsetAccountForm((prev) => ({ ...prev, [name]: value }));
+    if (offsetErrors[name]) {
+      setOffsetErrors((prev) => ({ ...prev, [name]: "" }));
+    }
+  };
+
+  const handleOffsetAccountSubmit = async (e) => {
+    e.preventDefault();
+
+    const newErrors = {};
+    if (!offsetAccountForm.name.trim()) newErrors.name = "Name is required";
+    if (offsetAccountForm.openingBalance && !offsetAccountForm.openingDate) {
+      newErrors.openingDate = "Balance date is required";
+    }
+    setOffsetErrors(newErrors);
+    if (Object.keys(newErrors).length > 0) return;
+
+    try {
+      const accountData = {
+        loan_id: offsetAccountForm.loanId,
+        split_id: offsetAccountForm.splitId || null,
+        name: offsetAccountForm.name.trim(),
+        account_type: offsetAccountForm.accountType,
+        notes: offsetAccountForm.notes,
+      };
+
+      const result = offsetAccountForm.id
+        ? await updateOffsetAccount(offsetAccountForm.id, accountData)
+        : await createOffsetAccount(accountData);
+      if (!result.success) {
+        console.error("Failed to save offset account:", result.error);
+        return;
+      }
+
+      // Record the opening balance alongside a new account
+      if (!offsetAccountForm.id && offsetAccountForm.openingBalance) {
+        await createOffsetBalance({
+          account_id: result.offsetAccount.id,
+          balance_date: offsetAccountForm.openingDate,
+          balance: parseCurrency(offsetAccountForm.openingBalance),
+          notes: "Opening balance",
+        });
+      }
+
+      const actionDescription = offsetAccountForm.id
+        ? "Offset account updated successfully"
+        : "Offset account added successfully";
+      setOffsetAccountForm(null);
+
+      if (onSaveData) {
+        onSaveData(null, actionDescription);
+      }
+    } catch (error) {
+      console.error("Error saving offset account:", error);
+    }
+  };
+
+  const handleOffsetAccountDelete = async (accountId) => {
+    if (
+      window.confirm(
+        "Are you sure you want to delete this account and its balance history?"
+      )
+    ) {
+      try {
+        const result = await deleteOffsetAccount(accountId);
+        if (!result.success) {
+          console.error("Failed to delete offset account:", result.error);
+          return;
+        }
+
+        if (onSaveData) {
+          onSaveData(null, "Offset account deleted successfully");
+        }
+      } catch (error) {
+        console.error("Error deleting offset account:", error);
+      }
+    }
+  };
+
+  const openOffsetBalanceForm = (account) => {
+    setOffsetErrors({});
+    setOffsetBalanceForm({
+      accountId: account.id,
+      accountName: account.name,
+      balanceDate: new Date().toISOString().split("T")[0],
+      balance: "",
+      notes: "",
+    });
+  };
+
+  const handleOffsetBalanceFieldChange = (e) => {
+    const { name, value } = e.target;
+    setOffsetBalanceForm((prev) => ({ ...prev, [name]: value }));
+    if (offsetErrors[name]) {
+      setOffsetErrors((prev) => ({ ...prev, [name]: "" }));
+    }
+  };
+
+  const handleOffsetBalanceSubmit = async (e) => {
+    e.preventDefault();
+
+    const newErrors = {};
+    if (!offsetBalanceForm.balanceDate) {
+      newErrors.balanceDate = "Date is required";
+    }
+    if (offsetBalanceForm.balance === "" || parseCurrency(offsetBalanceForm.balance) < 0) {
+      newErrors.balance = "Balance must be 0 or more";
+    }
+    setOffsetErrors(newErrors);
+    if (Object.keys(newErrors).length > 0) return;
+
+    try {
+      const result = await createOffsetBalance({
+        account_id: offsetBalanceForm.accountId,
+        balance_date: offsetBalanceForm.balanceDate,
+        balance: parseCurrency(offsetBalanceForm.balance),
+        notes: offsetBalanceForm.notes,
+      });
+      if (!result.success) {
+        console.error("Failed to record offset balance:", result.error);
+        return;
+      }
+
+      setOffsetBalanceForm(null);
+
+      if (onSaveData) {
+        onSaveData(null, "Offset balance recorded successfully");
+      }
+    } catch (error) {
+      console.error("Error recording offset balance:", error);
+    }
+  };
+
+  const handleOffsetBalanceDelete = async (balanceId) => {
+    if (window.confirm("Are you sure you want to delete this balance entry?")) {
+      try {
+        const result = await deleteOffsetBalance(balanceId);
+        if (!result.success) {
+          console.error("Failed to delete offset balance:", result.error);
+          return;
+        }
+
+        if (onSaveData) {
+          onSaveData(null, "Offset balance deleted successfully");
+        }
+      } catch (error) {
+        console.error("Error deleting offset balance:", error);
+      }
+    }
+  };
+
+  const handleDelete = async (loanId) => {
+    if (window.confirm("Are you sure you want to delete this loan?")) {
+      try {
+        // Delete loan from PocketBase
+        const result = await deleteLoan(loanId);
+        if (!result.success) {
+          console.error("Failed to delete loan:", result.error);
+          return;
+        }
+
+        // Trigger data refresh with notification
+        if (onSaveData) {
+          onSaveData(null, "Loan deleted successfully");
+        }
+      } catch (error) {
+        console.error("Error deleting loan:", error);
+      }
+    }
+  };
+
+  const getPropertyName = (propId) => {
+    const property = safeProperties.find((p) => p && p.id === propId);
+    return property ? property.address : "Unknown Property";
+  };
+
+  const getPropertyLoanStats = (propLoans) => {
+    const totalAmount = propLoans.reduce(
+      (sum, loan) => sum + getLoanBalanceAt(loan),
+      0
+    );
+    const totalMonthly = propLoans.reduce(
+      (sum, loan) => sum + getLoanMonthlyPayment(loan),
+      0
+    );
+
+    return {
+      active: propLoans.filter((loan) => isLoanActiveAt(loan)).length,
+      total: propLoans.length,
+      totalAmount,
+      totalMonthly,
+    };
+  };
+
+  const renderSchedule = (schedule, summary, savings) => (
+    <div className="mt-4 border-t border-gray-700 pt-4">
+      <div className="grid grid-cols-2 md:grid-cols-4 gap-4 mb-4">
+        <div>
+          <p className="text-xs text-gray-400 mb-1">Repayments</p>
+          <p className="text-white font-medium">{summary.periods}</p>
+        </div>
+        <div>
+          <p className="text-xs text-gray-400 mb-1">Total Interest</p>
+          <p className="text-red-400 font-medium">
+            {formatCurrency(summary.totalInterest)}
+          </p>
+        </div>
+        <div>
+          <p className="text-xs text-gray-400 mb-1">Total Repaid</p>
+          <p className="text-white font-medium">
+            {formatCurrency(summary.totalPaid)}
+          </p>
+        </div>
+        <div>
+          <p className="text-xs text-gray-400 mb-1">Payoff Date</p>
+          <p className="text-white font-medium">
+            {summary.payoffDate
+              ? new Date(summary.payoffDate).toLocaleDateString()
+              : "-"}
+          </p>
+        </div>
+      </div>
+
+      {savings && savings.interestSaved > 0 && (
+        <p className="text-sm text-green-400 mb-4">
+          Extra repayments save {formatCurrency(savings.interestSaved)} in interest
+          and pay the loan off {savings.periodsSaved} repayments early.
+        </p>
+      )}
+
+      {/* Rate and repayment segments for each tranche */}
+      <div className="space-y-3 mb-4">
+        {summary.tranches.map((tranche) => (
+          <div key={tranche.id} className="bg-gray-700/30 rounded-lg p-3">
+            {summary.tranches.length > 1 && (
+              <div className="flex justify-between text-sm mb-2">
+                <span className="text-white font-medium">
+                  {tranche.label || "Split"}
+                </span>
+                <span className="text-gray-400">
+                  {formatCurrency(tranche.amount)} · Interest{" "}
+                  {formatCurrency(tranche.totalInterest)}
+                </span>
+              </div>
+            )}
+            <div className="space-y-1">
+              {tranche.segments.map((segment) => (
+                <div
+                  key={segment.startDate}
+                  className="flex flex-wrap justify-between text-xs text-gray-300"
+                >
+                  <span>
+                    {new Date(segment.startDate).toLocaleDateString()} –{" "}
+                    {new Date(segment.endDate).toLocaleDateString()} (
+                    {segment.periods} repayments)
+                  </span>
+                  <span>
+                    {segment.interestOnly ? "Interest only" : "P&I"} @{" "}
+                    {(segment.rate * 100).toFixed(2)}% ·{" "}
+                    {formatCurrency(segment.payment)}/month
+                  </span>
+                </div>
+              ))}
+            </div>
+          </div>
+        ))}
+      </div>
+
+      <div className="max-h-80 overflow-y-auto rounded-lg border border-gray-700">
+        <table className="w-full text-sm">
+          <thead className="bg-gray-700 sticky top-0">
+            <tr>
+              <th className="px-3 py-2 text-left text-xs font-medium text-gray-300 uppercase">
+                #
+              </th>
+              <th className="px-3 py-2 text-left text-xs font-medium text-gray-300 uppercase">
+                Date
+              </th>
+              <th className="px-3 py-2 text-right text-xs font-medium text-gray-300 uppercase">
+                Opening
+              </th>
+              <th className="px-3 py-2 text-right text-xs font-medium text-gray-300 uppercase">
+                Interest
+              </th>
+              <th className="px-3 py-2 text-right text-xs font-medium text-gray-300 uppercase">
+                Principal
+              </th>
+              {summary.totalExtraRepayments > 0 && (
+                <th className="px-3 py-2 text-right text-xs font-medium text-gray-300 uppercase">
+                  Extra
+                </th>
+              )}
+              <th className="px-3 py-2 text-right text-xs font-medium text-gray-300 uppercase">
+                Closing
+              </th>
+            </tr>
+          </thead>
+          <tbody className="divide-y divide-gray-700">
+            {schedule.map((row) => (
+              <tr key={row.period} className="hover:bg-gray-700/50">
+                <td className="px-3 py-2 text-gray-400">{row.period}</td>
+                <td className="px-3 py-2 text-gray-300">
+                  {new Date(row.date).toLocaleDateString()}
+                </td>
+                <td className="px-3 py-2 text-right text-gray-300">
+                  {formatCurrency(row.openingBalance)}
+                </td>
+                <td className="px-3 py-2 text-right text-red-400">
+                  {formatCurrency(row.interest)}
+                </td>
+                <td className="px-3 py-2 text-right text-green-400">
+                  {formatCurrency(row.principal)}
+                </td>
+                {summary.totalExtraRepayments > 0 && (
+                  <td className="px-3 py-2 text-right text-green-400">
+                    {row.extra > 0 ? formatCurrency(row.extra) : "-"}
+                  </td>
+                )}
+                <td className="px-3 py-2 text-right text-white">
+                  {formatCurrency(row.closingBalance)}
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
+
+  const renderRateHistory = (loan) => {
+    const rateChanges = Array.isArray(loan.rate_changes) ? loan.rate_changes : [];
+    const splits = Array.isArray(loan.splits) ? loan.splits : [];
+    if (rateChanges.length === 0 && !canPerformActions) return null;
+
+    return (
+      <div className="mt-4 border-t border-gray-700 pt-4">
+        <div className="flex justify-between items-center mb-2">
+          <p className="text-sm font-medium text-gray-300">Rate History</p>
+          {canPerformActions && (
+            <button
+              onClick={() => openRateChangeForm(loan)}
+              className="flex items-center space-x-1 text-sm text-blue-400 hover:text-blue-300 transition-colors"
+            >
+              <SafeIcon icon={FiTrendingUp} className="w-4 h-4" />
+              <span>Log rate change</span>
+            </button>
+          )}
+        </div>
+
+        {rateChanges.length === 0 ? (
+          <p className="text-xs text-gray-500">
+            No rate changes logged. Interest uses{" "}
+            {(loan.interest_rate * 100).toFixed(2)}% from the start date.
+          </p>
+        ) : (
+          <div className="space-y-1">
+            {rateChanges.map((change) => {
+              const split = splits.find((s) => s.id === change.split_id);
+              return (
+                <div
+                  key={change.id}
+                  className="flex justify-between items-center text-sm bg-gray-700/30 rounded px-3 py-2"
+                >
+                  <div className="text-gray-300">
+                    <span>
+                      From {new Date(change.effective_date).toLocaleDateString()}
+                    </span>
+                    <span className="text-white font-medium ml-2">
+                      {(Number(change.interest_rate) * 100).toFixed(2)}%
+                    </span>
+                    {splits.length > 0 && (
+                      <span className="text-gray-400 ml-2">
+                        · {split ? split.label : "Variable portions"}
+                      </span>
+                    )}
+                    {change.notes && (
+                      <span className="text-gray-500 ml-2">· {change.notes}</span>
+                    )}
+                  </div>
+                  {canPerformActions && (
+                    <div className="flex space-x-1">
+                      <button
+                        onClick={() => openRateChangeForm(loan, change)}
+                        className="p-1 text-gray-400 hover:text-blue-400 transition-colors"
+                      >
+                        <SafeIcon icon={FiEdit} className="w-3 h-3" />
+                      </button>
+                      <button
+                        onClick={() => handleRateChangeDelete(change.id)}
+                        className="p-1 text-gray-400 hover:text-red-400 transition-colors"
+                      >
+                        <SafeIcon icon={FiTrash2} className="w-3 h-3" />
+                      </button>
+                    </div>
+                  )}
+                </div>
+              );
+            })}
+          </div>
+        )}
+      </div>
+    );
+  };
+
+  const renderRefinanceComparison = (comparison) => (
+    <div className="rounded-lg border border-gray-700 overflow-hidden">
+      <table className="w-full text-sm">
+        <thead className="bg-gray-700">
+          <tr>
+            <th className="px-3 py-2 text-left text-xs font-medium text-gray-300 uppercase"></th>
+            <th className="px-3 py-2 text-right text-xs font-medium text-gray-300 uppercase">
+              Before
+            </th>
+            <th className="px-3 py-2 text-right text-xs font-medium text-gray-300 uppercase">
+              After
+            </th>
+          </tr>
+        </thead>
+        <tbody className="divide-y divide-gray-700">
+          <tr>
+            <td className="px-3 py-2 text-gray-400">Monthly repayment</td>
+            <td className="px-3 py-2 text-right text-gray-300">
+              {formatCurrency(comparison.before.payment)}
+            </td>
+            <td className="px-3 py-2 text-right text-white">
+              {formatCurrency(comparison.after.payment)}
+            </td>
+          </tr>
+          <tr>
+            <td className="px-3 py-2 text-gray-400">Remaining interest</td>
+            <td className="px-3 py-2 text-right text-gray-300">
+              {formatCurrency(comparison.before.totalInterest)}
+            </td>
+            <td className="px-3 py-2 text-right text-white">
+              {formatCurrency(comparison.after.totalInterest)}
+            </td>
+          </tr>
+          <tr>
+            <td className="px-3 py-2 text-gray-400">Payoff date</td>
+            <td className="px-3 py-2 text-right text-gray-300">
+              {comparison.before.payoffDate
+                ? new Date(comparison.before.payoffDate).toLocaleDateString()
+                : "-"}
+            </td>
+            <td className="px-3 py-2 text-right text-white">
+              {comparison.after.payoffDate
+                ? new Date(comparison.after.payoffDate).toLocaleDateString()
+                : "-"}
+            </td>
+          </tr>
+          <tr>
+            <td className="px-3 py-2 text-gray-400">Refinance costs</td>
+            <td className="px-3 py-2 text-right text-gray-300">-</td>
+            <td className="px-3 py-2 text-right text-white">
+              {formatCurrency(comparison.costs)}
+            </td>
+          </tr>
+        </tbody>
+      </table>
+      <div className="flex justify-between px-3 py-2 bg-gray-700/30 text-sm">
+        <span className="text-gray-300">Net saving after costs</span>
+        <span
+          className={`font-medium ${
+            comparison.netSaving >= 0 ? "text-green-400" : "text-red-400"
+          }`}
+        >
+          {comparison.netSaving >= 0 ? "" : "-"}
+          {formatCurrency(Math.abs(comparison.netSaving))}
+        </span>
+      </div>
+    </div>
+  );
+
+  const renderRefinanceHistory = (loan) => {
+    const previousLoan = loan.refinanced_from
+      ? safeLoans.find((l) => l && l.id === loan.refinanced_from)
+      : null;
+    const costs = Array.isArray(loan.loan_costs) ? loan.loan_costs : [];
+    if (!previousLoan && costs.length === 0) return null;
+
+    const comparison = previousLoan
+      ? compareRefinance(previousLoan, loan, loan.start_date)
+      : null;
+
+    return (
+      <div className="mt-4 border-t border-gray-700 pt-4">
+        <p className="text-sm font-medium text-gray-300 mb-2">
+          {previousLoan
+            ? `Refinanced from ${previousLoan.lender} on ${new Date(
+                loan.start_date
+              ).toLocaleDateString()}`
+            : "Loan Costs"}
+        </p>
+        {costs.length > 0 && (
+          <div className="space-y-1 mb-3">
+            {costs.map((cost) => (
+              <div
+                key={cost.id || cost.category}
+                className="flex justify-between text-sm bg-gray-700/30 rounded px-3 py-2"
+              >
+                <span className="text-gray-300">
+                  {cost.category}
+                  {cost.notes && (
+                    <span className="text-gray-500 ml-2">· {cost.notes}</span>
+                  )}
+                </span>
+                <span className="text-white">{formatCurrency(cost.amount)}</span>
+              </div>
+            ))}
+          </div>
+        )}
+        {comparison && renderRefinanceComparison(comparison)}
+      </div>
+    );
+  };
+
+  const renderExtraRepayments = (loan, savings) => {
+    const extras = Array.isArray(loan.extra_repayments) ? loan.extra_repayments : [];
+    const splits = Array.isArray(loan.splits) ? loan.splits : [];
+    if (extras.length === 0 && !canPerformActions) return null;
+
+    const sortedExtras = [...extras].sort((a, b) =>
+      a.payment_date.localeCompare(b.payment_date)
+    );
+
+    return (
+      <div className="mt-4 border-t border-gray-700 pt-4">
+        <div className="flex justify-between items-center mb-2">
+          <p className="text-sm font-medium text-gray-300">Extra Repayments</p>
+          {canPerformActions && (
+            <button
+              onClick={() => openExtraRepaymentForm(loan)}
+              className="flex items-center space-x-1 text-sm text-blue-400 hover:text-blue-300 transition-colors"
+            >
+              <SafeIcon icon={FiPlus} className="w-4 h-4" />
+              <span>Add extra repayment</span>
+            </button>
+          )}
+        </div>
+
+        {sortedExtras.length === 0 ? (
+          <p className="text-xs text-gray-500">
+            No extra repayments recorded. The loan runs to its full term.
+          </p>
+        ) : (
+          <div className="space-y-1">
+            {sortedExtras.map((extra) => {
+              const split = splits.find((s) => s.id === extra.split_id);
+              const isRecurring =
+                extra.repayment_type === EXTRA_REPAYMENT_TYPES.RECURRING;
+              return (
+                <div
+                  key={extra.id}
+                  className="flex justify-between items-center text-sm bg-gray-700/30 rounded px-3 py-2"
+                >
+                  <div className="text-gray-300">
+                    <span className="text-white font-medium">
+                      {formatCurrency(extra.amount)}
+                      {isRecurring && "/month"}
+                    </span>
+                    <span className="ml-2">
+                      {isRecurring
+                        ? `From ${new Date(extra.payment_date).toLocaleDateString()}${
+                            extra.end_date
+                              ? ` to ${new Date(extra.end_date).toLocaleDateString()}`
+                              : ""
+                          }`
+                        : `On ${new Date(extra.payment_date).toLocaleDateString()}`}
+                    </span>
+                    {split && (
+                      <span className="text-gray-400 ml-2">· {split.label}</span>
+                    )}
+                    {extra.notes && (
+                      <span className="text-gray-500 ml-2">· {extra.notes}</span>
+                    )}
+                  </div>
+                  {canPerformActions && (
+                    <div className="flex space-x-1">
+                      <button
+                        onClick={() => openExtraRepaymentForm(loan, extra)}
+                        className="p-1 text-gray-400 hover:text-blue-400 transition-colors"
+                      >
+                        <SafeIcon icon={FiEdit} className="w-3 h-3" />
+                      </button>
+                      <button
+                        onClick={() => handleExtraRepaymentDelete(extra.id)}
+                        className="p-1 text-gray-400 hover:text-red-400 transition-colors"
+                      >
+                        <SafeIcon icon={FiTrash2} className="w-3 h-3" />
+                      </button>
+                    </div>
+                  )}
+                </div>
+              );
+            })}
+          </div>
+        )}
+
+        {savings && (
+          <div className="mt-3 grid grid-cols-2 md:grid-cols-3 gap-4 bg-green-900/20 border border-green-800 rounded-lg p-3">
+            <div>
+              <p className="text-xs text-gray-400 mb-1">Interest Saved</p>
+              <p className="text-green-400 font-medium">
+                {formatCurrency(savings.interestSaved)}
+              </p>
+            </div>
+            <div>
+              <p className="text-xs text-gray-400 mb-1">Paid Off Sooner</p>
+              <p className="text-green-400 font-medium">
+                {Math.floor(savings.periodsSaved / 12)}y{" "}
+                {savings.periodsSaved % 12}m
+              </p>
+            </div>
+            <div>
+              <p className="text-xs text-gray-400 mb-1">New Payoff Date</p>
+              <p className="text-white font-medium">
+                {savings.payoffDate
+                  ? new Date(savings.payoffDate).toLocaleDateString()
+                  : "-"}
+                {savings.originalPayoffDate && (
+                  <span className="block text-xs text-gray-500">
+                    was {new Date(savings.originalPayoffDate).toLocaleDateString()}
+                  </span>
+                )}
+              </p>
+            </div>
+          </div>
+        )}
+      </div>
+    );
+  };
+
+  const renderOffsetAccounts = (loan) => {
+    const accounts = Array.isArray(loan.offset_accounts) ? loan.offset_accounts : [];
+    const splits = Array.isArray(loan.splits) ? loan.splits : [];
+    if (accounts.length === 0 && !canPerformActions) return null;
+
+    const savings = getOffsetInterestSavings(loan, fyStartMonth);
+    const today = new Date();
+
+    return (
+      <div className="mt-4 border-t border-gray-700 pt-4">
+        <div className="flex justify-between items-center mb-2">
+          <p className="text-sm font-medium text-gray-300">Offset & Redraw</p>
+          {canPerformActions && (
+            <button
+              onClick={() => openOffsetAccountForm(loan)}
+              className="flex items-center space-x-1 text-sm text-blue-400 hover:text-blue-300 transition-colors"
+            >
+              <SafeIcon icon={FiPlus} className="w-4 h-4" />
+              <span>Add account</span>
+            </button>
+          )}
+        </div>
+
+        {accounts.length === 0 ? (
+          <p className="text-xs text-gray-500">
+            No offset or redraw accounts linked. Interest is charged on the full
+            balance.
+          </p>
+        ) : (
+          <div className="space-y-2">
+            {accounts.map((account) => {
+              const split = splits.find((s) => s.id === account.split_id);
+              const history = [...(account.balances || [])].sort((a, b) =>
+                b.balance_date.localeCompare(a.balance_date)
+              );
+              return (
+                <div key={account.id} className="bg-gray-700/30 rounded px-3 py-2">
+                  <div className="flex justify-between items-center">
+                    <div className="text-sm">
+                      <span className="text-white font-medium">{account.name}</span>
+                      <span className="px-2 py-0.5 ml-2 text-xs rounded-full bg-gray-700 text-gray-300">
+                        {account.account_type === "redraw" ? "Redraw" : "Offset"}
+                      </span>
+                      {split && (
+                        <span className="text-gray-400 ml-2">· {split.label}</span>
+                      )}
+                    </div>
+                    <div className="flex items-center space-x-2">
+                      <span className="text-green-400 text-sm font-medium">
+                        {formatCurrency(getOffsetBalanceAt(account, today))}
+                      </span>
+                      {canPerformActions && (
+                        <>
+                          <button
+                            onClick={() => openOffsetBalanceForm(account)}
+                            className="p-1 text-gray-400 hover:text-green-400 transition-colors"
+                            title="Record balance"
+                          >
+                            <SafeIcon icon={FiDollarSign} className="w-3 h-3" />
+                          </button>
+                          <button
+                            onClick={() => openOffsetAccountForm(loan, account)}
+                            className="p-1 text-gray-400 hover:text-blue-400 transition-colors"
+                          >
+                            <SafeIcon icon={FiEdit} className="w-3 h-3" />
+                          </button>
+                          <button
+                            onClick={() => handleOffsetAccountDelete(account.id)}
+                            className="p-1 text-gray-400 hover:text-red-400 transition-colors"
+                          >
+                            <SafeIcon icon={FiTrash2} className="w-3 h-3" />
+                          </button>
+                        </>
+                      )}
+                    </div>
+                  </div>
+                  {history.length > 0 && (
+                    <div className="mt-2 space-y-1">
+                      {history.map((entry) => (
+                        <div
+                          key={entry.id}
+                          className="flex justify-between items-center text-xs text-gray-400"
+                        >
+                          <span>
+                            {new Date(entry.balance_date).toLocaleDateString()}
+                            {entry.notes && ` · ${entry.notes}`}
+                          </span>
+                          <span className="flex items-center space-x-2">
+                            <span>{formatCurrency(entry.balance)}</span>
+                            {canPerformActions && (
+                              <button
+                                onClick={() => handleOffsetBalanceDelete(entry.id)}
+                                className="text-gray-500 hover:text-red-400 transition-colors"
+                              >
+                                <SafeIcon icon={FiX} className="w-3 h-3" />
+                              </button>
+                            )}
+                          </span>
+                        </div>
+                      ))}
+                    </div>
+                  )}
+                </div>
+              );
+            })}
+          </div>
+        )}
+
+        {savings.length > 0 && (
+          <div className="mt-3 rounded-lg border border-gray-700 overflow-hidden">
+            <table className="w-full text-sm">
+              <thead className="bg-gray-700">
+                <tr>
+                  <th className="px-3 py-2 text-left text-xs font-medium text-gray-300 uppercase">
+                    Year
+                  </th>
+                  <th className="px-3 py-2 text-right text-xs font-medium text-gray-300 uppercase">
+                    Interest
+                  </th>
+                  <th className="px-3 py-2 text-right text-xs font-medium text-gray-300 uppercase">
+                    Without Offset
+                  </th>
+                  <th className="px-3 py-2 text-right text-xs font-medium text-gray-300 uppercase">
+                    Saved
+                  </th>
+                </tr>
+              </thead>
+              <tbody className="divide-y divide-gray-700">
+                {savings
+                  .filter((entry) => entry.saved > 0)
+                  .map((entry) => (
+                    <tr key={entry.year}>
+                      <td className="px-3 py-2 text-gray-300">
+                        {DateUtils.formatFinancialYear(entry.year)}
+                        {new Date(entry.year, fyStartMonth - 1, 1) > today && (
+                          <span className="text-xs text-gray-500 ml-1">
+                            (projected)
+                          </span>
+                        )}
+                      </td>
+                      <td className="px-3 py-2 text-right text-red-400">
+                        {formatCurrency(entry.interest)}
+                      </td>
+                      <td className="px-3 py-2 text-right text-gray-400">
+                        {formatCurrency(entry.interestWithoutOffset)}
+                      </td>
+                      <td className="px-3 py-2 text-right text-green-400">
+                        {formatCurrency(entry.saved)}
+                      </td>
+                    </tr>
+                  ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+      </div>
+    );
+  };
+
+  const renderLoanCard = (loan) => {
+    const isScheduleExpanded = expandedSchedules.has(loan.id);
+    const schedule = generateAmortizationSchedule(loan);
+    const currentBalance = getLoanBalanceAt(loan, new Date(), schedule);
+    const extraSavings = getExtraRepaymentSavings(loan, schedule);
+    const isActive = isLoanActiveAt(loan);
+
+    return (
+      <div
+        key={loan.id}
+        className="bg-gray-800 rounded-lg p-6 border border-gray-700"
+      >
+        <div className="flex justify-between items-start mb-4">
+          <div>
+            <h3 className="text-lg font-semibold text-white mb-1">{loan.lender}</h3>
+            <div className="flex flex-wrap gap-2">
+              {loan.status === LOAN_STATUSES.REFINANCED && (
+                <span className="px-2 py-0.5 text-xs rounded-full bg-yellow-900/30 text-yellow-400">
+                  Refinanced
+                  {loan.end_date &&
+                    ` ${new Date(loan.end_date).toLocaleDateString()}`}
+                </span>
+              )}
+              {getStructureBadges(loan).map((badge) => (
+                <span
+                  key={badge}
+                  className="px-2 py-0.5 text-xs rounded-full bg-gray-700 text-gray-300"
+                >
+                  {badge}
+                </span>
+              ))}
+              {entities.length > 0 && (
+                <span className="px-2 py-0.5 text-xs rounded-full bg-blue-900/30 text-blue-400">
+                  {getEntityName(resolveEntity(loan), data.owners)}
+                </span>
+              )}
+            </div>
+          </div>
+          {canPerformActions && (
+            <div className="flex space-x-2">
+              <DocumentLinkButton
+                documents={documents}
+                field="loan_id"
+                recordId={loan.id}
+                onOpen={onOpenDocuments}
+                className="p-2 hover:bg-gray-700 rounded-lg"
+              />
+              {isActive && (
+                <button
+                  onClick={() => openRefinanceForm(loan)}
+                  className="p-2 text-gray-400 hover:text-green-400 hover:bg-gray-700 rounded-lg transition-colors"
+                  title="Refinance"
+                >
+                  <SafeIcon icon={FiRefreshCw} className="w-4 h-4" />
+                </button>
+              )}
+              <button
+                onClick={() => handleEdit(loan)}
+                className="p-2 text-gray-400 hover:text-blue-400 hover:bg-gray-700 rounded-lg transition-colors"
+              >
+                <SafeIcon icon={FiEdit} className="w-4 h-4" />
+              </button>
+              <button
+                onClick={() => handleDelete(loan.id)}
+                className="p-2 text-gray-400 hover:text-red-400 hover:bg-gray-700 rounded-lg transition-colors"
+              >
+                <SafeIcon icon={FiTrash2} className="w-4 h-4" />
+              </button>
+            </div>
+          )}
+        </div>
+
+        <div className="grid grid-cols-2 md:grid-cols-4 gap-4">
+          <div>
+            <p className="text-xs text-gray-400 mb-1">Original Amount</p>
+            <p className="text-white font-medium">
+              {formatCurrency(loan.amount)}
+            </p>
+          </div>
+          <div>
+            <p className="text-xs text-gray-400 mb-1">Current Balance</p>
+            <p className="text-white font-medium">
+              {formatCurrency(currentBalance)}
+            </p>
+          </div>
+          <div>
+            <p className="text-xs text-gray-400 mb-1">Current Rate</p>
+            <p className="text-white font-medium">
+              {(getLoanRateAt(loan) * 100).toFixed(2)}%
+            </p>
+          </div>
+          <div>
+            <p className="text-xs text-gray-400 mb-1">Monthly Payment</p>
+            <p className="text-white font-medium">
+              {formatCurrency(getLoanMonthlyPayment(loan, new Date(), schedule))}
+            </p>
+          </div>
+        </div>
+
+        {schedule.length > 0 && (
+          <>
+            <button
+              onClick={() => toggleScheduleExpansion(loan.id)}
+              className="mt-4 flex items-center space-x-2 text-sm text-blue-400 hover:text-blue-300 transition-colors"
+            >
+              <SafeIcon
+                icon={isScheduleExpanded ? FiChevronDown : FiList}
+                className="w-4 h-4"
+              />
+              <span>
+                {isScheduleExpanded
+                  ? "Hide repayment schedule"
+                  : "View repayment schedule"}
+              </span>
+            </button>
+            {isScheduleExpanded &&
+              renderSchedule(schedule, summarizeSchedule(schedule), extraSavings)}
+          </>
+        )}
+
+        {renderRefinanceHistory(loan)}
+        {renderRateHistory(loan)}
+        {renderExtraRepayments(loan, extraSavings)}
+        {renderOffsetAccounts(loan)}
+      </div>
+    );
+  };
+
+  return (
+    <div className="space-y-6">
+      {/* Header */}
+      <div className="flex justify-between items-center">
+        <div>
+          <h2 className="text-2xl font-bold text-white">
+            {propertyId ? "Property Loans" : "Loan Management"}
+          </h2>
+          <p className="text-gray-400 mt-1">
+            {propertyId
+              ? "Manage loans for this property"
+              : "Manage all property loans"}
+          </p>
+        </div>
+        {canPerformActions && (
+          <button
+            onClick={() => setShowForm(true)}
+            className="bg-blue-600 hover:bg-blue-700 text-white px-4 py-2 rounded-lg flex items-center space-x-2 transition-colors"
+          >
+            <SafeIcon icon={FiPlus} className="w-4 h-4" />
+            <span>Add Loan</span>
+          </button>
+        )}
+      </div>
+
+      {/* Form Modal */}
+      {canPerformActions && showForm && (
+        <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center p-4 z-50">
+          <div
+            className={`bg-gray-800 rounded-lg p-6 w-full ${
+              isSplitLoan ? "max-w-2xl" : "max-w-md"
+            } max-h-[90vh] overflow-y-auto`}
+          >
+            <h3 className="text-xl font-semibold text-white mb-4">
+              {editingLoan ? "Edit Loan" : "Add New Loan"}
+            </h3>
+
+            <form onSubmit={handleSubmit} className="space-y-4">
+              {!propertyId && (
+                <div>
+                  <label className="block text-sm font-medium text-gray-300 mb-2">
+                    Property *
+                  </label>
+                  <select
+                    name="propertyId"
+                    value={formData.propertyId}
+                    onChange={handleChange}
+                    className={`form-select ${
+                      errors.propertyId ? "border-red-500" : ""
+                    }`}
+                  >
+                    <option value="">Select Property</option>
+                    {safeProperties.map((p) =>
+                      p && p.id ? (
+                        <option key={p.id} value={p.id}>
+                          {p.address}
+                        </option>
+                      ) : null
+                    )}
+                  </select>
+                  {errors.propertyId && (
+                    <p className="text-red-400 text-sm mt-1">
+                      {errors.propertyId}
+                    </p>
+                  )}
+                </div>
+              )}
+
+              <div>
+                <label className="block text-sm font-medium text-gray-300 mb-2">
+                  Lender *
+                </label>
+                <input
+                  type="text"
+                  name="lender"
+                  value={formData.lender}
+                  onChange={handleChange}
+                  className={`form-input ${
+                    errors.lender ? "border-red-500" : ""
+                  }`}
+                  placeholder="Bank or lender name"
+                />
+                {errors.lender && (
+                  <p className="text-red-400 text-sm mt-1">{errors.lender}</p>
+                )}
+              </div>
+
+              {entities.length > 0 && (
+                <div>
+                  <label className="block text-sm font-medium text-gray-300 mb-2">
+                    Borrower
+                  </label>
+                  <select
+                    name="entityId"
+                    value={formData.entityId}
+                    onChange={handleChange}
+                    className="form-select"
+                  >
+                    <option value="">
+                      Same as property (
+                      {getEntityName(
+                        resolveEntity({ property_id: formData.propertyId }),
+                        data.owners
+                      )}
+                      )
+                    </option>
+                    {entities.map((entity) => (
+                      <option key={entity.id} value={entity.id}>
+                        {entity.name}
+                      </option>
+                    ))}
+                  </select>
+                </div>
+              )}
+
+              <div>
+                <label className="block text-sm font-medium text-gray-300 mb-2">
+                  Loan Type
+                </label>
                 <select
                   name="loanType"
                   value={formData.loanType}
@@ -431,122 +1984,1196 @@ const LoanManager = ({
                 </select>
               </div>
 
-              <div className="grid grid-cols-2 gap-4">
+              {!isSplitLoan && (
+                <div className="grid grid-cols-2 gap-4">
+                  <div>
+                    <label className="block text-sm font-medium text-gray-300 mb-2">
+                      Original Amount *
+                    </label>
+                    <input
+                      type="number"
+                      name="amount"
+                      value={formData.amount}
+                      onChange={handleChange}
+                      className={`form-input ${
+                        errors.amount ? "border-red-500" : ""
+                      }`}
+                      placeholder="0"
+                      step="0.01"
+                      min="0"
+                    />
+                    {errors.amount && (
+                      <p className="text-red-400 text-sm mt-1">{errors.amount}</p>
+                    )}
+                  </div>
+                  <div>
+                    <label className="block text-sm font-medium text-gray-300 mb-2">
+                      Current Balance
+                    </label>
+                    <input
+                      type="number"
+                      name="currentBalance"
+                      value={formData.currentBalance}
+                      onChange={handleChange}
+                      className="form-input"
+                      placeholder="Same as original"
+                      step="0.01"
+                      min="0"
+                    />
+                  </div>
+                </div>
+              )}
+
+              <div className="grid grid-cols-2 gap-4">
+                {!isSplitLoan && (
+                  <div>
+                    <label className="block text-sm font-medium text-gray-300 mb-2">
+                      Interest Rate (%) *
+                    </label>
+                    <input
+                      type="number"
+                      name="interestRate"
+                      value={formData.interestRate}
+                      onChange={handleChange}
+                      className={`form-input ${
+                        errors.interestRate ? "border-red-500" : ""
+                      }`}
+                      placeholder="0.00"
+                      step="0.01"
+                      min="0"
+                    />
+                    {errors.interestRate && (
+                      <p className="text-red-400 text-sm mt-1">
+                        {errors.interestRate}
+                      </p>
+                    )}
+                    {editingLoan && (
+                      <p className="text-xs text-gray-400 mt-1">
+                        Rate at settlement. Log later changes in Rate History.
+                      </p>
+                    )}
+                  </div>
+                )}
+                <div>
+                  <label className="block text-sm font-medium text-gray-300 mb-2">
+                    Loan Term (years) *
+                  </label>
+                  <input
+                    type="number"
+                    name="termYears"
+                    value={formData.termYears}
+                    onChange={handleChange}
+                    className={`form-input ${
+                      errors.termYears ? "border-red-500" : ""
+                    }`}
+                    placeholder="30"
+                    min="1"
+                  />
+                  {errors.termYears && (
+                    <p className="text-red-400 text-sm mt-1">
+                      {errors.termYears}
+                    </p>
+                  )}
+                </div>
+              </div>
+
+              {!isSplitLoan && (
+                <>
+                  <div className="grid grid-cols-2 gap-4">
+                    <div>
+                      <label className="block text-sm font-medium text-gray-300 mb-2">
+                        Repayment Type
+                      </label>
+                      <select
+                        name="repaymentType"
+                        value={formData.repaymentType}
+                        onChange={handleChange}
+                        className="form-select"
+                      >
+                        <option value={REPAYMENT_TYPES.PRINCIPAL_AND_INTEREST}>
+                          Principal & Interest
+                        </option>
+                        <option value={REPAYMENT_TYPES.INTEREST_ONLY}>
+                          Interest Only
+                        </option>
+                      </select>
+                    </div>
+                    {formData.repaymentType === REPAYMENT_TYPES.INTEREST_ONLY && (
+                      <div>
+                        <label className="block text-sm font-medium text-gray-300 mb-2">
+                          Interest Only Until *
+                        </label>
+                        <input
+                          type="date"
+                          name="interestOnlyEndDate"
+                          value={formData.interestOnlyEndDate}
+                          onChange={handleChange}
+                          className={`form-input ${
+                            errors.interestOnlyEndDate ? "border-red-500" : ""
+                          }`}
+                        />
+                        {errors.interestOnlyEndDate && (
+                          <p className="text-red-400 text-sm mt-1">
+                            {errors.interestOnlyEndDate}
+                          </p>
+                        )}
+                      </div>
+                    )}
+                  </div>
+
+                  <div className="grid grid-cols-2 gap-4">
+                    <div>
+                      <label className="block text-sm font-medium text-gray-300 mb-2">
+                        Rate Type
+                      </label>
+                      <select
+                        name="rateType"
+                        value={formData.rateType}
+                        onChange={handleChange}
+                        className="form-select"
+                      >
+                        <option value={RATE_TYPES.VARIABLE}>Variable</option>
+                        <option value={RATE_TYPES.FIXED}>Fixed</option>
+                      </select>
+                    </div>
+                    {formData.rateType === RATE_TYPES.FIXED && (
+                      <div>
+                        <label className="block text-sm font-medium text-gray-300 mb-2">
+                          Fixed Until *
+                        </label>
+                        <input
+                          type="date"
+                          name="fixedRateExpiry"
+                          value={formData.fixedRateExpiry}
+                          onChange={handleChange}
+                          className={`form-input ${
+                            errors.fixedRateExpiry ? "border-red-500" : ""
+                          }`}
+                        />
+                        {errors.fixedRateExpiry && (
+                          <p className="text-red-400 text-sm mt-1">
+                            {errors.fixedRateExpiry}
+                          </p>
+                        )}
+                      </div>
+                    )}
+                  </div>
+
+                  {formData.rateType === RATE_TYPES.FIXED && (
+                    <div>
+                      <label className="block text-sm font-medium text-gray-300 mb-2">
+                        Revert Rate (%)
+                      </label>
+                      <input
+                        type="number"
+                        name="revertRate"
+                        value={formData.revertRate}
+                        onChange={handleChange}
+                        className="form-input"
+                        placeholder="Variable rate after the fixed period"
+                        step="0.01"
+                        min="0"
+                      />
+                    </div>
+                  )}
+                </>
+              )}
+
+              {/* Split Loan Section */}
+              <div className="bg-gray-700/30 rounded-lg p-4">
+                <div className="flex justify-between items-center mb-4">
+                  <div>
+                    <h4 className="text-white font-medium">Split Loan</h4>
+                    {isSplitLoan && (
+                      <p className="text-xs text-gray-400 mt-1">
+                        Total {formatCurrency(toLoanStructure(formData).amount)}
+                      </p>
+                    )}
+                  </div>
+                  <button
+                    type="button"
+                    onClick={addSplit}
+                    className="btn-secondary flex items-center space-x-2"
+                  >
+                    <SafeIcon icon={FiPlus} className="w-4 h-4" />
+                    <span>Add Split</span>
+                  </button>
+                </div>
+
+                <div className="space-y-4">
+                  {formData.splits.map((split, index) => (
+                    <div
+                      key={split.id || index}
+                      className="grid grid-cols-2 gap-4 p-4 bg-gray-600/30 rounded-lg"
+                    >
+                      <div>
+                        <label className="block text-sm font-medium text-gray-300 mb-2">
+                          Label
+                        </label>
+                        <input
+                          type="text"
+                          value={split.label}
+                          onChange={(e) =>
+                            handleSplitChange(index, "label", e.target.value)
+                          }
+                          className="form-input"
+                          placeholder="e.g., Fixed portion"
+                        />
+                      </div>
+                      <div>
+                        <label className="block text-sm font-medium text-gray-300 mb-2">
+                          Amount *
+                        </label>
+                        <input
+                          type="number"
+                          value={split.amount}
+                          onChange={(e) =>
+                            handleSplitChange(index, "amount", e.target.value)
+                          }
+                          className={`form-input ${
+                            errors[`split_${index}_amount`] ? "border-red-500" : ""
+                          }`}
+                          placeholder="0"
+                          step="0.01"
+                          min="0"
+                        />
+                        {errors[`split_${index}_amount`] && (
+                          <p className="text-red-400 text-sm mt-1">
+                            {errors[`split_${index}_amount`]}
+                          </p>
+                        )}
+                      </div>
+                      <div>
+                        <label className="block text-sm font-medium text-gray-300 mb-2">
+                          Rate Type
+                        </label>
+                        <select
+                          value={split.rateType}
+                          onChange={(e) =>
+                            handleSplitChange(index, "rateType", e.target.value)
+                          }
+                          className="form-select"
+                        >
+                          <option value={RATE_TYPES.VARIABLE}>Variable</option>
+                          <option value={RATE_TYPES.FIXED}>Fixed</option>
+                        </select>
+                      </div>
+                      <div>
+                        <label className="block text-sm font-medium text-gray-300 mb-2">
+                          Interest Rate (%) *
+                        </label>
+                        <input
+                          type="number"
+                          value={split.interestRate}
+                          onChange={(e) =>
+                            handleSplitChange(index, "interestRate", e.target.value)
+                          }
+                          className={`form-input ${
+                            errors[`split_${index}_interestRate`]
+                              ? "border-red-500"
+                              : ""
+                          }`}
+                          placeholder="0.00"
+                          step="0.01"
+                          min="0"
+                        />
+                        {errors[`split_${index}_interestRate`] && (
+                          <p className="text-red-400 text-sm mt-1">
+                            {errors[`split_${index}_interestRate`]}
+                          </p>
+                        )}
+                      </div>
+                      {split.rateType === RATE_TYPES.FIXED && (
+                        <>
+                          <div>
+                            <label className="block text-sm font-medium text-gray-300 mb-2">
+                              Fixed Until *
+                            </label>
+                            <input
+                              type="date"
+                              value={split.fixedRateExpiry}
+                              onChange={(e) =>
+                                handleSplitChange(
+                                  index,
+                                  "fixedRateExpiry",
+                                  e.target.value
+                                )
+                              }
+                              className={`form-input ${
+                                errors[`split_${index}_fixedRateExpiry`]
+                                  ? "border-red-500"
+                                  : ""
+                              }`}
+                            />
+                            {errors[`split_${index}_fixedRateExpiry`] && (
+                              <p className="text-red-400 text-sm mt-1">
+                                {errors[`split_${index}_fixedRateExpiry`]}
+                              </p>
+                            )}
+                          </div>
+                          <div>
+                            <label className="block text-sm font-medium text-gray-300 mb-2">
+                              Revert Rate (%)
+                            </label>
+                            <input
+                              type="number"
+                              value={split.revertRate}
+                              onChange={(e) =>
+                                handleSplitChange(index, "revertRate", e.target.value)
+                              }
+                              className="form-input"
+                              placeholder="0.00"
+                              step="0.01"
+                              min="0"
+                            />
+                          </div>
+                        </>
+                      )}
+                      <div>
+                        <label className="block text-sm font-medium text-gray-300 mb-2">
+                          Repayment Type
+                        </label>
+                        <select
+                          value={split.repaymentType}
+                          onChange={(e) =>
+                            handleSplitChange(index, "repaymentType", e.target.value)
+                          }
+                          className="form-select"
+                        >
+                          <option value={REPAYMENT_TYPES.PRINCIPAL_AND_INTEREST}>
+                            Principal & Interest
+                          </option>
+                          <option value={REPAYMENT_TYPES.INTEREST_ONLY}>
+                            Interest Only
+                          </option>
+                        </select>
+                      </div>
+                      {split.repaymentType === REPAYMENT_TYPES.INTEREST_ONLY && (
+                        <div>
+                          <label className="block text-sm font-medium text-gray-300 mb-2">
+                            Interest Only Until *
+                          </label>
+                          <input
+                            type="date"
+                            value={split.interestOnlyEndDate}
+                            onChange={(e) =>
+                              handleSplitChange(
+                                index,
+                                "interestOnlyEndDate",
+                                e.target.value
+                              )
+                            }
+                            className={`form-input ${
+                              errors[`split_${index}_interestOnlyEndDate`]
+                                ? "border-red-500"
+                                : ""
+                            }`}
+                          />
+                          {errors[`split_${index}_interestOnlyEndDate`] && (
+                            <p className="text-red-400 text-sm mt-1">
+                              {errors[`split_${index}_interestOnlyEndDate`]}
+                            </p>
+                          )}
+                        </div>
+                      )}
+                      <div className="col-span-2">
+                        <button
+                          type="button"
+                          onClick={() => removeSplit(index)}
+                          className="btn-danger w-full flex items-center justify-center space-x-2"
+                        >
+                          <SafeIcon icon={FiTrash2} className="w-4 h-4" />
+                          <span>Remove Split</span>
+                        </button>
+                      </div>
+                    </div>
+                  ))}
+
+                  {!isSplitLoan && (
+                    <p className="text-sm text-gray-400">
+                      Add splits to divide this loan into fixed and variable
+                      portions, each with its own rate and repayment type.
+                    </p>
+                  )}
+                </div>
+              </div>
+
+              <div className="grid grid-cols-2 gap-4">
+                <div>
+                  <label className="block text-sm font-medium text-gray-300 mb-2">
+                    Monthly Payment
+                  </label>
+                  <input
+                    type="number"
+                    name="monthlyPayment"
+                    value={formData.monthlyPayment}
+                    onChange={handleChange}
+                    className="form-input"
+                    placeholder={
+                      calculatedRepayment > 0
+                        ? calculatedRepayment.toFixed(2)
+                        : "0"
+                    }
+                    step="0.01"
+                    min="0"
+                  />
+                  <p className="text-xs text-gray-400 mt-1">
+                    Leave blank to use the calculated repayment
+                  </p>
+                </div>
+                <div>
+                  <label className="block text-sm font-medium text-gray-300 mb-2">
+                    Start Date *
+                  </label>
+                  <input
+                    type="date"
+                    name="startDate"
+                    value={formData.startDate}
+                    onChange={handleChange}
+                    className={`form-input ${
+                      errors.startDate ? "border-red-500" : ""
+                    }`}
+                  />
+                  {errors.startDate && (
+                    <p className="text-red-400 text-sm mt-1">
+                      {errors.startDate}
+                    </p>
+                  )}
+                </div>
+              </div>
+
+              <div>
+                <label className="block text-sm font-medium text-gray-300 mb-2">
+                  Status
+                </label>
+                <select
+                  name="status"
+                  value={formData.status}
+                  onChange={handleChange}
+                  className="form-select"
+                >
+                  <option value="active">Active</option>
+                  <option value="paid_off">Paid Off</option>
+                  <option value="refinanced">Refinanced</option>
+                </select>
+              </div>
+
+              <div className="flex space-x-3 pt-4">
+                <button
+                  type="submit"
+                  className="flex-1 bg-blue-600 hover:bg-blue-700 text-white py-2 px-4 rounded-lg transition-colors"
+                >
+                  {editingLoan ? "Update Loan" : "Add Loan"}
+                </button>
+                <button
+                  type="button"
+                  onClick={() => {
+                    setShowForm(false);
+                    resetForm();
+                  }}
+                  className="flex-1 bg-gray-600 hover:bg-gray-700 text-white py-2 px-4 rounded-lg transition-colors"
+                >
+                  Cancel
+                </button>
+              </div>
+            </form>
+          </div>
+        </div>
+      )}
+
+      {/* Rate Change Modal */}
+      {canPerformActions && rateChangeForm && (
+        <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center p-4 z-50">
+          <div className="bg-gray-800 rounded-lg p-6 w-full max-w-md max-h-[90vh] overflow-y-auto">
+            <h3 className="text-xl font-semibold text-white mb-1">
+              {rateChangeForm.id ? "Edit Rate Change" : "Log Rate Change"}
+            </h3>
+            <p className="text-sm text-gray-400 mb-4">
+              The new rate applies to repayments due on or after the effective
+              date. Earlier periods keep the rate that was in force.
+            </p>
+
+            <form onSubmit={handleRateChangeSubmit} className="space-y-4">
+              <div className="grid grid-cols-2 gap-4">
+                <div>
+                  <label className="block text-sm font-medium text-gray-300 mb-2">
+                    Effective Date *
+                  </label>
+                  <input
+                    type="date"
+                    name="effectiveDate"
+                    value={rateChangeForm.effectiveDate}
+                    onChange={handleRateChangeFieldChange}
+                    className={`form-input ${
+                      rateChangeErrors.effectiveDate ? "border-red-500" : ""
+                    }`}
+                  />
+                  {rateChangeErrors.effectiveDate && (
+                    <p className="text-red-400 text-sm mt-1">
+                      {rateChangeErrors.effectiveDate}
+                    </p>
+                  )}
+                </div>
+                <div>
+                  <label className="block text-sm font-medium text-gray-300 mb-2">
+                    New Rate (%) *
+                  </label>
+                  <input
+                    type="number"
+                    name="interestRate"
+                    value={rateChangeForm.interestRate}
+                    onChange={handleRateChangeFieldChange}
+                    className={`form-input ${
+                      rateChangeErrors.interestRate ? "border-red-500" : ""
+                    }`}
+                    placeholder="0.00"
+                    step="0.01"
+                    min="0"
+                  />
+                  {rateChangeErrors.interestRate && (
+                    <p className="text-red-400 text-sm mt-1">
+                      {rateChangeErrors.interestRate}
+                    </p>
+                  )}
+                </div>
+              </div>
+
+              {rateChangeSplits.length > 0 && (
+                <div>
+                  <label className="block text-sm font-medium text-gray-300 mb-2">
+                    Applies To
+                  </label>
+                  <select
+                    name="splitId"
+                    value={rateChangeForm.splitId}
+                    onChange={handleRateChangeFieldChange}
+                    className="form-select"
+                  >
+                    <option value="">All variable portions</option>
+                    {rateChangeSplits.map((split) => (
+                      <option key={split.id} value={split.id}>
+                        {split.label || split.id}
+                      </option>
+                    ))}
+                  </select>
+                </div>
+              )}
+
+              <div>
+                <label className="block text-sm font-medium text-gray-300 mb-2">
+                  Notes
+                </label>
+                <input
+                  type="text"
+                  name="notes"
+                  value={rateChangeForm.notes}
+                  onChange={handleRateChangeFieldChange}
+                  className="form-input"
+                  placeholder="e.g., RBA cash rate increase"
+                />
+              </div>
+
+              <div className="flex space-x-3 pt-4">
+                <button
+                  type="submit"
+                  className="flex-1 bg-blue-600 hover:bg-blue-700 text-white py-2 px-4 rounded-lg transition-colors"
+                >
+                  {rateChangeForm.id ? "Update Rate Change" : "Log Rate Change"}
+                </button>
+                <button
+                  type="button"
+                  onClick={() => setRateChangeForm(null)}
+                  className="flex-1 bg-gray-600 hover:bg-gray-700 text-white py-2 px-4 rounded-lg transition-colors"
+                >
+                  Cancel
+                </button>
+              </div>
+            </form>
+          </div>
+        </div>
+      )}
+
+      {/* Refinance Modal */}
+      {canPerformActions && refinanceForm && refinanceLoan && (
+        <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center p-4 z-50">
+          <div className="bg-gray-800 rounded-lg p-6 w-full max-w-2xl max-h-[90vh] overflow-y-auto">
+            <h3 className="text-xl font-semibold text-white mb-1">Refinance Loan</h3>
+            <p className="text-sm text-gray-400 mb-4">
+              {refinanceLoan.lender} is closed on the refinance date and kept for
+              history. The new loan starts with the balance carried over.
+            </p>
+
+            <form onSubmit={handleRefinanceSubmit} className="space-y-4">
+              <div className="grid grid-cols-2 gap-4">
+                <div>
+                  <label className="block text-sm font-medium text-gray-300 mb-2">
+                    Refinance Date *
+                  </label>
+                  <input
+                    type="date"
+                    name="refinanceDate"
+                    value={refinanceForm.refinanceDate}
+                    onChange={handleRefinanceFieldChange}
+                    className={`form-input ${
+                      refinanceErrors.refinanceDate ? "border-red-500" : ""
+                    }`}
+                  />
+                  {refinanceErrors.refinanceDate && (
+                    <p className="text-red-400 text-sm mt-1">
+                      {refinanceErrors.refinanceDate}
+                    </p>
+                  )}
+                </div>
+                <div>
+                  <label className="block text-sm font-medium text-gray-300 mb-2">
+                    New Lender *
+                  </label>
+                  <input
+                    type="text"
+                    name="lender"
+                    value={refinanceForm.lender}
+                    onChange={handleRefinanceFieldChange}
+                    className={`form-input ${
+                      refinanceErrors.lender ? "border-red-500" : ""
+                    }`}
+                    placeholder="e.g., Commonwealth Bank"
+                  />
+                  {refinanceErrors.lender && (
+                    <p className="text-red-400 text-sm mt-1">
+                      {refinanceErrors.lender}
+                    </p>
+                  )}
+                </div>
+              </div>
+
+              <div className="grid grid-cols-3 gap-4">
                 <div>
                   <label className="block text-sm font-medium text-gray-300 mb-2">
-                    Original Amount *
+                    Carried Balance *
                   </label>
                   <input
-                    type="number"
+                    type="text"
+                    inputMode="decimal"
                     name="amount"
-                    value={formData.amount}
-                    onChange={handleChange}
+                    value={refinanceForm.amount}
+                    onChange={handleRefinanceFieldChange}
                     className={`form-input ${
-                      errors.amount ? "border-red-500" : ""
+                      refinanceErrors.amount ? "border-red-500" : ""
                     }`}
-                    placeholder="0"
-                    step="0.01"
-                    min="0"
                   />
-                  {errors.amount && (
-                    <p className="text-red-400 text-sm mt-1">{errors.amount}</p>
+                  {refinanceErrors.amount && (
+                    <p className="text-red-400 text-sm mt-1">
+                      {refinanceErrors.amount}
+                    </p>
                   )}
                 </div>
                 <div>
                   <label className="block text-sm font-medium text-gray-300 mb-2">
-                    Current Balance
+                    Interest Rate (%) *
                   </label>
                   <input
                     type="number"
-                    name="currentBalance"
-                    value={formData.currentBalance}
-                    onChange={handleChange}
-                    className="form-input"
-                    placeholder="Same as original"
                     step="0.01"
-                    min="0"
+                    name="interestRate"
+                    value={refinanceForm.interestRate}
+                    onChange={handleRefinanceFieldChange}
+                    className={`form-input ${
+                      refinanceErrors.interestRate ? "border-red-500" : ""
+                    }`}
+                  />
+                  {refinanceErrors.interestRate && (
+                    <p className="text-red-400 text-sm mt-1">
+                      {refinanceErrors.interestRate}
+                    </p>
+                  )}
+                </div>
+                <div>
+                  <label className="block text-sm font-medium text-gray-300 mb-2">
+                    Term (Years) *
+                  </label>
+                  <input
+                    type="number"
+                    name="termYears"
+                    value={refinanceForm.termYears}
+                    onChange={handleRefinanceFieldChange}
+                    className={`form-input ${
+                      refinanceErrors.termYears ? "border-red-500" : ""
+                    }`}
                   />
+                  {refinanceErrors.termYears && (
+                    <p className="text-red-400 text-sm mt-1">
+                      {refinanceErrors.termYears}
+                    </p>
+                  )}
                 </div>
               </div>
 
               <div className="grid grid-cols-2 gap-4">
                 <div>
                   <label className="block text-sm font-medium text-gray-300 mb-2">
-                    Interest Rate (%) *
+                    Repayment Type
+                  </label>
+                  <select
+                    name="repaymentType"
+                    value={refinanceForm.repaymentType}
+                    onChange={handleRefinanceFieldChange}
+                    className="form-select"
+                  >
+                    <option value={REPAYMENT_TYPES.PRINCIPAL_AND_INTEREST}>
+                      Principal & Interest
+                    </option>
+                    <option value={REPAYMENT_TYPES.INTEREST_ONLY}>Interest Only</option>
+                  </select>
+                </div>
+                {refinanceForm.repaymentType === REPAYMENT_TYPES.INTEREST_ONLY && (
+                  <div>
+                    <label className="block text-sm font-medium text-gray-300 mb-2">
+                      Interest Only Until
+                    </label>
+                    <input
+                      type="date"
+                      name="interestOnlyEndDate"
+                      value={refinanceForm.interestOnlyEndDate}
+                      onChange={handleRefinanceFieldChange}
+                      className={`form-input ${
+                        refinanceErrors.interestOnlyEndDate ? "border-red-500" : ""
+                      }`}
+                    />
+                    {refinanceErrors.interestOnlyEndDate && (
+                      <p className="text-red-400 text-sm mt-1">
+                        {refinanceErrors.interestOnlyEndDate}
+                      </p>
+                    )}
+                  </div>
+                )}
+              </div>
+
+              {/* Refinance costs */}
+              <div>
+                <div className="flex justify-between items-center mb-2">
+                  <label className="block text-sm font-medium text-gray-300">
+                    Refinance Costs
+                  </label>
+                  <button
+                    type="button"
+                    onClick={addRefinanceCost}
+                    className="flex items-center space-x-1 text-sm text-blue-400 hover:text-blue-300 transition-colors"
+                  >
+                    <SafeIcon icon={FiPlus} className="w-4 h-4" />
+                    <span>Add Cost</span>
+                  </button>
+                </div>
+                <div className="space-y-2">
+                  {refinanceForm.costs.map((cost, index) => (
+                    <div key={cost.id} className="grid grid-cols-12 gap-2">
+                      <input
+                        type="text"
+                        value={cost.category}
+                        onChange={(e) =>
+                          handleRefinanceCostChange(index, "category", e.target.value)
+                        }
+                        className="form-input col-span-4"
+                        placeholder="e.g., Discharge fee"
+                      />
+                      <input
+                        type="text"
+                        inputMode="decimal"
+                        value={cost.amount}
+                        onChange={(e) =>
+                          handleRefinanceCostChange(index, "amount", e.target.value)
+                        }
+                        className="form-input col-span-3"
+                        placeholder="0"
+                      />
+                      <input
+                        type="text"
+                        value={cost.notes}
+                        onChange={(e) =>
+                          handleRefinanceCostChange(index, "notes", e.target.value)
+                        }
+                        className="form-input col-span-4"
+                        placeholder="Optional notes"
+                      />
+                      <button
+                        type="button"
+                        onClick={() => removeRefinanceCost(index)}
+                        className="col-span-1 p-2 text-gray-400 hover:text-red-400 transition-colors"
+                      >
+                        <SafeIcon icon={FiTrash2} className="w-4 h-4" />
+                      </button>
+                    </div>
+                  ))}
+                </div>
+              </div>
+
+              {refinanceComparison && (
+                <div>
+                  <p className="text-sm font-medium text-gray-300 mb-2">
+                    Before / After
+                  </p>
+                  {renderRefinanceComparison(refinanceComparison)}
+                </div>
+              )}
+
+              <div className="flex space-x-3 pt-4">
+                <button
+                  type="submit"
+                  className="flex-1 bg-blue-600 hover:bg-blue-700 text-white py-2 px-4 rounded-lg transition-colors"
+                >
+                  Refinance Loan
+                </button>
+                <button
+                  type="button"
+                  onClick={() => setRefinanceForm(null)}
+                  className="flex-1 bg-gray-600 hover:bg-gray-700 text-white py-2 px-4 rounded-lg transition-colors"
+                >
+                  Cancel
+                </button>
+              </div>
+            </form>
+          </div>
+        </div>
+      )}
+
+      {/* Extra Repayment Modal */}
+      {canPerformActions && extraRepaymentForm && (
+        <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center p-4 z-50">
+          <div className="bg-gray-800 rounded-lg p-6 w-full max-w-md max-h-[90vh] overflow-y-auto">
+            <h3 className="text-xl font-semibold text-white mb-1">
+              {extraRepaymentForm.id ? "Edit Extra Repayment" : "Add Extra Repayment"}
+            </h3>
+            <p className="text-sm text-gray-400 mb-4">
+              Extra repayments come off the balance on the next repayment date.
+              The scheduled repayment stays the same, so the loan is paid off sooner.
+            </p>
+
+            <form onSubmit={handleExtraRepaymentSubmit} className="space-y-4">
+              <div className="grid grid-cols-2 gap-4">
+                <div>
+                  <label className="block text-sm font-medium text-gray-300 mb-2">
+                    Type
+                  </label>
+                  <select
+                    name="repaymentType"
+                    value={extraRepaymentForm.repaymentType}
+                    onChange={handleExtraRepaymentFieldChange}
+                    className="form-select"
+                  >
+                    <option value={EXTRA_REPAYMENT_TYPES.LUMP_SUM}>Lump sum</option>
+                    <option value={EXTRA_REPAYMENT_TYPES.RECURRING}>
+                      Recurring (monthly)
+                    </option>
+                  </select>
+                </div>
+                <div>
+                  <label className="block text-sm font-medium text-gray-300 mb-2">
+                    Amount *
                   </label>
                   <input
-                    type="number"
-                    name="interestRate"
-                    value={formData.interestRate}
-                    onChange={handleChange}
+                    type="text"
+                    inputMode="decimal"
+                    name="amount"
+                    value={extraRepaymentForm.amount}
+                    onChange={handleExtraRepaymentFieldChange}
                     className={`form-input ${
-                      errors.interestRate ? "border-red-500" : ""
+                      extraRepaymentErrors.amount ? "border-red-500" : ""
                     }`}
-                    placeholder="0.00"
-                    step="0.01"
-                    min="0"
+                    placeholder="0"
                   />
-                  {errors.interestRate && (
+                  {extraRepaymentErrors.amount && (
                     <p className="text-red-400 text-sm mt-1">
-                      {errors.interestRate}
+                      {extraRepaymentErrors.amount}
                     </p>
                   )}
                 </div>
+              </div>
+
+              <div className="grid grid-cols-2 gap-4">
                 <div>
                   <label className="block text-sm font-medium text-gray-300 mb-2">
-                    Loan Term (years) *
+                    {isRecurringExtra ? "Start Date *" : "Payment Date *"}
                   </label>
                   <input
-                    type="number"
-                    name="termYears"
-                    value={formData.termYears}
-                    onChange={handleChange}
+                    type="date"
+                    name="paymentDate"
+                    value={extraRepaymentForm.paymentDate}
+                    onChange={handleExtraRepaymentFieldChange}
                     className={`form-input ${
-                      errors.termYears ? "border-red-500" : ""
+                      extraRepaymentErrors.paymentDate ? "border-red-500" : ""
                     }`}
-                    placeholder="30"
-                    min="1"
                   />
-                  {errors.termYears && (
+                  {extraRepaymentErrors.paymentDate && (
                     <p className="text-red-400 text-sm mt-1">
-                      {errors.termYears}
+                      {extraRepaymentErrors.paymentDate}
                     </p>
                   )}
                 </div>
+                {isRecurringExtra && (
+                  <div>
+                    <label className="block text-sm font-medium text-gray-300 mb-2">
+                      End Date
+                    </label>
+                    <input
+                      type="date"
+                      name="endDate"
+                      value={extraRepaymentForm.endDate}
+                      onChange={handleExtraRepaymentFieldChange}
+                      className={`form-input ${
+                        extraRepaymentErrors.endDate ? "border-red-500" : ""
+                      }`}
+                    />
+                    {extraRepaymentErrors.endDate && (
+                      <p className="text-red-400 text-sm mt-1">
+                        {extraRepaymentErrors.endDate}
+                      </p>
+                    )}
+                  </div>
+                )}
+              </div>
+
+              {extraRepaymentSplits.length > 0 && (
+                <div>
+                  <label className="block text-sm font-medium text-gray-300 mb-2">
+                    Applies To
+                  </label>
+                  <select
+                    name="splitId"
+                    value={extraRepaymentForm.splitId}
+                    onChange={handleExtraRepaymentFieldChange}
+                    className="form-select"
+                  >
+                    <option value="">Whole loan</option>
+                    {extraRepaymentSplits.map((split) => (
+                      <option key={split.id} value={split.id}>
+                        {split.label || split.id}
+                      </option>
+                    ))}
+                  </select>
+                </div>
+              )}
+
+              <div>
+                <label className="block text-sm font-medium text-gray-300 mb-2">
+                  Notes
+                </label>
+                <input
+                  type="text"
+                  name="notes"
+                  value={extraRepaymentForm.notes}
+                  onChange={handleExtraRepaymentFieldChange}
+                  className="form-input"
+                  placeholder="e.g., Tax refund"
+                />
+              </div>
+
+              <div className="flex space-x-3 pt-4">
+                <button
+                  type="submit"
+                  className="flex-1 bg-blue-600 hover:bg-blue-700 text-white py-2 px-4 rounded-lg transition-colors"
+                >
+                  {extraRepaymentForm.id ? "Update Repayment" : "Add Repayment"}
+                </button>
+                <button
+                  type="button"
+                  onClick={() => setExtraRepaymentForm(null)}
+                  className="flex-1 bg-gray-600 hover:bg-gray-700 text-white py-2 px-4 rounded-lg transition-colors"
+                >
+                  Cancel
+                </button>
               </div>
+            </form>
+          </div>
+        </div>
+      )}
+
+      {/* Offset Account Modal */}
+      {canPerformActions && offsetAccountForm && (
+        <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center p-4 z-50">
+          <div className="bg-gray-800 rounded-lg p-6 w-full max-w-md max-h-[90vh] overflow-y-auto">
+            <h3 className="text-xl font-semibold text-white mb-1">
+              {offsetAccountForm.id ? "Edit Account" : "Add Offset / Redraw Account"}
+            </h3>
+            <p className="text-sm text-gray-400 mb-4">
+              Interest is charged on the loan balance less the balance held in
+              linked accounts.
+            </p>
 
+            <form onSubmit={handleOffsetAccountSubmit} className="space-y-4">
               <div className="grid grid-cols-2 gap-4">
                 <div>
                   <label className="block text-sm font-medium text-gray-300 mb-2">
-                    Monthly Payment
+                    Name *
                   </label>
                   <input
-                    type="number"
-                    name="monthlyPayment"
-                    value={formData.monthlyPayment}
-                    onChange={handleChange}
-                    className="form-input"
-                    placeholder="0"
-                    step="0.01"
-                    min="0"
+                    type="text"
+                    name="name"
+                    value={offsetAccountForm.name}
+                    onChange={handleOffsetAccountFieldChange}
+                    className={`form-input ${offsetErrors.name ? "border-red-500" : ""}`}
+                    placeholder="e.g., Everyday offset"
                   />
+                  {offsetErrors.name && (
+                    <p className="text-red-400 text-sm mt-1">{offsetErrors.name}</p>
+                  )}
                 </div>
                 <div>
                   <label className="block text-sm font-medium text-gray-300 mb-2">
-                    Start Date *
+                    Type
+                  </label>
+                  <select
+                    name="accountType"
+                    value={offsetAccountForm.accountType}
+                    onChange={handleOffsetAccountFieldChange}
+                    className="form-select"
+                  >
+                    <option value="offset">Offset</option>
+                    <option value="redraw">Redraw</option>
+                  </select>
+                </div>
+              </div>
+
+              {offsetAccountSplits.length > 0 && (
+                <div>
+                  <label className="block text-sm font-medium text-gray-300 mb-2">
+                    Linked To
+                  </label>
+                  <select
+                    name="splitId"
+                    value={offsetAccountForm.splitId}
+                    onChange={handleOffsetAccountFieldChange}
+                    className="form-select"
+                  >
+                    <option value="">Whole loan</option>
+                    {offsetAccountSplits.map((split) => (
+                      <option key={split.id} value={split.id}>
+                        {split.label || split.id}
+                      </option>
+                    ))}
+                  </select>
+                </div>
+              )}
+
+              {!offsetAccountForm.id && (
+                <div className="grid grid-cols-2 gap-4">
+                  <div>
+                    <label className="block text-sm font-medium text-gray-300 mb-2">
+                      Opening Balance
+                    </label>
+                    <input
+                      type="text"
+                      inputMode="decimal"
+                      name="openingBalance"
+                      value={offsetAccountForm.openingBalance}
+                      onChange={handleOffsetAccountFieldChange}
+                      className="form-input"
+                      placeholder="0"
+                    />
+                  </div>
+                  <div>
+                    <label className="block text-sm font-medium text-gray-300 mb-2">
+                      As At
+                    </label>
+                    <input
+                      type="date"
+                      name="openingDate"
+                      value={offsetAccountForm.openingDate}
+                      onChange={handleOffsetAccountFieldChange}
+                      className={`form-input ${
+                        offsetErrors.openingDate ? "border-red-500" : ""
+                      }`}
+                    />
+                    {offsetErrors.openingDate && (
+                      <p className="text-red-400 text-sm mt-1">
+                        {offsetErrors.openingDate}
+                      </p>
+                    )}
+                  </div>
+                </div>
+              )}
+
+              <div>
+                <label className="block text-sm font-medium text-gray-300 mb-2">
+                  Notes
+                </label>
+                <input
+                  type="text"
+                  name="notes"
+                  value={offsetAccountForm.notes}
+                  onChange={handleOffsetAccountFieldChange}
+                  className="form-input"
+                  placeholder="Optional notes"
+                />
+              </div>
+
+              <div className="flex space-x-3 pt-4">
+                <button
+                  type="submit"
+                  className="flex-1 bg-blue-600 hover:bg-blue-700 text-white py-2 px-4 rounded-lg transition-colors"
+                >
+                  {offsetAccountForm.id ? "Update Account" : "Add Account"}
+                </button>
+                <button
+                  type="button"
+                  onClick={() => setOffsetAccountForm(null)}
+                  className="flex-1 bg-gray-600 hover:bg-gray-700 text-white py-2 px-4 rounded-lg transition-colors"
+                >
+                  Cancel
+                </button>
+              </div>
+            </form>
+          </div>
+        </div>
+      )}
+
+      {/* Offset Balance Modal */}
+      {canPerformActions && offsetBalanceForm && (
+        <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center p-4 z-50">
+          <div className="bg-gray-800 rounded-lg p-6 w-full max-w-md max-h-[90vh] overflow-y-auto">
+            <h3 className="text-xl font-semibold text-white mb-1">Record Balance</h3>
+            <p className="text-sm text-gray-400 mb-4">
+              {offsetBalanceForm.accountName} holds this balance from the date
+              below until the next recorded balance.
+            </p>
+
+            <form onSubmit={handleOffsetBalanceSubmit} className="space-y-4">
+              <div className="grid grid-cols-2 gap-4">
+                <div>
+                  <label className="block text-sm font-medium text-gray-300 mb-2">
+                    Date *
                   </label>
                   <input
                     type="date"
-                    name="startDate"
-                    value={formData.startDate}
-                    onChange={handleChange}
+                    name="balanceDate"
+                    value={offsetBalanceForm.balanceDate}
+                    onChange={handleOffsetBalanceFieldChange}
                     className={`form-input ${
-                      errors.startDate ? "border-red-500" : ""
+                      offsetErrors.balanceDate ? "border-red-500" : ""
                     }`}
                   />
-                  {errors.startDate && (
+                  {offsetErrors.balanceDate && (
                     <p className="text-red-400 text-sm mt-1">
-                      {errors.startDate}
+                      {offsetErrors.balanceDate}
+                    </p>
+                  )}
+                </div>
+                <div>
+                  <label className="block text-sm font-medium text-gray-300 mb-2">
+                    Balance *
+                  </label>
+                  <input
+                    type="text"
+                    inputMode="decimal"
+                    name="balance"
+                    value={offsetBalanceForm.balance}
+                    onChange={handleOffsetBalanceFieldChange}
+                    className={`form-input ${
+                      offsetErrors.balance ? "border-red-500" : ""
+                    }`}
+                    placeholder="0"
+                  />
+                  {offsetErrors.balance && (
+                    <p className="text-red-400 text-sm mt-1">
+                      {offsetErrors.balance}
                     </p>
                   )}
                 </div>
@@ -554,18 +3181,16 @@ const LoanManager = ({
 
               <div>
                 <label className="block text-sm font-medium text-gray-300 mb-2">
-                  Status
+                  Notes
                 </label>
-                <select
-                  name="status"
-                  value={formData.status}
-                  onChange={handleChange}
-                  className="form-select"
-                >
-                  <option value="active">Active</option>
-                  <option value="paid_off">Paid Off</option>
-                  <option value="refinanced">Refinanced</option>
-                </select>
+                <input
+                  type="text"
+                  name="notes"
+                  value={offsetBalanceForm.notes}
+                  onChange={handleOffsetBalanceFieldChange}
+                  className="form-input"
+                  placeholder="Optional notes"
+                />
               </div>
 
               <div className="flex space-x-3 pt-4">
@@ -573,14 +3198,11 @@ const LoanManager = ({
                   type="submit"
                   className="flex-1 bg-blue-600 hover:bg-blue-700 text-white py-2 px-4 rounded-lg transition-colors"
                 >
-                  {editingLoan ? "Update Loan" : "Add Loan"}
+                  Record Balance
                 </button>
                 <button
                   type="button"
-                  onClick={() => {
-                    setShowForm(false);
-                    resetForm();
-                  }}
+                  onClick={() => setOffsetBalanceForm(null)}
                   className="flex-1 bg-gray-600 hover:bg-gray-700 text-white py-2 px-4 rounded-lg transition-colors"
                 >
                   Cancel
@@ -0,0 +1,667 @@
+import React, { useState } from 'react';
+import { motion, AnimatePresence } from 'framer-motion';
+import * as FiIcons from 'react-icons/fi';
+import SafeIcon from '../common/SafeIcon';
+import { parseCurrency, formatForInput, formatCurrency } from '../utils/number';
+import { canUserPerformActions } from '../utils/AuthUtils';
+import { createOwner, updateOwner, deleteOwner, setPropertyOwnership, updatePropertyEntity } from '../utils/DataUtils';
+import {
+  OWNER_TYPES,
+  OWNER_TYPE_LABELS,
+  getOwnershipHistory,
+  getPropertySharesAt,
+  getEntities,
+  getEntityName,
+  createEntityResolver,
+  PERSONAL_ENTITY_ID
+} from '../utils/OwnershipCalculations';
+import { ENTITY_TAX_RATES } from '../utils/AfterTaxCalculations';
+import DateUtils from '../utils/DateUtils';
+
+const { FiPlus, FiEdit, FiTrash2, FiSave, FiX, FiBriefcase, FiHome, FiInfo } = FiIcons;
+
+const EMPTY_OWNER_FORM = {
+  name: '',
+  owner_type: OWNER_TYPES.INDIVIDUAL,
+  other_income: '',
+  marginal_rate: '',
+  notes: ''
+};
+
+const toDateInput = (date) =>
+  `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+
+// Owners (people, trusts, companies and SMSFs) and the share each holds in each property.
+// A change of ownership is recorded from an effective date, so earlier years keep the old shares.
+const OwnerManager = ({ user, owners, propertyOwnerships, properties, onSaveData }) => {
+  const canPerformActions = canUserPerformActions(user);
+  const safeOwners = Array.isArray(owners) ? owners.filter(Boolean) : [];
+  const safePropertyOwnerships = Array.isArray(propertyOwnerships) ? propertyOwnerships : [];
+  const safeProperties = Array.isArray(properties) ? properties.filter(Boolean) : [];
+  const ownership = { owners: safeOwners, propertyOwnerships: safePropertyOwnerships };
+  const entities = getEntities(safeOwners);
+  const resolveEntity = createEntityResolver(safeOwners, safeProperties);
+
+  const [showOwnerForm, setShowOwnerForm] = useState(false);
+  const [editingOwner, setEditingOwner] = useState(null);
+  const [ownerForm, setOwnerForm] = useState(EMPTY_OWNER_FORM);
+  const [ownerErrors, setOwnerErrors] = useState({});
+
+  const [shareProperty, setShareProperty] = useState(null);
+  const [shareForm, setShareForm] = useState({ effectiveFrom: '', shares: {} });
+  const [shareError, setShareError] = useState('');
+  const [saving, setSaving] = useState(false);
+
+  const ownerName = (ownerId) => safeOwners.find(owner => owner.id === ownerId)?.name || 'Removed owner';
+
+  // Owner form
+  const handleOwnerChange = (e) => {
+    const { name, value } = e.target;
+    setOwnerForm(prev => ({ ...prev, [name]: value }));
+
+    if (ownerErrors[name]) {
+      setOwnerErrors(prev => ({ ...prev, [name]: null }));
+    }
+  };
+
+  const handleAddOwner = () => {
+    setOwnerForm(EMPTY_OWNER_FORM);
+    setOwnerErrors({});
+    setEditingOwner(null);
+    setShowOwnerForm(true);
+  };
+
+  const handleEditOwner = (owner) => {
+    setOwnerForm({
+      name: owner.name || '',
+      owner_type: owner.owner_type || OWNER_TYPES.INDIVIDUAL,
+      other_income: owner.other_income ? formatForInput(owner.other_income) : '',
+      marginal_rate: owner.marginal_rate ?? '',
+      notes: owner.notes || ''
+    });
+    setOwnerErrors({});
+    setEditingOwner(owner);
+    setShowOwnerForm(true);
+  };
+
+  const handleCancelOwner = () => {
+    setShowOwnerForm(false);
+    setEditingOwner(null);
+    setOwnerForm(EMPTY_OWNER_FORM);
+  };
+
+  const handleSaveOwner = async () => {
+    const newErrors = {};
+    if (!ownerForm.name.trim()) {
+      newErrors.name = 'Name is required';
+    }
+    const rate = ownerForm.marginal_rate === '' ? null : parseFloat(ownerForm.marginal_rate);
+    if (rate !== null && !(rate >= 0 && rate <= 100)) {
+      newErrors.marginal_rate = 'Rate must be between 0 and 100%';
+    }
+    setOwnerErrors(newErrors);
+    if (Object.keys(newErrors).length > 0) return;
+
+    try {
+      const ownerData = {
+        name: ownerForm.name.trim(),
+        owner_type: ownerForm.owner_type,
+        other_income: parseCurrency(ownerForm.other_income),
+        marginal_rate: rate,
+        notes: ownerForm.notes
+      };
+      const result = editingOwner
+        ? await updateOwner(editingOwner.id, ownerData)
+        : await createOwner(ownerData);
+      if (!result.success) {
+        setOwnerErrors({ submit: result.error || 'Failed to save the owner' });
+        return;
+      }
+
+      if (onSaveData) {
+        onSaveData(null, editingOwner ? 'Owner updated successfully' : 'Owner added successfully');
+      }
+      handleCancelOwner();
+    } catch (error) {
+      console.error('Error saving owner:', error);
+    }
+  };
+
+  const handleDeleteOwner = async (owner) => {
+    const booksNote = entities.some(entity => entity.id === owner.id)
+      ? ' Properties in their books move to the personal books, and their loans and transactions follow the property.'
+      : '';
+    if (!window.confirm(`Are you sure you want to delete "${owner.name}"? Their shares in every property are deleted too.${booksNote}`)) {
+      return;
+    }
+
+    try {
+      const result = await deleteOwner(owner.id);
+      if (!result.success) {
+        console.error('Failed to delete owner:', result.error);
+        return;
+      }
+
+      if (onSaveData) {
+        onSaveData(null, 'Owner deleted successfully');
+      }
+    } catch (error) {
+      console.error('Error deleting owner:', error);
+    }
+  };
+
+  // Ownership changes
+  const handleChangeOwnership = (property, change = null) => {
+    const history = getOwnershipHistory(property, safePropertyOwnerships);
+    const effectiveFrom = change
+      ? change.effectiveFrom
+      : history.length === 0 && property.purchase_date
+        ? String(property.purchase_date).split('T')[0]
+        : toDateInput(new Date());
+    const current = change
+      ? change.shares.map(share => ({ owner: { id: share.owner_id }, percentage: share.percentage }))
+      : history.length > 0 ? getPropertySharesAt(property, ownership) : [];
+
+    setShareForm({
+      effectiveFrom,
+      shares: Object.fromEntries(safeOwners.map(owner => {
+        const share = current.find(s => s.owner.id === owner.id);
+        return [owner.id, share ? String(share.percentage) : ''];
+      }))
+    });
+    setShareError('');
+    setShareProperty(property);
+  };
+
+  const handleSaveOwnership = async () => {
+    const shares = safeOwners
+      .map(owner => ({ owner_id: owner.id, percentage: parseFloat(shareForm.shares[owner.id]) || 0 }))
+      .filter(share => share.percentage > 0);
+    const total = shares.reduce((sum, share) => sum + share.percentage, 0);
+    if (!shareForm.effectiveFrom) {
+      setShareError('Effective date is required');
+      return;
+    }
+    if (shares.length === 0 || total > 100) {
+      setShareError('Shares must add up to more than 0% and no more than 100%');
+      return;
+    }
+
+    setSaving(true);
+    try {
+      const result = await setPropertyOwnership(shareProperty, shareForm.effectiveFrom, shares, safePropertyOwnerships);
+      if (!result.success) {
+        setShareError(result.error || 'Failed to save the ownership');
+        return;
+      }
+      if (onSaveData) {
+        onSaveData(null, 'Ownership updated successfully');
+      }
+      setShareProperty(null);
+    } catch (error) {
+      console.error('Error saving ownership:', error);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleEntityChange = async (property, entityId) => {
+    try {
+      const result = await updatePropertyEntity(property, entityId || null);
+      if (!result.success) {
+        console.error('Failed to update property entity:', result.error);
+        return;
+      }
+      if (onSaveData) {
+        onSaveData(null, `Property moved to ${getEntityName(entityId || PERSONAL_ENTITY_ID, safeOwners)} books`);
+      }
+    } catch (error) {
+      console.error('Error updating property entity:', error);
+    }
+  };
+
+  const handleDeleteChange = async (property, change) => {
+    if (!window.confirm(`Delete the ownership change from ${DateUtils.formatShortDate(change.effectiveFrom)}?`)) {
+      return;
+    }
+
+    try {
+      const result = await setPropertyOwnership(property, change.effectiveFrom, [], safePropertyOwnerships);
+      if (!result.success) {
+        console.error('Failed to delete ownership change:', result.error);
+        return;
+      }
+      if (onSaveData) {
+        onSaveData(null, 'Ownership change deleted successfully');
+      }
+    } catch (error) {
+      console.error('Error deleting ownership change:', error);
+    }
+  };
+
+  const shareTotal = Object.values(shareForm.shares).reduce((sum, value) => sum + (parseFloat(value) || 0), 0);
+
+  return (
+    <div className="space-y-6">
+      {/* Header */}
+      <div className="flex flex-col md:flex-row md:items-center md:justify-between gap-4">
+        <div>
+          <h1 className="text-3xl font-bold text-white">Owners</h1>
+          <p className="text-gray-400 mt-1">
+            Who holds each property, and in what shares, for per-owner portfolio, tax and CGT figures
+          </p>
+        </div>
+        {canPerformActions && (
+          <button
+            onClick={handleAddOwner}
+            className="btn-primary flex items-center space-x-2"
+          >
+            <SafeIcon icon={FiPlus} className="w-4 h-4" />
+            <span>Add Owner</span>
+          </button>
+        )}
+      </div>
+
+      {/* Owners */}
+      <div className="card">
+        <div className="flex items-center space-x-2 mb-4">
+          <SafeIcon icon={FiBriefcase} className="w-5 h-5 text-blue-400" />
+          <h3 className="text-lg font-semibold text-white">Owners and Entities</h3>
+        </div>
+
+        {safeOwners.length === 0 ? (
+          <p className="text-gray-400 text-sm">
+            No owners yet. Until you add one, every property is treated as yours at its ownership percentage.
+          </p>
+        ) : (
+          <div className="overflow-x-auto">
+            <table className="w-full text-sm">
+              <thead>
+                <tr className="text-gray-400 text-left">
+                  <th className="py-2 pr-3 font-medium">Name</th>
+                  <th className="py-2 pr-3 font-medium">Type</th>
+                  <th className="py-2 pr-3 font-medium text-right">Other Income</th>
+                  <th className="py-2 pr-3 font-medium text-right">Tax Rate</th>
+                  <th className="py-2 font-medium"></th>
+                </tr>
+              </thead>
+              <tbody>
+                {safeOwners.map(owner => {
+                  const type = owner.owner_type || OWNER_TYPES.INDIVIDUAL;
+                  const hasRate = owner.marginal_rate !== null && owner.marginal_rate !== undefined && owner.marginal_rate !== '';
+
+                  return (
+                    <tr key={owner.id} className="border-t border-gray-700">
+                      <td className="py-2 pr-3 text-white">
+                        {owner.name}
+                        {owner.notes && <p className="text-gray-500 text-xs">{owner.notes}</p>}
+                      </td>
+                      <td className="py-2 pr-3 text-gray-300">{OWNER_TYPE_LABELS[type]}</td>
+                      <td className="py-2 pr-3 text-right text-gray-300">{formatCurrency(owner.other_income || 0)}</td>
+                      <td className="py-2 pr-3 text-right text-gray-300">
+                        {hasRate
+                          ? `${parseFloat(owner.marginal_rate)}%`
+                          : type === OWNER_TYPES.INDIVIDUAL ? 'Resident rates' : `${ENTITY_TAX_RATES[type]}%`}
+                      </td>
+                      <td className="py-2 text-right">
+                        {canPerformActions && (
+                          <div className="flex justify-end space-x-2">
+                            <button
+                              onClick={() => handleEditOwner(owner)}
+                              className="text-gray-400 hover:text-blue-400 transition-colors"
+                              title="Edit owner"
+                            >
+                              <SafeIcon icon={FiEdit} className="w-4 h-4" />
+                            </button>
+                            <button
+                              onClick={() => handleDeleteOwner(owner)}
+                              className="text-gray-400 hover:text-red-400 transition-colors"
+                              title="Delete owner"
+                            >
+                              <SafeIcon icon={FiTrash2} className="w-4 h-4" />
+                            </button>
+                          </div>
+                        )}
+                      </td>
+                    </tr>
+                  );
+                })}
+              </tbody>
+            </table>
+          </div>
+        )}
+      </div>
+
+      {/* Property ownership */}
+      <div className="card">
+        <div className="flex items-center space-x-2 mb-4">
+          <SafeIcon icon={FiHome} className="w-5 h-5 text-blue-400" />
+          <h3 className="text-lg font-semibold text-white">Property Ownership</h3>
+        </div>
+
+        {safeProperties.length === 0 ? (
+          <p className="text-gray-400 text-sm">No properties yet.</p>
+        ) : (
+          <div className="space-y-4">
+            {safeProperties.map(property => {
+              const history = getOwnershipHistory(property, safePropertyOwnerships);
+              const current = getPropertySharesAt(property, ownership);
+
+              return (
+                <div key={property.id} className="bg-gray-700/30 rounded p-3">
+                  <div className="flex flex-col md:flex-row md:items-center md:justify-between gap-2">
+                    <div>
+                      <p className="text-white font-medium">{property.name || property.address}</p>
+                      <p className="text-gray-400 text-sm">
+                        {current.length > 0
+                          ? current.map(share => `${share.owner.name} ${share.percentage}%`).join(' · ')
+                          : 'No current owners'}
+                        {history.length === 0 && safeOwners.length > 0 && (
+                          <span className="text-gray-500"> · not recorded yet</span>
+                        )}
+                      </p>
+                    </div>
+                    <div className="flex flex-wrap items-center gap-2 self-start md:self-auto">
+                      {entities.length > 0 && (
+                        canPerformActions ? (
+                          <select
+                            value={resolveEntity(property) === PERSONAL_ENTITY_ID ? '' : resolveEntity(property)}
+                            onChange={(e) => handleEntityChange(property, e.target.value)}
+                            className="form-select text-sm"
+                            title="Whose books the property is kept in"
+                          >
+                            <option value="">Personal books</option>
+                            {entities.map(entity => (
+                              <option key={entity.id} value={entity.id}>{entity.name} books</option>
+                            ))}
+                          </select>
+                        ) : (
+                          <span className="text-gray-400 text-sm">{getEntityName(resolveEntity(property), safeOwners)} books</span>
+                        )
+                      )}
+                      {canPerformActions && safeOwners.length > 0 && (
+                        <button
+                          onClick={() => handleChangeOwnership(property)}
+                          className="btn-secondary flex items-center space-x-2 text-sm"
+                        >
+                          <SafeIcon icon={FiEdit} className="w-4 h-4" />
+                          <span>{history.length === 0 ? 'Set Ownership' : 'Change Ownership'}</span>
+                        </button>
+                      )}
+                    </div>
+                  </div>
+
+                  {history.length > 0 && (
+                    <div className="mt-3 space-y-1">
+                      {[...history].reverse().map(change => (
+                        <div key={change.effectiveFrom} className="flex items-center justify-between text-xs">
+                          <span className="text-gray-400">
+                            From {DateUtils.formatShortDate(change.effectiveFrom)}:{' '}
+                            <span className="text-gray-300">
+                              {change.shares.map(share => `${ownerName(share.owner_id)} ${share.percentage}%`).join(' · ')}
+                            </span>
+                          </span>
+                          {canPerformActions && (
+                            <div className="flex space-x-2 ml-4">
+                              <button
+                                onClick={() => handleChangeOwnership(property, change)}
+                                className="text-gray-400 hover:text-blue-400 transition-colors"
+                                title="Edit this change"
+                              >
+                                <SafeIcon icon={FiEdit} className="w-3 h-3" />
+                              </button>
+                              <button
+                                onClick={() => handleDeleteChange(property, change)}
+                                className="text-gray-400 hover:text-red-400 transition-colors"
+                                title="Delete this change"
+                              >
+                                <SafeIcon icon={FiTrash2} className="w-3 h-3" />
+                              </button>
+                            </div>
+                          )}
+                        </div>
+                      ))}
+                    </div>
+                  )}
+                </div>
+              );
+            })}
+          </div>
+        )}
+
+        <p className="text-gray-500 text-xs mt-4 flex items-start">
+          <SafeIcon icon={FiInfo} className="w-3 h-3 mr-1 mt-0.5 flex-shrink-0" />
+          Shares apply from their effective date until the next change. Income and deductions are split by the days
+          each share applied in the year; a capital gain by the shares on the sale date.
+        </p>
+      </div>
+
+      {/* Owner form */}
+      <AnimatePresence>
+        {canPerformActions && showOwnerForm && (
+          <motion.div
+            initial={{ opacity: 0, scale: 0.95 }}
+            animate={{ opacity: 1, scale: 1 }}
+            exit={{ opacity: 0, scale: 0.95 }}
+            className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center p-4 z-50"
+            onClick={(e) => e.target === e.currentTarget && handleCancelOwner()}
+          >
+            <div className="bg-gray-800 rounded-lg p-6 w-full max-w-2xl max-h-[90vh] overflow-y-auto">
+              <div className="flex items-center justify-between mb-6">
+                <h2 className="text-xl font-bold text-white">{editingOwner ? 'Edit Owner' : 'Add Owner'}</h2>
+                <button
+                  onClick={handleCancelOwner}
+                  className="text-gray-400 hover:text-white transition-colors"
+                >
+                  <SafeIcon icon={FiX} className="w-6 h-6" />
+                </button>
+              </div>
+
+              <div className="space-y-4">
+                <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+                  <div>
+                    <label className="block text-sm font-medium text-gray-300 mb-2">
+                      Name *
+                    </label>
+                    <input
+                      type="text"
+                      name="name"
+                      value={ownerForm.name}
+                      onChange={handleOwnerChange}
+                      className={`form-input ${ownerErrors.name ? 'border-red-500' : ''}`}
+                      placeholder="e.g., Smith Family Trust"
+                    />
+                    {ownerErrors.name && <p className="text-red-400 text-sm mt-1">{ownerErrors.name}</p>}
+                  </div>
+
+                  <div>
+                    <label className="block text-sm font-medium text-gray-300 mb-2">
+                      Type
+                    </label>
+                    <select
+                      name="owner_type"
+                      value={ownerForm.owner_type}
+                      onChange={handleOwnerChange}
+                      className="form-select"
+                    >
+                      {Object.values(OWNER_TYPES).map(type => (
+                        <option key={type} value={type}>{OWNER_TYPE_LABELS[type]}</option>
+                      ))}
+                    </select>
+                  </div>
+
+                  <div>
+                    <label className="block text-sm font-medium text-gray-300 mb-2">
+                      Other Taxable Income
+                    </label>
+                    <input
+                      type="text"
+                      inputMode="decimal"
+                      name="other_income"
+                      value={ownerForm.other_income}
+                      onChange={handleOwnerChange}
+                      className="form-input"
+                      placeholder="e.g., 120000"
+                    />
+                  </div>
+
+                  <div>
+                    <label className="block text-sm font-medium text-gray-300 mb-2">
+                      Marginal Tax Rate (%)
+                    </label>
+                    <input
+                      type="number"
+                      name="marginal_rate"
+                      value={ownerForm.marginal_rate}
+                      onChange={handleOwnerChange}
+                      min="0"
+                      max="100"
+                      step="0.5"
+                      className={`form-input ${ownerErrors.marginal_rate ? 'border-red-500' : ''}`}
+                      placeholder={ownerForm.owner_type === OWNER_TYPES.INDIVIDUAL
+                        ? 'From other income'
+                        : String(ENTITY_TAX_RATES[ownerForm.owner_type])}
+                    />
+                    {ownerErrors.marginal_rate && <p className="text-red-400 text-sm mt-1">{ownerErrors.marginal_rate}</p>}
+                  </div>
+                </div>
+
+                <p className="text-gray-500 text-xs">
+                  Leave the rate blank to use the resident tax rates and Medicare levy for individuals,
+                  {' '}{ENTITY_TAX_RATES[OWNER_TYPES.COMPANY]}% for companies, {ENTITY_TAX_RATES[OWNER_TYPES.SMSF]}% for SMSFs
+                  and nothing for trusts that distribute all their income.
+                </p>
+
+                <div>
+                  <label className="block text-sm font-medium text-gray-300 mb-2">
+                    Notes
+                  </label>
+                  <textarea
+                    name="notes"
+                    value={ownerForm.notes}
+                    onChange={handleOwnerChange}
+                    rows="2"
+                    className="form-textarea"
+                    placeholder="e.g., ABN or trustee details"
+                  />
+                </div>
+
+                {ownerErrors.submit && <p className="text-red-400 text-sm">{ownerErrors.submit}</p>}
+
+                <div className="flex space-x-3 pt-4">
+                  <button
+                    onClick={handleCancelOwner}
+                    className="btn-secondary flex-1"
+                  >
+                    Cancel
+                  </button>
+                  <button
+                    onClick={handleSaveOwner}
+                    className="btn-primary flex-1 flex items-center justify-center space-x-2"
+                  >
+                    <SafeIcon icon={FiSave} className="w-4 h-4" />
+                    <span>{editingOwner ? 'Update Owner' : 'Add Owner'}</span>
+                  </button>
+                </div>
+              </div>
+            </div>
+          </motion.div>
+        )}
+      </AnimatePresence>
+
+      {/* Ownership change form */}
+      <AnimatePresence>
+        {canPerformActions && shareProperty && (
+          <motion.div
+            initial={{ opacity: 0, scale: 0.95 }}
+            animate={{ opacity: 1, scale: 1 }}
+            exit={{ opacity: 0, scale: 0.95 }}
+            className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center p-4 z-50"
+            onClick={(e) => e.target === e.currentTarget && setShareProperty(null)}
+          >
+            <div className="bg-gray-800 rounded-lg p-6 w-full max-w-md max-h-[90vh] overflow-y-auto">
+              <div className="flex items-center justify-between mb-6">
+                <h2 className="text-xl font-bold text-white">
+                  Ownership of {shareProperty.name || shareProperty.address}
+                </h2>
+                <button
+                  onClick={() => setShareProperty(null)}
+                  className="text-gray-400 hover:text-white transition-colors"
+                >
+                  <SafeIcon icon={FiX} className="w-6 h-6" />
+                </button>
+              </div>
+
+              <div className="space-y-3">
+                <div>
+                  <label className="block text-sm font-medium text-gray-300 mb-2">
+                    Effective From *
+                  </label>
+                  <input
+                    type="date"
+                    value={shareForm.effectiveFrom}
+                    onChange={(e) => setShareForm(prev => ({ ...prev, effectiveFrom: e.target.value }))}
+                    className="form-input"
+                  />
+                </div>
+
+                {safeOwners.map(owner => (
+                  <div key={owner.id} className="flex items-center justify-between gap-4">
+                    <label className="text-sm text-gray-300">
+                      {owner.name}
+                      <span className="text-gray-500"> · {OWNER_TYPE_LABELS[owner.owner_type] || 'Individual'}</span>
+                    </label>
+                    <div className="flex items-center space-x-2">
+                      <input
+                        type="number"
+                        value={shareForm.shares[owner.id] ?? ''}
+                        onChange={(e) => setShareForm(prev => ({
+                          ...prev,
+                          shares: { ...prev.shares, [owner.id]: e.target.value }
+                        }))}
+                        min="0"
+                        max="100"
+                        step="0.01"
+                        className="form-input w-28 text-right"
+                        placeholder="0"
+                      />
+                      <span className="text-gray-400 text-sm">%</span>
+                    </div>
+                  </div>
+                ))}
+
+                <div className="flex justify-between text-sm border-t border-gray-700 pt-2">
+                  <span className="text-gray-400">Total</span>
+                  <span className={shareTotal > 100 ? 'text-red-400' : 'text-white'}>{Math.round(shareTotal * 100) / 100}%</span>
+                </div>
+                <p className="text-gray-500 text-xs">
+                  Shares can add up to less than 100% when part of the property is held by someone not listed.
+                </p>
+                {shareError && <p className="text-red-400 text-sm">{shareError}</p>}
+              </div>
+
+              <div className="flex space-x-3 pt-6">
+                <button
+                  onClick={() => setShareProperty(null)}
+                  className="btn-secondary flex-1"
+                >
+                  Cancel
+                </button>
+                <button
+                  onClick={handleSaveOwnership}
+                  disabled={saving}
+                  className="btn-primary flex-1 flex items-center justify-center space-x-2 disabled:opacity-50"
+                >
+                  <SafeIcon icon={FiSave} className="w-4 h-4" />
+                  <span>{saving ? 'Saving...' : 'Save Ownership'}</span>
+                </button>
+              </div>
+            </div>
+          </motion.div>
+        )}
+      </AnimatePresence>
+    </div>
+  );
+};
+
+export default OwnerManager;
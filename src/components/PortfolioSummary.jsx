@@ -4,6 +4,8 @@ import * as FiIcons from 'react-icons/fi';
 import SafeIcon from '../common/SafeIcon';
 import InfoTooltip from './InfoTooltip';
 import { formatCurrency, sanitize } from '../utils/number';
+import { getLoanBalanceAt, getLoanMonthlyPayment, getLoanRateAt } from '../utils/LoanCalculations';
+import { getLvrThresholds, getLvrStatus } from '../utils/FinancialCalculations';
 
 const { FiHome, FiDollarSign, FiTrendingUp, FiTrendingDown, FiBarChart, FiCreditCard } = FiIcons;
 
@@ -32,14 +34,20 @@ const PortfolioSummary = ({ metrics, properties, loans, transactions, settings }
     propertyCount: 0,
     totalLoanAmount: 0,
     totalMonthlyRepayment: 0,
+    totalLoanInterest: 0,
     activeLoanCount: 0,
-    propertiesWithLoans: 0
+    propertiesWithLoans: 0,
+    portfolioLvr: 0
   };
 
   const safeProperties = Array.isArray(properties) ? properties : [];
   const safeLoans = Array.isArray(loans) ? loans : [];
   const safeTransactions = Array.isArray(transactions) ? transactions : [];
   const currency = settings?.currency || "USD";
+  const lvrThresholds = getLvrThresholds(settings);
+
+  const lvrColors = { ok: 'text-gray-400', warning: 'text-orange-400', max: 'text-red-400' };
+  const lvrTooltipColors = { ok: 'inherit', warning: '#FB923C', max: '#F87171' };
 
   // Helper functions for tooltip calculations
   const buildPortfolioValueExplain = () => {
@@ -128,6 +136,7 @@ const PortfolioSummary = ({ metrics, properties, loans, transactions, settings }
       if (!loansByProperty[propertyId]) {
         loansByProperty[propertyId] = {
           propertyAddress,
+          propertyValue: Number(property?.current_value || property?.purchase_price || 0),
           loans: [],
           totalOriginal: 0,
           totalCurrent: 0,
@@ -136,15 +145,16 @@ const PortfolioSummary = ({ metrics, properties, loans, transactions, settings }
       }
 
       const originalAmount = Number(loan.amount || 0);
-      const currentBalance = Number(loan.current_balance || loan.amount || 0);
-      const monthlyRepayment = Number(loan.monthly_payment || 0);
+      const currentBalance = Number(loan.current_balance || getLoanBalanceAt(loan, today));
+      const monthlyRepayment = getLoanMonthlyPayment(loan, today);
 
       loansByProperty[propertyId].loans.push({
         id: loan.id,
         originalAmount,
         currentBalance,
         monthlyRepayment,
-        interestRate: Number(loan.interest_rate || 0)
+        // Rate in force today, as a percentage
+        interestRate: getLoanRateAt(loan, today) * 100
       });
 
       loansByProperty[propertyId].totalOriginal += originalAmount;
@@ -152,6 +162,12 @@ const PortfolioSummary = ({ metrics, properties, loans, transactions, settings }
       loansByProperty[propertyId].totalMonthly += monthlyRepayment;
     });
 
+    Object.values(loansByProperty).forEach(propertyInfo => {
+      propertyInfo.lvr = propertyInfo.propertyValue > 0
+        ? Math.round((propertyInfo.totalCurrent / propertyInfo.propertyValue) * 10000) / 100
+        : 0;
+    });
+
     // Calculate portfolio totals
     const totalOriginal = Object.values(loansByProperty).reduce((sum, prop) => sum + prop.totalOriginal, 0);
     const totalCurrent = Object.values(loansByProperty).reduce((sum, prop) => sum + prop.totalCurrent, 0);
@@ -399,6 +415,9 @@ const PortfolioSummary = ({ metrics, properties, loans, transactions, settings }
               <div className="text-xs text-gray-400 mt-1">
                 {safeMetrics.activeLoanCount} loans • {safeMetrics.propertiesWithLoans || 0} properties • {formatCurrency(safeMetrics.totalMonthlyRepayment)}/mo
               </div>
+              <div className={`text-xs mt-1 ${lvrColors[getLvrStatus(safeMetrics.portfolioLvr || 0, lvrThresholds)]}`}>
+                Portfolio LVR: {formatPercentage(safeMetrics.portfolioLvr)}
+              </div>
             </div>
             <div className="w-12 h-12 rounded-full bg-cyan-900/30 flex items-center justify-center">
               <SafeIcon icon={FiCreditCard} className="w-6 h-6 text-cyan-400" />
@@ -571,6 +590,10 @@ const PortfolioSummary = ({ metrics, properties, loans, transactions, settings }
                   <span>Property Total</span>
                   <span>{formatCurrency(propertyInfo.totalCurrent, currency)}</span>
                 </div>
+                <div style={{ display: "flex", justifyContent: "space-between", color: lvrTooltipColors[getLvrStatus(propertyInfo.lvr, lvrThresholds)] }}>
+                  <span>LVR</span>
+                  <span>{formatPercentage(propertyInfo.lvr)}</span>
+                </div>
               </div>
             </div>
           ))}
@@ -584,11 +607,20 @@ const PortfolioSummary = ({ metrics, properties, loans, transactions, settings }
               <span>Total Monthly Payments</span>
               <span>{formatCurrency(al.totalMonthly, currency)}</span>
             </div>
+            <div style={{ display: "flex", justifyContent: "space-between", marginBottom: 2 }}>
+              <span>Portfolio LVR (cross-collateralised)</span>
+              <span>{formatPercentage(safeMetrics.portfolioLvr)}</span>
+            </div>
+            <div style={{ display: "flex", justifyContent: "space-between", marginBottom: 2 }}>
+              <span>Interest charged this year</span>
+              <span>{formatCurrency(safeMetrics.totalLoanInterest || 0, currency)}</span>
+            </div>
             <div style={{ display: "flex", justifyContent: "space-between", fontSize: 11 }}>
               <span>{al.totalLoans} loans across {al.propertiesWithLoans} properties</span>
             </div>
           </div>
           <div style={{ opacity: 0.7, marginTop: 6, fontSize: 11 }}>Each property's loans are isolated and calculated separately</div>
+          <div style={{ opacity: 0.7, marginTop: 2, fontSize: 11 }}>LVR thresholds: {lvrThresholds.warning}% LMI, {lvrThresholds.max}% maximum</div>
         </div>
       </InfoTooltip>
     </>
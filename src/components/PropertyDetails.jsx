@@ -1,30 +1,51 @@
 import React, { useState, useEffect } from 'react';
-import { useParams, useNavigate } from 'react-router-dom';
+import { useParams, useNavigate, useSearchParams } from 'react-router-dom';
 import SafeIcon from '../common/SafeIcon';
 import * as FiIcons from 'react-icons/fi';
 import PropertyInfo from './PropertyInfo';
 import RentalManager from './RentalManager';
 import ExpenseManager from './ExpenseManager';
+import RecurringExpenseManager from './RecurringExpenseManager';
 import LoanManager from './LoanManager';
 import AgentManager from './AgentManager';
+import UnitManager from './UnitManager';
+import DocumentManager from './DocumentManager';
+import DepreciationManager from './DepreciationManager';
+import CapitalImprovementManager from './CapitalImprovementManager';
 import TransactionTable from './TransactionTable';
+import SellPropertyModal from './SellPropertyModal';
 import { calculatePropertyMetrics } from '../utils/FinancialCalculations';
 import { formatCurrency } from '../utils/number';
+import { canUserPerformActions } from '../utils/AuthUtils';
+import DateUtils from '../utils/DateUtils';
 
-const { FiArrowLeft, FiHome, FiDollarSign, FiCreditCard, FiTrendingDown, FiUsers, FiList } = FiIcons;
+const { FiArrowLeft, FiHome, FiDollarSign, FiCreditCard, FiTrendingDown, FiUsers, FiList, FiGrid, FiFileText, FiTag, FiClock, FiTool } = FiIcons;
 
 function PropertyDetails({ user, data, onSaveData, addNotification }) {
   const { id } = useParams();
   const navigate = useNavigate();
-  const [activeTab, setActiveTab] = useState('overview');
+  const [searchParams] = useSearchParams();
+  const [activeTab, setActiveTab] = useState(searchParams.get('tab') || 'overview');
+  const [documentLink, setDocumentLink] = useState('');
+  const [showSellModal, setShowSellModal] = useState(false);
+  const [improvementSource, setImprovementSource] = useState(null);
+  const canPerformActions = canUserPerformActions(user);
 
   // Safe array handling with proper defaults
   const safeProperties = Array.isArray(data.properties) ? data.properties : [];
   const safeLoans = Array.isArray(data.loans) ? data.loans : [];
   const safeTransactions = Array.isArray(data.transactions) ? data.transactions : [];
   const safeRentals = Array.isArray(data.rentals) ? data.rentals : [];
+  const safeRentPayments = Array.isArray(data.rentPayments) ? data.rentPayments : [];
+  const safeVacancies = Array.isArray(data.vacancies) ? data.vacancies : [];
   const safeExpenses = Array.isArray(data.expenses) ? data.expenses : [];
   const safeAgents = Array.isArray(data.agents) ? data.agents : [];
+  const safeTenants = Array.isArray(data.tenants) ? data.tenants : [];
+  const safeUnits = Array.isArray(data.units) ? data.units : [];
+  const safeRecurringExpenses = Array.isArray(data.recurringExpenses) ? data.recurringExpenses : [];
+  const safeDocuments = Array.isArray(data.documents) ? data.documents : [];
+  const safeDepreciationAssets = Array.isArray(data.depreciationAssets) ? data.depreciationAssets : [];
+  const safeCapitalImprovements = Array.isArray(data.capitalImprovements) ? data.capitalImprovements : [];
   const safeSettings = data.settings && typeof data.settings === 'object' ? data.settings : {};
 
   const property = safeProperties.find(p => p && p.id === id);
@@ -49,16 +70,32 @@ function PropertyDetails({ user, data, onSaveData, addNotification }) {
   const tabs = [
     { id: 'overview', label: 'Overview', icon: FiHome },
     { id: 'rentals', label: 'Rentals', icon: FiDollarSign },
+    { id: 'units', label: 'Units', icon: FiGrid },
     { id: 'expenses', label: 'Expenses', icon: FiTrendingDown },
     { id: 'loans', label: 'Loans', icon: FiCreditCard },
+    { id: 'improvements', label: 'Improvements', icon: FiTool },
+    { id: 'depreciation', label: 'Depreciation', icon: FiClock },
     { id: 'agents', label: 'Agents', icon: FiUsers },
-    { id: 'transactions', label: 'Transactions', icon: FiList }
+    { id: 'transactions', label: 'Transactions', icon: FiList },
+    { id: 'documents', label: 'Documents', icon: FiFileText }
   ];
 
   const handleSaveDataWithNotification = (newData, actionDescription) => {
     onSaveData(newData, actionDescription);
   };
 
+  // Open the document library filtered to one record, e.g. 'expense_id:<id>'
+  const handleOpenDocuments = (link) => {
+    setDocumentLink(link);
+    setActiveTab('documents');
+  };
+
+  // Open the capital improvements form prefilled from an expense
+  const handleConvertExpense = (expense) => {
+    setImprovementSource(expense);
+    setActiveTab('improvements');
+  };
+
   return (
     <div className="min-h-screen bg-gray-900">
       {/* Header */}
@@ -73,15 +110,33 @@ function PropertyDetails({ user, data, onSaveData, addNotification }) {
                 <SafeIcon icon={FiArrowLeft} className="w-5 h-5" />
               </button>
               <div>
-                <h1 className="text-xl font-semibold text-white">{property.name}</h1>
+                <h1 className="text-xl font-semibold text-white flex items-center">
+                  {property.name}
+                  {property.sale_date && (
+                    <span className="ml-3 px-2 py-0.5 text-xs font-medium rounded-full bg-gray-600 text-gray-200">
+                      Sold {DateUtils.formatShortDate(property.sale_date)}
+                    </span>
+                  )}
+                </h1>
                 <p className="text-sm text-gray-400">{property.address}</p>
               </div>
             </div>
-            <div className="text-right">
-              <div className="text-lg font-semibold text-green-400">
-                {formatCurrency(metrics.netCashFlow)}
+            <div className="flex items-center space-x-6">
+              {canPerformActions && (
+                <button
+                  onClick={() => setShowSellModal(true)}
+                  className="btn-secondary flex items-center space-x-2"
+                >
+                  <SafeIcon icon={FiTag} className="w-4 h-4" />
+                  <span>{property.sale_date ? 'Edit Sale' : 'Sell Property'}</span>
+                </button>
+              )}
+              <div className="text-right">
+                <div className="text-lg font-semibold text-green-400">
+                  {formatCurrency(metrics.netCashFlow)}
+                </div>
+                <div className="text-xs text-gray-400">Net Cash Flow</div>
               </div>
-              <div className="text-xs text-gray-400">Net Cash Flow</div>
             </div>
           </div>
         </div>
@@ -90,11 +145,15 @@ function PropertyDetails({ user, data, onSaveData, addNotification }) {
       {/* Tabs */}
       <div className="bg-gray-800 border-b rounded-b-xl border-gray-700">
         <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8">
-          <nav className="flex space-x-8">
+          <nav className="flex space-x-8 overflow-x-auto">
             {tabs.map((tab) => (
               <button
                 key={tab.id}
-                onClick={() => setActiveTab(tab.id)}
+                onClick={() => {
+                  setActiveTab(tab.id);
+                  setDocumentLink('');
+                  setImprovementSource(null);
+                }}
                 className={`py-4 px-1 border-b-2 font-medium text-sm flex items-center space-x-2 transition-colors ${activeTab === tab.id
                     ? 'border-blue-500 text-blue-400'
                     : 'border-transparent text-gray-400 hover:text-gray-300 hover:border-gray-300'
@@ -117,6 +176,7 @@ function PropertyDetails({ user, data, onSaveData, addNotification }) {
             properties={safeProperties}
             onSaveData={handleSaveDataWithNotification}
             metrics={metrics}
+            settings={safeSettings}
             addNotification={addNotification}
           />
         )}
@@ -127,28 +187,59 @@ function PropertyDetails({ user, data, onSaveData, addNotification }) {
             property={property}
             properties={safeProperties}
             rentals={safeRentals}
+            rentPayments={safeRentPayments}
+            vacancies={safeVacancies}
+            tenants={safeTenants}
+            units={safeUnits}
             onSaveData={handleSaveDataWithNotification}
             loans={safeLoans}
             transactions={safeTransactions}
             settings={safeSettings}
+            documents={safeDocuments}
+            onOpenDocuments={handleOpenDocuments}
             addNotification={addNotification}
           />
         )}
 
-        {activeTab === 'expenses' && (
-          <ExpenseManager
+        {activeTab === 'units' && (
+          <UnitManager
             user={user}
             property={property}
-            properties={safeProperties}
-            onSaveData={handleSaveDataWithNotification}
-            loans={safeLoans}
+            units={safeUnits}
+            rentals={safeRentals}
             transactions={safeTransactions}
-            expenses={safeExpenses}
             settings={safeSettings}
-            addNotification={addNotification}
+            onSaveData={handleSaveDataWithNotification}
           />
         )}
 
+        {activeTab === 'expenses' && (
+          <div className="space-y-6">
+            <RecurringExpenseManager
+              user={user}
+              property={property}
+              recurringExpenses={safeRecurringExpenses}
+              units={safeUnits}
+              onSaveData={handleSaveDataWithNotification}
+            />
+            <ExpenseManager
+              user={user}
+              property={property}
+              properties={safeProperties}
+              onSaveData={handleSaveDataWithNotification}
+              loans={safeLoans}
+              transactions={safeTransactions}
+              expenses={safeExpenses}
+              units={safeUnits}
+              settings={safeSettings}
+              documents={safeDocuments}
+              onOpenDocuments={handleOpenDocuments}
+              onConvertToImprovement={handleConvertExpense}
+              addNotification={addNotification}
+            />
+          </div>
+        )}
+
         {activeTab === 'loans' && (
           <LoanManager
             user={user}
@@ -156,10 +247,37 @@ function PropertyDetails({ user, data, onSaveData, addNotification }) {
               loans: safeLoans,
               properties: safeProperties,
               transactions: safeTransactions,
+              owners: data.owners,
               settings: safeSettings
             }}
             propertyId={property.id}
             onSaveData={handleSaveDataWithNotification}
+            addNotification={addNotification}
+            documents={safeDocuments}
+            onOpenDocuments={handleOpenDocuments}
+          />
+        )}
+
+        {activeTab === 'improvements' && (
+          <CapitalImprovementManager
+            user={user}
+            property={property}
+            capitalImprovements={safeCapitalImprovements}
+            depreciationAssets={safeDepreciationAssets}
+            transactions={safeTransactions}
+            convertExpense={improvementSource}
+            onConvertHandled={() => setImprovementSource(null)}
+            onSaveData={handleSaveDataWithNotification}
+          />
+        )}
+
+        {activeTab === 'depreciation' && (
+          <DepreciationManager
+            user={user}
+            property={property}
+            depreciationAssets={safeDepreciationAssets}
+            settings={safeSettings}
+            onSaveData={handleSaveDataWithNotification}
           />
         )}
 
@@ -176,16 +294,47 @@ function PropertyDetails({ user, data, onSaveData, addNotification }) {
 
         {activeTab === 'transactions' && (
           <TransactionTable
+            user={user}
             transactions={safeTransactions.filter(t => t && (t.propertyId === property.id || t.property_id === property.id))}
             propertyId={property.id}
             properties={safeProperties}
             loans={safeLoans}
+            owners={data.owners}
             settings={safeSettings}
             onSaveData={handleSaveDataWithNotification}
             addNotification={addNotification}
           />
         )}
+
+        {activeTab === 'documents' && (
+          <DocumentManager
+            user={user}
+            property={property}
+            documents={safeDocuments}
+            expenses={safeExpenses}
+            transactions={safeTransactions}
+            loans={safeLoans}
+            rentals={safeRentals}
+            initialLink={documentLink}
+            onSaveData={handleSaveDataWithNotification}
+          />
+        )}
       </div>
+
+      {showSellModal && (
+        <SellPropertyModal
+          isOpen={showSellModal}
+          onClose={() => setShowSellModal(false)}
+          property={property}
+          transactions={safeTransactions}
+          loans={safeLoans}
+          depreciationAssets={safeDepreciationAssets}
+          capitalImprovements={safeCapitalImprovements}
+          owners={data.owners}
+          propertyOwnerships={data.propertyOwnerships}
+          onSaveData={handleSaveDataWithNotification}
+        />
+      )}
     </div>
   );
 }
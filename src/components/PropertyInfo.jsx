@@ -4,10 +4,11 @@ import * as FiIcons from 'react-icons/fi';
 import SafeIcon from '../common/SafeIcon';
 import { parseCurrency, formatForInput } from '../utils/number';
 import { canUserPerformActions } from '../utils/AuthUtils';
+import { getLvrThresholds, getLvrStatus } from '../utils/FinancialCalculations';
 
 const { FiEdit, FiSave, FiX, FiHome, FiCalendar, FiDollarSign, FiFileText, FiPlus, FiTrash2 } = FiIcons;
 
-const PropertyInfo = ({ user, property, properties, onSaveData, loans, transactions, settings }) => {
+const PropertyInfo = ({ user, property, properties, onSaveData, loans, transactions, settings, metrics }) => {
   const canPerformActions = canUserPerformActions(user);
   const [isEditing, setIsEditing] = useState(false);
 
@@ -150,6 +151,10 @@ const PropertyInfo = ({ user, property, properties, onSaveData, loans, transacti
       purchasePrice: sanitizedBasePropertyCost, // Keep both for compatibility
       purchaseDate: formData.purchaseDate,
       currentValue: sanitizedCurrentValue,
+      // Only a change of value counts as a revaluation for the LVR alerts
+      valuationDate: sanitizedCurrentValue !== parseFloat(property.current_value || 0)
+        ? new Date().toISOString().split('T')[0]
+        : property.valuation_date,
       propertyType: formData.propertyType,
       notes: formData.notes.trim(),
       acquisitionCosts: sanitizedAcquisitionCosts,
@@ -181,6 +186,8 @@ const PropertyInfo = ({ user, property, properties, onSaveData, loans, transacti
   const totalPurchasePrice = basePropertyCost + totalAcquisitionCosts;
   const valueChange = currentValue - basePropertyCost;
   const valueChangePercentage = basePropertyCost > 0 ? (valueChange / basePropertyCost * 100) : 0;
+  const lvr = metrics?.lvr || 0;
+  const lvrStatus = getLvrStatus(lvr, getLvrThresholds(settings));
 
   return (
     <div className="space-y-6">
@@ -490,6 +497,11 @@ const PropertyInfo = ({ user, property, properties, onSaveData, loans, transacti
                   <p className="text-white font-medium">
                     {formatForInput(currentValue)}
                   </p>
+                  {metrics?.totalLoanAmount > 0 && (
+                    <p className={`text-xs mt-1 ${lvrStatus === 'max' ? 'text-red-400' : lvrStatus === 'warning' ? 'text-orange-400' : 'text-gray-500'}`}>
+                      LVR {lvr.toFixed(1)}% on {formatForInput(metrics.totalLoanAmount)} borrowed
+                    </p>
+                  )}
                 </div>
               </div>
 
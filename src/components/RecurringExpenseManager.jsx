@@ -0,0 +1,540 @@
+import React, { useState } from 'react';
+import { motion, AnimatePresence } from 'framer-motion';
+import * as FiIcons from 'react-icons/fi';
+import SafeIcon from '../common/SafeIcon';
+import { parseCurrency, formatForInput, formatCurrency } from '../utils/number';
+import { canUserPerformActions } from '../utils/AuthUtils';
+import {
+  createRecurringExpense,
+  updateRecurringExpense,
+  deleteRecurringExpense,
+  recordRecurringExpense
+} from '../utils/DataUtils';
+import {
+  RECURRING_FREQUENCIES,
+  getAnnualRecurringCost,
+  toDateString
+} from '../utils/RecurringExpenseCalculations';
+import { getPropertyUnits } from '../utils/UnitCalculations';
+
+const { FiPlus, FiEdit, FiTrash2, FiSave, FiX, FiRepeat, FiCheck } = FiIcons;
+
+const FREQUENCY_LABELS = {
+  [RECURRING_FREQUENCIES.MONTHLY]: 'Monthly',
+  [RECURRING_FREQUENCIES.QUARTERLY]: 'Quarterly',
+  [RECURRING_FREQUENCIES.HALF_YEARLY]: 'Half-yearly',
+  [RECURRING_FREQUENCIES.YEARLY]: 'Yearly'
+};
+
+const RECURRING_CATEGORIES = [
+  'Council Rates',
+  'Water Rates',
+  'Strata Levies',
+  'Insurance',
+  'Land Tax',
+  'Property Management',
+  'Utilities',
+  'Other'
+];
+
+const EMPTY_FORM = {
+  description: '',
+  category: 'Council Rates',
+  amount: '',
+  frequency: RECURRING_FREQUENCIES.QUARTERLY,
+  next_due_date: '',
+  end_date: '',
+  unit_id: '',
+  vendor: '',
+  deductible: true,
+  auto_create: false,
+  notes: ''
+};
+
+const RecurringExpenseManager = ({ user, property, recurringExpenses = [], units = [], onSaveData }) => {
+  const canPerformActions = canUserPerformActions(user);
+  const [showForm, setShowForm] = useState(false);
+  const [editingTemplate, setEditingTemplate] = useState(null);
+  const [formData, setFormData] = useState(EMPTY_FORM);
+  const [errors, setErrors] = useState({});
+
+  const today = toDateString(new Date());
+  const propertyUnits = getPropertyUnits(units, property.id);
+  const templates = (Array.isArray(recurringExpenses) ? recurringExpenses : [])
+    .filter(template => template && template.property_id === property.id)
+    .sort((a, b) => (a.is_active === false) - (b.is_active === false) || (a.next_due_date || '').localeCompare(b.next_due_date || ''));
+  const annualTotal = templates
+    .filter(template => template.is_active !== false)
+    .reduce((sum, template) => sum + getAnnualRecurringCost(template), 0);
+
+  const resetForm = () => {
+    setFormData(EMPTY_FORM);
+    setErrors({});
+  };
+
+  const handleChange = (e) => {
+    const { name, value, type, checked } = e.target;
+    setFormData(prev => ({
+      ...prev,
+      [name]: type === 'checkbox' ? checked : value
+    }));
+
+    if (errors[name]) {
+      setErrors(prev => ({ ...prev, [name]: null }));
+    }
+  };
+
+  const handleBlur = (e) => {
+    const { name, value } = e.target;
+
+    if (name === 'amount') {
+      const sanitized = parseCurrency(value);
+      setFormData(prev => ({ ...prev, [name]: sanitized > 0 ? formatForInput(sanitized) : '' }));
+    }
+  };
+
+  const validateForm = () => {
+    const newErrors = {};
+
+    if (!formData.description.trim()) {
+      newErrors.description = 'Description is required';
+    }
+
+    const amount = parseCurrency(formData.amount);
+    if (!amount || amount <= 0) {
+      newErrors.amount = 'Valid amount is required';
+    }
+
+    if (!formData.next_due_date) {
+      newErrors.next_due_date = 'Next due date is required';
+    }
+
+    if (formData.end_date && formData.next_due_date && formData.end_date < formData.next_due_date) {
+      newErrors.end_date = 'End date must be after the next due date';
+    }
+
+    setErrors(newErrors);
+    return Object.keys(newErrors).length === 0;
+  };
+
+  const handleSave = async () => {
+    if (!validateForm()) {
+      return;
+    }
+
+    try {
+      // Due dates step from start_date; keep it while the cycle is unchanged so a bill on
+      // the 31st stays on month end, otherwise start the cycle again from the next due date
+      const keepsCycle = editingTemplate &&
+        editingTemplate.next_due_date === formData.next_due_date &&
+        editingTemplate.frequency === formData.frequency;
+
+      const templateData = {
+        property_id: property.id,
+        unit_id: formData.unit_id || null,
+        description: formData.description.trim(),
+        category: formData.category,
+        amount: parseCurrency(formData.amount),
+        frequency: formData.frequency,
+        start_date: keepsCycle ? editingTemplate.start_date : formData.next_due_date,
+        next_due_date: formData.next_due_date,
+        end_date: formData.end_date || null,
+        vendor: formData.vendor,
+        deductible: formData.deductible,
+        auto_create: formData.auto_create,
+        is_active: true,
+        notes: formData.notes
+      };
+
+      const result = editingTemplate
+        ? await updateRecurringExpense(editingTemplate.id, templateData)
+        : await createRecurringExpense(templateData);
+      if (!result.success) {
+        console.error(`Failed to ${editingTemplate ? 'update' : 'create'} recurring expense:`, result.error);
+        return;
+      }
+
+      if (onSaveData) {
+        onSaveData(null, editingTemplate ? 'Recurring expense updated successfully' : 'Recurring expense created successfully');
+      }
+
+      setShowForm(false);
+      setEditingTemplate(null);
+      resetForm();
+    } catch (error) {
+      console.error('Error saving recurring expense:', error);
+    }
+  };
+
+  const handleEdit = (template) => {
+    setFormData({
+      description: template.description || '',
+      category: template.category || 'Other',
+      amount: formatForInput(template.amount),
+      frequency: template.frequency || RECURRING_FREQUENCIES.QUARTERLY,
+      next_due_date: template.next_due_date || '',
+      end_date: template.end_date || '',
+      unit_id: template.unit_id || '',
+      vendor: template.vendor || '',
+      deductible: template.deductible !== false,
+      auto_create: !!template.auto_create,
+      notes: template.notes || ''
+    });
+    setEditingTemplate(template);
+    setShowForm(true);
+  };
+
+  const handleRecord = async (template) => {
+    if (!window.confirm(`Record ${template.description} of ${formatCurrency(template.amount)} due ${new Date(template.next_due_date).toLocaleDateString()}?`)) {
+      return;
+    }
+
+    const result = await recordRecurringExpense(template, template.next_due_date);
+    if (!result.success) {
+      console.error('Failed to record recurring expense:', result.error);
+      return;
+    }
+
+    if (onSaveData) {
+      onSaveData(null, 'Expense recorded successfully');
+    }
+  };
+
+  const handleDelete = async (template) => {
+    if (!window.confirm(`Are you sure you want to delete the recurring expense "${template.description}"? Expenses already recorded from it are kept.`)) {
+      return;
+    }
+
+    try {
+      const result = await deleteRecurringExpense(template.id);
+      if (!result.success) {
+        console.error('Failed to delete recurring expense:', result.error);
+        return;
+      }
+
+      if (onSaveData) {
+        onSaveData(null, 'Recurring expense deleted successfully');
+      }
+    } catch (error) {
+      console.error('Error deleting recurring expense:', error);
+    }
+  };
+
+  const handleCancel = () => {
+    setShowForm(false);
+    setEditingTemplate(null);
+    resetForm();
+  };
+
+  if (templates.length === 0 && !canPerformActions) {
+    return null;
+  }
+
+  return (
+    <div className="card">
+      <div className="flex items-center justify-between mb-4">
+        <div className="flex items-center space-x-2">
+          <SafeIcon icon={FiRepeat} className="w-5 h-5 text-blue-400" />
+          <h3 className="text-lg font-semibold text-white">Recurring Expenses</h3>
+        </div>
+        {canPerformActions && (
+          <button
+            onClick={() => setShowForm(true)}
+            className="btn-secondary flex items-center space-x-2 text-sm"
+          >
+            <SafeIcon icon={FiPlus} className="w-4 h-4" />
+            <span>Add Recurring</span>
+          </button>
+        )}
+      </div>
+
+      {templates.length === 0 ? (
+        <p className="text-gray-400 text-sm">
+          Set up council rates, water, strata levies and insurance once. Each due date shows in
+          your reminders and cash-flow forecast.
+        </p>
+      ) : (
+        <>
+          <div className="space-y-2">
+            {templates.map(template => {
+              const isActive = template.is_active !== false;
+              const isOverdue = isActive && template.next_due_date < today;
+              const unitName = propertyUnits.find(unit => unit.id === template.unit_id)?.name;
+
+              return (
+                <div
+                  key={template.id}
+                  className={`flex justify-between items-center text-sm bg-gray-700/30 rounded px-3 py-2 ${isActive ? '' : 'opacity-60'}`}
+                >
+                  <div>
+                    <p className="text-white">
+                      {template.description}
+                      <span className="text-gray-400">
+                        {' '}· {template.category}{unitName ? ` · ${unitName}` : ''}
+                      </span>
+                    </p>
+                    <p className="text-gray-400 text-xs">
+                      {formatCurrency(template.amount)} {(FREQUENCY_LABELS[template.frequency] || '').toLowerCase()}
+                      {isActive ? (
+                        <>
+                          {' '}· next due{' '}
+                          <span className={isOverdue ? 'text-red-400' : 'text-gray-300'}>
+                            {new Date(template.next_due_date).toLocaleDateString()}
+                          </span>
+                        </>
+                      ) : ' · ended'}
+                      {template.end_date && isActive && ` · until ${new Date(template.end_date).toLocaleDateString()}`}
+                      {template.auto_create && isActive && ' · records automatically'}
+                    </p>
+                  </div>
+
+                  {canPerformActions && (
+                    <div className="flex items-center space-x-2 ml-4">
+                      {isActive && (
+                        <button
+                          onClick={() => handleRecord(template)}
+                          className="text-gray-400 hover:text-green-400 transition-colors"
+                          title="Record next due expense"
+                        >
+                          <SafeIcon icon={FiCheck} className="w-4 h-4" />
+                        </button>
+                      )}
+                      <button
+                        onClick={() => handleEdit(template)}
+                        className="text-gray-400 hover:text-blue-400 transition-colors"
+                        title="Edit recurring expense"
+                      >
+                        <SafeIcon icon={FiEdit} className="w-4 h-4" />
+                      </button>
+                      <button
+                        onClick={() => handleDelete(template)}
+                        className="text-gray-400 hover:text-red-400 transition-colors"
+                        title="Delete recurring expense"
+                      >
+                        <SafeIcon icon={FiTrash2} className="w-4 h-4" />
+                      </button>
+                    </div>
+                  )}
+                </div>
+              );
+            })}
+          </div>
+          <p className="text-gray-400 text-sm mt-3">
+            About {formatCurrency(annualTotal)} a year in recurring expenses
+          </p>
+        </>
+      )}
+
+      {/* Add/Edit Form */}
+      <AnimatePresence>
+        {canPerformActions && showForm && (
+          <motion.div
+            initial={{ opacity: 0, scale: 0.95 }}
+            animate={{ opacity: 1, scale: 1 }}
+            exit={{ opacity: 0, scale: 0.95 }}
+            className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center p-4 z-50"
+            onClick={(e) => e.target === e.currentTarget && handleCancel()}
+          >
+            <div className="bg-gray-800 rounded-lg p-6 w-full max-w-2xl max-h-[90vh] overflow-y-auto">
+              <div className="flex items-center justify-between mb-6">
+                <h2 className="text-xl font-bold text-white">
+                  {editingTemplate ? 'Edit Recurring Expense' : 'Add Recurring Expense'}
+                </h2>
+                <button
+                  onClick={handleCancel}
+                  className="text-gray-400 hover:text-white transition-colors"
+                >
+                  <SafeIcon icon={FiX} className="w-6 h-6" />
+                </button>
+              </div>
+
+              <div className="space-y-4">
+                <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+                  <div>
+                    <label className="block text-sm font-medium text-gray-300 mb-2">
+                      Description *
+                    </label>
+                    <input
+                      type="text"
+                      name="description"
+                      value={formData.description}
+                      onChange={handleChange}
+                      className={`form-input ${errors.description ? 'border-red-500' : ''}`}
+                      placeholder="e.g., Council rates"
+                    />
+                    {errors.description && <p className="text-red-400 text-sm mt-1">{errors.description}</p>}
+                  </div>
+
+                  <div>
+                    <label className="block text-sm font-medium text-gray-300 mb-2">
+                      Category
+                    </label>
+                    <select
+                      name="category"
+                      value={formData.category}
+                      onChange={handleChange}
+                      className="form-select"
+                    >
+                      {RECURRING_CATEGORIES.map(category => (
+                        <option key={category} value={category}>{category}</option>
+                      ))}
+                    </select>
+                  </div>
+
+                  <div>
+                    <label className="block text-sm font-medium text-gray-300 mb-2">
+                      Amount *
+                    </label>
+                    <input
+                      type="text"
+                      inputMode="decimal"
+                      name="amount"
+                      value={formData.amount}
+                      onChange={handleChange}
+                      onBlur={handleBlur}
+                      className={`form-input ${errors.amount ? 'border-red-500' : ''}`}
+                      placeholder="450"
+                    />
+                    {errors.amount && <p className="text-red-400 text-sm mt-1">{errors.amount}</p>}
+                  </div>
+
+                  <div>
+                    <label className="block text-sm font-medium text-gray-300 mb-2">
+                      Frequency
+                    </label>
+                    <select
+                      name="frequency"
+                      value={formData.frequency}
+                      onChange={handleChange}
+                      className="form-select"
+                    >
+                      {Object.values(RECURRING_FREQUENCIES).map(frequency => (
+                        <option key={frequency} value={frequency}>{FREQUENCY_LABELS[frequency]}</option>
+                      ))}
+                    </select>
+                  </div>
+
+                  <div>
+                    <label className="block text-sm font-medium text-gray-300 mb-2">
+                      Next Due Date *
+                    </label>
+                    <input
+                      type="date"
+                      name="next_due_date"
+                      value={formData.next_due_date}
+                      onChange={handleChange}
+                      className={`form-input ${errors.next_due_date ? 'border-red-500' : ''}`}
+                    />
+                    {errors.next_due_date && <p className="text-red-400 text-sm mt-1">{errors.next_due_date}</p>}
+                  </div>
+
+                  <div>
+                    <label className="block text-sm font-medium text-gray-300 mb-2">
+                      End Date (Optional)
+                    </label>
+                    <input
+                      type="date"
+                      name="end_date"
+                      value={formData.end_date}
+                      onChange={handleChange}
+                      className={`form-input ${errors.end_date ? 'border-red-500' : ''}`}
+                    />
+                    {errors.end_date && <p className="text-red-400 text-sm mt-1">{errors.end_date}</p>}
+                  </div>
+
+                  {propertyUnits.length > 0 && (
+                    <div>
+                      <label className="block text-sm font-medium text-gray-300 mb-2">
+                        Unit / Room
+                      </label>
+                      <select
+                        name="unit_id"
+                        value={formData.unit_id}
+                        onChange={handleChange}
+                        className="form-select"
+                      >
+                        <option value="">Shared (whole property)</option>
+                        {propertyUnits.map(unit => (
+                          <option key={unit.id} value={unit.id}>{unit.name}</option>
+                        ))}
+                      </select>
+                    </div>
+                  )}
+
+                  <div className={propertyUnits.length > 0 ? '' : 'md:col-span-2'}>
+                    <label className="block text-sm font-medium text-gray-300 mb-2">
+                      Vendor/Supplier
+                    </label>
+                    <input
+                      type="text"
+                      name="vendor"
+                      value={formData.vendor}
+                      onChange={handleChange}
+                      className="form-input"
+                      placeholder="e.g., City Council"
+                    />
+                  </div>
+
+                  <div className="md:col-span-2 space-y-2">
+                    <label className="flex items-center space-x-2">
+                      <input
+                        type="checkbox"
+                        name="deductible"
+                        checked={formData.deductible}
+                        onChange={handleChange}
+                        className="form-checkbox"
+                      />
+                      <span className="text-gray-300">Tax deductible expense</span>
+                    </label>
+                    <label className="flex items-center space-x-2">
+                      <input
+                        type="checkbox"
+                        name="auto_create"
+                        checked={formData.auto_create}
+                        onChange={handleChange}
+                        className="form-checkbox"
+                      />
+                      <span className="text-gray-300">Record the expense automatically when it falls due</span>
+                    </label>
+                  </div>
+                </div>
+
+                <div>
+                  <label className="block text-sm font-medium text-gray-300 mb-2">
+                    Notes
+                  </label>
+                  <textarea
+                    name="notes"
+                    value={formData.notes}
+                    onChange={handleChange}
+                    rows="3"
+                    className="form-textarea"
+                    placeholder="e.g., Assessment number"
+                  />
+                </div>
+
+                <div className="flex space-x-3 pt-4">
+                  <button
+                    onClick={handleCancel}
+                    className="btn-secondary flex-1"
+                  >
+                    Cancel
+                  </button>
+                  <button
+                    onClick={handleSave}
+                    className="btn-primary flex-1 flex items-center justify-center space-x-2"
+                  >
+                    <SafeIcon icon={FiSave} className="w-4 h-4" />
+                    <span>{editingTemplate ? 'Update Recurring Expense' : 'Add Recurring Expense'}</span>
+                  </button>
+                </div>
+              </div>
+            </div>
+          </motion.div>
+        )}
+      </AnimatePresence>
+    </div>
+  );
+};
+
+export default RecurringExpenseManager;
@@ -2,15 +2,54 @@ import React, { useState, useEffect } from "react";
 import { motion, AnimatePresence } from "framer-motion";
 import * as FiIcons from "react-icons/fi";
 import SafeIcon from "../common/SafeIcon";
-import { parseCurrency, formatForInput } from "../utils/number";
-import { generateRentalTransactions } from "../utils/FinancialCalculations";
+import {
+  parseCurrency,
+  formatForInput,
+  formatCurrency,
+} from "../utils/number";
+import {
+  generateRentalTransactions,
+  calculatePropertyMetrics,
+  getAnnualRent,
+} from "../utils/FinancialCalculations";
+import {
+  buildRentLedger,
+  getTenantsInArrears,
+  getRentAt,
+  getRentHistory,
+  RENT_CHANGE_TYPES,
+  LEASE_STATUSES,
+  getLeaseStatus,
+  getTenancyEnd,
+  isTenancyActiveAt,
+  calculateOccupancy,
+} from "../utils/RentCalculations";
+import {
+  BOND_STATUSES,
+  BOND_AUTHORITIES,
+  getBondSummary,
+  getPortfolioBonds,
+} from "../utils/BondCalculations";
+import { getPropertyUnits } from "../utils/UnitCalculations";
 import {
   createRental,
   updateRental,
   deleteRental,
   createTransaction,
+  deleteTransaction,
+  createRentChange,
+  updateRentChange,
+  deleteRentChange,
+  createRentPayment,
+  updateRentPayment,
+  deleteRentPayment,
+  createVacancy,
+  updateVacancy,
+  deleteVacancy,
+  createTenant,
 } from "../utils/DataUtils";
 import { canUserPerformActions } from "../utils/AuthUtils";
+import DocumentLinkButton from "./DocumentLinkButton";
 
 const {
   FiEdit,
@@ -22,17 +61,132 @@ const {
   FiEye,
   FiCheck,
   FiPlus,
+  FiBookOpen,
+  FiAlertTriangle,
+  FiTrendingUp,
+  FiRefreshCw,
+  FiCalendar,
 } = FiIcons;
 
+// Month-based rents can fall due on a set day of the month; other frequencies follow the start date
+const MONTHLY_FREQUENCIES = ["Monthly", "Quarterly"];
+
+const getRentDueDayValue = (form) =>
+  MONTHLY_FREQUENCIES.includes(form.frequency) && form.rent_due_day
+    ? parseInt(form.rent_due_day, 10)
+    : null;
+
+// Open-ended and periodic leases get a year of scheduled rent
+const getScheduleEnd = (rental) => {
+  const tenancyEnd = getTenancyEnd(rental);
+  if (tenancyEnd) return tenancyEnd;
+  const start = new Date(rental.lease_start);
+  return new Date(start.getFullYear() + 1, start.getMonth(), start.getDate() - 1);
+};
+
+const toDateInput = (date) => {
+  const pad = (n) => String(n).padStart(2, "0");
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+};
+
+const shiftDateInput = (value, { days = 0, months = 0 }) => {
+  const [year, month, day] = value.split("-").map(Number);
+  return toDateInput(new Date(year, month - 1 + months, day + days));
+};
+
+const LEASE_STATUS_LABELS = {
+  [LEASE_STATUSES.ACTIVE]: "Active",
+  [LEASE_STATUSES.PERIODIC]: "Periodic",
+  [LEASE_STATUSES.NOTICE_GIVEN]: "Notice Given",
+  [LEASE_STATUSES.ENDED]: "Ended",
+};
+
+const LEASE_STATUS_STYLES = {
+  [LEASE_STATUSES.ACTIVE]: "bg-green-900/50 text-green-400",
+  [LEASE_STATUSES.PERIODIC]: "bg-blue-900/50 text-blue-400",
+  [LEASE_STATUSES.NOTICE_GIVEN]: "bg-yellow-900/50 text-yellow-400",
+  [LEASE_STATUSES.ENDED]: "bg-gray-600/50 text-gray-400",
+};
+
+const BOND_STATUS_LABELS = {
+  [BOND_STATUSES.HELD]: "Not lodged",
+  [BOND_STATUSES.LODGED]: "Lodged",
+  [BOND_STATUSES.CLAIM_LODGED]: "Claim lodged",
+  [BOND_STATUSES.REFUNDED]: "Refunded",
+};
+
+const BOND_STATUS_STYLES = {
+  [BOND_STATUSES.HELD]: "text-yellow-400",
+  [BOND_STATUSES.LODGED]: "text-green-400",
+  [BOND_STATUSES.CLAIM_LODGED]: "text-blue-400",
+  [BOND_STATUSES.REFUNDED]: "text-gray-400",
+};
+
+const VACANCY_REASONS = [
+  "Between tenancies",
+  "Advertising",
+  "Renovation",
+  "Repairs",
+  "Owner occupied",
+  "Other",
+];
+
+const EMPTY_VACANCY = {
+  start_date: "",
+  end_date: "",
+  reason: VACANCY_REASONS[0],
+  notes: "",
+};
+
+const RENT_CHANGE_LABELS = {
+  [RENT_CHANGE_TYPES.AMOUNT]: "New rent amount",
+  [RENT_CHANGE_TYPES.FIXED]: "Fixed increase ($)",
+  [RENT_CHANGE_TYPES.PERCENTAGE]: "Percentage increase (%)",
+  [RENT_CHANGE_TYPES.CPI]: "CPI increase (%)",
+};
+
+const describeRentChange = (change) => {
+  switch (change.type) {
+    case RENT_CHANGE_TYPES.FIXED:
+      return `${change.value >= 0 ? "+" : "-"}${formatCurrency(Math.abs(change.value))}`;
+    case RENT_CHANGE_TYPES.PERCENTAGE:
+      return `${change.value >= 0 ? "+" : ""}${change.value}%`;
+    case RENT_CHANGE_TYPES.CPI:
+      return `CPI ${change.value}%`;
+    default:
+      return "New rent";
+  }
+};
+
+const EMPTY_RENT_CHANGE = {
+  effective_date: "",
+  change_type: RENT_CHANGE_TYPES.PERCENTAGE,
+  value: "",
+  notes: "",
+};
+
+const getEmptyPaymentForm = () => ({
+  amount: "",
+  payment_date: new Date().toISOString().split("T")[0],
+  transaction_id: "",
+  notes: "",
+});
+
 const RentalManager = ({
   user,
   property,
   properties,
   rentals,
+  rentPayments,
+  vacancies,
+  tenants,
+  units,
   onSaveData,
   loans,
   transactions,
   settings,
+  documents = [],
+  onOpenDocuments,
 }) => {
   const canPerformActions = canUserPerformActions(user);
 
@@ -43,18 +197,42 @@ const RentalManager = ({
   const [formData, setFormData] = useState({
     property_id: property?.id || "",
     tenant_name: "",
+    tenant_id: "",
     monthly_rent: "",
     lease_start: new Date().toISOString().split("T")[0],
     lease_end: "",
     deposit: "",
     room_description: "",
+    unit_id: "",
     frequency: "Weekly",
+    rent_due_day: "",
+    rent_ledger_start: "",
+    lease_status: LEASE_STATUSES.ACTIVE,
+    vacate_date: "",
     bond_amount: "",
     notes: "",
     reminder_date: "",
     management_fee_percentage: "",
   });
   const [errors, setErrors] = useState({});
+  const [saveTenantToDirectory, setSaveTenantToDirectory] = useState(true);
+  const [expandedLedgerId, setExpandedLedgerId] = useState(null);
+  const [paymentRental, setPaymentRental] = useState(null);
+  const [editingPayment, setEditingPayment] = useState(null);
+  const [paymentForm, setPaymentForm] = useState(getEmptyPaymentForm());
+  const [paymentErrors, setPaymentErrors] = useState({});
+  const [rentChangeForm, setRentChangeForm] = useState(null);
+  const [rentChangeErrors, setRentChangeErrors] = useState({});
+  const [renewingRental, setRenewingRental] = useState(null);
+  const [vacancyForm, setVacancyForm] = useState(null);
+  const [vacancyErrors, setVacancyErrors] = useState({});
+  const [view, setView] = useState("tenancies");
+  const [bondForm, setBondForm] = useState(null);
+  const [bondErrors, setBondErrors] = useState({});
+  const [occupancyRange, setOccupancyRange] = useState(() => {
+    const today = toDateInput(new Date());
+    return { start: shiftDateInput(today, { months: -12, days: 1 }), end: today };
+  });
 
   // Listen for external add rental events
   useEffect(() => {
@@ -85,18 +263,26 @@ const RentalManager = ({
     setFormData({
       property_id: property?.id || "",
       tenant_name: "",
+      tenant_id: "",
       monthly_rent: "",
       lease_start: new Date().toISOString().split("T")[0],
       lease_end: "",
       deposit: "",
       room_description: "",
+      unit_id: "",
       frequency: "Weekly",
+      rent_due_day: "",
+      rent_ledger_start: "",
+      lease_status: LEASE_STATUSES.ACTIVE,
+      vacate_date: "",
       bond_amount: "",
       notes: "",
       reminder_date: "",
       management_fee_percentage: "",
     });
     setErrors({});
+    setSaveTenantToDirectory(true);
+    setRenewingRental(null);
     setScheduleData([]);
     setShowSchedulePreview(false);
   };
@@ -110,6 +296,44 @@ const RentalManager = ({
     }
   };
 
+  const safeTenants = Array.isArray(tenants) ? tenants.filter(Boolean) : [];
+  const propertyUnits = getPropertyUnits(units, property?.id);
+  const getUnitName = (unitId) =>
+    propertyUnits.find((unit) => unit.id === unitId)?.name;
+
+  const handleTenantSelect = (e) => {
+    const tenant = safeTenants.find((t) => t.id === e.target.value);
+    setFormData((prev) => ({
+      ...prev,
+      tenant_id: tenant?.id || "",
+      tenant_name: tenant ? tenant.name : prev.tenant_name,
+    }));
+
+    if (tenant && errors.tenant_name) {
+      setErrors((prev) => ({ ...prev, tenant_name: null }));
+    }
+  };
+
+  // Link the lease to the picked tenant, or to a directory entry with the same name,
+  // adding one for a new tenant when asked to
+  const resolveTenantId = async () => {
+    if (formData.tenant_id) return formData.tenant_id;
+
+    const name = formData.tenant_name.trim();
+    const existing = safeTenants.find(
+      (t) => (t.name || "").trim().toLowerCase() === name.toLowerCase()
+    );
+    if (existing) return existing.id;
+    if (!saveTenantToDirectory) return null;
+
+    const result = await createTenant({ name });
+    if (!result.success) {
+      console.error("Failed to add tenant to directory:", result.error);
+      return null;
+    }
+    return result.tenant.id;
+  };
+
   const handleBlur = (e) => {
     const { name, value } = e.target;
 
@@ -150,6 +374,21 @@ const RentalManager = ({
       newErrors.lease_start = "Start date is required";
     }
 
+    if (formData.lease_status === LEASE_STATUSES.NOTICE_GIVEN && !formData.vacate_date) {
+      newErrors.vacate_date = "Vacate date is required once notice is given";
+    }
+
+    if (formData.vacate_date && formData.vacate_date < formData.lease_start) {
+      newErrors.vacate_date = "Vacate date must be after the start date";
+    }
+
+    if (formData.rent_due_day) {
+      const dueDay = parseInt(formData.rent_due_day, 10);
+      if (!(dueDay >= 1 && dueDay <= 31)) {
+        newErrors.rent_due_day = "Due day must be between 1 and 31";
+      }
+    }
+
     setErrors(newErrors);
     return Object.keys(newErrors).length === 0;
   };
@@ -162,31 +401,27 @@ const RentalManager = ({
       tenant_name: formData.tenant_name,
       monthly_rent: parseCurrency(formData.monthly_rent),
       frequency: formData.frequency,
+      rent_due_day: getRentDueDayValue(formData),
       lease_start: formData.lease_start,
       lease_end: formData.lease_end || "",
+      lease_status: formData.lease_status,
+      vacate_date: formData.vacate_date || "",
       management_fee_percentage: parseCurrency(
         formData.management_fee_percentage
       ),
+      rent_changes: editingRental?.rent_changes || [],
     };
 
-    // Generate schedule using FinancialCalculations
-    const dailyTransactions = generateRentalTransactions(property, {
-      ...rentalData,
-      leaseStartDate: rentalData.lease_start,
-      leaseEndDate:
-        rentalData.lease_end ||
-        new Date(
-          new Date(rentalData.lease_start).getFullYear() + 1,
-          new Date(rentalData.lease_start).getMonth(),
-          new Date(rentalData.lease_start).getDate()
-        )
-          .toISOString()
-          .split("T")[0],
-    });
+    // One rent row (plus management fee) per due date
+    const scheduledTransactions = generateRentalTransactions(
+      { ...property, rental: rentalData },
+      rentalData.lease_start,
+      getScheduleEnd(rentalData)
+    );
 
     // Group by month for preview
     const monthlySchedule = {};
-    dailyTransactions.forEach((transaction) => {
+    scheduledTransactions.forEach((transaction) => {
       const monthKey = transaction.date.substring(0, 7); // YYYY-MM
       if (!monthlySchedule[monthKey]) {
         monthlySchedule[monthKey] = {
@@ -220,12 +455,18 @@ const RentalManager = ({
       const rentalData = {
         property_id: formData.property_id || property.id,
         tenant_name: formData.tenant_name,
+        tenant_id: await resolveTenantId(),
         monthly_rent: parseCurrency(formData.monthly_rent),
         lease_start: formData.lease_start,
         lease_end: formData.lease_end || null,
         deposit: parseCurrency(formData.deposit),
         room_description: formData.room_description,
+        unit_id: formData.unit_id || null,
         frequency: formData.frequency,
+        rent_due_day: getRentDueDayValue(formData),
+        rent_ledger_start: formData.rent_ledger_start || null,
+        lease_status: formData.lease_status,
+        vacate_date: formData.vacate_date || null,
         bond_amount: parseCurrency(formData.bond_amount),
         notes: formData.notes,
         reminder_date: formData.reminder_date || null,
@@ -245,54 +486,58 @@ const RentalManager = ({
         savedRental = result.rental;
       } else {
         // Create new rental in PocketBase
-        const result = await createRental(rentalData);
+        const result = await createRental({
+          ...rentalData,
+          renewed_from: renewingRental?.id || null,
+          // The bond stays lodged across a renewal
+          ...(renewingRental && {
+            bond_status: renewingRental.bond_status || BOND_STATUSES.HELD,
+            bond_authority: renewingRental.bond_authority || null,
+            bond_lodgement_reference: renewingRental.bond_lodgement_reference || null,
+            bond_lodged_date: renewingRental.bond_lodged_date || null,
+          }),
+        });
         if (!result.success) {
           console.error("Failed to create rental:", result.error);
           return;
         }
         savedRental = result.rental;
-      }
 
-      // Generate daily transactions for the rental
-      const newTransactions = generateRentalTransactions(
-        {
-          ...property,
-          rental: {
-            ...savedRental,
-            leaseStartDate: savedRental.lease_start,
-            leaseEndDate:
-              savedRental.lease_end ||
-              new Date(
-                new Date(savedRental.lease_start).getFullYear() + 1,
-                new Date(savedRental.lease_start).getMonth(),
-                new Date(savedRental.lease_start).getDate()
-              )
-                .toISOString()
-                .split("T")[0],
-          },
-        },
-        savedRental.lease_start,
-        savedRental.lease_end ||
-          new Date(
-            new Date(savedRental.lease_start).getFullYear() + 1,
-            new Date(savedRental.lease_start).getMonth(),
-            new Date(savedRental.lease_start).getDate()
-          )
-            .toISOString()
-            .split("T")[0]
-      );
+        if (renewingRental) {
+          await endRenewedLease(renewingRental, savedRental.lease_start);
+        }
+      }
+      savedRental = {
+        ...savedRental,
+        rent_changes: editingRental?.rent_changes || [],
+      };
 
-      console.log(newTransactions, "transactions");
-      // Create transactions in PocketBase
-      for (const transaction of newTransactions) {
-        await createTransaction({
-          ...transaction,
-        });
+      if (editingRental) {
+        // Rent already charged stays; rows from today on are replaced to follow the edited lease
+        await regenerateRentTransactions(
+          savedRental,
+          new Date().toISOString().split("T")[0],
+          getScheduleEnd(savedRental)
+        );
+      } else {
+        // Generate a transaction for each rent due date
+        const newTransactions = generateRentalTransactions(
+          { ...property, rental: savedRental },
+          savedRental.lease_start,
+          getScheduleEnd(savedRental)
+        );
+
+        // Create transactions in PocketBase
+        for (const transaction of newTransactions) {
+          await createTransaction({
+            ...transaction,
+          });
+        }
       }
 
       // Trigger data refresh
       if (onSaveData) {
-        onSaveData();
+        onSaveData(null, renewingRental ? "Lease renewed successfully" : undefined);
       }
 
       setShowAddForm(false);
@@ -307,12 +552,18 @@ const RentalManager = ({
     setFormData({
       property_id: rental.property_id || property.id,
       tenant_name: rental.tenant_name,
+      tenant_id: rental.tenant_id || "",
       monthly_rent: formatForInput(rental.monthly_rent),
       lease_start: rental.lease_start,
       lease_end: rental.lease_end || "",
       deposit: formatForInput(rental.deposit || 0),
       room_description: rental.room_description || "",
+      unit_id: rental.unit_id || "",
       frequency: rental.frequency,
+      rent_due_day: rental.rent_due_day?.toString() || "",
+      rent_ledger_start: rental.rent_ledger_start || "",
+      lease_status: rental.lease_status || LEASE_STATUSES.ACTIVE,
+      vacate_date: rental.vacate_date || "",
       bond_amount: formatForInput(rental.bond_amount || 0),
       notes: rental.notes || "",
       reminder_date: rental.reminder_date || "",
@@ -327,12 +578,18 @@ const RentalManager = ({
     setFormData({
       property_id: rental.property_id || property.id,
       tenant_name: "",
+      tenant_id: "",
       monthly_rent: formatForInput(rental.monthly_rent),
       lease_start: new Date().toISOString().split("T")[0],
       lease_end: rental.lease_end || "",
       deposit: formatForInput(rental.deposit || 0),
       room_description: rental.room_description || "",
+      unit_id: rental.unit_id || "",
       frequency: rental.frequency,
+      rent_due_day: rental.rent_due_day?.toString() || "",
+      rent_ledger_start: "",
+      lease_status: LEASE_STATUSES.ACTIVE,
+      vacate_date: "",
       bond_amount: formatForInput(rental.bond_amount || 0),
       notes: "",
       reminder_date: "",
@@ -340,9 +597,66 @@ const RentalManager = ({
         rental.management_fee_percentage?.toString() || "",
     });
     setEditingRental(null);
+    setRenewingRental(null);
+    setShowAddForm(true);
+  };
+
+  // A renewal is a new lease for the same tenant, starting the day after the fixed term
+  // (or today for a periodic tenancy) at the rent in force then
+  const handleRenew = (rental) => {
+    const today = toDateInput(new Date());
+    const start =
+      rental.lease_end && getLeaseStatus(rental) !== LEASE_STATUSES.PERIODIC
+        ? shiftDateInput(rental.lease_end, { days: 1 })
+        : today;
+
+    setFormData({
+      property_id: rental.property_id || property.id,
+      tenant_name: rental.tenant_name,
+      tenant_id: rental.tenant_id || "",
+      monthly_rent: formatForInput(getRentAt(rental, start)),
+      lease_start: start,
+      lease_end: shiftDateInput(start, { months: 12, days: -1 }),
+      deposit: formatForInput(rental.deposit || 0),
+      room_description: rental.room_description || "",
+      unit_id: rental.unit_id || "",
+      frequency: rental.frequency,
+      rent_due_day: rental.rent_due_day?.toString() || "",
+      rent_ledger_start: "",
+      lease_status: LEASE_STATUSES.ACTIVE,
+      vacate_date: "",
+      bond_amount: formatForInput(rental.bond_amount || 0),
+      notes: rental.notes || "",
+      reminder_date: "",
+      management_fee_percentage:
+        rental.management_fee_percentage?.toString() || "",
+    });
+    setEditingRental(null);
+    setRenewingRental(rental);
     setShowAddForm(true);
   };
 
+  // Close the renewed lease the day before the new one starts and drop its rent rows from then on
+  const endRenewedLease = async (rental, newStart) => {
+    const lastDay = shiftDateInput(newStart, { days: -1 });
+    const tenancyEnd = getTenancyEnd(rental);
+
+    const result = await updateRental(rental.id, {
+      lease_status: LEASE_STATUSES.ENDED,
+      lease_end:
+        tenancyEnd && toDateInput(tenancyEnd) < lastDay
+          ? toDateInput(tenancyEnd)
+          : lastDay,
+      vacate_date: null,
+    });
+    if (!result.success) {
+      console.error("Failed to end renewed lease:", result.error);
+      return;
+    }
+
+    await removeGeneratedRentTransactions(rental, newStart);
+  };
+
   const handleDelete = async (rentalId) => {
     if (
       !confirm(
@@ -375,203 +689,1275 @@ const RentalManager = ({
     resetForm();
   };
 
-  const isRentalActive = (rental) => {
-    const today = new Date();
-    const startDate = new Date(rental.lease_start);
-    const endDate = rental.lease_end ? new Date(rental.lease_end) : null;
-
-    return today >= startDate && (!endDate || today <= endDate);
-  };
-
   // Filter rentals for this specific property from the global rentals array
   const propertyRentals = Array.isArray(rentals)
     ? rentals.filter((rental) => rental && rental.property_id === property?.id)
     : [];
 
-  return (
-    <div className="space-y-6">
-      {/* Rentals List */}
-      {propertyRentals.length === 0 ? (
-        <div className="card text-center py-12">
-          <SafeIcon
-            icon={FiUsers}
-            className="w-16 h-16 text-gray-600 mx-auto mb-4"
-          />
-          <h3 className="text-xl font-medium text-gray-400 mb-2">
-            No Rentals Added
-          </h3>
-          <p className="text-gray-500 mb-6">
-            {canPerformActions
-              ? "Start by adding rental details for this property"
-              : "No rental details available for this property"}
-          </p>
-          {canPerformActions && (
-            <button
-              onClick={() => setShowAddForm(true)}
-              className="btn-primary"
-            >
-              Add Your First Rental
-            </button>
-          )}
-        </div>
-      ) : (
-        <div className="space-y-4">
-          {/* Add Rental Button */}
-          {canPerformActions && (
-            <div className="flex justify-end">
-              <button
-                onClick={() => setShowAddForm(true)}
-                className="btn-primary flex items-center space-x-2"
-              >
-                <SafeIcon icon={FiPlus} className="w-4 h-4" />
-                <span>Add Rental</span>
-              </button>
-            </div>
-          )}
+  const safeRentPayments = Array.isArray(rentPayments) ? rentPayments : [];
+  const safeVacancies = Array.isArray(vacancies) ? vacancies : [];
+  const propertyVacancies = safeVacancies
+    .filter((v) => v && v.property_id === property?.id)
+    .sort((a, b) => b.start_date.localeCompare(a.start_date));
 
-          {/* Rentals Grid */}
-          <div className="grid gap-4">
-            {propertyRentals.map((rental) => (
-              <motion.div
-                key={rental.id}
-                initial={{ opacity: 0, y: 20 }}
-                animate={{ opacity: 1, y: 0 }}
-                className={`card border-l-4 ${
-                  isRentalActive(rental)
-                    ? "border-green-500"
-                    : "border-gray-500"
-                }`}
-              >
-                <div className="flex items-start justify-between">
-                  <div className="flex-1">
-                    <div className="flex items-center justify-between mb-3">
-                      <div className="flex items-center space-x-3">
-                        <div className="w-12 h-12 rounded-full bg-blue-900/30 flex items-center justify-center">
-                          <SafeIcon
-                            icon={FiUsers}
-                            className="w-6 h-6 text-blue-400"
-                          />
-                        </div>
-                        <div>
-                          <h3 className="font-semibold text-white">
-                            {rental.tenant_name}
-                          </h3>
-                          {rental.room_description && (
-                            <p className="text-gray-400 text-sm">
-                              {rental.room_description}
-                            </p>
-                          )}
-                          {rental.reminder_date && (
-                            <div className="text-xs text-yellow-400 flex items-center mt-1">
-                              <SafeIcon
-                                icon={FiBell}
-                                className="w-3 h-3 mr-1"
-                              />
-                              Reminder:{" "}
-                              {new Date(
-                                rental.reminder_date
-                              ).toLocaleDateString()}
-                            </div>
-                          )}
-                        </div>
-                      </div>
-                      <span
-                        className={`px-2 py-1 text-xs font-medium rounded-full ${
-                          isRentalActive(rental)
-                            ? "bg-green-900/50 text-green-400"
-                            : "bg-gray-600/50 text-gray-400"
-                        }`}
-                      >
-                        {isRentalActive(rental) ? "Active" : "Inactive"}
-                      </span>
-                    </div>
+  // Leases already carried forward by a renewal
+  const renewedIds = new Set(
+    propertyRentals.map((rental) => rental.renewed_from).filter(Boolean)
+  );
 
-                    <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-4 gap-4 text-sm mb-4">
-                      <div>
-                        <p className="text-gray-400">Rental Amount</p>
-                        <p className="text-white font-medium">
-                          {formatForInput(rental.monthly_rent)}{" "}
-                          {rental.frequency}
-                        </p>
-                      </div>
+  const occupancy = calculateOccupancy(
+    property,
+    propertyRentals,
+    safeVacancies,
+    occupancyRange.start,
+    occupancyRange.end
+  );
 
-                      <div>
-                        <p className="text-gray-400">Start Date</p>
-                        <p className="text-white font-medium">
-                          {new Date(rental.lease_start).toLocaleDateString()}
-                        </p>
-                      </div>
+  // Yield on today's rent roll, scaled down by the time the property sat vacant
+  const propertyValue = calculatePropertyMetrics(property, [], [], [], loans || []).propertyValue;
+  const annualRentRoll = propertyRentals
+    .filter((rental) => isTenancyActiveAt(rental))
+    .reduce((sum, rental) => sum + getAnnualRent(rental), 0);
+  const grossYield = propertyValue > 0 ? (annualRentRoll / propertyValue) * 100 : 0;
+  const vacancyAdjustedYield = (grossYield * occupancy.occupancyRate) / 100;
+
+  const openVacancyForm = (vacancy = null) => {
+    setVacancyErrors({});
+    setVacancyForm(
+      vacancy
+        ? {
+            id: vacancy.id,
+            start_date: vacancy.start_date,
+            end_date: vacancy.end_date || "",
+            reason: vacancy.reason || VACANCY_REASONS[0],
+            notes: vacancy.notes || "",
+          }
+        : { ...EMPTY_VACANCY, start_date: toDateInput(new Date()) }
+    );
+  };
 
-                      {rental.lease_end && (
-                        <div>
-                          <p className="text-gray-400">End Date</p>
-                          <p className="text-white font-medium">
-                            {new Date(rental.lease_end).toLocaleDateString()}
-                          </p>
-                        </div>
-                      )}
+  const handleVacancyFieldChange = (e) => {
+    const { name, value } = e.target;
+    setVacancyForm((prev) => ({ ...prev, [name]: value }));
+    if (vacancyErrors[name]) {
+      setVacancyErrors((prev) => ({ ...prev, [name]: "" }));
+    }
+  };
 
-                      {rental.deposit > 0 && (
-                        <div>
-                          <p className="text-gray-400">Deposit</p>
-                          <p className="text-white font-medium">
-                            {formatForInput(rental.deposit)}
-                          </p>
-                        </div>
-                      )}
+  const handleVacancySubmit = async () => {
+    const newErrors = {};
+    if (!vacancyForm.start_date) {
+      newErrors.start_date = "Start date is required";
+    }
+    if (vacancyForm.end_date && vacancyForm.end_date < vacancyForm.start_date) {
+      newErrors.end_date = "End date must be after the start date";
+    }
+    setVacancyErrors(newErrors);
+    if (Object.keys(newErrors).length > 0) return;
 
-                      {rental.bond_amount > 0 && (
-                        <div>
-                          <p className="text-gray-400">Bond Amount</p>
-                          <p className="text-white font-medium">
-                            {formatForInput(rental.bond_amount)}
-                          </p>
-                        </div>
-                      )}
+    try {
+      const vacancyData = {
+        property_id: property.id,
+        start_date: vacancyForm.start_date,
+        end_date: vacancyForm.end_date || null,
+        reason: vacancyForm.reason,
+        notes: vacancyForm.notes,
+      };
 
-                      {rental.management_fee_percentage > 0 && (
-                        <div>
-                          <p className="text-gray-400">Management Fee</p>
-                          <p className="text-white font-medium">
-                            {rental.management_fee_percentage}%
-                          </p>
-                        </div>
-                      )}
-                    </div>
+      const result = vacancyForm.id
+        ? await updateVacancy(vacancyForm.id, vacancyData)
+        : await createVacancy(vacancyData);
+      if (!result.success) {
+        console.error("Failed to save vacancy:", result.error);
+        return;
+      }
 
-                    {rental.notes && (
-                      <div className="mt-3 p-3 bg-gray-700/30 rounded">
-                        <p className="text-gray-300 text-sm">{rental.notes}</p>
-                      </div>
-                    )}
-                  </div>
+      const actionDescription = vacancyForm.id
+        ? "Vacancy updated successfully"
+        : "Vacancy recorded successfully";
+      setVacancyForm(null);
+
+      if (onSaveData) {
+        onSaveData(null, actionDescription);
+      }
+    } catch (error) {
+      console.error("Error saving vacancy:", error);
+    }
+  };
+
+  const portfolioBonds = getPortfolioBonds(rentals);
+
+  const getPropertyName = (propertyId) => {
+    const match = (Array.isArray(properties) ? properties : []).find(
+      (p) => p && p.id === propertyId
+    );
+    return match ? match.name || match.address : "";
+  };
+
+  const openBondForm = (rental) => {
+    setBondErrors({});
+    setBondForm({
+      rental,
+      bond_status: rental.bond_status || BOND_STATUSES.HELD,
+      bond_authority: rental.bond_authority || "",
+      bond_lodgement_reference: rental.bond_lodgement_reference || "",
+      bond_lodged_date: rental.bond_lodged_date || "",
+      bond_refund_date: rental.bond_refund_date || "",
+      deductions: (Array.isArray(rental.bond_deductions) ? rental.bond_deductions : []).map(
+        (item) => ({
+          id: item.id,
+          description: item.description || "",
+          amount: formatForInput(item.amount),
+        })
+      ),
+    });
+  };
+
+  const handleBondFieldChange = (e) => {
+    const { name, value } = e.target;
+    setBondForm((prev) => ({ ...prev, [name]: value }));
+    if (bondErrors[name]) {
+      setBondErrors((prev) => ({ ...prev, [name]: "" }));
+    }
+  };
+
+  const handleBondDeductionChange = (index, field, value) => {
+    setBondForm((prev) => {
+      const deductions = [...prev.deductions];
+      deductions[index] = { ...deductions[index], [field]: value };
+      return { ...prev, deductions };
+    });
+    setBondErrors((prev) => ({ ...prev, deductions: "" }));
+  };
+
+  const addBondDeduction = () => {
+    setBondForm((prev) => ({
+      ...prev,
+      deductions: [
+        ...prev.deductions,
+        {
+          id: `deduction_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+          description: "",
+          amount: "",
+        },
+      ],
+    }));
+  };
+
+  const removeBondDeduction = (index) => {
+    setBondForm((prev) => ({
+      ...prev,
+      deductions: prev.deductions.filter((_, i) => i !== index),
+    }));
+  };
+
+  const getBondFormDeductions = (form) =>
+    form.deductions
+      .filter((item) => item.description.trim() && parseCurrency(item.amount) > 0)
+      .map((item) => ({
+        id: item.id,
+        description: item.description.trim(),
+        amount: parseCurrency(item.amount),
+      }));
+
+  const handleBondSubmit = async () => {
+    const deductions = getBondFormDeductions(bondForm);
+    const summary = getBondSummary({
+      bond_amount: bondForm.rental.bond_amount,
+      bond_deductions: deductions,
+    });
+
+    const newErrors = {};
+    const claimed = deductions.reduce((sum, item) => sum + item.amount, 0);
+    if (claimed > summary.amount) {
+      newErrors.deductions = "Deductions can't exceed the bond";
+    }
+    if (
+      bondForm.bond_status === BOND_STATUSES.REFUNDED &&
+      !bondForm.bond_refund_date
+    ) {
+      newErrors.bond_refund_date = "Refund date is required once refunded";
+    }
+    setBondErrors(newErrors);
+    if (Object.keys(newErrors).length > 0) return;
+
+    try {
+      const result = await updateRental(bondForm.rental.id, {
+        bond_status: bondForm.bond_status,
+        bond_authority: bondForm.bond_authority,
+        bond_lodgement_reference: bondForm.bond_lodgement_reference,
+        bond_lodged_date: bondForm.bond_lodged_date || null,
+        bond_refund_date: bondForm.bond_refund_date || null,
+        bond_deductions: deductions,
+      });
+      if (!result.success) {
+        console.error("Failed to save bond:", result.error);
+        return;
+      }
+
+      setBondForm(null);
+
+      if (onSaveData) {
+        onSaveData(null, "Bond updated successfully");
+      }
+    } catch (error) {
+      console.error("Error saving bond:", error);
+    }
+  };
+
+  const renderBonds = () => (
+    <div className="space-y-4">
+      <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+        <div className="card p-4">
+          <p className="text-gray-400 text-sm">Bonds Held</p>
+          <p className="text-2xl font-bold text-white">
+            {formatCurrency(portfolioBonds.totalHeld)}
+          </p>
+          <p className="text-gray-500 text-xs">
+            {portfolioBonds.heldCount} tenanc
+            {portfolioBonds.heldCount === 1 ? "y" : "ies"} across the portfolio
+          </p>
+        </div>
+        <div className="card p-4">
+          <p className="text-gray-400 text-sm">Not Yet Lodged</p>
+          <p
+            className={`text-2xl font-bold ${
+              portfolioBonds.unlodgedCount > 0 ? "text-yellow-400" : "text-white"
+            }`}
+          >
+            {portfolioBonds.unlodgedCount}
+          </p>
+          <p className="text-gray-500 text-xs">Bonds still with you or your agent</p>
+        </div>
+        <div className="card p-4">
+          <p className="text-gray-400 text-sm">Claims In Progress</p>
+          <p className="text-2xl font-bold text-white">
+            {
+              portfolioBonds.bonds.filter(
+                (bond) => bond.status === BOND_STATUSES.CLAIM_LODGED
+              ).length
+            }
+          </p>
+          <p className="text-gray-500 text-xs">Awaiting release by the authority</p>
+        </div>
+      </div>
 
+      {portfolioBonds.bonds.length === 0 ? (
+        <div className="card text-center py-12">
+          <p className="text-gray-400">
+            No bonds recorded. Add a bond amount to a rental to track it here.
+          </p>
+        </div>
+      ) : (
+        <div className="card overflow-x-auto">
+          <table className="w-full text-sm">
+            <thead>
+              <tr className="text-gray-400 text-left">
+                <th className="py-2 pr-3 font-medium">Tenant</th>
+                <th className="py-2 pr-3 font-medium">Property</th>
+                <th className="py-2 pr-3 font-medium text-right">Bond</th>
+                <th className="py-2 pr-3 font-medium">Lodged With</th>
+                <th className="py-2 pr-3 font-medium">Status</th>
+                <th className="py-2 pr-3 font-medium text-right">Deductions</th>
+                <th className="py-2 pr-3 font-medium text-right">To Tenant</th>
+                {canPerformActions && <th className="py-2" />}
+              </tr>
+            </thead>
+            <tbody>
+              {portfolioBonds.bonds.map((bond) => (
+                <tr key={bond.rental.id} className="border-t border-gray-700">
+                  <td className="py-2 pr-3 text-white">{bond.rental.tenant_name}</td>
+                  <td className="py-2 pr-3 text-gray-300">
+                    {getPropertyName(bond.rental.property_id)}
+                  </td>
+                  <td className="py-2 pr-3 text-right text-white">
+                    {formatCurrency(bond.amount)}
+                  </td>
+                  <td className="py-2 pr-3 text-gray-300">
+                    {bond.rental.bond_authority || "-"}
+                    {bond.rental.bond_lodgement_reference && (
+                      <span className="block text-xs text-gray-500">
+                        Ref {bond.rental.bond_lodgement_reference}
+                        {bond.rental.bond_lodged_date &&
+                          ` · ${new Date(bond.rental.bond_lodged_date).toLocaleDateString()}`}
+                      </span>
+                    )}
+                  </td>
+                  <td className={`py-2 pr-3 ${BOND_STATUS_STYLES[bond.status]}`}>
+                    {BOND_STATUS_LABELS[bond.status]}
+                  </td>
+                  <td className="py-2 pr-3 text-right text-gray-300">
+                    {bond.deductionsTotal > 0 ? formatCurrency(bond.deductionsTotal) : "-"}
+                  </td>
+                  <td className="py-2 pr-3 text-right text-gray-300">
+                    {formatCurrency(bond.refundToTenant)}
+                  </td>
                   {canPerformActions && (
-                    <div className="flex space-x-2 ml-4">
+                    <td className="py-2 text-right">
                       <button
-                        onClick={() => handleAddSimilar(rental)}
-                        className="text-gray-400 hover:text-green-400 transition-colors"
-                        title="Add Similar"
-                      >
-                        <SafeIcon icon={FiCopy} className="w-4 h-4" />
-                      </button>
-                      <button
-                        onClick={() => handleEdit(rental)}
+                        onClick={() => openBondForm(bond.rental)}
                         className="text-gray-400 hover:text-blue-400 transition-colors"
                       >
                         <SafeIcon icon={FiEdit} className="w-4 h-4" />
                       </button>
-                      <button
-                        onClick={() => handleDelete(rental.id)}
-                        className="text-gray-400 hover:text-red-400 transition-colors"
+                    </td>
+                  )}
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </div>
+  );
+
+  const handleVacancyDelete = async (vacancyId) => {
+    if (!window.confirm("Are you sure you want to delete this vacancy?")) {
+      return;
+    }
+
+    try {
+      const result = await deleteVacancy(vacancyId);
+      if (!result.success) {
+        console.error("Failed to delete vacancy:", result.error);
+        return;
+      }
+
+      if (onSaveData) {
+        onSaveData(null, "Vacancy deleted successfully");
+      }
+    } catch (error) {
+      console.error("Error deleting vacancy:", error);
+    }
+  };
+  const tenantsInArrears = getTenantsInArrears(propertyRentals, safeRentPayments);
+
+  // Income received for this property and not yet matched to a rent payment. Rent rows
+  // generated from a lease (expense_id is the rental) are expected rent, not receipts.
+  const getMatchableTransactions = () => {
+    const matchedIds = new Set(
+      safeRentPayments
+        .filter((p) => p.transaction_id && p.id !== editingPayment?.id)
+        .map((p) => p.transaction_id)
+    );
+    const rentalIds = new Set(propertyRentals.map((rental) => rental.id));
+    const today = new Date().toISOString().split("T")[0];
+
+    return (Array.isArray(transactions) ? transactions : [])
+      .filter(
+        (t) =>
+          t &&
+          t.property_id === property?.id &&
+          t.type === "income" &&
+          !rentalIds.has(t.expense_id) &&
+          t.date <= today &&
+          !matchedIds.has(t.id)
+      )
+      .sort((a, b) => new Date(b.date) - new Date(a.date))
+      .slice(0, 50);
+  };
+
+  const openPaymentForm = (rental, payment = null) => {
+    setPaymentRental(rental);
+    setEditingPayment(payment);
+    setPaymentForm(
+      payment
+        ? {
+            amount: formatForInput(payment.amount),
+            payment_date: payment.payment_date,
+            transaction_id: payment.transaction_id || "",
+            notes: payment.notes || "",
+          }
+        : { ...getEmptyPaymentForm(), amount: formatForInput(getRentAt(rental)) }
+    );
+    setPaymentErrors({});
+  };
+
+  const closePaymentForm = () => {
+    setPaymentRental(null);
+    setEditingPayment(null);
+    setPaymentForm(getEmptyPaymentForm());
+    setPaymentErrors({});
+  };
+
+  const handlePaymentChange = (e) => {
+    const { name, value } = e.target;
+    setPaymentForm((prev) => ({ ...prev, [name]: value }));
+
+    if (paymentErrors[name]) {
+      setPaymentErrors((prev) => ({ ...prev, [name]: null }));
+    }
+  };
+
+  // Matching a transaction takes its amount and date as the receipt
+  const handleMatchTransaction = (e) => {
+    const transactionId = e.target.value;
+    const transaction = (transactions || []).find((t) => t && t.id === transactionId);
+
+    setPaymentForm((prev) => ({
+      ...prev,
+      transaction_id: transactionId,
+      ...(transaction && {
+        amount: formatForInput(transaction.amount),
+        payment_date: transaction.date,
+      }),
+    }));
+    setPaymentErrors({});
+  };
+
+  const handleSavePayment = async () => {
+    const newErrors = {};
+    const amount = parseCurrency(paymentForm.amount);
+    if (!amount || amount <= 0) {
+      newErrors.amount = "Valid payment amount is required";
+    }
+    if (!paymentForm.payment_date) {
+      newErrors.payment_date = "Payment date is required";
+    }
+
+    setPaymentErrors(newErrors);
+    if (Object.keys(newErrors).length > 0) return;
+
+    const paymentData = {
+      rental_id: paymentRental.id,
+      property_id: paymentRental.property_id || property.id,
+      amount,
+      payment_date: paymentForm.payment_date,
+      transaction_id: paymentForm.transaction_id || null,
+      notes: paymentForm.notes,
+    };
+
+    try {
+      const result = editingPayment
+        ? await updateRentPayment(editingPayment.id, paymentData)
+        : await createRentPayment(paymentData);
+      if (!result.success) {
+        console.error("Failed to save rent payment:", result.error);
+        return;
+      }
+
+      if (onSaveData) {
+        onSaveData(
+          null,
+          editingPayment
+            ? "Rent payment updated successfully"
+            : "Rent payment recorded successfully"
+        );
+      }
+
+      closePaymentForm();
+    } catch (error) {
+      console.error("Error saving rent payment:", error);
+    }
+  };
+
+  // Delete the rent and management fee rows generated for a rental dated `fromDate` or later
+  const removeGeneratedRentTransactions = async (rental, fromDate) => {
+    const generated = (Array.isArray(transactions) ? transactions : []).filter(
+      (t) =>
+        t &&
+        t.expense_id === rental.id &&
+        (t.type === "income" || t.type === "management_fee") &&
+        t.date >= fromDate
+    );
+
+    for (const transaction of generated) {
+      await deleteTransaction(transaction.id);
+    }
+    return generated;
+  };
+
+  // Rent rows already generated for a rental from `fromDate` on are replaced so they charge
+  // the rent in force after a rent change. Coverage stays the same as before unless
+  // `untilDate` sets a new schedule end.
+  const regenerateRentTransactions = async (rental, fromDate, untilDate = null) => {
+    const removed = await removeGeneratedRentTransactions(rental, fromDate);
+    if (removed.length === 0 && !untilDate) return;
+
+    const until =
+      untilDate || removed.reduce((latest, t) => (t.date > latest ? t.date : latest), fromDate);
+
+    const newTransactions = generateRentalTransactions(
+      { ...property, rental },
+      fromDate,
+      until
+    );
+    for (const transaction of newTransactions) {
+      await createTransaction(transaction);
+    }
+  };
+
+  const openRentChangeForm = (rental, change = null) => {
+    setRentChangeErrors({});
+    setRentChangeForm(
+      change
+        ? {
+            id: change.id,
+            rental,
+            previousDate: change.effective_date,
+            effective_date: change.effective_date,
+            change_type: change.change_type || RENT_CHANGE_TYPES.AMOUNT,
+            value: change.value?.toString() || "",
+            notes: change.notes || "",
+          }
+        : { ...EMPTY_RENT_CHANGE, rental }
+    );
+  };
+
+  const handleRentChangeFieldChange = (e) => {
+    const { name, value } = e.target;
+    setRentChangeForm((prev) => ({ ...prev, [name]: value }));
+    if (rentChangeErrors[name]) {
+      setRentChangeErrors((prev) => ({ ...prev, [name]: "" }));
+    }
+  };
+
+  // Rental with the change being edited swapped in, for previews and regenerated rows
+  const getRentalWithChange = (form, savedChange) => {
+    const others = (form.rental.rent_changes || []).filter((c) => c.id !== form.id);
+    return {
+      ...form.rental,
+      rent_changes: savedChange ? [...others, savedChange] : others,
+    };
+  };
+
+  const handleRentChangeSubmit = async () => {
+    const newErrors = {};
+    const value = parseFloat(rentChangeForm.value);
+    if (!rentChangeForm.effective_date) {
+      newErrors.effective_date = "Effective date is required";
+    }
+    if (!Number.isFinite(value)) {
+      newErrors.value = "Enter a number";
+    } else if (rentChangeForm.change_type === RENT_CHANGE_TYPES.AMOUNT && value <= 0) {
+      newErrors.value = "New rent must be greater than 0";
+    } else if (
+      rentChangeForm.change_type !== RENT_CHANGE_TYPES.AMOUNT &&
+      rentChangeForm.change_type !== RENT_CHANGE_TYPES.FIXED &&
+      (value < -100 || value > 100)
+    ) {
+      newErrors.value = "Percentage must be between -100 and 100";
+    }
+    setRentChangeErrors(newErrors);
+    if (Object.keys(newErrors).length > 0) return;
+
+    try {
+      const rentChangeData = {
+        rental_id: rentChangeForm.rental.id,
+        effective_date: rentChangeForm.effective_date,
+        change_type: rentChangeForm.change_type,
+        value,
+        notes: rentChangeForm.notes,
+      };
+
+      const result = rentChangeForm.id
+        ? await updateRentChange(rentChangeForm.id, rentChangeData)
+        : await createRentChange(rentChangeData);
+      if (!result.success) {
+        console.error("Failed to save rent change:", result.error);
+        return;
+      }
+
+      const fromDate =
+        rentChangeForm.previousDate && rentChangeForm.previousDate < rentChangeForm.effective_date
+          ? rentChangeForm.previousDate
+          : rentChangeForm.effective_date;
+      await regenerateRentTransactions(
+        getRentalWithChange(rentChangeForm, result.rentChange),
+        fromDate
+      );
+
+      const actionDescription = rentChangeForm.id
+        ? "Rent change updated successfully"
+        : "Rent change scheduled successfully";
+      setRentChangeForm(null);
+
+      if (onSaveData) {
+        onSaveData(null, actionDescription);
+      }
+    } catch (error) {
+      console.error("Error saving rent change:", error);
+    }
+  };
+
+  const handleRentChangeDelete = async (rental, change) => {
+    if (!window.confirm("Are you sure you want to delete this rent change?")) {
+      return;
+    }
+
+    try {
+      const result = await deleteRentChange(change.id);
+      if (!result.success) {
+        console.error("Failed to delete rent change:", result.error);
+        return;
+      }
+
+      await regenerateRentTransactions(
+        getRentalWithChange({ id: change.id, rental }),
+        change.effective_date
+      );
+
+      if (onSaveData) {
+        onSaveData(null, "Rent change deleted successfully");
+      }
+    } catch (error) {
+      console.error("Error deleting rent change:", error);
+    }
+  };
+
+  const handleDeletePayment = async (payment) => {
+    if (!window.confirm("Are you sure you want to delete this rent payment?")) {
+      return;
+    }
+
+    try {
+      const result = await deleteRentPayment(payment.id);
+      if (!result.success) {
+        console.error("Failed to delete rent payment:", result.error);
+        return;
+      }
+
+      if (onSaveData) {
+        onSaveData(null, "Rent payment deleted successfully");
+      }
+    } catch (error) {
+      console.error("Error deleting rent payment:", error);
+    }
+  };
+
+  const renderRentReviews = (rental) => {
+    const history = getRentHistory(rental);
+    if (history.length === 0 && !canPerformActions) return null;
+    const today = new Date();
+
+    return (
+      <div className="mt-3 p-3 bg-gray-700/30 rounded">
+        <div className="flex justify-between items-center mb-2">
+          <p className="text-sm font-medium text-gray-300">Rent Reviews</p>
+          {canPerformActions && (
+            <button
+              onClick={() => openRentChangeForm(rental)}
+              className="flex items-center space-x-1 text-sm text-blue-400 hover:text-blue-300 transition-colors"
+            >
+              <SafeIcon icon={FiTrendingUp} className="w-4 h-4" />
+              <span>Schedule increase</span>
+            </button>
+          )}
+        </div>
+
+        {history.length === 0 ? (
+          <p className="text-xs text-gray-500">
+            No rent changes. Rent stays at{" "}
+            {formatCurrency(rental.monthly_rent)} from the start date.
+          </p>
+        ) : (
+          <div className="space-y-1">
+            <p className="text-xs text-gray-500">
+              {formatCurrency(rental.monthly_rent)} from{" "}
+              {new Date(rental.lease_start).toLocaleDateString()}
+            </p>
+            {history.map((change) => (
+              <div
+                key={change.id}
+                className="flex justify-between items-center text-sm"
+              >
+                <div className="text-gray-300">
+                  <span>From {change.date.toLocaleDateString()}</span>
+                  <span className="text-white font-medium ml-2">
+                    {formatCurrency(change.rent)}
+                  </span>
+                  <span className="text-gray-400 ml-2">
+                    · {describeRentChange(change)}
+                  </span>
+                  {change.date > today && (
+                    <span className="text-blue-400 ml-2">· Scheduled</span>
+                  )}
+                  {change.notes && (
+                    <span className="text-gray-500 ml-2">· {change.notes}</span>
+                  )}
+                </div>
+                {canPerformActions && (
+                  <div className="flex space-x-1">
+                    <button
+                      onClick={() => openRentChangeForm(rental, change.record)}
+                      className="p-1 text-gray-400 hover:text-blue-400 transition-colors"
+                    >
+                      <SafeIcon icon={FiEdit} className="w-3 h-3" />
+                    </button>
+                    <button
+                      onClick={() => handleRentChangeDelete(rental, change.record)}
+                      className="p-1 text-gray-400 hover:text-red-400 transition-colors"
+                    >
+                      <SafeIcon icon={FiTrash2} className="w-3 h-3" />
+                    </button>
+                  </div>
+                )}
+              </div>
+            ))}
+          </div>
+        )}
+      </div>
+    );
+  };
+
+  // Rent the form's change would set, for the preview line in the form
+  const rentChangePreview =
+    rentChangeForm &&
+    rentChangeForm.effective_date &&
+    Number.isFinite(parseFloat(rentChangeForm.value))
+      ? getRentAt(
+          getRentalWithChange(rentChangeForm, {
+            id: rentChangeForm.id || "preview",
+            effective_date: rentChangeForm.effective_date,
+            change_type: rentChangeForm.change_type,
+            value: rentChangeForm.value,
+          }),
+          rentChangeForm.effective_date
+        )
+      : null;
+
+  return (
+    <div className="space-y-6">
+      {/* View Toggle */}
+      <div className="flex space-x-2">
+        {[
+          { id: "tenancies", label: "Tenancies" },
+          { id: "bonds", label: "Bonds" },
+        ].map((option) => (
+          <button
+            key={option.id}
+            onClick={() => setView(option.id)}
+            className={`px-4 py-2 rounded-lg text-sm font-medium transition-colors ${
+              view === option.id
+                ? "bg-blue-600 text-white"
+                : "bg-gray-700 text-gray-300 hover:bg-gray-600"
+            }`}
+          >
+            {option.label}
+          </button>
+        ))}
+      </div>
+
+      {/* Occupancy */}
+      {view === "tenancies" &&
+        (propertyRentals.length > 0 || propertyVacancies.length > 0) && (
+        <div className="card">
+          <div className="flex flex-wrap items-center justify-between gap-3 mb-4">
+            <div className="flex items-center space-x-2">
+              <SafeIcon icon={FiCalendar} className="w-5 h-5 text-blue-400" />
+              <h3 className="font-semibold text-white">Occupancy</h3>
+            </div>
+            <div className="flex flex-wrap items-center gap-2 text-sm">
+              <input
+                type="date"
+                value={occupancyRange.start}
+                onChange={(e) =>
+                  setOccupancyRange((prev) => ({ ...prev, start: e.target.value }))
+                }
+                className="form-input w-auto"
+              />
+              <span className="text-gray-400">to</span>
+              <input
+                type="date"
+                value={occupancyRange.end}
+                onChange={(e) =>
+                  setOccupancyRange((prev) => ({ ...prev, end: e.target.value }))
+                }
+                className="form-input w-auto"
+              />
+              {canPerformActions && (
+                <button
+                  onClick={() => openVacancyForm()}
+                  className="btn-secondary flex items-center space-x-2"
+                >
+                  <SafeIcon icon={FiPlus} className="w-4 h-4" />
+                  <span>Record Vacancy</span>
+                </button>
+              )}
+            </div>
+          </div>
+
+          <div className="grid grid-cols-2 md:grid-cols-4 gap-4 text-sm mb-4">
+            <div>
+              <p className="text-gray-400">Occupancy</p>
+              <p className="text-white font-medium">{occupancy.occupancyRate}%</p>
+              <p className="text-gray-500 text-xs">
+                {occupancy.occupiedDays} of {occupancy.days} days let
+              </p>
+            </div>
+            <div>
+              <p className="text-gray-400">Vacancy Rate</p>
+              <p
+                className={`font-medium ${
+                  occupancy.vacancyRate > 0 ? "text-yellow-400" : "text-white"
+                }`}
+              >
+                {occupancy.vacancyRate}%
+              </p>
+              <p className="text-gray-500 text-xs">
+                {occupancy.vacantDays} days vacant
+              </p>
+            </div>
+            <div>
+              <p className="text-gray-400">Gross Yield</p>
+              <p className="text-white font-medium">{grossYield.toFixed(2)}%</p>
+              <p className="text-gray-500 text-xs">Current rent, fully let</p>
+            </div>
+            <div>
+              <p className="text-gray-400">Vacancy-Adjusted Yield</p>
+              <p className="text-white font-medium">
+                {vacancyAdjustedYield.toFixed(2)}%
+              </p>
+              <p className="text-gray-500 text-xs">At this period's occupancy</p>
+            </div>
+          </div>
+
+          {occupancy.vacancies.length > 0 && (
+            <div className="space-y-1 mb-3">
+              <p className="text-sm font-medium text-gray-300">Vacant Periods</p>
+              {occupancy.vacancies.map((gap) => (
+                <div
+                  key={gap.start.toISOString()}
+                  className="flex justify-between text-sm bg-gray-700/30 rounded px-3 py-2"
+                >
+                  <span className="text-gray-300">
+                    {gap.start.toLocaleDateString()} –{" "}
+                    {gap.end.toLocaleDateString()}
+                    <span className="text-gray-400 ml-2">
+                      · {gap.reason || "Not recorded"}
+                    </span>
+                  </span>
+                  <span className="text-yellow-400">{gap.days} days</span>
+                </div>
+              ))}
+            </div>
+          )}
+
+          {propertyVacancies.length > 0 && (
+            <div className="space-y-1">
+              <p className="text-sm font-medium text-gray-300">Recorded Vacancies</p>
+              {propertyVacancies.map((vacancy) => (
+                <div
+                  key={vacancy.id}
+                  className="flex justify-between items-center text-sm bg-gray-700/30 rounded px-3 py-2"
+                >
+                  <div className="text-gray-300">
+                    <span>
+                      {new Date(vacancy.start_date).toLocaleDateString()} –{" "}
+                      {vacancy.end_date
+                        ? new Date(vacancy.end_date).toLocaleDateString()
+                        : "ongoing"}
+                    </span>
+                    {vacancy.reason && (
+                      <span className="text-gray-400 ml-2">· {vacancy.reason}</span>
+                    )}
+                    {vacancy.notes && (
+                      <span className="text-gray-500 ml-2">· {vacancy.notes}</span>
+                    )}
+                  </div>
+                  {canPerformActions && (
+                    <div className="flex space-x-1">
+                      <button
+                        onClick={() => openVacancyForm(vacancy)}
+                        className="p-1 text-gray-400 hover:text-blue-400 transition-colors"
+                      >
+                        <SafeIcon icon={FiEdit} className="w-3 h-3" />
+                      </button>
+                      <button
+                        onClick={() => handleVacancyDelete(vacancy.id)}
+                        className="p-1 text-gray-400 hover:text-red-400 transition-colors"
                       >
-                        <SafeIcon icon={FiTrash2} className="w-4 h-4" />
+                        <SafeIcon icon={FiTrash2} className="w-3 h-3" />
                       </button>
                     </div>
-                  )}
-                </div>
-              </motion.div>
-            ))}
+                  )}
+                </div>
+              ))}
+            </div>
+          )}
+        </div>
+      )}
+
+      {/* Rentals List */}
+      {view === "bonds" ? (
+        renderBonds()
+      ) : propertyRentals.length === 0 ? (
+        <div className="card text-center py-12">
+          <SafeIcon
+            icon={FiUsers}
+            className="w-16 h-16 text-gray-600 mx-auto mb-4"
+          />
+          <h3 className="text-xl font-medium text-gray-400 mb-2">
+            No Rentals Added
+          </h3>
+          <p className="text-gray-500 mb-6">
+            {canPerformActions
+              ? "Start by adding rental details for this property"
+              : "No rental details available for this property"}
+          </p>
+          {canPerformActions && (
+            <button
+              onClick={() => setShowAddForm(true)}
+              className="btn-primary"
+            >
+              Add Your First Rental
+            </button>
+          )}
+        </div>
+      ) : (
+        <div className="space-y-4">
+          {/* Add Rental Button */}
+          {canPerformActions && (
+            <div className="flex justify-end">
+              <button
+                onClick={() => setShowAddForm(true)}
+                className="btn-primary flex items-center space-x-2"
+              >
+                <SafeIcon icon={FiPlus} className="w-4 h-4" />
+                <span>Add Rental</span>
+              </button>
+            </div>
+          )}
+
+          {/* Tenants in Arrears */}
+          {tenantsInArrears.length > 0 && (
+            <div className="card bg-red-900/20 border border-red-700">
+              <div className="flex items-center space-x-2 mb-3">
+                <SafeIcon icon={FiAlertTriangle} className="w-5 h-5 text-red-400" />
+                <h3 className="font-semibold text-red-400">Tenants in Arrears</h3>
+              </div>
+              <div className="space-y-2">
+                {tenantsInArrears.map((tenant) => (
+                  <div
+                    key={tenant.rentalId}
+                    className="flex items-center justify-between text-sm"
+                  >
+                    <span className="text-white">{tenant.tenantName}</span>
+                    <span className="text-red-300">
+                      {formatCurrency(tenant.amountOwing)} owing ·{" "}
+                      {tenant.daysInArrears} day
+                      {tenant.daysInArrears === 1 ? "" : "s"} behind
+                    </span>
+                  </div>
+                ))}
+              </div>
+            </div>
+          )}
+
+          {/* Rentals Grid */}
+          <div className="grid gap-4">
+            {propertyRentals.map((rental) => {
+              const ledger = buildRentLedger(rental, safeRentPayments);
+              const inArrears = ledger.daysInArrears > 0;
+
+              return (
+                <motion.div
+                  key={rental.id}
+                  initial={{ opacity: 0, y: 20 }}
+                  animate={{ opacity: 1, y: 0 }}
+                  className={`card border-l-4 ${
+                    isTenancyActiveAt(rental)
+                      ? "border-green-500"
+                      : "border-gray-500"
+                  }`}
+                >
+                  <div className="flex items-start justify-between">
+                    <div className="flex-1">
+                      <div className="flex items-center justify-between mb-3">
+                        <div className="flex items-center space-x-3">
+                          <div className="w-12 h-12 rounded-full bg-blue-900/30 flex items-center justify-center">
+                            <SafeIcon
+                              icon={FiUsers}
+                              className="w-6 h-6 text-blue-400"
+                            />
+                          </div>
+                          <div>
+                            <h3 className="font-semibold text-white">
+                              {rental.tenant_name}
+                            </h3>
+                            {(getUnitName(rental.unit_id) ||
+                              rental.room_description) && (
+                              <p className="text-gray-400 text-sm">
+                                {[
+                                  getUnitName(rental.unit_id),
+                                  rental.room_description,
+                                ]
+                                  .filter(Boolean)
+                                  .join(" · ")}
+                              </p>
+                            )}
+                            {rental.reminder_date && (
+                              <div className="text-xs text-yellow-400 flex items-center mt-1">
+                                <SafeIcon
+                                  icon={FiBell}
+                                  className="w-3 h-3 mr-1"
+                                />
+                                Reminder:{" "}
+                                {new Date(
+                                  rental.reminder_date
+                                ).toLocaleDateString()}
+                              </div>
+                            )}
+                          </div>
+                        </div>
+                        <span
+                          className={`px-2 py-1 text-xs font-medium rounded-full ${
+                            LEASE_STATUS_STYLES[getLeaseStatus(rental)]
+                          }`}
+                        >
+                          {LEASE_STATUS_LABELS[getLeaseStatus(rental)]}
+                        </span>
+                      </div>
+
+                      <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-4 gap-4 text-sm mb-4">
+                        <div>
+                          <p className="text-gray-400">Rental Amount</p>
+                          <p className="text-white font-medium">
+                            {formatForInput(getRentAt(rental))}{" "}
+                            {rental.frequency}
+                          </p>
+                          {rental.rent_due_day && (
+                            <p className="text-gray-500 text-xs">
+                              Due on day {rental.rent_due_day}
+                            </p>
+                          )}
+                        </div>
+
+                        <div>
+                          <p className="text-gray-400">Start Date</p>
+                          <p className="text-white font-medium">
+                            {new Date(rental.lease_start).toLocaleDateString()}
+                          </p>
+                        </div>
+
+                        {rental.lease_end && (
+                          <div>
+                            <p className="text-gray-400">End Date</p>
+                            <p className="text-white font-medium">
+                              {new Date(rental.lease_end).toLocaleDateString()}
+                            </p>
+                          </div>
+                        )}
+
+                        {rental.vacate_date && (
+                          <div>
+                            <p className="text-gray-400">Vacate Date</p>
+                            <p className="text-white font-medium">
+                              {new Date(rental.vacate_date).toLocaleDateString()}
+                            </p>
+                          </div>
+                        )}
+
+                        {rental.deposit > 0 && (
+                          <div>
+                            <p className="text-gray-400">Deposit</p>
+                            <p className="text-white font-medium">
+                              {formatForInput(rental.deposit)}
+                            </p>
+                          </div>
+                        )}
+
+                        {rental.bond_amount > 0 && (
+                          <div>
+                            <p className="text-gray-400">Bond Amount</p>
+                            <p className="text-white font-medium">
+                              {formatForInput(rental.bond_amount)}
+                            </p>
+                            <button
+                              onClick={() => openBondForm(rental)}
+                              disabled={!canPerformActions}
+                              className={`text-xs ${
+                                BOND_STATUS_STYLES[getBondSummary(rental).status]
+                              }`}
+                            >
+                              {BOND_STATUS_LABELS[getBondSummary(rental).status]}
+                            </button>
+                          </div>
+                        )}
+
+                        {rental.management_fee_percentage > 0 && (
+                          <div>
+                            <p className="text-gray-400">Management Fee</p>
+                            <p className="text-white font-medium">
+                              {rental.management_fee_percentage}%
+                            </p>
+                          </div>
+                        )}
+                      </div>
+
+                      {rental.notes && (
+                        <div className="mt-3 p-3 bg-gray-700/30 rounded">
+                          <p className="text-gray-300 text-sm">{rental.notes}</p>
+                        </div>
+                      )}
+
+                      {renderRentReviews(rental)}
+
+                      {/* Rent Ledger */}
+                      <div className="mt-3 p-3 bg-gray-700/30 rounded">
+                        <div className="flex flex-wrap items-center justify-between gap-2">
+                          <div className="flex items-center space-x-3 text-sm">
+                            <SafeIcon icon={FiBookOpen} className="w-4 h-4 text-gray-400" />
+                            {ledger.amountOwing > 0 ? (
+                              <span className={inArrears ? "text-red-400" : "text-yellow-400"}>
+                                {formatCurrency(ledger.amountOwing)} owing
+                              </span>
+                            ) : ledger.credit > 0 ? (
+                              <span className="text-green-400">
+                                {formatCurrency(ledger.credit)} in credit
+                              </span>
+                            ) : ledger.totalCharged > 0 ? (
+                              <span className="text-green-400">Paid up</span>
+                            ) : (
+                              <span className="text-gray-400">No rent due yet</span>
+                            )}
+                            {inArrears && (
+                              <span className="px-2 py-1 text-xs font-medium rounded-full bg-red-900/50 text-red-400">
+                                {ledger.daysInArrears} day
+                                {ledger.daysInArrears === 1 ? "" : "s"} in arrears
+                              </span>
+                            )}
+                          </div>
+                          <div className="flex items-center space-x-3 text-sm">
+                            {canPerformActions && (
+                              <button
+                                onClick={() => openPaymentForm(rental)}
+                                className="text-blue-400 hover:text-blue-300 transition-colors"
+                              >
+                                Record Payment
+                              </button>
+                            )}
+                            <button
+                              onClick={() =>
+                                setExpandedLedgerId(
+                                  expandedLedgerId === rental.id ? null : rental.id
+                                )
+                              }
+                              className="text-gray-400 hover:text-white transition-colors"
+                            >
+                              {expandedLedgerId === rental.id ? "Hide Ledger" : "Show Ledger"}
+                            </button>
+                          </div>
+                        </div>
+
+                        {expandedLedgerId === rental.id && (
+                          <div className="mt-3 max-h-80 overflow-y-auto">
+                            {ledger.entries.length === 0 ? (
+                              <p className="text-gray-500 text-sm">No rent has fallen due yet</p>
+                            ) : (
+                              <table className="w-full text-sm">
+                                <thead>
+                                  <tr className="text-gray-400 text-left">
+                                    <th className="py-1 pr-2 font-medium">Date</th>
+                                    <th className="py-1 pr-2 font-medium">Description</th>
+                                    <th className="py-1 pr-2 font-medium text-right">Charged</th>
+                                    <th className="py-1 pr-2 font-medium text-right">Paid</th>
+                                    <th className="py-1 pr-2 font-medium text-right">Balance</th>
+                                    {canPerformActions && <th className="py-1" />}
+                                  </tr>
+                                </thead>
+                                <tbody>
+                                  {ledger.entries.map((entry, index) => (
+                                    <tr
+                                      key={entry.record?.id || `${entry.type}-${index}`}
+                                      className="border-t border-gray-700"
+                                    >
+                                      <td className="py-1 pr-2 text-gray-300">
+                                        {entry.date.toLocaleDateString()}
+                                      </td>
+                                      <td className="py-1 pr-2 text-gray-300">
+                                        {entry.type === "charge"
+                                          ? "Rent due"
+                                          : entry.record.notes ||
+                                            (entry.record.transaction_id
+                                              ? "Payment (matched)"
+                                              : "Payment")}
+                                      </td>
+                                      <td className="py-1 pr-2 text-right text-white">
+                                        {entry.charge > 0 ? formatCurrency(entry.charge) : ""}
+                                      </td>
+                                      <td className="py-1 pr-2 text-right text-green-400">
+                                        {entry.payment > 0 ? formatCurrency(entry.payment) : ""}
+                                      </td>
+                                      <td
+                                        className={`py-1 pr-2 text-right ${
+                                          entry.balance > 0 ? "text-red-400" : "text-gray-300"
+                                        }`}
+                                      >
+                                        {formatCurrency(entry.balance)}
+                                      </td>
+                                      {canPerformActions && (
+                                        <td className="py-1 text-right whitespace-nowrap">
+                                          {entry.type === "payment" && (
+                                            <>
+                                              <button
+                                                onClick={() => openPaymentForm(rental, entry.record)}
+                                                className="text-gray-400 hover:text-blue-400 transition-colors mr-2"
+                                              >
+                                                <SafeIcon icon={FiEdit} className="w-3 h-3" />
+                                              </button>
+                                              <button
+                                                onClick={() => handleDeletePayment(entry.record)}
+                                                className="text-gray-400 hover:text-red-400 transition-colors"
+                                              >
+                                                <SafeIcon icon={FiTrash2} className="w-3 h-3" />
+                                              </button>
+                                            </>
+                                          )}
+                                        </td>
+                                      )}
+                                    </tr>
+                                  ))}
+                                </tbody>
+                              </table>
+                            )}
+                          </div>
+                        )}
+                      </div>
+                    </div>
+
+                    {canPerformActions && (
+                      <div className="flex space-x-2 ml-4">
+                        {!renewedIds.has(rental.id) && (
+                          <button
+                            onClick={() => handleRenew(rental)}
+                            className="text-gray-400 hover:text-purple-400 transition-colors"
+                            title="Renew Lease"
+                          >
+                            <SafeIcon icon={FiRefreshCw} className="w-4 h-4" />
+                          </button>
+                        )}
+                        <DocumentLinkButton
+                          documents={documents}
+                          field="rental_id"
+                          recordId={rental.id}
+                          onOpen={onOpenDocuments}
+                        />
+                        <button
+                          onClick={() => handleAddSimilar(rental)}
+                          className="text-gray-400 hover:text-green-400 transition-colors"
+                          title="Add Similar"
+                        >
+                          <SafeIcon icon={FiCopy} className="w-4 h-4" />
+                        </button>
+                        <button
+                          onClick={() => handleEdit(rental)}
+                          className="text-gray-400 hover:text-blue-400 transition-colors"
+                        >
+                          <SafeIcon icon={FiEdit} className="w-4 h-4" />
+                        </button>
+                        <button
+                          onClick={() => handleDelete(rental.id)}
+                          className="text-gray-400 hover:text-red-400 transition-colors"
+                        >
+                          <SafeIcon icon={FiTrash2} className="w-4 h-4" />
+                        </button>
+                      </div>
+                    )}
+                  </div>
+                </motion.div>
+              );
+            })}
           </div>
         </div>
       )}
@@ -589,7 +1975,11 @@ const RentalManager = ({
             <div className="bg-gray-800 rounded-lg p-6 w-full max-w-4xl max-h-[90vh] overflow-y-auto">
               <div className="flex items-center justify-between mb-6">
                 <h2 className="text-xl font-bold text-white">
-                  {editingRental ? "Edit Rental" : "Add New Rental"}
+                  {editingRental
+                    ? "Edit Rental"
+                    : renewingRental
+                    ? `Renew Lease: ${renewingRental.tenant_name}`
+                    : "Add New Rental"}
                 </h2>
                 <button
                   onClick={handleCancel}
@@ -602,6 +1992,31 @@ const RentalManager = ({
               {!showSchedulePreview ? (
                 <div className="space-y-4">
                   <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+                    {safeTenants.length > 0 && (
+                      <div className="md:col-span-2">
+                        <label className="block text-sm font-medium text-gray-300 mb-2">
+                          Tenant
+                        </label>
+                        <select
+                          value={formData.tenant_id}
+                          onChange={handleTenantSelect}
+                          className="form-input"
+                        >
+                          <option value="">New tenant (not in directory)</option>
+                          {safeTenants.map((tenant) => (
+                            <option key={tenant.id} value={tenant.id}>
+                              {tenant.name}
+                              {tenant.phone ? ` - ${tenant.phone}` : ""}
+                            </option>
+                          ))}
+                        </select>
+                        <p className="text-gray-500 text-xs mt-1">
+                          Pick an existing tenant to reuse their details. Manage
+                          contacts on the Tenants page.
+                        </p>
+                      </div>
+                    )}
+
                     <div>
                       <label className="block text-sm font-medium text-gray-300 mb-2">
                         Tenant Name *
@@ -621,8 +2036,42 @@ const RentalManager = ({
                           {errors.tenant_name}
                         </p>
                       )}
+                      {!formData.tenant_id && (
+                        <label className="flex items-center space-x-2 mt-2 text-sm text-gray-400">
+                          <input
+                            type="checkbox"
+                            checked={saveTenantToDirectory}
+                            onChange={(e) =>
+                              setSaveTenantToDirectory(e.target.checked)
+                            }
+                            className="form-checkbox"
+                          />
+                          <span>Add to tenant directory</span>
+                        </label>
+                      )}
                     </div>
 
+                    {propertyUnits.length > 0 && (
+                      <div>
+                        <label className="block text-sm font-medium text-gray-300 mb-2">
+                          Unit / Room
+                        </label>
+                        <select
+                          name="unit_id"
+                          value={formData.unit_id}
+                          onChange={handleChange}
+                          className="form-input"
+                        >
+                          <option value="">Whole property</option>
+                          {propertyUnits.map((unit) => (
+                            <option key={unit.id} value={unit.id}>
+                              {unit.name}
+                            </option>
+                          ))}
+                        </select>
+                      </div>
+                    )}
+
                     <div>
                       <label className="block text-sm font-medium text-gray-300 mb-2">
                         Room/Space Description
@@ -658,6 +2107,10 @@ const RentalManager = ({
                           {errors.monthly_rent}
                         </p>
                       )}
+                      <p className="text-gray-500 text-xs mt-1">
+                        Rent at the start date. Schedule later increases
+                        under Rent Reviews.
+                      </p>
                     </div>
 
                     <div>
@@ -677,6 +2130,31 @@ const RentalManager = ({
                       </select>
                     </div>
 
+                    {MONTHLY_FREQUENCIES.includes(formData.frequency) && (
+                      <div>
+                        <label className="block text-sm font-medium text-gray-300 mb-2">
+                          Rent Due Day (Optional)
+                        </label>
+                        <input
+                          type="number"
+                          min="1"
+                          max="31"
+                          name="rent_due_day"
+                          value={formData.rent_due_day}
+                          onChange={handleChange}
+                          className={`form-input ${
+                            errors.rent_due_day ? "border-red-500" : ""
+                          }`}
+                          placeholder="Same day as the start date"
+                        />
+                        {errors.rent_due_day && (
+                          <p className="text-red-400 text-sm mt-1">
+                            {errors.rent_due_day}
+                          </p>
+                        )}
+                      </div>
+                    )}
+
                     <div>
                       <label className="block text-sm font-medium text-gray-300 mb-2">
                         Start Date *
@@ -710,6 +2188,69 @@ const RentalManager = ({
                       />
                     </div>
 
+                    <div>
+                      <label className="block text-sm font-medium text-gray-300 mb-2">
+                        Rent Ledger Start (Optional)
+                      </label>
+                      <input
+                        type="date"
+                        name="rent_ledger_start"
+                        value={formData.rent_ledger_start}
+                        onChange={handleChange}
+                        className="form-input"
+                      />
+                      <p className="text-gray-500 text-xs mt-1">
+                        Rent due before this date is treated as paid
+                      </p>
+                    </div>
+
+                    <div>
+                      <label className="block text-sm font-medium text-gray-300 mb-2">
+                        Lease Status
+                      </label>
+                      <select
+                        name="lease_status"
+                        value={formData.lease_status}
+                        onChange={handleChange}
+                        className="form-select"
+                      >
+                        {Object.entries(LEASE_STATUS_LABELS).map(([value, label]) => (
+                          <option key={value} value={value}>
+                            {label}
+                          </option>
+                        ))}
+                      </select>
+                      {formData.lease_status === LEASE_STATUSES.PERIODIC && (
+                        <p className="text-gray-500 text-xs mt-1">
+                          Rent continues past the end date until a vacate date is set
+                        </p>
+                      )}
+                    </div>
+
+                    {(formData.lease_status === LEASE_STATUSES.NOTICE_GIVEN ||
+                      formData.lease_status === LEASE_STATUSES.ENDED) && (
+                      <div>
+                        <label className="block text-sm font-medium text-gray-300 mb-2">
+                          Vacate Date
+                          {formData.lease_status === LEASE_STATUSES.NOTICE_GIVEN && " *"}
+                        </label>
+                        <input
+                          type="date"
+                          name="vacate_date"
+                          value={formData.vacate_date}
+                          onChange={handleChange}
+                          className={`form-input ${
+                            errors.vacate_date ? "border-red-500" : ""
+                          }`}
+                        />
+                        {errors.vacate_date && (
+                          <p className="text-red-400 text-sm mt-1">
+                            {errors.vacate_date}
+                          </p>
+                        )}
+                      </div>
+                    )}
+
                     <div>
                       <label className="block text-sm font-medium text-gray-300 mb-2">
                         Bond Amount
@@ -812,9 +2353,11 @@ const RentalManager = ({
                       Rental Schedule Preview
                     </h3>
                     <p className="text-gray-300 text-sm">
-                      This shows how daily transactions will be generated for{" "}
-                      {formData.tenant_name} from {formData.lease_start} to{" "}
-                      {formData.lease_end || "ongoing"}.
+                      This shows the rent transactions that will be generated on
+                      each due date for {formData.tenant_name} from{" "}
+                      {formData.lease_start} to{" "}
+                      {formData.lease_end || "ongoing (first 12 months)"}.
+                      Part periods at the start or end are charged pro-rata.
                     </p>
                   </div>
 
@@ -846,8 +2389,12 @@ const RentalManager = ({
                           </div>
                         </div>
                         <div className="text-xs text-gray-400">
-                          {monthData.transactions.length} daily transactions
-                          generated
+                          {monthData.transactions
+                            .filter((t) => t.type === "income")
+                            .map((t) =>
+                              new Date(t.date + "T00:00:00").toLocaleDateString()
+                            )
+                            .join(", ")}
                         </div>
                       </div>
                     ))}
@@ -874,6 +2421,587 @@ const RentalManager = ({
           </motion.div>
         )}
       </AnimatePresence>
+
+      {/* Bond Form */}
+      <AnimatePresence>
+        {bondForm && canPerformActions && (
+          <motion.div
+            initial={{ opacity: 0, scale: 0.95 }}
+            animate={{ opacity: 1, scale: 1 }}
+            exit={{ opacity: 0, scale: 0.95 }}
+            className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center p-4 z-50"
+            onClick={(e) => e.target === e.currentTarget && setBondForm(null)}
+          >
+            <div className="bg-gray-800 rounded-lg p-6 w-full max-w-lg max-h-[90vh] overflow-y-auto">
+              <div className="flex items-center justify-between mb-6">
+                <h2 className="text-xl font-bold text-white">
+                  Bond: {bondForm.rental.tenant_name}
+                </h2>
+                <button
+                  onClick={() => setBondForm(null)}
+                  className="text-gray-400 hover:text-white transition-colors"
+                >
+                  <SafeIcon icon={FiX} className="w-6 h-6" />
+                </button>
+              </div>
+
+              <div className="space-y-4">
+                <p className="text-gray-400 text-sm">
+                  {formatCurrency(bondForm.rental.bond_amount)} bond ·{" "}
+                  {getPropertyName(bondForm.rental.property_id)}
+                </p>
+
+                <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+                  <div>
+                    <label className="block text-sm font-medium text-gray-300 mb-2">
+                      Status
+                    </label>
+                    <select
+                      name="bond_status"
+                      value={bondForm.bond_status}
+                      onChange={handleBondFieldChange}
+                      className="form-select"
+                    >
+                      {Object.entries(BOND_STATUS_LABELS).map(([value, label]) => (
+                        <option key={value} value={value}>
+                          {label}
+                        </option>
+                      ))}
+                    </select>
+                  </div>
+
+                  <div>
+                    <label className="block text-sm font-medium text-gray-300 mb-2">
+                      Lodged Date
+                    </label>
+                    <input
+                      type="date"
+                      name="bond_lodged_date"
+                      value={bondForm.bond_lodged_date}
+                      onChange={handleBondFieldChange}
+                      className="form-input"
+                    />
+                  </div>
+
+                  <div>
+                    <label className="block text-sm font-medium text-gray-300 mb-2">
+                      Bond Authority
+                    </label>
+                    <input
+                      type="text"
+                      name="bond_authority"
+                      list="bond-authorities"
+                      value={bondForm.bond_authority}
+                      onChange={handleBondFieldChange}
+                      className="form-input"
+                      placeholder="e.g., NSW Fair Trading"
+                    />
+                    <datalist id="bond-authorities">
+                      {BOND_AUTHORITIES.map((authority) => (
+                        <option key={authority} value={authority} />
+                      ))}
+                    </datalist>
+                  </div>
+
+                  <div>
+                    <label className="block text-sm font-medium text-gray-300 mb-2">
+                      Lodgement Reference
+                    </label>
+                    <input
+                      type="text"
+                      name="bond_lodgement_reference"
+                      value={bondForm.bond_lodgement_reference}
+                      onChange={handleBondFieldChange}
+                      className="form-input"
+                      placeholder="Bond number"
+                    />
+                  </div>
+                </div>
+
+                {/* Claim deductions */}
+                <div>
+                  <div className="flex justify-between items-center mb-2">
+                    <label className="block text-sm font-medium text-gray-300">
+                      Claim Deductions
+                    </label>
+                    <button
+                      type="button"
+                      onClick={addBondDeduction}
+                      className="flex items-center space-x-1 text-sm text-blue-400 hover:text-blue-300 transition-colors"
+                    >
+                      <SafeIcon icon={FiPlus} className="w-4 h-4" />
+                      <span>Add Deduction</span>
+                    </button>
+                  </div>
+                  <div className="space-y-2">
+                    {bondForm.deductions.map((item, index) => (
+                      <div key={item.id} className="grid grid-cols-12 gap-2">
+                        <input
+                          type="text"
+                          value={item.description}
+                          onChange={(e) =>
+                            handleBondDeductionChange(index, "description", e.target.value)
+                          }
+                          className="form-input col-span-7"
+                          placeholder="e.g., Carpet cleaning"
+                        />
+                        <input
+                          type="text"
+                          inputMode="decimal"
+                          value={item.amount}
+                          onChange={(e) =>
+                            handleBondDeductionChange(index, "amount", e.target.value)
+                          }
+                          className="form-input col-span-4"
+                          placeholder="0"
+                        />
+                        <button
+                          type="button"
+                          onClick={() => removeBondDeduction(index)}
+                          className="col-span-1 p-2 text-gray-400 hover:text-red-400 transition-colors"
+                        >
+                          <SafeIcon icon={FiTrash2} className="w-4 h-4" />
+                        </button>
+                      </div>
+                    ))}
+                  </div>
+                  {bondErrors.deductions && (
+                    <p className="text-red-400 text-sm mt-1">{bondErrors.deductions}</p>
+                  )}
+                  <p className="text-gray-400 text-xs mt-2">
+                    Refund to tenant:{" "}
+                    {formatCurrency(
+                      getBondSummary({
+                        bond_amount: bondForm.rental.bond_amount,
+                        bond_deductions: getBondFormDeductions(bondForm),
+                      }).refundToTenant
+                    )}
+                  </p>
+                </div>
+
+                <div>
+                  <label className="block text-sm font-medium text-gray-300 mb-2">
+                    Refund Date
+                  </label>
+                  <input
+                    type="date"
+                    name="bond_refund_date"
+                    value={bondForm.bond_refund_date}
+                    onChange={handleBondFieldChange}
+                    className={`form-input ${
+                      bondErrors.bond_refund_date ? "border-red-500" : ""
+                    }`}
+                  />
+                  {bondErrors.bond_refund_date && (
+                    <p className="text-red-400 text-sm mt-1">
+                      {bondErrors.bond_refund_date}
+                    </p>
+                  )}
+                </div>
+
+                <div className="flex space-x-3 pt-4">
+                  <button
+                    onClick={() => setBondForm(null)}
+                    className="btn-secondary flex-1"
+                  >
+                    Cancel
+                  </button>
+                  <button
+                    onClick={handleBondSubmit}
+                    className="btn-primary flex-1 flex items-center justify-center space-x-2"
+                  >
+                    <SafeIcon icon={FiCheck} className="w-4 h-4" />
+                    <span>Save Bond</span>
+                  </button>
+                </div>
+              </div>
+            </div>
+          </motion.div>
+        )}
+      </AnimatePresence>
+
+      {/* Vacancy Form */}
+      <AnimatePresence>
+        {vacancyForm && canPerformActions && (
+          <motion.div
+            initial={{ opacity: 0, scale: 0.95 }}
+            animate={{ opacity: 1, scale: 1 }}
+            exit={{ opacity: 0, scale: 0.95 }}
+            className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center p-4 z-50"
+            onClick={(e) => e.target === e.currentTarget && setVacancyForm(null)}
+          >
+            <div className="bg-gray-800 rounded-lg p-6 w-full max-w-md max-h-[90vh] overflow-y-auto">
+              <div className="flex items-center justify-between mb-6">
+                <h2 className="text-xl font-bold text-white">
+                  {vacancyForm.id ? "Edit Vacancy" : "Record Vacancy"}
+                </h2>
+                <button
+                  onClick={() => setVacancyForm(null)}
+                  className="text-gray-400 hover:text-white transition-colors"
+                >
+                  <SafeIcon icon={FiX} className="w-6 h-6" />
+                </button>
+              </div>
+
+              <div className="space-y-4">
+                <div>
+                  <label className="block text-sm font-medium text-gray-300 mb-2">
+                    Start Date *
+                  </label>
+                  <input
+                    type="date"
+                    name="start_date"
+                    value={vacancyForm.start_date}
+                    onChange={handleVacancyFieldChange}
+                    className={`form-input ${
+                      vacancyErrors.start_date ? "border-red-500" : ""
+                    }`}
+                  />
+                  {vacancyErrors.start_date && (
+                    <p className="text-red-400 text-sm mt-1">
+                      {vacancyErrors.start_date}
+                    </p>
+                  )}
+                </div>
+
+                <div>
+                  <label className="block text-sm font-medium text-gray-300 mb-2">
+                    End Date (Optional)
+                  </label>
+                  <input
+                    type="date"
+                    name="end_date"
+                    value={vacancyForm.end_date}
+                    onChange={handleVacancyFieldChange}
+                    className={`form-input ${
+                      vacancyErrors.end_date ? "border-red-500" : ""
+                    }`}
+                  />
+                  {vacancyErrors.end_date && (
+                    <p className="text-red-400 text-sm mt-1">
+                      {vacancyErrors.end_date}
+                    </p>
+                  )}
+                </div>
+
+                <div>
+                  <label className="block text-sm font-medium text-gray-300 mb-2">
+                    Reason
+                  </label>
+                  <select
+                    name="reason"
+                    value={vacancyForm.reason}
+                    onChange={handleVacancyFieldChange}
+                    className="form-select"
+                  >
+                    {VACANCY_REASONS.map((reason) => (
+                      <option key={reason} value={reason}>
+                        {reason}
+                      </option>
+                    ))}
+                  </select>
+                </div>
+
+                <div>
+                  <label className="block text-sm font-medium text-gray-300 mb-2">
+                    Notes
+                  </label>
+                  <input
+                    type="text"
+                    name="notes"
+                    value={vacancyForm.notes}
+                    onChange={handleVacancyFieldChange}
+                    className="form-input"
+                    placeholder="e.g., Listed with agent"
+                  />
+                </div>
+
+                <div className="flex space-x-3 pt-4">
+                  <button
+                    onClick={() => setVacancyForm(null)}
+                    className="btn-secondary flex-1"
+                  >
+                    Cancel
+                  </button>
+                  <button
+                    onClick={handleVacancySubmit}
+                    className="btn-primary flex-1 flex items-center justify-center space-x-2"
+                  >
+                    <SafeIcon icon={FiCheck} className="w-4 h-4" />
+                    <span>{vacancyForm.id ? "Update Vacancy" : "Save Vacancy"}</span>
+                  </button>
+                </div>
+              </div>
+            </div>
+          </motion.div>
+        )}
+      </AnimatePresence>
+
+      {/* Rent Change Form */}
+      <AnimatePresence>
+        {rentChangeForm && canPerformActions && (
+          <motion.div
+            initial={{ opacity: 0, scale: 0.95 }}
+            animate={{ opacity: 1, scale: 1 }}
+            exit={{ opacity: 0, scale: 0.95 }}
+            className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center p-4 z-50"
+            onClick={(e) => e.target === e.currentTarget && setRentChangeForm(null)}
+          >
+            <div className="bg-gray-800 rounded-lg p-6 w-full max-w-md max-h-[90vh] overflow-y-auto">
+              <div className="flex items-center justify-between mb-6">
+                <h2 className="text-xl font-bold text-white">
+                  {rentChangeForm.id ? "Edit Rent Change" : "Schedule Rent Change"}
+                </h2>
+                <button
+                  onClick={() => setRentChangeForm(null)}
+                  className="text-gray-400 hover:text-white transition-colors"
+                >
+                  <SafeIcon icon={FiX} className="w-6 h-6" />
+                </button>
+              </div>
+
+              <div className="space-y-4">
+                <p className="text-gray-400 text-sm">
+                  Rent for {rentChangeForm.rental.tenant_name}. Periods due on
+                  or after the effective date use the new rent.
+                </p>
+
+                <div>
+                  <label className="block text-sm font-medium text-gray-300 mb-2">
+                    Effective Date *
+                  </label>
+                  <input
+                    type="date"
+                    name="effective_date"
+                    value={rentChangeForm.effective_date}
+                    onChange={handleRentChangeFieldChange}
+                    className={`form-input ${
+                      rentChangeErrors.effective_date ? "border-red-500" : ""
+                    }`}
+                  />
+                  {rentChangeErrors.effective_date && (
+                    <p className="text-red-400 text-sm mt-1">
+                      {rentChangeErrors.effective_date}
+                    </p>
+                  )}
+                </div>
+
+                <div>
+                  <label className="block text-sm font-medium text-gray-300 mb-2">
+                    Change Type
+                  </label>
+                  <select
+                    name="change_type"
+                    value={rentChangeForm.change_type}
+                    onChange={handleRentChangeFieldChange}
+                    className="form-select"
+                  >
+                    {Object.entries(RENT_CHANGE_LABELS).map(([value, label]) => (
+                      <option key={value} value={value}>
+                        {label}
+                      </option>
+                    ))}
+                  </select>
+                </div>
+
+                <div>
+                  <label className="block text-sm font-medium text-gray-300 mb-2">
+                    {rentChangeForm.change_type === RENT_CHANGE_TYPES.AMOUNT
+                      ? "New Rent *"
+                      : rentChangeForm.change_type === RENT_CHANGE_TYPES.FIXED
+                      ? "Increase Amount *"
+                      : rentChangeForm.change_type === RENT_CHANGE_TYPES.CPI
+                      ? "CPI Figure (%) *"
+                      : "Increase (%) *"}
+                  </label>
+                  <input
+                    type="number"
+                    step="any"
+                    name="value"
+                    value={rentChangeForm.value}
+                    onChange={handleRentChangeFieldChange}
+                    className={`form-input ${
+                      rentChangeErrors.value ? "border-red-500" : ""
+                    }`}
+                    placeholder={
+                      rentChangeForm.change_type === RENT_CHANGE_TYPES.AMOUNT
+                        ? "480"
+                        : rentChangeForm.change_type === RENT_CHANGE_TYPES.FIXED
+                        ? "20"
+                        : "3.5"
+                    }
+                  />
+                  {rentChangeErrors.value && (
+                    <p className="text-red-400 text-sm mt-1">
+                      {rentChangeErrors.value}
+                    </p>
+                  )}
+                  {rentChangePreview !== null && (
+                    <p className="text-gray-400 text-xs mt-1">
+                      Rent from this date: {formatCurrency(rentChangePreview)}{" "}
+                      {rentChangeForm.rental.frequency}
+                    </p>
+                  )}
+                </div>
+
+                <div>
+                  <label className="block text-sm font-medium text-gray-300 mb-2">
+                    Notes
+                  </label>
+                  <input
+                    type="text"
+                    name="notes"
+                    value={rentChangeForm.notes}
+                    onChange={handleRentChangeFieldChange}
+                    className="form-input"
+                    placeholder="e.g., Annual rent review"
+                  />
+                </div>
+
+                <div className="flex space-x-3 pt-4">
+                  <button
+                    onClick={() => setRentChangeForm(null)}
+                    className="btn-secondary flex-1"
+                  >
+                    Cancel
+                  </button>
+                  <button
+                    onClick={handleRentChangeSubmit}
+                    className="btn-primary flex-1 flex items-center justify-center space-x-2"
+                  >
+                    <SafeIcon icon={FiCheck} className="w-4 h-4" />
+                    <span>{rentChangeForm.id ? "Update Change" : "Save Change"}</span>
+                  </button>
+                </div>
+              </div>
+            </div>
+          </motion.div>
+        )}
+      </AnimatePresence>
+
+      {/* Record Payment Form */}
+      <AnimatePresence>
+        {paymentRental && canPerformActions && (
+          <motion.div
+            initial={{ opacity: 0, scale: 0.95 }}
+            animate={{ opacity: 1, scale: 1 }}
+            exit={{ opacity: 0, scale: 0.95 }}
+            className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center p-4 z-50"
+            onClick={(e) => e.target === e.currentTarget && closePaymentForm()}
+          >
+            <div className="bg-gray-800 rounded-lg p-6 w-full max-w-md max-h-[90vh] overflow-y-auto">
+              <div className="flex items-center justify-between mb-6">
+                <h2 className="text-xl font-bold text-white">
+                  {editingPayment ? "Edit Payment" : "Record Payment"}
+                </h2>
+                <button
+                  onClick={closePaymentForm}
+                  className="text-gray-400 hover:text-white transition-colors"
+                >
+                  <SafeIcon icon={FiX} className="w-6 h-6" />
+                </button>
+              </div>
+
+              <div className="space-y-4">
+                <p className="text-gray-400 text-sm">
+                  Rent received from {paymentRental.tenant_name}
+                </p>
+
+                <div>
+                  <label className="block text-sm font-medium text-gray-300 mb-2">
+                    Match Transaction (Optional)
+                  </label>
+                  <select
+                    value={paymentForm.transaction_id}
+                    onChange={handleMatchTransaction}
+                    className="form-select"
+                  >
+                    <option value="">Enter manually</option>
+                    {getMatchableTransactions().map((t) => (
+                      <option key={t.id} value={t.id}>
+                        {new Date(t.date + "T00:00:00").toLocaleDateString()} ·{" "}
+                        {formatCurrency(t.amount)} · {t.description || t.category}
+                      </option>
+                    ))}
+                  </select>
+                </div>
+
+                <div>
+                  <label className="block text-sm font-medium text-gray-300 mb-2">
+                    Amount *
+                  </label>
+                  <input
+                    type="text"
+                    inputMode="decimal"
+                    name="amount"
+                    value={paymentForm.amount}
+                    onChange={handlePaymentChange}
+                    className={`form-input ${
+                      paymentErrors.amount ? "border-red-500" : ""
+                    }`}
+                    placeholder="450"
+                  />
+                  {paymentErrors.amount && (
+                    <p className="text-red-400 text-sm mt-1">
+                      {paymentErrors.amount}
+                    </p>
+                  )}
+                </div>
+
+                <div>
+                  <label className="block text-sm font-medium text-gray-300 mb-2">
+                    Date Received *
+                  </label>
+                  <input
+                    type="date"
+                    name="payment_date"
+                    value={paymentForm.payment_date}
+                    onChange={handlePaymentChange}
+                    className={`form-input ${
+                      paymentErrors.payment_date ? "border-red-500" : ""
+                    }`}
+                  />
+                  {paymentErrors.payment_date && (
+                    <p className="text-red-400 text-sm mt-1">
+                      {paymentErrors.payment_date}
+                    </p>
+                  )}
+                </div>
+
+                <div>
+                  <label className="block text-sm font-medium text-gray-300 mb-2">
+                    Notes
+                  </label>
+                  <input
+                    type="text"
+                    name="notes"
+                    value={paymentForm.notes}
+                    onChange={handlePaymentChange}
+                    className="form-input"
+                    placeholder="e.g., Bank transfer"
+                  />
+                </div>
+
+                <div className="flex space-x-3 pt-4">
+                  <button
+                    onClick={closePaymentForm}
+                    className="btn-secondary flex-1"
+                  >
+                    Cancel
+                  </button>
+                  <button
+                    onClick={handleSavePayment}
+                    className="btn-primary flex-1 flex items-center justify-center space-x-2"
+                  >
+                    <SafeIcon icon={FiCheck} className="w-4 h-4" />
+                    <span>{editingPayment ? "Update Payment" : "Save Payment"}</span>
+                  </button>
+                </div>
+              </div>
+            </div>
+          </motion.div>
+        )}
+      </AnimatePresence>
     </div>
   );
 };
@@ -0,0 +1,364 @@
+import React, { useState } from 'react';
+import { motion } from 'framer-motion';
+import * as FiIcons from 'react-icons/fi';
+import SafeIcon from '../common/SafeIcon';
+import { parseCurrency, formatForInput, formatCurrency } from '../utils/number';
+import { recordPropertySale } from '../utils/DataUtils';
+import { calculateCapitalGain, getCgtDiscountRate } from '../utils/TaxCalculations';
+import { getPropertySharesAt } from '../utils/OwnershipCalculations';
+
+const { FiX, FiTag, FiPlus, FiTrash2, FiRotateCcw } = FiIcons;
+
+const SELLING_COST_SUGGESTIONS = ['Agent commission', 'Legal fees', 'Marketing', 'Auctioneer fees', 'Discharge of mortgage'];
+
+const newSellingCost = (category = '') => ({
+  id: `sell_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+  category,
+  amount: '',
+  notes: ''
+});
+
+const initialFormData = (property) => ({
+  saleDate: property?.sale_date || '',
+  sellingPrice: property?.selling_price ? formatForInput(property.selling_price) : '',
+  sellingCosts: Array.isArray(property?.selling_costs) && property.selling_costs.length > 0
+    ? property.selling_costs.map(cost => ({ ...cost, amount: formatForInput(cost.amount) }))
+    : [newSellingCost('Agent commission'), newSellingCost('Legal fees')]
+});
+
+// Records a property's sale and previews the capital gain. Opening it for a sold property
+// edits the sale, and the sale can be reversed if it was recorded by mistake.
+const SellPropertyModal = ({ isOpen, onClose, property, transactions, capitalImprovements, depreciationAssets, loans, owners, propertyOwnerships, onSaveData }) => {
+  const [formData, setFormData] = useState(() => initialFormData(property));
+  const [errors, setErrors] = useState({});
+  const [saving, setSaving] = useState(false);
+  const isSold = !!property?.sale_date;
+
+  if (!isOpen || !property) return null;
+
+  const sanitizedCosts = formData.sellingCosts
+    .filter(cost => cost.category && cost.category.trim())
+    .map(cost => ({
+      ...cost,
+      category: cost.category.trim(),
+      amount: parseCurrency(cost.amount),
+      notes: cost.notes ? cost.notes.trim() : ''
+    }));
+
+  // The gain is split by the shares held on the sale date
+  const ownerShares = formData.saleDate ? getPropertySharesAt(property, { owners, propertyOwnerships }, formData.saleDate) : [];
+  const preview = formData.saleDate && parseCurrency(formData.sellingPrice) > 0
+    ? calculateCapitalGain(property, { transactions, capitalImprovements, depreciationAssets }, {
+      saleDate: formData.saleDate,
+      sellingPrice: parseCurrency(formData.sellingPrice),
+      sellingCosts: sanitizedCosts,
+      ownershipPercentage: ownerShares.reduce((sum, share) => sum + share.percentage, 0)
+    })
+    : null;
+
+  const handleClose = () => {
+    setFormData(initialFormData(property));
+    setErrors({});
+    onClose();
+  };
+
+  const handleCostChange = (index, field, value) => {
+    const updatedCosts = [...formData.sellingCosts];
+    updatedCosts[index] = { ...updatedCosts[index], [field]: value };
+    setFormData(prev => ({ ...prev, sellingCosts: updatedCosts }));
+  };
+
+  const handleCostBlur = (index) => {
+    const updatedCosts = [...formData.sellingCosts];
+    updatedCosts[index] = { ...updatedCosts[index], amount: formatForInput(parseCurrency(updatedCosts[index].amount)) };
+    setFormData(prev => ({ ...prev, sellingCosts: updatedCosts }));
+  };
+
+  const validateForm = () => {
+    const newErrors = {};
+
+    if (!formData.saleDate) {
+      newErrors.saleDate = 'Sale date is required';
+    } else if (property.purchase_date && formData.saleDate < property.purchase_date) {
+      newErrors.saleDate = 'Sale date must be after the purchase date';
+    }
+
+    if (!formData.sellingPrice || parseCurrency(formData.sellingPrice) <= 0) {
+      newErrors.sellingPrice = 'Valid sale price is required';
+    }
+
+    formData.sellingCosts.forEach((cost, index) => {
+      if (cost.category && cost.category.trim() && cost.amount && parseCurrency(cost.amount) <= 0) {
+        newErrors[`sellingCost_${index}_amount`] = 'Valid amount is required';
+      }
+    });
+
+    setErrors(newErrors);
+    return Object.keys(newErrors).length === 0;
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (!validateForm()) return;
+
+    setSaving(true);
+    const result = await recordPropertySale(property, {
+      saleDate: formData.saleDate,
+      sellingPrice: parseCurrency(formData.sellingPrice),
+      sellingCosts: sanitizedCosts.filter(cost => cost.amount > 0)
+    }, loans);
+    setSaving(false);
+
+    if (result.success) {
+      onSaveData(null, isSold ? 'Sale updated successfully' : 'Property sale recorded successfully');
+      onClose();
+    } else {
+      setErrors({ submit: result.error || 'Failed to record the sale' });
+    }
+  };
+
+  const handleUndoSale = async () => {
+    if (!window.confirm('Mark this property as not sold? The sale details will be removed.')) return;
+
+    setSaving(true);
+    const result = await recordPropertySale(property, null, loans);
+    setSaving(false);
+
+    if (result.success) {
+      onSaveData(null, 'Sale removed successfully');
+      onClose();
+    } else {
+      setErrors({ submit: result.error || 'Failed to remove the sale' });
+    }
+  };
+
+  // Each owner's discount depends on their type, so the estimate adds up the discounted shares
+  const discountRates = [...new Set(ownerShares.map(share => getCgtDiscountRate(share.owner.owner_type)))];
+  const estimatedGain = preview && preview.share > 0
+    ? ownerShares.reduce((sum, share) => {
+      const discount = preview.discountEligible ? getCgtDiscountRate(share.owner.owner_type) : 0;
+      return sum + preview.gain * share.percentage / 100 * (1 - discount);
+    }, 0)
+    : 0;
+  const discountDescription = discountRates.length === 1
+    ? (discountRates[0] > 0 ? `After the ${Math.round(discountRates[0] * 1000) / 10}% discount` : 'No discount for companies')
+    : "After each owner's discount";
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center p-4 z-50">
+      <motion.div
+        initial={{ opacity: 0, scale: 0.95 }}
+        animate={{ opacity: 1, scale: 1 }}
+        exit={{ opacity: 0, scale: 0.95 }}
+        className="bg-gray-800 rounded-xl p-6 w-full max-w-3xl max-h-[90vh] overflow-y-auto"
+      >
+        <div className="flex items-center justify-between mb-6">
+          <h2 className="text-2xl font-bold text-white flex items-center">
+            <SafeIcon icon={FiTag} className="w-6 h-6 mr-3 text-blue-400" />
+            {isSold ? 'Edit Sale' : 'Sell Property'}
+          </h2>
+          <button
+            onClick={handleClose}
+            className="text-gray-400 hover:text-white transition-colors"
+          >
+            <SafeIcon icon={FiX} className="w-6 h-6" />
+          </button>
+        </div>
+
+        <form onSubmit={handleSubmit} className="space-y-6">
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+            <div>
+              <label className="block text-sm font-medium text-gray-300 mb-2">
+                Sale Date (contract date) *
+              </label>
+              <input
+                type="date"
+                value={formData.saleDate}
+                onChange={(e) => setFormData(prev => ({ ...prev, saleDate: e.target.value }))}
+                className={`form-input ${errors.saleDate ? 'border-red-500' : ''}`}
+              />
+              {errors.saleDate && <p className="text-red-400 text-sm mt-1">{errors.saleDate}</p>}
+            </div>
+
+            <div>
+              <label className="block text-sm font-medium text-gray-300 mb-2">
+                Sale Price *
+              </label>
+              <input
+                type="text"
+                inputMode="decimal"
+                value={formData.sellingPrice}
+                onChange={(e) => setFormData(prev => ({ ...prev, sellingPrice: e.target.value }))}
+                onBlur={() => setFormData(prev => ({ ...prev, sellingPrice: formatForInput(parseCurrency(prev.sellingPrice)) }))}
+                className={`form-input ${errors.sellingPrice ? 'border-red-500' : ''}`}
+                placeholder="e.g., 950000"
+              />
+              {errors.sellingPrice && <p className="text-red-400 text-sm mt-1">{errors.sellingPrice}</p>}
+            </div>
+          </div>
+
+          {/* Selling Costs */}
+          <div className="bg-gray-700/30 rounded-lg p-4">
+            <div className="flex justify-between items-center mb-4">
+              <h4 className="text-white font-medium">Selling Costs</h4>
+              <button
+                type="button"
+                onClick={() => setFormData(prev => ({ ...prev, sellingCosts: [...prev.sellingCosts, newSellingCost()] }))}
+                className="btn-secondary flex items-center space-x-2"
+              >
+                <SafeIcon icon={FiPlus} className="w-4 h-4" />
+                <span>Add Cost</span>
+              </button>
+            </div>
+
+            <datalist id="selling-cost-categories">
+              {SELLING_COST_SUGGESTIONS.map(category => <option key={category} value={category} />)}
+            </datalist>
+
+            <div className="space-y-3">
+              {formData.sellingCosts.map((cost, index) => (
+                <div key={cost.id || index} className="grid grid-cols-1 md:grid-cols-4 gap-3">
+                  <input
+                    type="text"
+                    list="selling-cost-categories"
+                    value={cost.category}
+                    onChange={(e) => handleCostChange(index, 'category', e.target.value)}
+                    className="form-input"
+                    placeholder="Category"
+                  />
+                  <div>
+                    <input
+                      type="text"
+                      inputMode="decimal"
+                      value={cost.amount}
+                      onChange={(e) => handleCostChange(index, 'amount', e.target.value)}
+                      onBlur={() => handleCostBlur(index)}
+                      className={`form-input ${errors[`sellingCost_${index}_amount`] ? 'border-red-500' : ''}`}
+                      placeholder="Amount"
+                    />
+                    {errors[`sellingCost_${index}_amount`] && (
+                      <p className="text-red-400 text-sm mt-1">{errors[`sellingCost_${index}_amount`]}</p>
+                    )}
+                  </div>
+                  <input
+                    type="text"
+                    value={cost.notes || ''}
+                    onChange={(e) => handleCostChange(index, 'notes', e.target.value)}
+                    className="form-input"
+                    placeholder="Optional notes"
+                  />
+                  <button
+                    type="button"
+                    onClick={() => setFormData(prev => ({ ...prev, sellingCosts: prev.sellingCosts.filter((_, i) => i !== index) }))}
+                    className="btn-danger flex items-center justify-center space-x-2"
+                  >
+                    <SafeIcon icon={FiTrash2} className="w-4 h-4" />
+                    <span>Remove</span>
+                  </button>
+                </div>
+              ))}
+
+              {formData.sellingCosts.length === 0 && (
+                <p className="text-center py-4 text-gray-400 text-sm">No selling costs added</p>
+              )}
+            </div>
+          </div>
+
+          {/* CGT preview */}
+          {preview && (
+            <div className="bg-gray-700/30 rounded-lg p-4">
+              <h4 className="text-white font-medium mb-3">Capital Gains Estimate</h4>
+              <div className="space-y-2 text-sm">
+                <div className="flex justify-between">
+                  <span className="text-gray-400">Sale price</span>
+                  <span className="text-white">{formatCurrency(preview.proceeds)}</span>
+                </div>
+                <div className="flex justify-between">
+                  <span className="text-gray-400">Purchase price</span>
+                  <span className="text-gray-300">-{formatCurrency(preview.costBase.purchasePrice)}</span>
+                </div>
+                <div className="flex justify-between">
+                  <span className="text-gray-400">Acquisition costs (excluding borrowing costs)</span>
+                  <span className="text-gray-300">-{formatCurrency(preview.costBase.acquisitionCosts)}</span>
+                </div>
+                <div className="flex justify-between">
+                  <span className="text-gray-400">Capital improvements</span>
+                  <span className="text-gray-300">-{formatCurrency(preview.costBase.capitalImprovements)}</span>
+                </div>
+                <div className="flex justify-between">
+                  <span className="text-gray-400">Selling costs</span>
+                  <span className="text-gray-300">-{formatCurrency(preview.costBase.sellingCosts)}</span>
+                </div>
+                {preview.costBase.capitalWorksClaimed > 0 && (
+                  <div className="flex justify-between">
+                    <span className="text-gray-400">Capital works deductions claimed (reduce the cost base)</span>
+                    <span className="text-gray-300">+{formatCurrency(preview.costBase.capitalWorksClaimed)}</span>
+                  </div>
+                )}
+                <div className="flex justify-between border-t border-gray-600 pt-2">
+                  <span className="text-white font-medium">{preview.gain >= 0 ? 'Capital gain' : 'Capital loss'}</span>
+                  <span className={`font-medium ${preview.gain >= 0 ? 'text-green-400' : 'text-red-400'}`}>
+                    {formatCurrency(Math.abs(preview.gain))}
+                  </span>
+                </div>
+                {(ownerShares.length > 1 || preview.ownershipPercentage < 100) && ownerShares.map(share => (
+                  <div key={share.owner.id} className="flex justify-between">
+                    <span className="text-gray-400">
+                      {owners?.length > 0 ? `${share.owner.name}'s share` : 'Your share'} ({share.percentage}%)
+                    </span>
+                    <span className="text-white">{formatCurrency(Math.abs(preview.gain * share.percentage / 100))}</span>
+                  </div>
+                ))}
+                {preview.gain > 0 && (
+                  <div className="flex justify-between">
+                    <span className="text-gray-400">
+                      {preview.discountEligible
+                        ? `${discountDescription} (held over 12 months)`
+                        : 'No discount (held 12 months or less)'}
+                    </span>
+                    <span className="text-white">{formatCurrency(estimatedGain)}</span>
+                  </div>
+                )}
+              </div>
+              <p className="text-gray-500 text-xs mt-3">
+                Before capital losses from other sales. The Tax Report has the CGT summary for the financial year of the sale.
+              </p>
+            </div>
+          )}
+
+          {errors.submit && <p className="text-red-400 text-sm">{errors.submit}</p>}
+
+          <div className="flex space-x-4 pt-4">
+            {isSold && (
+              <button
+                type="button"
+                onClick={handleUndoSale}
+                disabled={saving}
+                className="btn-danger flex items-center justify-center space-x-2 disabled:opacity-50"
+              >
+                <SafeIcon icon={FiRotateCcw} className="w-4 h-4" />
+                <span>Undo Sale</span>
+              </button>
+            )}
+            <button
+              type="button"
+              onClick={handleClose}
+              className="btn-secondary flex-1"
+            >
+              Cancel
+            </button>
+            <button
+              type="submit"
+              disabled={saving}
+              className="btn-primary flex-1 disabled:opacity-50"
+            >
+              {saving ? 'Saving...' : isSold ? 'Update Sale' : 'Record Sale'}
+            </button>
+          </div>
+        </form>
+      </motion.div>
+    </div>
+  );
+};
+
+export default SellPropertyModal;
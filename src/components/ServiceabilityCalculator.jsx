@@ -0,0 +1,394 @@
+import React, { useMemo, useState } from "react";
+import * as FiIcons from "react-icons/fi";
+import SafeIcon from "../common/SafeIcon";
+import { formatCurrency, parseCurrency } from "../utils/number";
+import { calculatePortfolioMetrics } from "../utils/FinancialCalculations";
+import { calculateServiceability } from "../utils/ServiceabilityCalculations";
+import { getLoanRateAt, isLoanActiveAt } from "../utils/LoanCalculations";
+
+const { FiTarget, FiPercent, FiDollarSign } = FiIcons;
+
+const ServiceabilityCalculator = ({ properties, loans, transactions, rentals, settings }) => {
+  const safeProperties = Array.isArray(properties) ? properties : [];
+  const safeLoans = Array.isArray(loans) ? loans.filter((l) => l && typeof l === "object") : [];
+  const safeTransactions = Array.isArray(transactions) ? transactions : [];
+  const safeRentals = Array.isArray(rentals) ? rentals : [];
+
+  // Default the new loan's rate to the portfolio's current average
+  const defaultRate = useMemo(() => {
+    const activeLoans = safeLoans.filter((loan) => isLoanActiveAt(loan));
+    if (activeLoans.length === 0) return "6.5";
+    const average =
+      activeLoans.reduce((sum, loan) => sum + getLoanRateAt(loan), 0) / activeLoans.length;
+    return (Math.round(average * 10000) / 100).toString();
+  }, [safeLoans]);
+
+  const [formData, setFormData] = useState({
+    householdIncome: "",
+    livingExpenses: "",
+    bufferRate: "3",
+    rentalShading: "80",
+    newLoanAmount: "",
+    newLoanRate: defaultRate,
+    newLoanTerm: "30",
+    proposedRent: "",
+  });
+
+  const handleChange = (e) => {
+    const { name, value } = e.target;
+    setFormData((prev) => ({ ...prev, [name]: value }));
+  };
+
+  const portfolioMetrics = useMemo(
+    () =>
+      calculatePortfolioMetrics(
+        safeProperties,
+        safeLoans,
+        safeTransactions,
+        new Date().getFullYear(),
+        settings || {},
+        safeRentals
+      ),
+    [safeProperties, safeLoans, safeTransactions, settings, safeRentals]
+  );
+
+  const result = useMemo(
+    () =>
+      calculateServiceability({
+        householdIncome: parseCurrency(formData.householdIncome),
+        livingExpenses: parseCurrency(formData.livingExpenses),
+        annualRentalIncome: portfolioMetrics.annualRentalIncome,
+        rentalShading: formData.rentalShading,
+        bufferRate: formData.bufferRate,
+        loans: safeLoans,
+        newLoan: {
+          amount: parseCurrency(formData.newLoanAmount),
+          interestRate: formData.newLoanRate,
+          termYears: parseInt(formData.newLoanTerm) || 0,
+          annualRent: Math.round(parseCurrency(formData.proposedRent) * 52 * 100) / 100,
+        },
+      }),
+    [formData, portfolioMetrics.annualRentalIncome, safeLoans]
+  );
+
+  const hasNewLoan = parseCurrency(formData.newLoanAmount) > 0;
+
+  return (
+    <div className="space-y-6">
+      {/* Header */}
+      <div>
+        <h1 className="text-3xl font-bold text-white">Borrowing Capacity</h1>
+        <p className="text-gray-400 mt-1">
+          Estimate how much more you can borrow using your current portfolio
+        </p>
+      </div>
+
+      <div className="grid grid-cols-1 lg:grid-cols-3 gap-6">
+        {/* Inputs */}
+        <div className="card p-6 space-y-4">
+          <h3 className="text-lg font-semibold text-white">Household</h3>
+          <div>
+            <label className="block text-sm font-medium text-gray-300 mb-2">
+              Household Income (after tax, per year)
+            </label>
+            <input
+              type="text"
+              inputMode="decimal"
+              name="householdIncome"
+              value={formData.householdIncome}
+              onChange={handleChange}
+              className="form-input"
+              placeholder="e.g., 120000"
+            />
+          </div>
+          <div>
+            <label className="block text-sm font-medium text-gray-300 mb-2">
+              Living Expenses (per month)
+            </label>
+            <input
+              type="text"
+              inputMode="decimal"
+              name="livingExpenses"
+              value={formData.livingExpenses}
+              onChange={handleChange}
+              className="form-input"
+              placeholder="e.g., 4000"
+            />
+          </div>
+          <div className="grid grid-cols-2 gap-4">
+            <div>
+              <label className="block text-sm font-medium text-gray-300 mb-2">
+                Buffer Rate (%)
+              </label>
+              <input
+                type="number"
+                step="0.25"
+                name="bufferRate"
+                value={formData.bufferRate}
+                onChange={handleChange}
+                className="form-input"
+              />
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-300 mb-2">
+                Rent Shading (%)
+              </label>
+              <input
+                type="number"
+                step="5"
+                name="rentalShading"
+                value={formData.rentalShading}
+                onChange={handleChange}
+                className="form-input"
+              />
+            </div>
+          </div>
+
+          <h3 className="text-lg font-semibold text-white pt-2">Proposed Loan</h3>
+          <div>
+            <label className="block text-sm font-medium text-gray-300 mb-2">
+              Loan Amount
+            </label>
+            <input
+              type="text"
+              inputMode="decimal"
+              name="newLoanAmount"
+              value={formData.newLoanAmount}
+              onChange={handleChange}
+              className="form-input"
+              placeholder="e.g., 500000"
+            />
+          </div>
+          <div className="grid grid-cols-2 gap-4">
+            <div>
+              <label className="block text-sm font-medium text-gray-300 mb-2">
+                Interest Rate (%)
+              </label>
+              <input
+                type="number"
+                step="0.01"
+                name="newLoanRate"
+                value={formData.newLoanRate}
+                onChange={handleChange}
+                className="form-input"
+              />
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-300 mb-2">
+                Term (Years)
+              </label>
+              <input
+                type="number"
+                name="newLoanTerm"
+                value={formData.newLoanTerm}
+                onChange={handleChange}
+                className="form-input"
+              />
+            </div>
+          </div>
+          <div>
+            <label className="block text-sm font-medium text-gray-300 mb-2">
+              Expected Rent (per week)
+            </label>
+            <input
+              type="text"
+              inputMode="decimal"
+              name="proposedRent"
+              value={formData.proposedRent}
+              onChange={handleChange}
+              className="form-input"
+              placeholder="e.g., 550"
+            />
+          </div>
+        </div>
+
+        {/* Results */}
+        <div className="lg:col-span-2 space-y-6">
+          <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+            <div className="card p-4">
+              <div className="flex items-center justify-between">
+                <div>
+                  <p className="text-sm text-gray-400">Maximum Borrowing</p>
+                  <p className="text-2xl font-bold text-white">
+                    {formatCurrency(result.maxBorrowing)}
+                  </p>
+                  <p className="text-xs text-gray-500 mt-1">
+                    Assessed at {(result.newLoanAssessmentRate * 100).toFixed(2)}%
+                  </p>
+                </div>
+                <div className="w-12 h-12 rounded-full bg-blue-900/30 flex items-center justify-center">
+                  <SafeIcon icon={FiTarget} className="w-6 h-6 text-blue-400" />
+                </div>
+              </div>
+            </div>
+
+            <div className="card p-4">
+              <div className="flex items-center justify-between">
+                <div>
+                  <p className="text-sm text-gray-400">Debt Service Ratio</p>
+                  <p className="text-2xl font-bold text-white">
+                    {(hasNewLoan
+                      ? result.debtServiceRatioWithNewLoan
+                      : result.debtServiceRatio
+                    ).toFixed(1)}
+                    %
+                  </p>
+                  <p className="text-xs text-gray-500 mt-1">
+                    {hasNewLoan
+                      ? `${result.debtServiceRatio.toFixed(1)}% before the new loan`
+                      : "Existing loans only"}
+                  </p>
+                </div>
+                <div className="w-12 h-12 rounded-full bg-yellow-900/30 flex items-center justify-center">
+                  <SafeIcon icon={FiPercent} className="w-6 h-6 text-yellow-400" />
+                </div>
+              </div>
+            </div>
+
+            <div className="card p-4">
+              <div className="flex items-center justify-between">
+                <div>
+                  <p className="text-sm text-gray-400">Monthly Surplus</p>
+                  <p
+                    className={`text-2xl font-bold ${
+                      (hasNewLoan ? result.surplusAfterNewLoan : result.surplusBeforeNewLoan) >= 0
+                        ? "text-green-400"
+                        : "text-red-400"
+                    }`}
+                  >
+                    {formatCurrency(
+                      hasNewLoan ? result.surplusAfterNewLoan : result.surplusBeforeNewLoan
+                    )}
+                  </p>
+                  <p className="text-xs text-gray-500 mt-1">
+                    {hasNewLoan ? "After the proposed loan" : "Before any new loan"}
+                  </p>
+                </div>
+                <div className="w-12 h-12 rounded-full bg-green-900/30 flex items-center justify-center">
+                  <SafeIcon icon={FiDollarSign} className="w-6 h-6 text-green-400" />
+                </div>
+              </div>
+            </div>
+          </div>
+
+          {/* Monthly breakdown */}
+          <div className="card p-6">
+            <h3 className="text-lg font-semibold text-white mb-4">Monthly Breakdown</h3>
+            <div className="space-y-2 text-sm">
+              <div className="flex justify-between">
+                <span className="text-gray-400">Household income</span>
+                <span className="text-green-400">
+                  {formatCurrency(result.monthlyHouseholdIncome)}
+                </span>
+              </div>
+              <div className="flex justify-between">
+                <span className="text-gray-400">
+                  Portfolio rent ({formData.rentalShading || 0}% of{" "}
+                  {formatCurrency(portfolioMetrics.annualRentalIncome / 12)})
+                </span>
+                <span className="text-green-400">
+                  {formatCurrency(result.monthlyRentalIncome)}
+                </span>
+              </div>
+              {result.proposedRent > 0 && (
+                <div className="flex justify-between">
+                  <span className="text-gray-400">New property rent (shaded)</span>
+                  <span className="text-green-400">
+                    {formatCurrency(result.proposedRent)}
+                  </span>
+                </div>
+              )}
+              <div className="flex justify-between">
+                <span className="text-gray-400">Living expenses</span>
+                <span className="text-red-400">
+                  -{formatCurrency(result.monthlyExpenses)}
+                </span>
+              </div>
+              <div className="flex justify-between">
+                <span className="text-gray-400">Existing loan repayments (assessed)</span>
+                <span className="text-red-400">
+                  -{formatCurrency(result.existingRepayments)}
+                </span>
+              </div>
+              {hasNewLoan && (
+                <div className="flex justify-between">
+                  <span className="text-gray-400">
+                    Proposed loan repayment (assessed)
+                  </span>
+                  <span className="text-red-400">
+                    -{formatCurrency(result.newLoanRepayment)}
+                  </span>
+                </div>
+              )}
+              <div className="flex justify-between border-t border-gray-700 pt-2 font-medium">
+                <span className="text-white">Surplus</span>
+                <span
+                  className={
+                    (hasNewLoan ? result.surplusAfterNewLoan : result.surplusBeforeNewLoan) >= 0
+                      ? "text-green-400"
+                      : "text-red-400"
+                  }
+                >
+                  {formatCurrency(
+                    hasNewLoan ? result.surplusAfterNewLoan : result.surplusBeforeNewLoan
+                  )}
+                </span>
+              </div>
+            </div>
+          </div>
+
+          {/* Existing debts */}
+          <div className="card p-6">
+            <h3 className="text-lg font-semibold text-white mb-4">Existing Debts</h3>
+            {result.commitments.length === 0 ? (
+              <p className="text-sm text-gray-500">No active loans recorded.</p>
+            ) : (
+              <div className="overflow-x-auto">
+                <table className="w-full text-sm">
+                  <thead className="bg-gray-700/50">
+                    <tr>
+                      <th className="px-3 py-2 text-left text-xs font-medium text-gray-300 uppercase">
+                        Lender
+                      </th>
+                      <th className="px-3 py-2 text-right text-xs font-medium text-gray-300 uppercase">
+                        Balance
+                      </th>
+                      <th className="px-3 py-2 text-right text-xs font-medium text-gray-300 uppercase">
+                        Assessed Rate
+                      </th>
+                      <th className="px-3 py-2 text-right text-xs font-medium text-gray-300 uppercase">
+                        Assessed Repayment
+                      </th>
+                    </tr>
+                  </thead>
+                  <tbody className="divide-y divide-gray-700">
+                    {result.commitments.map((commitment) => (
+                      <tr key={commitment.loanId}>
+                        <td className="px-3 py-2 text-gray-300">{commitment.lender}</td>
+                        <td className="px-3 py-2 text-right text-white">
+                          {formatCurrency(commitment.balance)}
+                        </td>
+                        <td className="px-3 py-2 text-right text-gray-300">
+                          {(commitment.assessmentRate * 100).toFixed(2)}%
+                        </td>
+                        <td className="px-3 py-2 text-right text-red-400">
+                          {formatCurrency(commitment.monthlyRepayment)}
+                        </td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+            )}
+            <p className="text-xs text-gray-500 mt-3">
+              Existing loans are assessed as principal and interest over their remaining
+              term at the current rate plus the buffer, as lenders do.
+            </p>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ServiceabilityCalculator;
@@ -5,6 +5,8 @@ import * as FiIcons from 'react-icons/fi';
 import SafeIcon from '../common/SafeIcon';
 import DataManager from '../services/DataManager';
 import { canUserPerformActions, getUserPlan, getTrialDaysLeft } from '../utils/AuthUtils';
+import { saveSettings } from '../utils/DataUtils';
+import { DEFAULT_LVR_THRESHOLDS } from '../utils/FinancialCalculations';
 
 const { FiSave, FiDownload, FiUpload, FiTrash2, FiAlertTriangle, FiCheck, FiFolder, FiSettings } = FiIcons;
 
@@ -25,6 +27,8 @@ const Settings = ({ user, settings, properties, loans, transactions, onSaveData
     backupMethod: 'download',
     recentCategories: [],
     recentPayees: [],
+    lvrWarningThreshold: DEFAULT_LVR_THRESHOLDS.warning,
+    lvrMaxThreshold: DEFAULT_LVR_THRESHOLDS.max,
     ...settings
   });
   const [showConfirm, setShowConfirm] = useState(false);
@@ -108,17 +112,28 @@ const Settings = ({ user, settings, properties, loans, transactions, onSaveData
   };
 
   const handleSave = async () => {
+    const lvrWarning = parseFloat(formData.lvrWarningThreshold);
+    const lvrMax = parseFloat(formData.lvrMaxThreshold);
+    if (!(lvrWarning > 0 && lvrMax > 0 && lvrMax <= 100)) {
+      alert('LVR thresholds must be between 0 and 100%.');
+      return;
+    }
+    if (lvrWarning >= lvrMax) {
+      alert('The LVR warning threshold must be below the maximum LVR.');
+      return;
+    }
+
     try {
-      // Load existing data first to prevent data loss
-      const existingData = await DataManager.loadAllData();
-      
-      // Save settings while preserving all other data
-      await onSaveData({
-        properties: existingData.properties || properties || [],
-        loans: existingData.loans || loans || [],
-        transactions: existingData.transactions || transactions || [],
-        settings: formData
+      const result = await saveSettings({
+        ...formData,
+        lvrWarningThreshold: lvrWarning,
+        lvrMaxThreshold: lvrMax
       });
+      if (!result.success) {
+        throw new Error(result.error);
+      }
+
+      await onSaveData(null);
       
       alert('Settings saved successfully!');
     } catch (error) {
@@ -305,6 +320,41 @@ const Settings = ({ user, settings, properties, loans, transactions, onSaveData
               </select>
             </div>
 
+            <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+              <div>
+                <label className="block text-sm font-medium text-gray-300 mb-2">
+                  LVR Warning Threshold (%)
+                </label>
+                <input
+                  type="number"
+                  name="lvrWarningThreshold"
+                  value={formData.lvrWarningThreshold}
+                  onChange={handleChange}
+                  min="1"
+                  max="100"
+                  step="0.5"
+                  className="form-input"
+                />
+                <p className="text-xs text-gray-500 mt-1">Typically 80%, where lenders mortgage insurance applies</p>
+              </div>
+              <div>
+                <label className="block text-sm font-medium text-gray-300 mb-2">
+                  Maximum LVR (%)
+                </label>
+                <input
+                  type="number"
+                  name="lvrMaxThreshold"
+                  value={formData.lvrMaxThreshold}
+                  onChange={handleChange}
+                  min="1"
+                  max="100"
+                  step="0.5"
+                  className="form-input"
+                />
+                <p className="text-xs text-gray-500 mt-1">Hard cap most lenders will not lend beyond</p>
+              </div>
+            </div>
+
             <div className="flex items-center">
               <input
                 type="checkbox"
@@ -7,7 +7,7 @@ import { sanitizeNumberInput } from '../utils/number';
 
 const {
   FiHome, FiBarChart, FiCreditCard, FiSettings, FiChevronLeft, FiChevronRight,
-  FiTrendingUp, FiMapPin, FiList, FiDollarSign
+  FiTrendingUp, FiMapPin, FiList, FiDollarSign, FiTarget, FiLayers, FiUsers, FiFileText, FiPercent, FiBriefcase
 } = FiIcons;
 
 const Sidebar = ({
@@ -24,6 +24,12 @@ const Sidebar = ({
     { id: 'dashboard', label: 'Dashboard', icon: FiBarChart, path: '/' },
     { id: 'loans', label: 'Loans', icon: FiCreditCard, path: '/loans' },
     { id: 'transactions', label: 'Transactions', icon: FiList, path: '/transactions' },
+    { id: 'tenants', label: 'Tenants', icon: FiUsers, path: '/tenants' },
+    { id: 'tax-report', label: 'Tax Report', icon: FiFileText, path: '/tax-report' },
+    { id: 'after-tax', label: 'After-Tax Cash Flow', icon: FiPercent, path: '/after-tax' },
+    { id: 'owners', label: 'Owners', icon: FiBriefcase, path: '/owners' },
+    { id: 'serviceability', label: 'Borrowing Capacity', icon: FiTarget, path: '/serviceability' },
+    { id: 'equity', label: 'Equity Planner', icon: FiLayers, path: '/equity' },
     { id: 'payments', label: 'Payments', icon: FiDollarSign, path: '/payments' },
     { id: 'settings', label: 'Settings', icon: FiSettings, path: '/settings' }
   ];
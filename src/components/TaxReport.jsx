@@ -0,0 +1,466 @@
+import React, { useState, useMemo } from 'react';
+import * as FiIcons from 'react-icons/fi';
+import SafeIcon from '../common/SafeIcon';
+import { formatCurrency } from '../utils/number';
+import DateUtils from '../utils/DateUtils';
+import {
+  calculateRentalSchedule,
+  getRentalScheduleCsvRows,
+  calculateCgtSummaries,
+  getCgtSummaryForYear,
+  getCgtCsvRows,
+  getCgtDiscountRate
+} from '../utils/TaxCalculations';
+import {
+  OWNER_TYPE_LABELS,
+  getOwnerList,
+  getOwnerPercentageAt,
+  getOwnerPercentageForPeriod
+} from '../utils/OwnershipCalculations';
+
+const { FiFileText, FiDownload, FiPrinter, FiInfo, FiTag } = FiIcons;
+
+const toCsv = (rows) => rows
+  .map(row => row.map(value => {
+    const text = String(value ?? '');
+    return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  }).join(','))
+  .join('\n');
+
+const escapeHtml = (value) => String(value ?? '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+const TaxReport = ({ properties, transactions, expenses, loans, capitalImprovements, depreciationAssets, owners, propertyOwnerships, settings }) => {
+  const safeProperties = Array.isArray(properties) ? properties.filter(Boolean) : [];
+  const safeTransactions = Array.isArray(transactions) ? transactions : [];
+  const safeExpenses = Array.isArray(expenses) ? expenses : [];
+  const safeLoans = Array.isArray(loans) ? loans : [];
+  const safeCapitalImprovements = Array.isArray(capitalImprovements) ? capitalImprovements : [];
+  const safeDepreciationAssets = Array.isArray(depreciationAssets) ? depreciationAssets : [];
+  const fyStartMonth = parseInt((settings?.financialYearStart || '07-01').split('-')[0]) || 7;
+  const ownerList = useMemo(() => getOwnerList(owners), [owners]);
+  const ownership = useMemo(
+    () => ({ owners: ownerList, propertyOwnerships: Array.isArray(propertyOwnerships) ? propertyOwnerships : [] }),
+    [ownerList, propertyOwnerships]
+  );
+
+  const [selectedYear, setSelectedYear] = useState(() =>
+    DateUtils.getFinancialYearStart(new Date(), fyStartMonth).getFullYear() - 1);
+  const [selectedPropertyId, setSelectedPropertyId] = useState('all');
+  const [selectedOwnerId, setSelectedOwnerId] = useState(null);
+  const owner = ownerList.find(o => o.id === selectedOwnerId) || ownerList[0];
+
+  const years = useMemo(() => {
+    const currentYear = new Date().getFullYear();
+    return Array.from({ length: 6 }, (_, i) => currentYear - 5 + i);
+  }, []);
+
+  const yearStart = new Date(selectedYear, fyStartMonth - 1, 1);
+  const yearEnd = DateUtils.getFinancialYearEnd(yearStart, fyStartMonth);
+  const financialYearLabel = DateUtils.formatFinancialYear(selectedYear);
+
+  // The owner's share over the year, weighted by the days each recorded share applied
+  const reportProperties = (selectedPropertyId === 'all'
+    ? safeProperties
+    : safeProperties.filter(p => p.id === selectedPropertyId))
+    .map(property => ({ property, share: getOwnerPercentageForPeriod(property, ownership, owner.id, yearStart, yearEnd) }))
+    .filter(({ share }) => share > 0);
+
+  const schedules = reportProperties.map(({ property, share }) => ({
+    property,
+    schedule: calculateRentalSchedule(
+      property,
+      { transactions: safeTransactions, expenses: safeExpenses, loans: safeLoans, depreciationAssets: safeDepreciationAssets },
+      yearStart,
+      yearEnd,
+      share
+    )
+  }));
+
+  const portfolioTotals = schedules.reduce((totals, { schedule }) => ({
+    income: totals.income + schedule.totals.incomeShare,
+    deductions: totals.deductions + schedule.totals.deductionsShare,
+    net: totals.net + schedule.totals.netShare
+  }), { income: 0, deductions: 0, net: 0 });
+
+  // Capital gains are assessed across the owner's whole portfolio, so losses and the discount
+  // use every sale they had a share in, at their share on the sale date
+  const cgtSummary = useMemo(
+    () => getCgtSummaryForYear(
+      calculateCgtSummaries(
+        safeProperties,
+        { transactions: safeTransactions, capitalImprovements: safeCapitalImprovements, depreciationAssets: safeDepreciationAssets },
+        {
+          startMonth: fyStartMonth,
+          discountRate: getCgtDiscountRate(owner.owner_type),
+          getOwnershipPercentage: (property, saleDate) => getOwnerPercentageAt(property, ownership, owner.id, saleDate)
+        }
+      ),
+      selectedYear
+    ),
+    [safeProperties, safeTransactions, safeCapitalImprovements, safeDepreciationAssets, ownership, owner.id, owner.owner_type, fyStartMonth, selectedYear]
+  );
+  const discountLabel = `CGT discount (${Math.round(getCgtDiscountRate(owner.owner_type) * 1000) / 10}%)`;
+  const hasCgt = cgtSummary.events.length > 0 || cgtSummary.lossBroughtForward > 0;
+
+  const getFileName = (extension) => {
+    const property = selectedPropertyId === 'all' ? null : safeProperties.find(p => p.id === selectedPropertyId);
+    const name = property ? (property.name || property.address || 'property').replace(/[^\w-]+/g, '_') : 'all_properties';
+    const ownerName = ownerList.length > 1 ? `${owner.name.replace(/[^\w-]+/g, '_')}_` : '';
+    return `rental_schedule_${ownerName}${name}_FY${selectedYear}-${String(selectedYear + 1).slice(-2)}.${extension}`;
+  };
+
+  const handleExportCsv = () => {
+    const rows = [
+      ...getRentalScheduleCsvRows(schedules, financialYearLabel),
+      ...getCgtCsvRows(cgtSummary, financialYearLabel)
+    ];
+    const blob = new Blob([toCsv(rows)], { type: 'text/csv' });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = getFileName('csv');
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
+    URL.revokeObjectURL(url);
+  };
+
+  // Opens a print-ready copy of the report; choose "Save as PDF" in the print dialog
+  const handleExportPdf = () => {
+    const money = (value) => escapeHtml(formatCurrency(value));
+    const lineRows = (lines) => lines
+      .map(line => `<tr><td>${escapeHtml(line.label)}</td><td class="num">${money(line.amount)}</td><td class="num">${money(line.share)}</td></tr>`)
+      .join('');
+    const sections = schedules.map(({ property, schedule }) => `
+      <h2>${escapeHtml(property.name || property.address)}</h2>
+      <p class="muted">${escapeHtml(property.address || '')} &middot; Ownership ${schedule.ownershipPercentage}%</p>
+      <table>
+        <thead><tr><th>Income</th><th class="num">Total</th><th class="num">Your share</th></tr></thead>
+        <tbody>${lineRows(schedule.income)}</tbody>
+        <thead><tr><th>Deductions</th><th class="num">Total</th><th class="num">Your share</th></tr></thead>
+        <tbody>${lineRows(schedule.deductions)}</tbody>
+        <tfoot><tr><td>Net rent</td><td class="num">${money(schedule.totals.net)}</td><td class="num">${money(schedule.totals.netShare)}</td></tr></tfoot>
+      </table>
+      ${schedule.excluded.length > 0 ? `
+        <p class="muted">Not included as deductions: ${schedule.excluded
+          .map(item => `${escapeHtml(item.category)} (${escapeHtml(item.reason)}) ${money(item.amount)}`)
+          .join('; ')}</p>` : ''}
+    `).join('');
+
+    const cgtRows = cgtSummary.events
+      .map(event => `<tr><td>${escapeHtml(event.property.name || event.property.address)}</td>
+        <td>${escapeHtml(DateUtils.formatShortDate(event.saleDate))}</td>
+        <td class="num">${money(event.proceeds)}</td><td class="num">${money(event.costBase.total)}</td>
+        <td class="num">${money(event.share)}</td><td>${event.discountEligible ? 'Yes' : 'No'}</td></tr>`)
+      .join('');
+    const cgtSection = hasCgt ? `
+      <h2>Capital gains</h2>
+      ${cgtRows ? `<table>
+        <thead><tr><th>Property</th><th>Sold</th><th class="num">Proceeds</th><th class="num">Cost base</th>
+          <th class="num">Your gain/loss</th><th>Discount</th></tr></thead>
+        <tbody>${cgtRows}</tbody>
+      </table>` : ''}
+      <table>
+        <tbody>
+          <tr><td>Total capital gains</td><td class="num">${money(cgtSummary.totalGains)}</td></tr>
+          <tr><td>Capital losses this year</td><td class="num">${money(cgtSummary.currentYearLosses)}</td></tr>
+          <tr><td>Net capital losses from earlier years</td><td class="num">${money(cgtSummary.lossBroughtForward)}</td></tr>
+          <tr><td>${escapeHtml(discountLabel)}</td><td class="num">${money(cgtSummary.discount)}</td></tr>
+        </tbody>
+        <tfoot>
+          <tr><td>Net capital gain</td><td class="num">${money(cgtSummary.netCapitalGain)}</td></tr>
+          <tr><td>Net capital losses carried forward</td><td class="num">${money(cgtSummary.lossCarriedForward)}</td></tr>
+        </tfoot>
+      </table>` : '';
+
+    const printWindow = window.open('', '_blank');
+    if (!printWindow) {
+      window.alert('Allow pop-ups for this site to export the report');
+      return;
+    }
+    printWindow.document.write(`<!DOCTYPE html>
+      <html><head><title>${escapeHtml(getFileName('pdf').replace(/\.pdf$/, ''))}</title>
+      <style>
+        body { font-family: Arial, sans-serif; color: #111; margin: 32px; font-size: 12px; }
+        h1 { font-size: 20px; margin-bottom: 4px; }
+        h2 { font-size: 15px; margin: 24px 0 2px; }
+        .muted { color: #555; margin: 2px 0 8px; }
+        table { width: 100%; border-collapse: collapse; margin-top: 8px; }
+        th, td { padding: 4px 6px; border-bottom: 1px solid #ddd; text-align: left; }
+        th { background: #f3f3f3; }
+        .num { text-align: right; }
+        tfoot td { font-weight: bold; border-top: 2px solid #111; }
+      </style></head>
+      <body>
+        <h1>Rental property schedule &ndash; ${escapeHtml(financialYearLabel)}</h1>
+        ${owners?.length > 0 ? `<p class="muted">${escapeHtml(owner.name)} (${escapeHtml(OWNER_TYPE_LABELS[owner.owner_type] || 'Individual')})</p>` : ''}
+        <p class="muted">${escapeHtml(DateUtils.formatShortDate(yearStart))} to ${escapeHtml(DateUtils.formatShortDate(yearEnd))}
+          &middot; Prepared ${escapeHtml(DateUtils.formatShortDate(new Date()))}</p>
+        ${sections}
+        ${schedules.length > 1 ? `<h2>Your share across all properties</h2>
+          <p>Income ${money(portfolioTotals.income)} &middot; Deductions ${money(portfolioTotals.deductions)}
+          &middot; Net rent ${money(portfolioTotals.net)}</p>` : ''}
+        ${cgtSection}
+      </body></html>`);
+    printWindow.document.close();
+    printWindow.focus();
+    printWindow.print();
+  };
+
+  const renderLines = (title, lines) => (
+    <>
+      <tr className="text-gray-400 text-left">
+        <th className="py-2 pr-3 font-medium">{title}</th>
+        <th className="py-2 pr-3 font-medium text-right">Total</th>
+        <th className="py-2 font-medium text-right">Your Share</th>
+      </tr>
+      {lines.map(line => (
+        <tr key={line.key} className="border-t border-gray-700">
+          <td className={`py-2 pr-3 ${line.amount ? 'text-white' : 'text-gray-500'}`}>{line.label}</td>
+          <td className={`py-2 pr-3 text-right ${line.amount ? 'text-gray-300' : 'text-gray-500'}`}>{formatCurrency(line.amount)}</td>
+          <td className={`py-2 text-right ${line.amount ? 'text-white' : 'text-gray-500'}`}>{formatCurrency(line.share)}</td>
+        </tr>
+      ))}
+    </>
+  );
+
+  return (
+    <div className="space-y-6">
+      {/* Header */}
+      <div className="flex flex-col md:flex-row md:items-center md:justify-between gap-4">
+        <div>
+          <h1 className="text-3xl font-bold text-white">Tax Report</h1>
+          <p className="text-gray-400 mt-1">
+            Rental income and deductions by ATO rental schedule label, for your accountant
+          </p>
+        </div>
+        <div className="flex flex-wrap items-center gap-3">
+          {ownerList.length > 1 && (
+            <select
+              value={owner.id}
+              onChange={(e) => setSelectedOwnerId(e.target.value)}
+              className="form-select text-sm"
+            >
+              {ownerList.map(o => (
+                <option key={o.id} value={o.id}>{o.name}</option>
+              ))}
+            </select>
+          )}
+          <select
+            value={selectedYear}
+            onChange={(e) => setSelectedYear(parseInt(e.target.value))}
+            className="form-select text-sm"
+          >
+            {years.map(year => (
+              <option key={year} value={year}>
+                FY {year}-{(year + 1).toString().slice(-2)}
+              </option>
+            ))}
+          </select>
+          <select
+            value={selectedPropertyId}
+            onChange={(e) => setSelectedPropertyId(e.target.value)}
+            className="form-select text-sm"
+          >
+            <option value="all">All Properties</option>
+            {safeProperties.map(property => (
+              <option key={property.id} value={property.id}>{property.name || property.address}</option>
+            ))}
+          </select>
+          <button
+            onClick={handleExportCsv}
+            disabled={schedules.length === 0}
+            className="btn-secondary flex items-center space-x-2 disabled:opacity-50"
+          >
+            <SafeIcon icon={FiDownload} className="w-4 h-4" />
+            <span>CSV</span>
+          </button>
+          <button
+            onClick={handleExportPdf}
+            disabled={schedules.length === 0}
+            className="btn-primary flex items-center space-x-2 disabled:opacity-50"
+          >
+            <SafeIcon icon={FiPrinter} className="w-4 h-4" />
+            <span>PDF</span>
+          </button>
+        </div>
+      </div>
+
+      {schedules.length === 0 ? (
+        <div className="card text-center py-12">
+          <SafeIcon icon={FiFileText} className="w-16 h-16 text-gray-600 mx-auto mb-4" />
+          <h3 className="text-xl font-medium text-gray-400 mb-2">No Properties</h3>
+          <p className="text-gray-500">
+            {safeProperties.length === 0
+              ? 'Add a property to prepare its rental schedule'
+              : `${owner.name} had no share in these properties in ${financialYearLabel}`}
+          </p>
+        </div>
+      ) : (
+        <>
+          {schedules.length > 1 && (
+            <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+              <div className="card">
+                <p className="text-gray-400 text-sm">Your Rental Income</p>
+                <p className="text-2xl font-bold text-green-400">{formatCurrency(portfolioTotals.income)}</p>
+              </div>
+              <div className="card">
+                <p className="text-gray-400 text-sm">Your Deductions</p>
+                <p className="text-2xl font-bold text-red-400">{formatCurrency(portfolioTotals.deductions)}</p>
+              </div>
+              <div className="card">
+                <p className="text-gray-400 text-sm">Your Net Rent</p>
+                <p className={`text-2xl font-bold ${portfolioTotals.net >= 0 ? 'text-green-400' : 'text-red-400'}`}>
+                  {formatCurrency(portfolioTotals.net)}
+                </p>
+              </div>
+            </div>
+          )}
+
+          {schedules.map(({ property, schedule }) => {
+            return (
+              <div key={property.id} className="card">
+                <div className="flex flex-col md:flex-row md:items-start md:justify-between gap-4 mb-4">
+                  <div>
+                    <h3 className="text-lg font-semibold text-white">{property.name || property.address}</h3>
+                    <p className="text-gray-400 text-sm">{property.address}</p>
+                  </div>
+                  <p className="text-sm text-gray-300">
+                    Ownership <span className="text-white font-medium">{schedule.ownershipPercentage}%</span>
+                  </p>
+                </div>
+
+                <div className="overflow-x-auto">
+                  <table className="w-full text-sm">
+                    <tbody>
+                      {renderLines('Income', schedule.income)}
+                      {renderLines('Deductions', schedule.deductions)}
+                      <tr className="border-t-2 border-gray-500">
+                        <td className="py-2 pr-3 text-white font-semibold">Net rent</td>
+                        <td className={`py-2 pr-3 text-right font-semibold ${schedule.totals.net >= 0 ? 'text-green-400' : 'text-red-400'}`}>
+                          {formatCurrency(schedule.totals.net)}
+                        </td>
+                        <td className={`py-2 text-right font-semibold ${schedule.totals.netShare >= 0 ? 'text-green-400' : 'text-red-400'}`}>
+                          {formatCurrency(schedule.totals.netShare)}
+                        </td>
+                      </tr>
+                    </tbody>
+                  </table>
+                </div>
+
+                {schedule.excluded.length > 0 && (
+                  <div className="mt-4">
+                    <h4 className="text-sm font-medium text-gray-300 mb-2">Not Included as Deductions</h4>
+                    <div className="space-y-2">
+                      {schedule.excluded.map(item => (
+                        <div
+                          key={`${item.category}-${item.reason}`}
+                          className="flex justify-between items-center text-sm bg-gray-700/30 rounded px-3 py-2"
+                        >
+                          <span className="text-gray-300">
+                            {item.category} <span className="text-gray-500">· {item.reason}</span>
+                          </span>
+                          <span className="text-gray-400">{formatCurrency(item.amount)}</span>
+                        </div>
+                      ))}
+                    </div>
+                  </div>
+                )}
+
+                <p className="text-gray-500 text-xs mt-4 flex items-start">
+                  <SafeIcon icon={FiInfo} className="w-3 h-3 mr-1 mt-0.5 flex-shrink-0" />
+                  {schedule.interestSource === 'loans'
+                    ? 'Interest is calculated from the repayment schedules of this property\'s loans.'
+                    : 'Interest comes from interest transactions recorded against this property.'}
+                  {' '}Borrowing costs on loans are spread over five years or the loan term if shorter.
+                  {schedule.depreciationSource === 'assets' && ' Depreciation comes from the assets on the property\'s Depreciation tab.'}
+                </p>
+              </div>
+            );
+          })}
+        </>
+      )}
+
+      {hasCgt && (
+        <div className="card">
+          <h3 className="text-lg font-semibold text-white mb-1 flex items-center">
+            <SafeIcon icon={FiTag} className="w-5 h-5 mr-2 text-blue-400" />
+            Capital Gains - {financialYearLabel}
+          </h3>
+          <p className="text-gray-400 text-sm mb-4">All properties sold in the year, with your share of each gain or loss</p>
+
+          {cgtSummary.events.length > 0 && (
+            <div className="overflow-x-auto mb-4">
+              <table className="w-full text-sm">
+                <thead>
+                  <tr className="text-gray-400 text-left">
+                    <th className="py-2 pr-3 font-medium">Property</th>
+                    <th className="py-2 pr-3 font-medium">Sold</th>
+                    <th className="py-2 pr-3 font-medium text-right">Proceeds</th>
+                    <th className="py-2 pr-3 font-medium text-right">Cost Base</th>
+                    <th className="py-2 pr-3 font-medium text-right">Your Gain/Loss</th>
+                    <th className="py-2 font-medium">Discount</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {cgtSummary.events.map(event => (
+                    <tr key={event.property.id} className="border-t border-gray-700">
+                      <td className="py-2 pr-3 text-white">{event.property.name || event.property.address}</td>
+                      <td className="py-2 pr-3 text-gray-300">{DateUtils.formatShortDate(event.saleDate)}</td>
+                      <td className="py-2 pr-3 text-right text-gray-300">{formatCurrency(event.proceeds)}</td>
+                      <td
+                        className="py-2 pr-3 text-right text-gray-300"
+                        title={`Purchase ${formatCurrency(event.costBase.purchasePrice)}, acquisition costs ${formatCurrency(event.costBase.acquisitionCosts)}, improvements ${formatCurrency(event.costBase.capitalImprovements)}, selling costs ${formatCurrency(event.costBase.sellingCosts)}, less capital works claimed ${formatCurrency(event.costBase.capitalWorksClaimed)}`}
+                      >
+                        {formatCurrency(event.costBase.total)}
+                      </td>
+                      <td className={`py-2 pr-3 text-right ${event.share >= 0 ? 'text-green-400' : 'text-red-400'}`}>
+                        {formatCurrency(event.share)}
+                      </td>
+                      <td className="py-2 text-gray-300">{event.discountEligible ? 'Held over 12 months' : 'No'}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          )}
+
+          <div className="space-y-2 text-sm max-w-md">
+            <div className="flex justify-between">
+              <span className="text-gray-400">Total capital gains</span>
+              <span className="text-white">{formatCurrency(cgtSummary.totalGains)}</span>
+            </div>
+            <div className="flex justify-between">
+              <span className="text-gray-400">Capital losses this year</span>
+              <span className="text-gray-300">{formatCurrency(cgtSummary.currentYearLosses)}</span>
+            </div>
+            <div className="flex justify-between">
+              <span className="text-gray-400">Net capital losses from earlier years</span>
+              <span className="text-gray-300">{formatCurrency(cgtSummary.lossBroughtForward)}</span>
+            </div>
+            <div className="flex justify-between">
+              <span className="text-gray-400">{discountLabel}</span>
+              <span className="text-gray-300">{formatCurrency(cgtSummary.discount)}</span>
+            </div>
+            <div className="flex justify-between border-t border-gray-700 pt-2">
+              <span className="text-white font-medium">Net capital gain</span>
+              <span className="text-white font-medium">{formatCurrency(cgtSummary.netCapitalGain)}</span>
+            </div>
+            {cgtSummary.lossCarriedForward > 0 && (
+              <div className="flex justify-between">
+                <span className="text-gray-400">Net capital losses carried forward</span>
+                <span className="text-red-400">{formatCurrency(cgtSummary.lossCarriedForward)}</span>
+              </div>
+            )}
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default TaxReport;
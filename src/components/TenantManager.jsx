@@ -0,0 +1,619 @@
+import React, { useState } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { motion, AnimatePresence } from 'framer-motion';
+import * as FiIcons from 'react-icons/fi';
+import SafeIcon from '../common/SafeIcon';
+import { canUserPerformActions } from '../utils/AuthUtils';
+import { createTenant, updateTenant, deleteTenant, updateRental } from '../utils/DataUtils';
+import { getLeaseStatus, getRentAt, LEASE_STATUSES } from '../utils/RentCalculations';
+import { formatCurrency } from '../utils/number';
+
+const {
+  FiEdit, FiTrash2, FiSave, FiX, FiUser, FiUsers, FiMail, FiPhone, FiPlus,
+  FiFileText, FiShield, FiAlertCircle, FiHome, FiSearch, FiUserPlus
+} = FiIcons;
+
+const EMPTY_TENANT = {
+  name: '',
+  email: '',
+  phone: '',
+  emergency_contact_name: '',
+  emergency_contact_phone: '',
+  emergency_contact_relationship: '',
+  id_verification_notes: '',
+  notes: ''
+};
+
+const LEASE_STATUS_LABELS = {
+  [LEASE_STATUSES.ACTIVE]: 'Active',
+  [LEASE_STATUSES.PERIODIC]: 'Periodic',
+  [LEASE_STATUSES.NOTICE_GIVEN]: 'Notice Given',
+  [LEASE_STATUSES.ENDED]: 'Ended'
+};
+
+const LEASE_STATUS_STYLES = {
+  [LEASE_STATUSES.ACTIVE]: 'bg-green-900/50 text-green-400',
+  [LEASE_STATUSES.PERIODIC]: 'bg-blue-900/50 text-blue-400',
+  [LEASE_STATUSES.NOTICE_GIVEN]: 'bg-yellow-900/50 text-yellow-400',
+  [LEASE_STATUSES.ENDED]: 'bg-gray-600/50 text-gray-400'
+};
+
+const normalizeName = (name) => (name || '').trim().toLowerCase();
+
+const TenantManager = ({ user, tenants, rentals, properties, onSaveData }) => {
+  const navigate = useNavigate();
+  const canPerformActions = canUserPerformActions(user);
+  const [showAddForm, setShowAddForm] = useState(false);
+  const [editingTenant, setEditingTenant] = useState(null);
+  const [formData, setFormData] = useState(EMPTY_TENANT);
+  const [errors, setErrors] = useState({});
+  const [search, setSearch] = useState('');
+
+  const safeTenants = Array.isArray(tenants) ? tenants.filter(Boolean) : [];
+  const safeRentals = Array.isArray(rentals) ? rentals.filter(Boolean) : [];
+  const safeProperties = Array.isArray(properties) ? properties.filter(Boolean) : [];
+
+  const getPropertyName = (propertyId) => {
+    const property = safeProperties.find(p => p.id === propertyId);
+    return property ? property.name || property.address : 'Unknown property';
+  };
+
+  // Every lease linked to the tenant, latest first
+  const getTenancies = (tenantId) => safeRentals
+    .filter(rental => rental.tenant_id === tenantId)
+    .sort((a, b) => (b.lease_start || '').localeCompare(a.lease_start || ''));
+
+  // Leases entered before the directory existed only carry a name; group them so each
+  // tenant can be added once and linked to all of their leases
+  const unlinkedTenants = Object.values(safeRentals
+    .filter(rental => !rental.tenant_id && normalizeName(rental.tenant_name))
+    .reduce((groups, rental) => {
+      const key = normalizeName(rental.tenant_name);
+      groups[key] = groups[key] || { name: rental.tenant_name.trim(), rentals: [] };
+      groups[key].rentals.push(rental);
+      return groups;
+    }, {}))
+    .sort((a, b) => a.name.localeCompare(b.name));
+
+  const filteredTenants = safeTenants.filter(tenant => {
+    const term = normalizeName(search);
+    if (!term) return true;
+    return [tenant.name, tenant.email, tenant.phone]
+      .some(value => (value || '').toLowerCase().includes(term));
+  });
+
+  const resetForm = () => {
+    setFormData(EMPTY_TENANT);
+    setErrors({});
+  };
+
+  const handleChange = (e) => {
+    const { name, value } = e.target;
+    setFormData(prev => ({ ...prev, [name]: value }));
+
+    if (errors[name]) {
+      setErrors(prev => ({ ...prev, [name]: null }));
+    }
+  };
+
+  const validateForm = () => {
+    const newErrors = {};
+
+    if (!formData.name.trim()) {
+      newErrors.name = 'Tenant name is required';
+    }
+
+    if (formData.email && !formData.email.match(/^[^\s@]+@[^\s@]+\.[^\s@]+$/)) {
+      newErrors.email = 'Valid email address is required';
+    }
+
+    setErrors(newErrors);
+    return Object.keys(newErrors).length === 0;
+  };
+
+  const handleSave = async () => {
+    if (!validateForm()) {
+      return;
+    }
+
+    try {
+      const tenantData = Object.keys(EMPTY_TENANT).reduce((data, key) => {
+        data[key] = (formData[key] || '').trim() || null;
+        return data;
+      }, {});
+
+      const result = editingTenant
+        ? await updateTenant(editingTenant.id, tenantData)
+        : await createTenant(tenantData);
+      if (!result.success) {
+        console.error(`Failed to ${editingTenant ? 'update' : 'create'} tenant:`, result.error);
+        return;
+      }
+
+      if (onSaveData) {
+        onSaveData(null, editingTenant ? 'Tenant updated successfully' : 'Tenant added successfully');
+      }
+
+      setShowAddForm(false);
+      setEditingTenant(null);
+      resetForm();
+    } catch (error) {
+      console.error('Error saving tenant:', error);
+    }
+  };
+
+  const handleEdit = (tenant) => {
+    setFormData(Object.keys(EMPTY_TENANT).reduce((data, key) => {
+      data[key] = tenant[key] || '';
+      return data;
+    }, {}));
+    setEditingTenant(tenant);
+    setShowAddForm(true);
+  };
+
+  const handleDelete = async (tenant) => {
+    const leaseCount = getTenancies(tenant.id).length;
+    const message = leaseCount > 0
+      ? `Are you sure you want to delete ${tenant.name}? Their ${leaseCount} lease${leaseCount === 1 ? '' : 's'} will be kept but no longer linked.`
+      : `Are you sure you want to delete ${tenant.name}?`;
+    if (!window.confirm(message)) {
+      return;
+    }
+
+    try {
+      const result = await deleteTenant(tenant.id);
+      if (!result.success) {
+        console.error('Failed to delete tenant:', result.error);
+        return;
+      }
+
+      if (onSaveData) {
+        onSaveData(null, 'Tenant deleted successfully');
+      }
+    } catch (error) {
+      console.error('Error deleting tenant:', error);
+    }
+  };
+
+  const handleAddFromLeases = async (group) => {
+    try {
+      const result = await createTenant({ name: group.name });
+      if (!result.success) {
+        console.error('Failed to create tenant:', result.error);
+        return;
+      }
+
+      for (const rental of group.rentals) {
+        const linkResult = await updateRental(rental.id, { tenant_id: result.tenant.id });
+        if (!linkResult.success) {
+          console.error('Failed to link lease to tenant:', linkResult.error);
+        }
+      }
+
+      if (onSaveData) {
+        onSaveData(null, 'Tenant added successfully');
+      }
+    } catch (error) {
+      console.error('Error adding tenant from leases:', error);
+    }
+  };
+
+  const handleCancel = () => {
+    setShowAddForm(false);
+    setEditingTenant(null);
+    resetForm();
+  };
+
+  const renderTenancies = (tenant) => {
+    const tenancies = getTenancies(tenant.id);
+
+    return (
+      <div className="mt-4 pt-4 border-t border-gray-700">
+        <p className="text-gray-400 text-xs font-medium mb-2">
+          Tenancy History ({tenancies.length})
+        </p>
+        {tenancies.length === 0 ? (
+          <p className="text-gray-500 text-sm">
+            No leases linked yet. Pick this tenant when adding a rental to a property.
+          </p>
+        ) : (
+          <div className="space-y-2">
+            {tenancies.map(rental => {
+              const status = getLeaseStatus(rental);
+              return (
+                <button
+                  key={rental.id}
+                  onClick={() => navigate(`/property/${rental.property_id}?tab=rentals`)}
+                  className="w-full flex justify-between items-center text-sm bg-gray-700/30 hover:bg-gray-700/60 rounded px-3 py-2 text-left transition-colors"
+                >
+                  <div className="flex items-center space-x-2 min-w-0">
+                    <SafeIcon icon={FiHome} className="w-4 h-4 text-gray-400 flex-shrink-0" />
+                    <div className="min-w-0">
+                      <p className="text-white truncate">
+                        {getPropertyName(rental.property_id)}
+                        {rental.room_description && (
+                          <span className="text-gray-400"> - {rental.room_description}</span>
+                        )}
+                      </p>
+                      <p className="text-gray-400 text-xs">
+                        {new Date(rental.lease_start).toLocaleDateString()}
+                        {' to '}
+                        {rental.lease_end ? new Date(rental.lease_end).toLocaleDateString() : 'ongoing'}
+                      </p>
+                    </div>
+                  </div>
+                  <div className="flex items-center space-x-3 ml-3 flex-shrink-0">
+                    <span className="text-gray-300">
+                      {formatCurrency(getRentAt(rental))} {(rental.frequency || 'Weekly').toLowerCase()}
+                    </span>
+                    <span className={`px-2 py-0.5 rounded text-xs ${LEASE_STATUS_STYLES[status]}`}>
+                      {LEASE_STATUS_LABELS[status]}
+                    </span>
+                  </div>
+                </button>
+              );
+            })}
+          </div>
+        )}
+      </div>
+    );
+  };
+
+  return (
+    <div className="space-y-6">
+      {/* Header */}
+      <div className="flex flex-col md:flex-row md:items-center md:justify-between gap-4">
+        <div>
+          <h1 className="text-3xl font-bold text-white">Tenants</h1>
+          <p className="text-gray-400 mt-1">
+            Tenant contacts and their leases across your properties
+          </p>
+        </div>
+        {canPerformActions && (
+          <button
+            onClick={() => setShowAddForm(true)}
+            className="btn-primary flex items-center space-x-2"
+          >
+            <SafeIcon icon={FiPlus} className="w-4 h-4" />
+            <span>Add Tenant</span>
+          </button>
+        )}
+      </div>
+
+      {/* Leases with no tenant record */}
+      {canPerformActions && unlinkedTenants.length > 0 && (
+        <div className="card">
+          <div className="flex items-center space-x-2 mb-3">
+            <SafeIcon icon={FiAlertCircle} className="w-5 h-5 text-yellow-400" />
+            <h3 className="font-semibold text-white">Tenants Not in Directory</h3>
+          </div>
+          <p className="text-gray-400 text-sm mb-3">
+            These leases only have a tenant name. Add each tenant to link their leases.
+          </p>
+          <div className="space-y-2">
+            {unlinkedTenants.map(group => (
+              <div
+                key={normalizeName(group.name)}
+                className="flex justify-between items-center text-sm bg-gray-700/30 rounded px-3 py-2"
+              >
+                <div>
+                  <span className="text-white">{group.name}</span>
+                  <span className="text-gray-400 ml-2">
+                    {group.rentals.length} lease{group.rentals.length === 1 ? '' : 's'}
+                  </span>
+                </div>
+                <button
+                  onClick={() => handleAddFromLeases(group)}
+                  className="text-blue-400 hover:text-blue-300 flex items-center space-x-1"
+                >
+                  <SafeIcon icon={FiUserPlus} className="w-4 h-4" />
+                  <span>Add to directory</span>
+                </button>
+              </div>
+            ))}
+          </div>
+        </div>
+      )}
+
+      {/* Tenants List */}
+      {safeTenants.length === 0 ? (
+        <div className="card text-center py-12">
+          <SafeIcon icon={FiUsers} className="w-16 h-16 text-gray-600 mx-auto mb-4" />
+          <h3 className="text-xl font-medium text-gray-400 mb-2">No Tenants Added</h3>
+          <p className="text-gray-500 mb-6">
+            {canPerformActions
+              ? 'Add tenant contacts once and reuse them on every lease'
+              : 'Tenant details will appear here when added by an active user'
+            }
+          </p>
+          {canPerformActions && (
+            <button
+              onClick={() => setShowAddForm(true)}
+              className="btn-primary"
+            >
+              Add Your First Tenant
+            </button>
+          )}
+        </div>
+      ) : (
+        <div className="space-y-4">
+          <div className="relative">
+            <SafeIcon icon={FiSearch} className="w-4 h-4 text-gray-400 absolute left-3 top-1/2 -translate-y-1/2" />
+            <input
+              type="text"
+              value={search}
+              onChange={(e) => setSearch(e.target.value)}
+              className="form-input pl-9"
+              placeholder="Search by name, email or phone"
+            />
+          </div>
+
+          <div className="grid gap-4">
+            {filteredTenants.map((tenant) => (
+              <motion.div
+                key={tenant.id}
+                initial={{ opacity: 0, y: 20 }}
+                animate={{ opacity: 1, y: 0 }}
+                className="card"
+              >
+                <div className="flex items-start justify-between">
+                  <div className="flex-1">
+                    <div className="flex items-center space-x-3 mb-3">
+                      <div className="w-12 h-12 rounded-full bg-blue-900/30 flex items-center justify-center">
+                        <SafeIcon icon={FiUser} className="w-6 h-6 text-blue-400" />
+                      </div>
+                      <h3 className="font-semibold text-white">{tenant.name}</h3>
+                    </div>
+
+                    <div className="grid grid-cols-1 md:grid-cols-2 gap-4 text-sm">
+                      {tenant.email && (
+                        <div className="flex items-center space-x-2">
+                          <SafeIcon icon={FiMail} className="w-4 h-4 text-gray-400" />
+                          <span className="text-gray-300">{tenant.email}</span>
+                        </div>
+                      )}
+
+                      {tenant.phone && (
+                        <div className="flex items-center space-x-2">
+                          <SafeIcon icon={FiPhone} className="w-4 h-4 text-gray-400" />
+                          <span className="text-gray-300">{tenant.phone}</span>
+                        </div>
+                      )}
+
+                      {(tenant.emergency_contact_name || tenant.emergency_contact_phone) && (
+                        <div className="flex items-center space-x-2">
+                          <SafeIcon icon={FiAlertCircle} className="w-4 h-4 text-gray-400" />
+                          <span className="text-gray-300">
+                            Emergency: {[
+                              tenant.emergency_contact_name,
+                              tenant.emergency_contact_relationship && `(${tenant.emergency_contact_relationship})`,
+                              tenant.emergency_contact_phone
+                            ].filter(Boolean).join(' ')}
+                          </span>
+                        </div>
+                      )}
+                    </div>
+
+                    {tenant.id_verification_notes && (
+                      <div className="mt-4 flex items-start space-x-2">
+                        <SafeIcon icon={FiShield} className="w-4 h-4 text-gray-400 mt-0.5" />
+                        <div>
+                          <p className="text-gray-400 text-xs font-medium mb-1">ID Verification</p>
+                          <p className="text-gray-300 text-sm">{tenant.id_verification_notes}</p>
+                        </div>
+                      </div>
+                    )}
+
+                    {tenant.notes && (
+                      <div className="mt-4 flex items-start space-x-2">
+                        <SafeIcon icon={FiFileText} className="w-4 h-4 text-gray-400 mt-0.5" />
+                        <div>
+                          <p className="text-gray-400 text-xs font-medium mb-1">Notes</p>
+                          <p className="text-gray-300 text-sm">{tenant.notes}</p>
+                        </div>
+                      </div>
+                    )}
+
+                    {renderTenancies(tenant)}
+                  </div>
+
+                  {canPerformActions && (
+                    <div className="flex space-x-2 ml-4">
+                      <button
+                        onClick={() => handleEdit(tenant)}
+                        className="text-gray-400 hover:text-blue-400 transition-colors"
+                      >
+                        <SafeIcon icon={FiEdit} className="w-4 h-4" />
+                      </button>
+                      <button
+                        onClick={() => handleDelete(tenant)}
+                        className="text-gray-400 hover:text-red-400 transition-colors"
+                      >
+                        <SafeIcon icon={FiTrash2} className="w-4 h-4" />
+                      </button>
+                    </div>
+                  )}
+                </div>
+              </motion.div>
+            ))}
+
+            {filteredTenants.length === 0 && (
+              <p className="text-gray-400 text-center py-6">No tenants match your search.</p>
+            )}
+          </div>
+        </div>
+      )}
+
+      {/* Add/Edit Form */}
+      <AnimatePresence>
+        {canPerformActions && showAddForm && (
+          <motion.div
+            initial={{ opacity: 0, scale: 0.95 }}
+            animate={{ opacity: 1, scale: 1 }}
+            exit={{ opacity: 0, scale: 0.95 }}
+            className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center p-4 z-50"
+            onClick={(e) => e.target === e.currentTarget && handleCancel()}
+          >
+            <div className="bg-gray-800 rounded-lg p-6 w-full max-w-2xl max-h-[90vh] overflow-y-auto">
+              <div className="flex items-center justify-between mb-6">
+                <h2 className="text-xl font-bold text-white">
+                  {editingTenant ? 'Edit Tenant' : 'Add New Tenant'}
+                </h2>
+                <button
+                  onClick={handleCancel}
+                  className="text-gray-400 hover:text-white transition-colors"
+                >
+                  <SafeIcon icon={FiX} className="w-6 h-6" />
+                </button>
+              </div>
+
+              <div className="space-y-4">
+                <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+                  <div className="md:col-span-2">
+                    <label className="block text-sm font-medium text-gray-300 mb-2">
+                      Tenant Name *
+                    </label>
+                    <input
+                      type="text"
+                      name="name"
+                      value={formData.name}
+                      onChange={handleChange}
+                      className={`form-input ${errors.name ? 'border-red-500' : ''}`}
+                      placeholder="e.g., John Smith"
+                    />
+                    {errors.name && <p className="text-red-400 text-sm mt-1">{errors.name}</p>}
+                  </div>
+
+                  <div>
+                    <label className="block text-sm font-medium text-gray-300 mb-2">
+                      Email
+                    </label>
+                    <input
+                      type="email"
+                      name="email"
+                      value={formData.email}
+                      onChange={handleChange}
+                      className={`form-input ${errors.email ? 'border-red-500' : ''}`}
+                      placeholder="tenant@example.com"
+                    />
+                    {errors.email && <p className="text-red-400 text-sm mt-1">{errors.email}</p>}
+                  </div>
+
+                  <div>
+                    <label className="block text-sm font-medium text-gray-300 mb-2">
+                      Phone
+                    </label>
+                    <input
+                      type="tel"
+                      name="phone"
+                      value={formData.phone}
+                      onChange={handleChange}
+                      className="form-input"
+                      placeholder="0412 345 678"
+                    />
+                  </div>
+                </div>
+
+                <div className="border-t border-gray-700 pt-4">
+                  <h3 className="text-sm font-semibold text-white mb-3">Emergency Contact</h3>
+                  <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+                    <div>
+                      <label className="block text-sm font-medium text-gray-300 mb-2">
+                        Name
+                      </label>
+                      <input
+                        type="text"
+                        name="emergency_contact_name"
+                        value={formData.emergency_contact_name}
+                        onChange={handleChange}
+                        className="form-input"
+                        placeholder="e.g., Jane Smith"
+                      />
+                    </div>
+
+                    <div>
+                      <label className="block text-sm font-medium text-gray-300 mb-2">
+                        Relationship
+                      </label>
+                      <input
+                        type="text"
+                        name="emergency_contact_relationship"
+                        value={formData.emergency_contact_relationship}
+                        onChange={handleChange}
+                        className="form-input"
+                        placeholder="e.g., Parent"
+                      />
+                    </div>
+
+                    <div>
+                      <label className="block text-sm font-medium text-gray-300 mb-2">
+                        Phone
+                      </label>
+                      <input
+                        type="tel"
+                        name="emergency_contact_phone"
+                        value={formData.emergency_contact_phone}
+                        onChange={handleChange}
+                        className="form-input"
+                        placeholder="0412 345 678"
+                      />
+                    </div>
+                  </div>
+                </div>
+
+                <div>
+                  <label className="block text-sm font-medium text-gray-300 mb-2">
+                    ID Verification Notes
+                  </label>
+                  <textarea
+                    name="id_verification_notes"
+                    value={formData.id_verification_notes}
+                    onChange={handleChange}
+                    className="form-input"
+                    rows="2"
+                    placeholder="e.g., Driver licence sighted 12/03/2024"
+                  />
+                  <p className="text-gray-500 text-xs mt-1">
+                    Record which documents were sighted and when. Avoid storing full ID numbers.
+                  </p>
+                </div>
+
+                <div>
+                  <label className="block text-sm font-medium text-gray-300 mb-2">
+                    Notes
+                  </label>
+                  <textarea
+                    name="notes"
+                    value={formData.notes}
+                    onChange={handleChange}
+                    className="form-input"
+                    rows="3"
+                    placeholder="Additional notes about this tenant..."
+                  />
+                </div>
+
+                <div className="flex space-x-3 pt-4">
+                  <button
+                    onClick={handleCancel}
+                    className="btn-secondary flex-1"
+                  >
+                    Cancel
+                  </button>
+                  <button
+                    onClick={handleSave}
+                    className="btn-primary flex-1 flex items-center justify-center space-x-2"
+                  >
+                    <SafeIcon icon={FiSave} className="w-4 h-4" />
+                    <span>{editingTenant ? 'Update Tenant' : 'Add Tenant'}</span>
+                  </button>
+                </div>
+              </div>
+            </div>
+          </motion.div>
+        )}
+      </AnimatePresence>
+    </div>
+  );
+};
+
+export default TenantManager;
@@ -5,6 +5,17 @@ import * as DateUtils from '../utils/DateUtils';
 import DataManager from '../services/DataManager';
 import { formatCurrency, sanitize } from '../utils/number';
 import { generateRentalTransactions, generateLoanPayments, calculateDailyAmount } from '../utils/FinancialCalculations';
+import { RENT_SCHEDULE_MODES } from '../utils/RentCalculations';
+import { canUserPerformActions } from '../utils/AuthUtils';
+import { updateTransaction } from '../utils/DataUtils';
+import {
+  CONSOLIDATED_ENTITY_ID,
+  getEntities,
+  getLedgers,
+  getEntityName,
+  createEntityResolver,
+  withEntityNames
+} from '../utils/OwnershipCalculations';
 
 const { 
   FiFilter, 
@@ -22,7 +33,8 @@ const {
   FiToggleRight, 
   FiHome,
   FiTrendingUp,
-  FiTrendingDown
+  FiTrendingDown,
+  FiBriefcase
 } = FiIcons;
 
 // Helper functions with error handling
@@ -87,7 +99,9 @@ const normalizedAmt = (row) => {
   }
 };
 
-const TransactionTable = ({ transactions, propertyId, settings, properties, onSaveData, loans, addNotification }) => {
+const TransactionTable = ({ user, transactions, propertyId, settings, properties, owners, onSaveData, loans, addNotification }) => {
+  const canPerformActions = canUserPerformActions(user);
+
   // Guard inputs with comprehensive error handling
   const safeTransactions = useMemo(() => {
     try {
@@ -116,6 +130,14 @@ const TransactionTable = ({ transactions, propertyId, settings, properties, onSa
     }
   }, [loans]);
 
+  // Entities (trusts, companies and SMSFs) keep their own books; see OwnershipCalculations
+  const safeOwners = useMemo(() => (Array.isArray(owners) ? owners : []), [owners]);
+  const entities = useMemo(() => getEntities(safeOwners), [safeOwners]);
+  const resolveEntity = useMemo(
+    () => createEntityResolver(safeOwners, safeProperties),
+    [safeOwners, safeProperties]
+  );
+
   const safeSettings = useMemo(() => {
     try {
       return settings && typeof settings === 'object' ? settings : { financialYearStart: '07-01', notifications: [] };
@@ -128,10 +150,12 @@ const TransactionTable = ({ transactions, propertyId, settings, properties, onSa
   const [sortField, setSortField] = useState('date');
   const [sortDirection, setSortDirection] = useState('desc');
   const [viewMode, setViewMode] = useState('list'); // 'list' or 'daily'
+  const [rentMode, setRentMode] = useState(RENT_SCHEDULE_MODES.SCHEDULED); // daily view: due dates or pro-rata accrual
   const [filters, setFilters] = useState({
     type: 'all',
     category: 'all',
     propertyId: propertyId || 'all',
+    entityId: CONSOLIDATED_ENTITY_ID,
     startDate: '',
     endDate: ''
   });
@@ -252,6 +276,11 @@ const TransactionTable = ({ transactions, propertyId, settings, properties, onSa
         });
       }
       
+      // Apply entity filter
+      if (filters.entityId !== CONSOLIDATED_ENTITY_ID) {
+        filtered = filtered.filter(t => t && resolveEntity(t) === filters.entityId);
+      }
+
       // Apply type filter
       if (filters.type !== 'all') {
         filtered = filtered.filter(t => {
@@ -328,7 +357,7 @@ const TransactionTable = ({ transactions, propertyId, settings, properties, onSa
       console.warn('Error filtering transactions:', error);
       return [];
     }
-  }, [safeTransactions, filters, sortField, sortDirection]);
+  }, [safeTransactions, filters, sortField, sortDirection, resolveEntity]);
 
   // Get date range objects for daily view processing with error handling
   const startDateObj = useMemo(() => {
@@ -369,9 +398,12 @@ const TransactionTable = ({ transactions, propertyId, settings, properties, onSa
             if (filters.propertyId && filters.propertyId !== 'all' && property.id !== filters.propertyId) {
               continue;
             }
+            if (filters.entityId !== CONSOLIDATED_ENTITY_ID && resolveEntity(property) !== filters.entityId) {
+              continue;
+            }
 
             // Generate rental transactions using enhanced FinancialCalculations
-            const rentalTransactions = generateRentalTransactions(property, from, to);
+            const rentalTransactions = generateRentalTransactions(property, from, to, { mode: rentMode });
             syntheticTransactions.push(...rentalTransactions);
           } catch (error) {
             console.warn('Error generating rental transactions for property:', error);
@@ -380,7 +412,10 @@ const TransactionTable = ({ transactions, propertyId, settings, properties, onSa
 
         // Generate loan payment transactions using enhanced FinancialCalculations
         try {
-          const loanTransactions = generateLoanPayments(safeLoans, safeProperties, from, to);
+          const ledgerLoans = filters.entityId === CONSOLIDATED_ENTITY_ID
+            ? safeLoans
+            : safeLoans.filter(l => resolveEntity(l) === filters.entityId);
+          const loanTransactions = generateLoanPayments(ledgerLoans, safeProperties, from, to);
           
           // Filter by property if specified
           const filteredLoanTransactions = filters.propertyId && filters.propertyId !== 'all'
@@ -398,7 +433,7 @@ const TransactionTable = ({ transactions, propertyId, settings, properties, onSa
       console.error("Synthetic daily transactions generation failed:", error);
       return [];
     }
-  }, [viewMode, safeProperties, safeLoans, startDateObj, endDateObj, filters.propertyId]);
+  }, [viewMode, rentMode, safeProperties, safeLoans, startDateObj, endDateObj, filters.propertyId, filters.entityId, resolveEntity]);
 
   // Generate daily view data with synthetic rows and error handling
   const dailyViewData = useMemo(() => {
@@ -585,6 +620,23 @@ const TransactionTable = ({ transactions, propertyId, settings, properties, onSa
 
   const net = totals.income - totals.expense;
 
+  // Each entity's share of the list view totals, alongside the consolidated figures
+  const entityTotals = useMemo(() => {
+    if (viewMode !== 'list' || filters.entityId !== CONSOLIDATED_ENTITY_ID || entities.length === 0) return [];
+    return getLedgers(safeOwners)
+      .map(entity => {
+        const rows = visibleRows.filter(r => resolveEntity(r) === entity.id);
+        const income = rows.reduce((sum, r) => sum + Math.max(0, toNum(r.__amt)), 0);
+        const expense = rows.reduce((sum, r) => sum + Math.max(0, -toNum(r.__amt)), 0);
+        return { entity, count: rows.length, income, expense, net: income - expense };
+      })
+      .filter(row => row.count > 0);
+  }, [viewMode, filters.entityId, entities, safeOwners, visibleRows, resolveEntity]);
+
+  const selectedEntityName = filters.entityId !== CONSOLIDATED_ENTITY_ID
+    ? getEntityName(filters.entityId, safeOwners)
+    : null;
+
   // Get recent categories and payees from settings
   const recentCategories = safeSettings?.recentCategories || [];
   const recentPayees = safeSettings?.recentPayees || [];
@@ -616,9 +668,10 @@ const TransactionTable = ({ transactions, propertyId, settings, properties, onSa
       setIsExporting(true);
       
       const result = await DataManager.exportTransactions(
-        filteredTransactions,
+        entities.length > 0 ? withEntityNames(filteredTransactions, safeOwners, safeProperties) : filteredTransactions,
         filters.startDate,
-        filters.endDate
+        filters.endDate,
+        selectedEntityName
       );
       
       if (result.success) {
@@ -638,6 +691,21 @@ const TransactionTable = ({ transactions, propertyId, settings, properties, onSa
     }
   };
 
+  // A transaction without an entity of its own follows its property's books
+  const handleEntityChange = async (transaction, entityId) => {
+    try {
+      await updateTransaction(transaction.id, { entity_id: entityId || null });
+      if (onSaveData) {
+        onSaveData(null, 'Transaction entity updated successfully');
+      }
+    } catch (error) {
+      console.error('Failed to update transaction entity:', error);
+      if (addNotification) {
+        addNotification('Failed to update the transaction entity. Please try again.', 'error');
+      }
+    }
+  };
+
   const handleExportDaily = async () => {
     if (!Array.isArray(finalRenderedRows) || finalRenderedRows.length === 0) return;
 
@@ -678,7 +746,8 @@ const TransactionTable = ({ transactions, propertyId, settings, properties, onSa
         : 'All';
       
       link.href = url;
-      link.download = `DailyLedger_${propertyName}_${filters.startDate}_${filters.endDate}_${Date.now()}.csv`;
+      const ledgerName = selectedEntityName ? `${selectedEntityName.replace(/[^\w-]+/g, '_')}_` : '';
+      link.download = `DailyLedger_${ledgerName}${propertyName}_${filters.startDate}_${filters.endDate}_${Date.now()}.csv`;
       document.body.appendChild(link);
       link.click();
       document.body.removeChild(link);
@@ -828,6 +897,18 @@ const TransactionTable = ({ transactions, propertyId, settings, properties, onSa
                 <span>Daily View</span>
               </button>
             </div>
+
+            {viewMode === 'daily' && (
+              <select
+                value={rentMode}
+                onChange={(e) => setRentMode(e.target.value)}
+                className="form-select text-sm py-1"
+                title="How rent is shown in the daily view"
+              >
+                <option value={RENT_SCHEDULE_MODES.SCHEDULED}>Rent on due dates</option>
+                <option value={RENT_SCHEDULE_MODES.ACCRUAL}>Pro-rata daily accrual</option>
+              </select>
+            )}
           </div>
           
           <div className="flex items-center space-x-2">
@@ -881,6 +962,26 @@ const TransactionTable = ({ transactions, propertyId, settings, properties, onSa
             </div>
           )}
 
+          {entities.length > 0 && (
+            <div>
+              <label className="block text-sm font-medium text-gray-300 mb-2">
+                <SafeIcon icon={FiBriefcase} className="w-3 h-3 inline mr-1" />
+                Entity
+              </label>
+              <select
+                name="entityId"
+                value={filters.entityId}
+                onChange={handleFilterChange}
+                className="form-select"
+              >
+                <option value={CONSOLIDATED_ENTITY_ID}>Consolidated</option>
+                {getLedgers(safeOwners).map(entity => (
+                  <option key={entity.id} value={entity.id}>{entity.name}</option>
+                ))}
+              </select>
+            </div>
+          )}
+
           <div>
             <label className="block text-sm font-medium text-gray-300 mb-2">
               Transaction Type
@@ -894,6 +995,8 @@ const TransactionTable = ({ transactions, propertyId, settings, properties, onSa
               <option value="all">All Types</option>
               <option value="income">Income</option>
               <option value="expense">Expense</option>
+              <option value="interest">Loan Interest</option>
+              <option value="principal">Loan Principal</option>
             </select>
           </div>
           
@@ -954,6 +1057,13 @@ const TransactionTable = ({ transactions, propertyId, settings, properties, onSa
             </div>
           )}
           
+          {selectedEntityName && (
+            <div className="inline-flex items-center px-2 py-1 bg-blue-900/20 border border-blue-700 rounded text-xs">
+              <SafeIcon icon={FiBriefcase} className="w-3 h-3 mr-1 text-blue-400" />
+              <span className="text-blue-400">Entity: {selectedEntityName}</span>
+            </div>
+          )}
+
           {filters.type !== 'all' && (
             <div className="inline-flex items-center px-2 py-1 bg-green-900/20 border border-green-700 rounded text-xs">
               <span className="text-green-400">Type: {filters.type}</span>
@@ -984,7 +1094,11 @@ const TransactionTable = ({ transactions, propertyId, settings, properties, onSa
           {viewMode === 'daily' && (
             <div className="inline-flex items-center px-2 py-1 bg-yellow-900/20 border border-yellow-700 rounded text-xs">
               <SafeIcon icon={FiBarChart3} className="w-3 h-3 mr-1 text-yellow-400" />
-              <span className="text-yellow-400">Auto-converting monthly/weekly amounts to daily</span>
+              <span className="text-yellow-400">
+                {rentMode === RENT_SCHEDULE_MODES.ACCRUAL
+                  ? 'Rent spread evenly across the days of each rent period'
+                  : 'Rent shown on its due dates'}
+              </span>
             </div>
           )}
         </div>
@@ -997,7 +1111,7 @@ const TransactionTable = ({ transactions, propertyId, settings, properties, onSa
             <div>
               <p className="text-sm text-gray-400">Total Income</p>
               <p className="text-2xl font-bold text-green-400">{formatCurrency(totals.income)}</p>
-              {viewMode === 'daily' && (
+              {viewMode === 'daily' && rentMode === RENT_SCHEDULE_MODES.ACCRUAL && (
                 <p className="text-xs text-gray-500 mt-1">Daily equivalent amounts</p>
               )}
             </div>
@@ -1012,7 +1126,7 @@ const TransactionTable = ({ transactions, propertyId, settings, properties, onSa
             <div>
               <p className="text-sm text-gray-400">Total Expenses</p>
               <p className="text-2xl font-bold text-red-400">{formatCurrency(totals.expense)}</p>
-              {viewMode === 'daily' && (
+              {viewMode === 'daily' && rentMode === RENT_SCHEDULE_MODES.ACCRUAL && (
                 <p className="text-xs text-gray-500 mt-1">Daily equivalent amounts</p>
               )}
             </div>
@@ -1029,7 +1143,7 @@ const TransactionTable = ({ transactions, propertyId, settings, properties, onSa
               <p className={`text-2xl font-bold ${net >= 0 ? 'text-green-400' : 'text-red-400'}`}>
                 {formatCurrency(net)}
               </p>
-              {viewMode === 'daily' && (
+              {viewMode === 'daily' && rentMode === RENT_SCHEDULE_MODES.ACCRUAL && (
                 <p className="text-xs text-gray-500 mt-1">Daily equivalent amounts</p>
               )}
             </div>
@@ -1040,6 +1154,49 @@ const TransactionTable = ({ transactions, propertyId, settings, properties, onSa
         </div>
       </div>
 
+      {/* Per-entity totals */}
+      {entityTotals.length > 0 && (
+        <div className="card p-4">
+          <h4 className="text-white font-medium mb-3 flex items-center">
+            <SafeIcon icon={FiBriefcase} className="w-4 h-4 mr-2 text-blue-400" />
+            By Entity
+          </h4>
+          <div className="overflow-x-auto">
+            <table className="w-full text-sm">
+              <thead>
+                <tr className="text-gray-400 text-left">
+                  <th className="py-2 pr-3 font-medium">Entity</th>
+                  <th className="py-2 pr-3 font-medium text-right">Transactions</th>
+                  <th className="py-2 pr-3 font-medium text-right">Income</th>
+                  <th className="py-2 pr-3 font-medium text-right">Expenses</th>
+                  <th className="py-2 font-medium text-right">Net</th>
+                </tr>
+              </thead>
+              <tbody>
+                {entityTotals.map(row => (
+                  <tr key={row.entity.id} className="border-t border-gray-700">
+                    <td className="py-2 pr-3">
+                      <button
+                        onClick={() => setFilters(prev => ({ ...prev, entityId: row.entity.id }))}
+                        className="text-white hover:text-blue-400 transition-colors"
+                      >
+                        {row.entity.name}
+                      </button>
+                    </td>
+                    <td className="py-2 pr-3 text-right text-gray-300">{row.count}</td>
+                    <td className="py-2 pr-3 text-right text-green-400">{formatCurrency(row.income)}</td>
+                    <td className="py-2 pr-3 text-right text-red-400">{formatCurrency(row.expense)}</td>
+                    <td className={`py-2 text-right font-medium ${row.net >= 0 ? 'text-green-400' : 'text-red-400'}`}>
+                      {formatCurrency(row.net)}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        </div>
+      )}
+
       {/* Daily View Warning for Large Date Ranges */}
       {viewMode === 'daily' && dailyViewData === null && (
         <div className="card p-6 text-center">
@@ -1108,6 +1265,11 @@ const TransactionTable = ({ transactions, propertyId, settings, properties, onSa
                         <SortIcon field="amount" />
                       </div>
                     </th>
+                    {entities.length > 0 && (
+                      <th className="px-6 py-3 text-left text-xs font-medium text-gray-300 uppercase tracking-wider">
+                        Entity
+                      </th>
+                    )}
                     <th className="px-6 py-3 text-right text-xs font-medium text-gray-300 uppercase tracking-wider">
                       Actions
                     </th>
@@ -1119,6 +1281,8 @@ const TransactionTable = ({ transactions, propertyId, settings, properties, onSa
                       // When rendering each List View row's amount, use the normalized value so the sign/color matches totals.
                       const amt = toNum(transaction.__amt ?? transaction.amount);
                       const isPositive = amt >= 0;
+                      // Principal repayments reduce the loan balance but are not P&L items
+                      const isExcluded = IGNORE_IN_PNL.has(String(transaction.type || "").toLowerCase());
                       
                       return (
                         <tr key={transaction.id || index} className="hover:bg-gray-700/30">
@@ -1146,16 +1310,45 @@ const TransactionTable = ({ transactions, propertyId, settings, properties, onSa
                             <span className={`inline-flex px-2 py-1 text-xs font-medium rounded-full ${
                               transaction.type === 'income' 
                                 ? 'bg-green-900/30 text-green-400' 
-                                : 'bg-red-900/30 text-red-400'
+                                : isExcluded
+                                  ? 'bg-gray-700 text-gray-300'
+                                  : 'bg-red-900/30 text-red-400'
                             }`}>
                               {transaction.category}
                             </span>
                           </td>
                           <td className="px-6 py-4 whitespace-nowrap text-right text-sm">
-                            <span className={`font-bold ${isPositive ? 'text-green-400' : 'text-red-400'}`}>
-                              {isPositive ? '+' : '-'}{formatCurrency(Math.abs(amt))}
-                            </span>
+                            {isExcluded ? (
+                              <span className="font-bold text-gray-400" title="Excluded from P&L">
+                                {formatCurrency(Math.abs(toNum(transaction.amount)))}
+                              </span>
+                            ) : (
+                              <span className={`font-bold ${isPositive ? 'text-green-400' : 'text-red-400'}`}>
+                                {isPositive ? '+' : '-'}{formatCurrency(Math.abs(amt))}
+                              </span>
+                            )}
                           </td>
+                          {entities.length > 0 && (
+                            <td className="px-6 py-4 whitespace-nowrap text-sm">
+                              {canPerformActions && transaction.id ? (
+                                <select
+                                  value={entities.some(e => e.id === transaction.entity_id) ? transaction.entity_id : ''}
+                                  onChange={(e) => handleEntityChange(transaction, e.target.value)}
+                                  className="form-select text-xs py-1"
+                                  title="Whose books the transaction belongs to"
+                                >
+                                  <option value="">
+                                    {getEntityName(resolveEntity({ property_id: transaction.property_id || transaction.propertyId }), safeOwners)} (property)
+                                  </option>
+                                  {entities.map(entity => (
+                                    <option key={entity.id} value={entity.id}>{entity.name}</option>
+                                  ))}
+                                </select>
+                              ) : (
+                                <span className="text-gray-300">{getEntityName(resolveEntity(transaction), safeOwners)}</span>
+                              )}
+                            </td>
+                          )}
                           <td className="px-6 py-4 whitespace-nowrap text-right text-sm space-x-2">
                             <button
                               onClick={() => handleAddSimilar(transaction)}
@@ -0,0 +1,529 @@
+import React, { useState, useMemo } from 'react';
+import { motion, AnimatePresence } from 'framer-motion';
+import * as FiIcons from 'react-icons/fi';
+import SafeIcon from '../common/SafeIcon';
+import { canUserPerformActions } from '../utils/AuthUtils';
+import { createUnit, updateUnit, deleteUnit } from '../utils/DataUtils';
+import { formatCurrency } from '../utils/number';
+import { getRentAt, isTenancyActiveAt } from '../utils/RentCalculations';
+import {
+  UNIT_TYPES,
+  getPropertyUnits,
+  getUnitExpenseShares,
+  calculateUnitBreakdown
+} from '../utils/UnitCalculations';
+
+const { FiEdit, FiTrash2, FiSave, FiX, FiGrid, FiPlus, FiFileText, FiUser } = FiIcons;
+
+const UNIT_TYPE_LABELS = {
+  [UNIT_TYPES.UNIT]: 'Unit',
+  [UNIT_TYPES.ROOM]: 'Room',
+  [UNIT_TYPES.GRANNY_FLAT]: 'Granny flat',
+  [UNIT_TYPES.COMMERCIAL]: 'Commercial'
+};
+
+const EMPTY_UNIT = {
+  name: '',
+  unit_type: UNIT_TYPES.UNIT,
+  bedrooms: '',
+  expense_share: '',
+  description: '',
+  notes: ''
+};
+
+const toDateInput = (date) => {
+  const pad = (n) => String(n).padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+};
+
+// Financial year starting in `year` from the settings' 'MM-DD' start
+const getFinancialYearRange = (year, financialYearStart = '07-01') => {
+  const [month, day] = financialYearStart.split('-').map(Number);
+  return {
+    start: toDateInput(new Date(year, (month || 7) - 1, day || 1)),
+    end: toDateInput(new Date(year + 1, (month || 7) - 1, (day || 1) - 1))
+  };
+};
+
+const formatShare = (share) => `${Math.round(share * 1000) / 10}%`;
+
+const UnitManager = ({ user, property, units, rentals, transactions, settings, onSaveData }) => {
+  const canPerformActions = canUserPerformActions(user);
+  const [showAddForm, setShowAddForm] = useState(false);
+  const [editingUnit, setEditingUnit] = useState(null);
+  const [formData, setFormData] = useState(EMPTY_UNIT);
+  const [errors, setErrors] = useState({});
+
+  const financialYearStart = settings?.financialYearStart || '07-01';
+  const [selectedYear, setSelectedYear] = useState(() => {
+    const today = new Date();
+    const { start } = getFinancialYearRange(today.getFullYear(), financialYearStart);
+    return toDateInput(today) < start ? today.getFullYear() - 1 : today.getFullYear();
+  });
+  const years = useMemo(() => {
+    const currentYear = new Date().getFullYear();
+    return Array.from({ length: 6 }, (_, i) => currentYear - 4 + i);
+  }, []);
+
+  const propertyUnits = getPropertyUnits(units, property?.id);
+  const safeRentals = Array.isArray(rentals) ? rentals.filter(Boolean) : [];
+  const shares = getUnitExpenseShares(propertyUnits);
+  const range = getFinancialYearRange(selectedYear, financialYearStart);
+  const breakdown = calculateUnitBreakdown(property, propertyUnits, safeRentals, transactions, range.start, range.end);
+
+  // Current lease on a unit, if any
+  const getCurrentRental = (unitId) =>
+    safeRentals.find(rental => rental.unit_id === unitId && isTenancyActiveAt(rental));
+
+  const resetForm = () => {
+    setFormData(EMPTY_UNIT);
+    setErrors({});
+  };
+
+  const handleChange = (e) => {
+    const { name, value } = e.target;
+    setFormData(prev => ({ ...prev, [name]: value }));
+
+    if (errors[name]) {
+      setErrors(prev => ({ ...prev, [name]: null }));
+    }
+  };
+
+  const validateForm = () => {
+    const newErrors = {};
+
+    if (!formData.name.trim()) {
+      newErrors.name = 'Unit name is required';
+    }
+
+    if (formData.expense_share !== '') {
+      const share = parseFloat(formData.expense_share);
+      if (!(share >= 0 && share <= 100)) {
+        newErrors.expense_share = 'Share must be between 0 and 100';
+      }
+    }
+
+    if (formData.bedrooms !== '' && !(parseInt(formData.bedrooms, 10) >= 0)) {
+      newErrors.bedrooms = 'Enter a number of bedrooms';
+    }
+
+    setErrors(newErrors);
+    return Object.keys(newErrors).length === 0;
+  };
+
+  const handleSave = async () => {
+    if (!validateForm()) {
+      return;
+    }
+
+    try {
+      const unitData = {
+        property_id: property.id,
+        name: formData.name.trim(),
+        unit_type: formData.unit_type,
+        bedrooms: formData.bedrooms !== '' ? parseInt(formData.bedrooms, 10) : null,
+        expense_share: formData.expense_share !== ''
+          ? Math.round(parseFloat(formData.expense_share) * 100) / 100
+          : null,
+        description: formData.description.trim() || null,
+        notes: formData.notes.trim() || null
+      };
+
+      const result = editingUnit
+        ? await updateUnit(editingUnit.id, unitData)
+        : await createUnit(unitData);
+      if (!result.success) {
+        console.error(`Failed to ${editingUnit ? 'update' : 'create'} unit:`, result.error);
+        return;
+      }
+
+      if (onSaveData) {
+        onSaveData(null, editingUnit ? 'Unit updated successfully' : 'Unit added successfully');
+      }
+
+      setShowAddForm(false);
+      setEditingUnit(null);
+      resetForm();
+    } catch (error) {
+      console.error('Error saving unit:', error);
+    }
+  };
+
+  const handleEdit = (unit) => {
+    setFormData({
+      name: unit.name || '',
+      unit_type: unit.unit_type || UNIT_TYPES.UNIT,
+      bedrooms: unit.bedrooms?.toString() || '',
+      expense_share: unit.expense_share != null ? parseFloat(unit.expense_share).toString() : '',
+      description: unit.description || '',
+      notes: unit.notes || ''
+    });
+    setEditingUnit(unit);
+    setShowAddForm(true);
+  };
+
+  const handleDelete = async (unit) => {
+    if (!window.confirm(`Are you sure you want to delete ${unit.name}? Its leases and expenses will be kept and counted against the whole property.`)) {
+      return;
+    }
+
+    try {
+      const result = await deleteUnit(unit.id);
+      if (!result.success) {
+        console.error('Failed to delete unit:', result.error);
+        return;
+      }
+
+      if (onSaveData) {
+        onSaveData(null, 'Unit deleted successfully');
+      }
+    } catch (error) {
+      console.error('Error deleting unit:', error);
+    }
+  };
+
+  const handleCancel = () => {
+    setShowAddForm(false);
+    setEditingUnit(null);
+    resetForm();
+  };
+
+  const renderBreakdown = () => (
+    <div className="card">
+      <div className="flex flex-col md:flex-row md:items-center md:justify-between gap-3 mb-4">
+        <div>
+          <h3 className="text-lg font-semibold text-white">Income & Expenses by Unit</h3>
+          <p className="text-gray-400 text-sm">
+            Expenses not tied to a unit are shared by each unit's expense share.
+          </p>
+        </div>
+        <select
+          value={selectedYear}
+          onChange={(e) => setSelectedYear(parseInt(e.target.value))}
+          className="form-select text-sm"
+        >
+          {years.map((year) => (
+            <option key={year} value={year}>
+              FY {year}-{(year + 1).toString().slice(-2)}
+            </option>
+          ))}
+        </select>
+      </div>
+
+      <div className="overflow-x-auto">
+        <table className="w-full text-sm">
+          <thead>
+            <tr className="text-gray-400 text-left">
+              <th className="py-2 pr-3 font-medium">Unit</th>
+              <th className="py-2 pr-3 font-medium text-right">Occupancy</th>
+              <th className="py-2 pr-3 font-medium text-right">Income</th>
+              <th className="py-2 pr-3 font-medium text-right">Unit Expenses</th>
+              <th className="py-2 pr-3 font-medium text-right">Shared Expenses</th>
+              <th className="py-2 font-medium text-right">Net</th>
+            </tr>
+          </thead>
+          <tbody>
+            {breakdown.rows.map((row) => (
+              <tr key={row.unit.id} className="border-t border-gray-700">
+                <td className="py-2 pr-3 text-white">
+                  {row.unit.name}
+                  <span className="text-gray-500 text-xs ml-2">{formatShare(row.share)} share</span>
+                </td>
+                <td className="py-2 pr-3 text-right text-gray-300">{row.occupancyRate}%</td>
+                <td className="py-2 pr-3 text-right text-green-400">{formatCurrency(row.income)}</td>
+                <td className="py-2 pr-3 text-right text-gray-300">{formatCurrency(row.directExpenses)}</td>
+                <td className="py-2 pr-3 text-right text-gray-300">{formatCurrency(row.sharedExpenses)}</td>
+                <td className={`py-2 text-right font-medium ${row.net >= 0 ? 'text-green-400' : 'text-red-400'}`}>
+                  {formatCurrency(row.net)}
+                </td>
+              </tr>
+            ))}
+            {breakdown.unallocatedIncome > 0 && (
+              <tr className="border-t border-gray-700">
+                <td className="py-2 pr-3 text-gray-300">Whole property (not tied to a unit)</td>
+                <td className="py-2 pr-3" />
+                <td className="py-2 pr-3 text-right text-green-400">{formatCurrency(breakdown.unallocatedIncome)}</td>
+                <td className="py-2 pr-3" />
+                <td className="py-2 pr-3" />
+                <td className="py-2 text-right text-green-400">{formatCurrency(breakdown.unallocatedIncome)}</td>
+              </tr>
+            )}
+            <tr className="border-t border-gray-600 font-medium">
+              <td className="py-2 pr-3 text-white">Total</td>
+              <td className="py-2 pr-3" />
+              <td className="py-2 pr-3 text-right text-white">{formatCurrency(breakdown.totals.income)}</td>
+              <td className="py-2 pr-3 text-right text-white" colSpan={2}>
+                {formatCurrency(breakdown.totals.expenses)}
+              </td>
+              <td className={`py-2 text-right ${breakdown.totals.net >= 0 ? 'text-green-400' : 'text-red-400'}`}>
+                {formatCurrency(breakdown.totals.net)}
+              </td>
+            </tr>
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
+
+  return (
+    <div className="space-y-6">
+      {propertyUnits.length === 0 ? (
+        <div className="card text-center py-12">
+          <SafeIcon icon={FiGrid} className="w-16 h-16 text-gray-600 mx-auto mb-4" />
+          <h3 className="text-xl font-medium text-gray-400 mb-2">No Units Added</h3>
+          <p className="text-gray-500 mb-6">
+            {canPerformActions
+              ? 'Split a duplex, block or rooming house into units or rooms to track each one separately'
+              : 'Units will appear here when added by an active user'
+            }
+          </p>
+          {canPerformActions && (
+            <button
+              onClick={() => setShowAddForm(true)}
+              className="btn-primary"
+            >
+              Add Your First Unit
+            </button>
+          )}
+        </div>
+      ) : (
+        <div className="space-y-4">
+          {canPerformActions && (
+            <div className="flex justify-end">
+              <button
+                onClick={() => setShowAddForm(true)}
+                className="btn-primary flex items-center space-x-2"
+              >
+                <SafeIcon icon={FiPlus} className="w-4 h-4" />
+                <span>Add Unit</span>
+              </button>
+            </div>
+          )}
+
+          {renderBreakdown()}
+
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+            {propertyUnits.map((unit) => {
+              const currentRental = getCurrentRental(unit.id);
+              return (
+                <motion.div
+                  key={unit.id}
+                  initial={{ opacity: 0, y: 20 }}
+                  animate={{ opacity: 1, y: 0 }}
+                  className="card"
+                >
+                  <div className="flex items-start justify-between">
+                    <div className="flex-1">
+                      <div className="flex items-center space-x-3 mb-3">
+                        <div className="w-12 h-12 rounded-full bg-blue-900/30 flex items-center justify-center">
+                          <SafeIcon icon={FiGrid} className="w-6 h-6 text-blue-400" />
+                        </div>
+                        <div>
+                          <h3 className="font-semibold text-white">{unit.name}</h3>
+                          <p className="text-gray-400 text-sm">
+                            {UNIT_TYPE_LABELS[unit.unit_type] || 'Unit'}
+                            {unit.bedrooms != null && ` · ${unit.bedrooms} bed`}
+                            {` · ${formatShare(shares.get(unit.id) || 0)} of shared expenses`}
+                          </p>
+                        </div>
+                      </div>
+
+                      <div className="flex items-center space-x-2 text-sm">
+                        <SafeIcon icon={FiUser} className="w-4 h-4 text-gray-400" />
+                        {currentRental ? (
+                          <span className="text-gray-300">
+                            {currentRental.tenant_name} · {formatCurrency(getRentAt(currentRental))}{' '}
+                            {(currentRental.frequency || 'Weekly').toLowerCase()}
+                          </span>
+                        ) : (
+                          <span className="text-yellow-400">Vacant</span>
+                        )}
+                      </div>
+
+                      {unit.description && (
+                        <p className="text-gray-300 text-sm mt-2">{unit.description}</p>
+                      )}
+
+                      {unit.notes && (
+                        <div className="mt-4 pt-4 border-t border-gray-700">
+                          <div className="flex items-start space-x-2">
+                            <SafeIcon icon={FiFileText} className="w-4 h-4 text-gray-400 mt-0.5" />
+                            <div>
+                              <p className="text-gray-400 text-xs font-medium mb-1">Notes</p>
+                              <p className="text-gray-300 text-sm">{unit.notes}</p>
+                            </div>
+                          </div>
+                        </div>
+                      )}
+                    </div>
+
+                    {canPerformActions && (
+                      <div className="flex space-x-2 ml-4">
+                        <button
+                          onClick={() => handleEdit(unit)}
+                          className="text-gray-400 hover:text-blue-400 transition-colors"
+                        >
+                          <SafeIcon icon={FiEdit} className="w-4 h-4" />
+                        </button>
+                        <button
+                          onClick={() => handleDelete(unit)}
+                          className="text-gray-400 hover:text-red-400 transition-colors"
+                        >
+                          <SafeIcon icon={FiTrash2} className="w-4 h-4" />
+                        </button>
+                      </div>
+                    )}
+                  </div>
+                </motion.div>
+              );
+            })}
+          </div>
+        </div>
+      )}
+
+      {/* Add/Edit Form */}
+      <AnimatePresence>
+        {canPerformActions && showAddForm && (
+          <motion.div
+            initial={{ opacity: 0, scale: 0.95 }}
+            animate={{ opacity: 1, scale: 1 }}
+            exit={{ opacity: 0, scale: 0.95 }}
+            className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center p-4 z-50"
+            onClick={(e) => e.target === e.currentTarget && handleCancel()}
+          >
+            <div className="bg-gray-800 rounded-lg p-6 w-full max-w-2xl max-h-[90vh] overflow-y-auto">
+              <div className="flex items-center justify-between mb-6">
+                <h2 className="text-xl font-bold text-white">
+                  {editingUnit ? 'Edit Unit' : 'Add New Unit'}
+                </h2>
+                <button
+                  onClick={handleCancel}
+                  className="text-gray-400 hover:text-white transition-colors"
+                >
+                  <SafeIcon icon={FiX} className="w-6 h-6" />
+                </button>
+              </div>
+
+              <div className="space-y-4">
+                <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+                  <div>
+                    <label className="block text-sm font-medium text-gray-300 mb-2">
+                      Name *
+                    </label>
+                    <input
+                      type="text"
+                      name="name"
+                      value={formData.name}
+                      onChange={handleChange}
+                      className={`form-input ${errors.name ? 'border-red-500' : ''}`}
+                      placeholder="e.g., Unit 1, Room 3"
+                    />
+                    {errors.name && <p className="text-red-400 text-sm mt-1">{errors.name}</p>}
+                  </div>
+
+                  <div>
+                    <label className="block text-sm font-medium text-gray-300 mb-2">
+                      Type
+                    </label>
+                    <select
+                      name="unit_type"
+                      value={formData.unit_type}
+                      onChange={handleChange}
+                      className="form-input"
+                    >
+                      {Object.values(UNIT_TYPES).map((type) => (
+                        <option key={type} value={type}>{UNIT_TYPE_LABELS[type]}</option>
+                      ))}
+                    </select>
+                  </div>
+
+                  <div>
+                    <label className="block text-sm font-medium text-gray-300 mb-2">
+                      Bedrooms
+                    </label>
+                    <input
+                      type="number"
+                      name="bedrooms"
+                      min="0"
+                      value={formData.bedrooms}
+                      onChange={handleChange}
+                      className={`form-input ${errors.bedrooms ? 'border-red-500' : ''}`}
+                    />
+                    {errors.bedrooms && <p className="text-red-400 text-sm mt-1">{errors.bedrooms}</p>}
+                  </div>
+
+                  <div>
+                    <label className="block text-sm font-medium text-gray-300 mb-2">
+                      Share of Shared Expenses (%)
+                    </label>
+                    <input
+                      type="number"
+                      name="expense_share"
+                      min="0"
+                      max="100"
+                      step="0.01"
+                      value={formData.expense_share}
+                      onChange={handleChange}
+                      className={`form-input ${errors.expense_share ? 'border-red-500' : ''}`}
+                      placeholder="Split evenly"
+                    />
+                    {errors.expense_share && <p className="text-red-400 text-sm mt-1">{errors.expense_share}</p>}
+                    <p className="text-gray-500 text-xs mt-1">
+                      e.g. by floor area. Units left empty split the remainder evenly.
+                    </p>
+                  </div>
+                </div>
+
+                <div>
+                  <label className="block text-sm font-medium text-gray-300 mb-2">
+                    Description
+                  </label>
+                  <input
+                    type="text"
+                    name="description"
+                    value={formData.description}
+                    onChange={handleChange}
+                    className="form-input"
+                    placeholder="e.g., Front room with ensuite"
+                  />
+                </div>
+
+                <div>
+                  <label className="block text-sm font-medium text-gray-300 mb-2">
+                    Notes
+                  </label>
+                  <textarea
+                    name="notes"
+                    value={formData.notes}
+                    onChange={handleChange}
+                    className="form-input"
+                    rows="3"
+                    placeholder="Additional notes about this unit..."
+                  />
+                </div>
+
+                <div className="flex space-x-3 pt-4">
+                  <button
+                    onClick={handleCancel}
+                    className="btn-secondary flex-1"
+                  >
+                    Cancel
+                  </button>
+                  <button
+                    onClick={handleSave}
+                    className="btn-primary flex-1 flex items-center justify-center space-x-2"
+                  >
+                    <SafeIcon icon={FiSave} className="w-4 h-4" />
+                    <span>{editingUnit ? 'Update Unit' : 'Add Unit'}</span>
+                  </button>
+                </div>
+              </div>
+            </div>
+          </motion.div>
+        )}
+      </AnimatePresence>
+    </div>
+  );
+};
+
+export default UnitManager;
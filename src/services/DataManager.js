@@ -3,7 +3,7 @@ import { sanitize } from '../utils/number';
 
 class DataManager {
   static dbName = 'InvestmentPropertyManagerDB';
-  static dbVersion = 1;
+  static dbVersion = 2;
   static db = null;
   static backupMethod = 'download';
   static silentBackup = false;
@@ -38,6 +38,11 @@ class DataManager {
           if (!db.objectStoreNames.contains('backups')) {
             db.createObjectStore('backups', { keyPath: 'id' });
           }
+
+          // Document files kept on this device when Supabase Storage isn't configured
+          if (!db.objectStoreNames.contains('documentFiles')) {
+            db.createObjectStore('documentFiles', { keyPath: 'id' });
+          }
         }
       });
 
@@ -701,8 +706,9 @@ class DataManager {
     }
   }
 
-  // New method specifically for exporting transactions with date filtering
-  static async exportTransactions(transactions, startDate = null, endDate = null) {
+  // New method specifically for exporting transactions with date filtering. label, such as
+  // an entity name, prefixes the filename.
+  static async exportTransactions(transactions, startDate = null, endDate = null, label = null) {
     try {
       let filteredTransactions = [...transactions];
       
@@ -723,7 +729,7 @@ class DataManager {
       const blob = new Blob([csvContent], { type: 'text/csv' });
       
       // Generate filename with date range
-      let filename = 'filtered_transactions';
+      let filename = label ? `${label.replace(/[^\w-]+/g, '_')}_transactions` : 'filtered_transactions';
       if (startDate || endDate) {
         const start = startDate ? new Date(startDate).toISOString().slice(0, 10) : 'beginning';
         const end = endDate ? new Date(endDate).toISOString().slice(0, 10) : 'present';
@@ -773,6 +779,49 @@ class DataManager {
     }
   }
 
+  static async saveDocumentFile(file) {
+    try {
+      const db = await this.initDB();
+      const id = `doc_${Date.now()}_${Math.random().toString(36).slice(2, 10)}`;
+      await db.put('documentFiles', {
+        id,
+        blob: file,
+        name: file.name,
+        type: file.type,
+        savedAt: new Date().toISOString()
+      });
+      return { success: true, id };
+    } catch (error) {
+      console.error('Failed to save document file:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  static async getDocumentFile(id) {
+    try {
+      const db = await this.initDB();
+      const record = await db.get('documentFiles', id);
+      if (!record) {
+        return { success: false, error: 'File is not stored on this device' };
+      }
+      return { success: true, file: record.blob };
+    } catch (error) {
+      console.error('Failed to load document file:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  static async deleteDocumentFile(id) {
+    try {
+      const db = await this.initDB();
+      await db.delete('documentFiles', id);
+      return { success: true };
+    } catch (error) {
+      console.error('Failed to delete document file:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
   static async getStorageUsage() {
     try {
       if ('storage' in navigator && 'estimate' in navigator.storage) {
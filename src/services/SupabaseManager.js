@@ -209,6 +209,8 @@ class SupabaseManager {
         purchase_price: propertyData.purchasePrice || propertyData.basePropertyCost,
         base_property_cost: propertyData.basePropertyCost,
         current_value: propertyData.currentValue,
+        valuation_date: propertyData.valuationDate,
+        ownership_percentage: propertyData.ownershipPercentage,
         purchase_date: propertyData.purchaseDate,
         property_type: propertyData.propertyType,
         bedrooms: propertyData.bedrooms,
@@ -216,6 +218,7 @@ class SupabaseManager {
         area: propertyData.area,
         notes: propertyData.notes,
         acquisition_costs: propertyData.acquisitionCosts || [],
+        entity_id: propertyData.entityId || null,
         user_id: this.currentUser.id
       };
       
@@ -260,13 +263,19 @@ class SupabaseManager {
         purchase_price: propertyData.purchasePrice || propertyData.basePropertyCost,
         base_property_cost: propertyData.basePropertyCost,
         current_value: propertyData.currentValue,
+        valuation_date: propertyData.valuationDate,
+        ownership_percentage: propertyData.ownershipPercentage,
         purchase_date: propertyData.purchaseDate,
         property_type: propertyData.propertyType,
         bedrooms: propertyData.bedrooms,
         bathrooms: propertyData.bathrooms,
         area: propertyData.area,
         notes: propertyData.notes,
-        acquisition_costs: propertyData.acquisitionCosts || []
+        acquisition_costs: propertyData.acquisitionCosts || [],
+        sale_date: propertyData.saleDate,
+        selling_price: propertyData.sellingPrice,
+        selling_costs: propertyData.sellingCosts,
+        entity_id: propertyData.entityId
       };
       
       const { data: record, error } = await this.supabase
@@ -304,10 +313,37 @@ class SupabaseManager {
   }
 
   // Loan Management
+  // Clear structure fields that don't apply so a loan switched back to P&I or variable
+  // doesn't keep a stale interest-only end date or fixed-rate expiry
+  static mapLoanStructure(loanData) {
+    const data = { ...loanData };
+
+    if ('repayment_type' in data && data.repayment_type !== 'interest_only') {
+      data.interest_only_end_date = null;
+    }
+    if ('rate_type' in data && data.rate_type !== 'fixed') {
+      data.fixed_rate_expiry = null;
+      data.revert_rate = null;
+    }
+
+    ['interest_only_end_date', 'fixed_rate_expiry', 'revert_rate', 'end_date'].forEach(field => {
+      if (data[field] === '') data[field] = null;
+    });
+
+    if ('splits' in data) {
+      data.splits = Array.isArray(data.splits) ? data.splits : [];
+    }
+    if ('loan_costs' in data) {
+      data.loan_costs = Array.isArray(data.loan_costs) ? data.loan_costs : [];
+    }
+
+    return data;
+  }
+
   static async createLoan(loanData) {
     try {
       const data = {
-        ...loanData,
+        ...this.mapLoanStructure(loanData),
         user_id: this.currentUser.id
       };
       
@@ -347,7 +383,7 @@ class SupabaseManager {
     try {
       const { data: record, error } = await this.supabase
         .from('loans')
-        .update(loanData)
+        .update(this.mapLoanStructure(loanData))
         .eq('id', id)
         .eq('user_id', this.currentUser.id)
         .select()
@@ -379,6 +415,309 @@ class SupabaseManager {
     }
   }
 
+  // Loan Rate Change Management
+  static async createLoanRateChange(rateChangeData) {
+    try {
+      const data = {
+        ...rateChangeData,
+        user_id: this.currentUser.id
+      };
+
+      const { data: record, error } = await this.supabase
+        .from('loan_rate_changes')
+        .insert([data])
+        .select()
+        .single();
+
+      if (error) throw error;
+
+      return { success: true, rateChange: record };
+    } catch (error) {
+      console.error('Failed to create loan rate change:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  static async getLoanRateChanges() {
+    try {
+      const { data: records, error } = await this.supabase
+        .from('loan_rate_changes')
+        .select('*')
+        .eq('user_id', this.currentUser.id)
+        .order('effective_date', { ascending: true });
+
+      if (error) throw error;
+
+      return { success: true, rateChanges: records || [] };
+    } catch (error) {
+      console.error('Failed to fetch loan rate changes:', error);
+      return { success: false, error: error.message, rateChanges: [] };
+    }
+  }
+
+  static async updateLoanRateChange(id, rateChangeData) {
+    try {
+      const { data: record, error } = await this.supabase
+        .from('loan_rate_changes')
+        .update(rateChangeData)
+        .eq('id', id)
+        .eq('user_id', this.currentUser.id)
+        .select()
+        .single();
+
+      if (error) throw error;
+
+      return { success: true, rateChange: record };
+    } catch (error) {
+      console.error('Failed to update loan rate change:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  static async deleteLoanRateChange(id) {
+    try {
+      const { error } = await this.supabase
+        .from('loan_rate_changes')
+        .delete()
+        .eq('id', id)
+        .eq('user_id', this.currentUser.id);
+
+      if (error) throw error;
+
+      return { success: true };
+    } catch (error) {
+      console.error('Failed to delete loan rate change:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  // Loan Offset Account Management
+  static async createOffsetAccount(offsetAccountData) {
+    try {
+      const data = {
+        ...offsetAccountData,
+        user_id: this.currentUser.id
+      };
+
+      const { data: record, error } = await this.supabase
+        .from('loan_offset_accounts')
+        .insert([data])
+        .select()
+        .single();
+
+      if (error) throw error;
+
+      return { success: true, offsetAccount: record };
+    } catch (error) {
+      console.error('Failed to create loan offset account:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  static async getOffsetAccounts() {
+    try {
+      const { data: records, error } = await this.supabase
+        .from('loan_offset_accounts')
+        .select('*')
+        .eq('user_id', this.currentUser.id)
+        .order('created_at', { ascending: true });
+
+      if (error) throw error;
+
+      return { success: true, offsetAccounts: records || [] };
+    } catch (error) {
+      console.error('Failed to fetch loan offset accounts:', error);
+      return { success: false, error: error.message, offsetAccounts: [] };
+    }
+  }
+
+  static async updateOffsetAccount(id, offsetAccountData) {
+    try {
+      const { data: record, error } = await this.supabase
+        .from('loan_offset_accounts')
+        .update(offsetAccountData)
+        .eq('id', id)
+        .eq('user_id', this.currentUser.id)
+        .select()
+        .single();
+
+      if (error) throw error;
+
+      return { success: true, offsetAccount: record };
+    } catch (error) {
+      console.error('Failed to update loan offset account:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  static async deleteOffsetAccount(id) {
+    try {
+      const { error } = await this.supabase
+        .from('loan_offset_accounts')
+        .delete()
+        .eq('id', id)
+        .eq('user_id', this.currentUser.id);
+
+      if (error) throw error;
+
+      return { success: true };
+    } catch (error) {
+      console.error('Failed to delete loan offset account:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  static async createOffsetBalance(offsetBalanceData) {
+    try {
+      const data = {
+        ...offsetBalanceData,
+        user_id: this.currentUser.id
+      };
+
+      const { data: record, error } = await this.supabase
+        .from('loan_offset_balances')
+        .insert([data])
+        .select()
+        .single();
+
+      if (error) throw error;
+
+      return { success: true, offsetBalance: record };
+    } catch (error) {
+      console.error('Failed to create loan offset balance:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  static async getOffsetBalances() {
+    try {
+      const { data: records, error } = await this.supabase
+        .from('loan_offset_balances')
+        .select('*')
+        .eq('user_id', this.currentUser.id)
+        .order('balance_date', { ascending: true });
+
+      if (error) throw error;
+
+      return { success: true, offsetBalances: records || [] };
+    } catch (error) {
+      console.error('Failed to fetch loan offset balances:', error);
+      return { success: false, error: error.message, offsetBalances: [] };
+    }
+  }
+
+  static async updateOffsetBalance(id, offsetBalanceData) {
+    try {
+      const { data: record, error } = await this.supabase
+        .from('loan_offset_balances')
+        .update(offsetBalanceData)
+        .eq('id', id)
+        .eq('user_id', this.currentUser.id)
+        .select()
+        .single();
+
+      if (error) throw error;
+
+      return { success: true, offsetBalance: record };
+    } catch (error) {
+      console.error('Failed to update loan offset balance:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  static async deleteOffsetBalance(id) {
+    try {
+      const { error } = await this.supabase
+        .from('loan_offset_balances')
+        .delete()
+        .eq('id', id)
+        .eq('user_id', this.currentUser.id);
+
+      if (error) throw error;
+
+      return { success: true };
+    } catch (error) {
+      console.error('Failed to delete loan offset balance:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  // Loan Extra Repayment Management
+  static async createExtraRepayment(extraRepaymentData) {
+    try {
+      const data = {
+        ...extraRepaymentData,
+        user_id: this.currentUser.id
+      };
+
+      const { data: record, error } = await this.supabase
+        .from('loan_extra_repayments')
+        .insert([data])
+        .select()
+        .single();
+
+      if (error) throw error;
+
+      return { success: true, extraRepayment: record };
+    } catch (error) {
+      console.error('Failed to create loan extra repayment:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  static async getExtraRepayments() {
+    try {
+      const { data: records, error } = await this.supabase
+        .from('loan_extra_repayments')
+        .select('*')
+        .eq('user_id', this.currentUser.id)
+        .order('payment_date', { ascending: true });
+
+      if (error) throw error;
+
+      return { success: true, extraRepayments: records || [] };
+    } catch (error) {
+      console.error('Failed to fetch loan extra repayments:', error);
+      return { success: false, error: error.message, extraRepayments: [] };
+    }
+  }
+
+  static async updateExtraRepayment(id, extraRepaymentData) {
+    try {
+      const { data: record, error } = await this.supabase
+        .from('loan_extra_repayments')
+        .update(extraRepaymentData)
+        .eq('id', id)
+        .eq('user_id', this.currentUser.id)
+        .select()
+        .single();
+
+      if (error) throw error;
+
+      return { success: true, extraRepayment: record };
+    } catch (error) {
+      console.error('Failed to update loan extra repayment:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  static async deleteExtraRepayment(id) {
+    try {
+      const { error } = await this.supabase
+        .from('loan_extra_repayments')
+        .delete()
+        .eq('id', id)
+        .eq('user_id', this.currentUser.id);
+
+      if (error) throw error;
+
+      return { success: true };
+    } catch (error) {
+      console.error('Failed to delete loan extra repayment:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
   // Transaction Management
   static async createTransaction(transactionData) {
     try {
@@ -500,6 +839,26 @@ class SupabaseManager {
     }
   }
 
+  // Expense already recorded for one due date of a recurring expense, if any
+  static async getRecurringExpenseRecord(recurringExpenseId, date) {
+    try {
+      const { data: records, error } = await this.supabase
+        .from('expenses')
+        .select('*')
+        .eq('user_id', this.currentUser.id)
+        .eq('recurring_expense_id', recurringExpenseId)
+        .eq('date', date)
+        .limit(1);
+
+      if (error) throw error;
+
+      return { success: true, expense: records?.[0] || null };
+    } catch (error) {
+      console.error('Failed to fetch recurring expense record:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
   static async updateExpense(id, expenseData) {
     try {
       const { data: record, error } = await this.supabase
@@ -612,25 +971,405 @@ class SupabaseManager {
     }
   }
 
-  // Agent Management
-  static async createAgent(agentData) {
+  // Unit Management
+  static async createUnit(unitData) {
     try {
       const data = {
-        ...agentData,
+        ...unitData,
         user_id: this.currentUser.id
       };
-      
+
       const { data: record, error } = await this.supabase
-        .from('agents')
+        .from('units')
         .insert([data])
         .select()
         .single();
 
       if (error) throw error;
 
-      return { success: true, agent: record };
+      return { success: true, unit: record };
     } catch (error) {
-      console.error('Failed to create agent:', error);
+      console.error('Failed to create unit:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  static async getUnits() {
+    try {
+      const { data: records, error } = await this.supabase
+        .from('units')
+        .select('*')
+        .eq('user_id', this.currentUser.id)
+        .order('name', { ascending: true });
+
+      if (error) throw error;
+
+      return { success: true, units: records || [] };
+    } catch (error) {
+      console.error('Failed to fetch units:', error);
+      return { success: false, error: error.message, units: [] };
+    }
+  }
+
+  static async updateUnit(id, unitData) {
+    try {
+      const { data: record, error } = await this.supabase
+        .from('units')
+        .update(unitData)
+        .eq('id', id)
+        .eq('user_id', this.currentUser.id)
+        .select()
+        .single();
+
+      if (error) throw error;
+
+      return { success: true, unit: record };
+    } catch (error) {
+      console.error('Failed to update unit:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  static async deleteUnit(id) {
+    try {
+      const { error } = await this.supabase
+        .from('units')
+        .delete()
+        .eq('id', id)
+        .eq('user_id', this.currentUser.id);
+
+      if (error) throw error;
+
+      return { success: true };
+    } catch (error) {
+      console.error('Failed to delete unit:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  // Recurring Expense Management
+  static async createRecurringExpense(recurringExpenseData) {
+    try {
+      const data = {
+        ...recurringExpenseData,
+        user_id: this.currentUser.id
+      };
+
+      const { data: record, error } = await this.supabase
+        .from('recurring_expenses')
+        .insert([data])
+        .select()
+        .single();
+
+      if (error) throw error;
+
+      return { success: true, recurringExpense: record };
+    } catch (error) {
+      console.error('Failed to create recurring expense:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  static async getRecurringExpenses() {
+    try {
+      const { data: records, error } = await this.supabase
+        .from('recurring_expenses')
+        .select('*')
+        .eq('user_id', this.currentUser.id)
+        .order('next_due_date', { ascending: true });
+
+      if (error) throw error;
+
+      return { success: true, recurringExpenses: records || [] };
+    } catch (error) {
+      console.error('Failed to fetch recurring expenses:', error);
+      return { success: false, error: error.message, recurringExpenses: [] };
+    }
+  }
+
+  static async updateRecurringExpense(id, recurringExpenseData) {
+    try {
+      const { data: record, error } = await this.supabase
+        .from('recurring_expenses')
+        .update(recurringExpenseData)
+        .eq('id', id)
+        .eq('user_id', this.currentUser.id)
+        .select()
+        .single();
+
+      if (error) throw error;
+
+      return { success: true, recurringExpense: record };
+    } catch (error) {
+      console.error('Failed to update recurring expense:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  static async deleteRecurringExpense(id) {
+    try {
+      const { error } = await this.supabase
+        .from('recurring_expenses')
+        .delete()
+        .eq('id', id)
+        .eq('user_id', this.currentUser.id);
+
+      if (error) throw error;
+
+      return { success: true };
+    } catch (error) {
+      console.error('Failed to delete recurring expense:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  // Vacancy Management
+  static async createVacancy(vacancyData) {
+    try {
+      const data = {
+        ...vacancyData,
+        user_id: this.currentUser.id
+      };
+
+      const { data: record, error } = await this.supabase
+        .from('vacancies')
+        .insert([data])
+        .select()
+        .single();
+
+      if (error) throw error;
+
+      return { success: true, vacancy: record };
+    } catch (error) {
+      console.error('Failed to create vacancy:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  static async getVacancies() {
+    try {
+      const { data: records, error } = await this.supabase
+        .from('vacancies')
+        .select('*')
+        .eq('user_id', this.currentUser.id)
+        .order('start_date', { ascending: true });
+
+      if (error) throw error;
+
+      return { success: true, vacancies: records || [] };
+    } catch (error) {
+      console.error('Failed to fetch vacancies:', error);
+      return { success: false, error: error.message, vacancies: [] };
+    }
+  }
+
+  static async updateVacancy(id, vacancyData) {
+    try {
+      const { data: record, error } = await this.supabase
+        .from('vacancies')
+        .update(vacancyData)
+        .eq('id', id)
+        .eq('user_id', this.currentUser.id)
+        .select()
+        .single();
+
+      if (error) throw error;
+
+      return { success: true, vacancy: record };
+    } catch (error) {
+      console.error('Failed to update vacancy:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  static async deleteVacancy(id) {
+    try {
+      const { error } = await this.supabase
+        .from('vacancies')
+        .delete()
+        .eq('id', id)
+        .eq('user_id', this.currentUser.id);
+
+      if (error) throw error;
+
+      return { success: true };
+    } catch (error) {
+      console.error('Failed to delete vacancy:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  // Rent Change Management
+  static async createRentChange(rentChangeData) {
+    try {
+      const data = {
+        ...rentChangeData,
+        user_id: this.currentUser.id
+      };
+
+      const { data: record, error } = await this.supabase
+        .from('rent_changes')
+        .insert([data])
+        .select()
+        .single();
+
+      if (error) throw error;
+
+      return { success: true, rentChange: record };
+    } catch (error) {
+      console.error('Failed to create rent change:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  static async getRentChanges() {
+    try {
+      const { data: records, error } = await this.supabase
+        .from('rent_changes')
+        .select('*')
+        .eq('user_id', this.currentUser.id)
+        .order('effective_date', { ascending: true });
+
+      if (error) throw error;
+
+      return { success: true, rentChanges: records || [] };
+    } catch (error) {
+      console.error('Failed to fetch rent changes:', error);
+      return { success: false, error: error.message, rentChanges: [] };
+    }
+  }
+
+  static async updateRentChange(id, rentChangeData) {
+    try {
+      const { data: record, error } = await this.supabase
+        .from('rent_changes')
+        .update(rentChangeData)
+        .eq('id', id)
+        .eq('user_id', this.currentUser.id)
+        .select()
+        .single();
+
+      if (error) throw error;
+
+      return { success: true, rentChange: record };
+    } catch (error) {
+      console.error('Failed to update rent change:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  static async deleteRentChange(id) {
+    try {
+      const { error } = await this.supabase
+        .from('rent_changes')
+        .delete()
+        .eq('id', id)
+        .eq('user_id', this.currentUser.id);
+
+      if (error) throw error;
+
+      return { success: true };
+    } catch (error) {
+      console.error('Failed to delete rent change:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  // Rent Payment Management
+  static async createRentPayment(rentPaymentData) {
+    try {
+      const data = {
+        ...rentPaymentData,
+        user_id: this.currentUser.id
+      };
+
+      const { data: record, error } = await this.supabase
+        .from('rent_payments')
+        .insert([data])
+        .select()
+        .single();
+
+      if (error) throw error;
+
+      return { success: true, rentPayment: record };
+    } catch (error) {
+      console.error('Failed to create rent payment:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  static async getRentPayments() {
+    try {
+      const { data: records, error } = await this.supabase
+        .from('rent_payments')
+        .select('*')
+        .eq('user_id', this.currentUser.id)
+        .order('payment_date', { ascending: true });
+
+      if (error) throw error;
+
+      return { success: true, rentPayments: records || [] };
+    } catch (error) {
+      console.error('Failed to fetch rent payments:', error);
+      return { success: false, error: error.message, rentPayments: [] };
+    }
+  }
+
+  static async updateRentPayment(id, rentPaymentData) {
+    try {
+      const { data: record, error } = await this.supabase
+        .from('rent_payments')
+        .update(rentPaymentData)
+        .eq('id', id)
+        .eq('user_id', this.currentUser.id)
+        .select()
+        .single();
+
+      if (error) throw error;
+
+      return { success: true, rentPayment: record };
+    } catch (error) {
+      console.error('Failed to update rent payment:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  static async deleteRentPayment(id) {
+    try {
+      const { error } = await this.supabase
+        .from('rent_payments')
+        .delete()
+        .eq('id', id)
+        .eq('user_id', this.currentUser.id);
+
+      if (error) throw error;
+
+      return { success: true };
+    } catch (error) {
+      console.error('Failed to delete rent payment:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  // Agent Management
+  static async createAgent(agentData) {
+    try {
+      const data = {
+        ...agentData,
+        user_id: this.currentUser.id
+      };
+      
+      const { data: record, error } = await this.supabase
+        .from('agents')
+        .insert([data])
+        .select()
+        .single();
+
+      if (error) throw error;
+
+      return { success: true, agent: record };
+    } catch (error) {
+      console.error('Failed to create agent:', error);
       return { success: false, error: error.message };
     }
   }
@@ -638,25 +1377,309 @@ class SupabaseManager {
   static async getAgents() {
     try {
       const { data: records, error } = await this.supabase
-        .from('agents')
+        .from('agents')
+        .select('*')
+        .eq('user_id', this.currentUser.id)
+        .order('created_at', { ascending: false });
+
+      if (error) throw error;
+
+      return { success: true, agents: records || [] };
+    } catch (error) {
+      console.error('Failed to fetch agents:', error);
+      return { success: false, error: error.message, agents: [] };
+    }
+  }
+
+  static async updateAgent(id, agentData) {
+    try {
+      const { data: record, error } = await this.supabase
+        .from('agents')
+        .update(agentData)
+        .eq('id', id)
+        .eq('user_id', this.currentUser.id)
+        .select()
+        .single();
+
+      if (error) throw error;
+
+      return { success: true, agent: record };
+    } catch (error) {
+      console.error('Failed to update agent:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  static async deleteAgent(id) {
+    try {
+      const { error } = await this.supabase
+        .from('agents')
+        .delete()
+        .eq('id', id)
+        .eq('user_id', this.currentUser.id);
+
+      if (error) throw error;
+
+      return { success: true };
+    } catch (error) {
+      console.error('Failed to delete agent:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  // Tenant Management
+  static async createTenant(tenantData) {
+    try {
+      const data = {
+        ...tenantData,
+        user_id: this.currentUser.id
+      };
+      
+      const { data: record, error } = await this.supabase
+        .from('tenants')
+        .insert([data])
+        .select()
+        .single();
+
+      if (error) throw error;
+
+      return { success: true, tenant: record };
+    } catch (error) {
+      console.error('Failed to create tenant:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  static async getTenants() {
+    try {
+      const { data: records, error } = await this.supabase
+        .from('tenants')
+        .select('*')
+        .eq('user_id', this.currentUser.id)
+        .order('name', { ascending: true });
+
+      if (error) throw error;
+
+      return { success: true, tenants: records || [] };
+    } catch (error) {
+      console.error('Failed to fetch tenants:', error);
+      return { success: false, error: error.message, tenants: [] };
+    }
+  }
+
+  static async updateTenant(id, tenantData) {
+    try {
+      const { data: record, error } = await this.supabase
+        .from('tenants')
+        .update(tenantData)
+        .eq('id', id)
+        .eq('user_id', this.currentUser.id)
+        .select()
+        .single();
+
+      if (error) throw error;
+
+      return { success: true, tenant: record };
+    } catch (error) {
+      console.error('Failed to update tenant:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  static async deleteTenant(id) {
+    try {
+      const { error } = await this.supabase
+        .from('tenants')
+        .delete()
+        .eq('id', id)
+        .eq('user_id', this.currentUser.id);
+
+      if (error) throw error;
+
+      return { success: true };
+    } catch (error) {
+      console.error('Failed to delete tenant:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  // Document Management
+  static async createDocument(documentData) {
+    try {
+      const data = {
+        ...documentData,
+        user_id: this.currentUser.id
+      };
+
+      const { data: document, error } = await this.supabase
+        .from('documents')
+        .insert([data])
+        .select()
+        .single();
+
+      if (error) throw error;
+
+      return { success: true, document };
+    } catch (error) {
+      console.error('Failed to create document:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  static async getDocuments() {
+    try {
+      const { data: documents, error } = await this.supabase
+        .from('documents')
+        .select('*')
+        .eq('user_id', this.currentUser.id)
+        .order('created_at', { ascending: false });
+
+      if (error) throw error;
+
+      return { success: true, documents: documents || [] };
+    } catch (error) {
+      console.error('Failed to fetch documents:', error);
+      return { success: false, error: error.message, documents: [] };
+    }
+  }
+
+  static async updateDocument(id, documentData) {
+    try {
+      const { data: document, error } = await this.supabase
+        .from('documents')
+        .update(documentData)
+        .eq('id', id)
+        .eq('user_id', this.currentUser.id)
+        .select()
+        .single();
+
+      if (error) throw error;
+
+      return { success: true, document };
+    } catch (error) {
+      console.error('Failed to update document:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  static async deleteDocument(id) {
+    try {
+      const { error } = await this.supabase
+        .from('documents')
+        .delete()
+        .eq('id', id)
+        .eq('user_id', this.currentUser.id);
+
+      if (error) throw error;
+
+      return { success: true };
+    } catch (error) {
+      console.error('Failed to delete document:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  // Document file storage. Files go in a private bucket under the user's id, so storage
+  // policies can restrict each user to their own folder.
+  static getDocumentBucket() {
+    return import.meta.env.VITE_SUPABASE_DOCUMENTS_BUCKET || null;
+  }
+
+  static isDocumentStorageConfigured() {
+    return !!(this.supabase && this.getDocumentBucket());
+  }
+
+  static async uploadDocumentFile(fileName, file) {
+    try {
+      const path = `${this.currentUser.id}/${Date.now()}-${fileName.replace(/[^\w.-]+/g, '_')}`;
+      const { error } = await this.supabase.storage
+        .from(this.getDocumentBucket())
+        .upload(path, file, { contentType: file.type || undefined });
+
+      if (error) throw error;
+
+      return { success: true, path };
+    } catch (error) {
+      console.error('Failed to upload document file:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  static async getDocumentFileUrl(path, expiresIn = 3600) {
+    try {
+      const { data, error } = await this.supabase.storage
+        .from(this.getDocumentBucket())
+        .createSignedUrl(path, expiresIn);
+
+      if (error) throw error;
+
+      return { success: true, url: data.signedUrl };
+    } catch (error) {
+      console.error('Failed to get document file URL:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  static async deleteDocumentFile(path) {
+    try {
+      const { error } = await this.supabase.storage
+        .from(this.getDocumentBucket())
+        .remove([path]);
+
+      if (error) throw error;
+
+      return { success: true };
+    } catch (error) {
+      console.error('Failed to delete document file:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  // Capital Improvement Management
+  static async createCapitalImprovement(capitalImprovementData) {
+    try {
+      const data = {
+        ...capitalImprovementData,
+        user_id: this.currentUser.id
+      };
+
+      const { data: record, error } = await this.supabase
+        .from('capital_improvements')
+        .insert([data])
+        .select()
+        .single();
+
+      if (error) throw error;
+
+      return { success: true, capitalImprovement: record };
+    } catch (error) {
+      console.error('Failed to create capital improvement:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  static async getCapitalImprovements() {
+    try {
+      const { data: records, error } = await this.supabase
+        .from('capital_improvements')
         .select('*')
         .eq('user_id', this.currentUser.id)
-        .order('created_at', { ascending: false });
+        .order('completion_date', { ascending: false });
 
       if (error) throw error;
 
-      return { success: true, agents: records || [] };
+      return { success: true, capitalImprovements: records || [] };
     } catch (error) {
-      console.error('Failed to fetch agents:', error);
-      return { success: false, error: error.message, agents: [] };
+      console.error('Failed to fetch capital improvements:', error);
+      return { success: false, error: error.message, capitalImprovements: [] };
     }
   }
 
-  static async updateAgent(id, agentData) {
+  static async updateCapitalImprovement(id, capitalImprovementData) {
     try {
       const { data: record, error } = await this.supabase
-        .from('agents')
-        .update(agentData)
+        .from('capital_improvements')
+        .update(capitalImprovementData)
         .eq('id', id)
         .eq('user_id', this.currentUser.id)
         .select()
@@ -664,17 +1687,17 @@ class SupabaseManager {
 
       if (error) throw error;
 
-      return { success: true, agent: record };
+      return { success: true, capitalImprovement: record };
     } catch (error) {
-      console.error('Failed to update agent:', error);
+      console.error('Failed to update capital improvement:', error);
       return { success: false, error: error.message };
     }
   }
 
-  static async deleteAgent(id) {
+  static async deleteCapitalImprovement(id) {
     try {
       const { error } = await this.supabase
-        .from('agents')
+        .from('capital_improvements')
         .delete()
         .eq('id', id)
         .eq('user_id', this.currentUser.id);
@@ -683,7 +1706,235 @@ class SupabaseManager {
 
       return { success: true };
     } catch (error) {
-      console.error('Failed to delete agent:', error);
+      console.error('Failed to delete capital improvement:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  // Depreciation Asset Management
+  static async createDepreciationAsset(depreciationAssetData) {
+    try {
+      const data = {
+        ...depreciationAssetData,
+        user_id: this.currentUser.id
+      };
+
+      const { data: record, error } = await this.supabase
+        .from('depreciation_assets')
+        .insert([data])
+        .select()
+        .single();
+
+      if (error) throw error;
+
+      return { success: true, depreciationAsset: record };
+    } catch (error) {
+      console.error('Failed to create depreciation asset:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  static async getDepreciationAssets() {
+    try {
+      const { data: records, error } = await this.supabase
+        .from('depreciation_assets')
+        .select('*')
+        .eq('user_id', this.currentUser.id)
+        .order('start_date', { ascending: true });
+
+      if (error) throw error;
+
+      return { success: true, depreciationAssets: records || [] };
+    } catch (error) {
+      console.error('Failed to fetch depreciation assets:', error);
+      return { success: false, error: error.message, depreciationAssets: [] };
+    }
+  }
+
+  static async updateDepreciationAsset(id, depreciationAssetData) {
+    try {
+      const { data: record, error } = await this.supabase
+        .from('depreciation_assets')
+        .update(depreciationAssetData)
+        .eq('id', id)
+        .eq('user_id', this.currentUser.id)
+        .select()
+        .single();
+
+      if (error) throw error;
+
+      return { success: true, depreciationAsset: record };
+    } catch (error) {
+      console.error('Failed to update depreciation asset:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  static async deleteDepreciationAsset(id) {
+    try {
+      const { error } = await this.supabase
+        .from('depreciation_assets')
+        .delete()
+        .eq('id', id)
+        .eq('user_id', this.currentUser.id);
+
+      if (error) throw error;
+
+      return { success: true };
+    } catch (error) {
+      console.error('Failed to delete depreciation asset:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  // Owner Management
+  static async createOwner(ownerData) {
+    try {
+      const data = {
+        ...ownerData,
+        user_id: this.currentUser.id
+      };
+
+      const { data: record, error } = await this.supabase
+        .from('owners')
+        .insert([data])
+        .select()
+        .single();
+
+      if (error) throw error;
+
+      return { success: true, owner: record };
+    } catch (error) {
+      console.error('Failed to create owner:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  static async getOwners() {
+    try {
+      const { data: records, error } = await this.supabase
+        .from('owners')
+        .select('*')
+        .eq('user_id', this.currentUser.id)
+        .order('created_at', { ascending: true });
+
+      if (error) throw error;
+
+      return { success: true, owners: records || [] };
+    } catch (error) {
+      console.error('Failed to fetch owners:', error);
+      return { success: false, error: error.message, owners: [] };
+    }
+  }
+
+  static async updateOwner(id, ownerData) {
+    try {
+      const { data: record, error } = await this.supabase
+        .from('owners')
+        .update(ownerData)
+        .eq('id', id)
+        .eq('user_id', this.currentUser.id)
+        .select()
+        .single();
+
+      if (error) throw error;
+
+      return { success: true, owner: record };
+    } catch (error) {
+      console.error('Failed to update owner:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  static async deleteOwner(id) {
+    try {
+      const { error } = await this.supabase
+        .from('owners')
+        .delete()
+        .eq('id', id)
+        .eq('user_id', this.currentUser.id);
+
+      if (error) throw error;
+
+      return { success: true };
+    } catch (error) {
+      console.error('Failed to delete owner:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  // Property Ownership Management
+  static async createPropertyOwnership(propertyOwnershipData) {
+    try {
+      const data = {
+        ...propertyOwnershipData,
+        user_id: this.currentUser.id
+      };
+
+      const { data: record, error } = await this.supabase
+        .from('property_ownerships')
+        .insert([data])
+        .select()
+        .single();
+
+      if (error) throw error;
+
+      return { success: true, propertyOwnership: record };
+    } catch (error) {
+      console.error('Failed to create property ownership:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  static async getPropertyOwnerships() {
+    try {
+      const { data: records, error } = await this.supabase
+        .from('property_ownerships')
+        .select('*')
+        .eq('user_id', this.currentUser.id)
+        .order('effective_from', { ascending: true });
+
+      if (error) throw error;
+
+      return { success: true, propertyOwnerships: records || [] };
+    } catch (error) {
+      console.error('Failed to fetch property ownerships:', error);
+      return { success: false, error: error.message, propertyOwnerships: [] };
+    }
+  }
+
+  static async updatePropertyOwnership(id, propertyOwnershipData) {
+    try {
+      const { data: record, error } = await this.supabase
+        .from('property_ownerships')
+        .update(propertyOwnershipData)
+        .eq('id', id)
+        .eq('user_id', this.currentUser.id)
+        .select()
+        .single();
+
+      if (error) throw error;
+
+      return { success: true, propertyOwnership: record };
+    } catch (error) {
+      console.error('Failed to update property ownership:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  static async deletePropertyOwnership(id) {
+    try {
+      const { error } = await this.supabase
+        .from('property_ownerships')
+        .delete()
+        .eq('id', id)
+        .eq('user_id', this.currentUser.id);
+
+      if (error) throw error;
+
+      return { success: true };
+    } catch (error) {
+      console.error('Failed to delete property ownership:', error);
       return { success: false, error: error.message };
     }
   }
@@ -764,23 +2015,53 @@ class SupabaseManager {
   // Load all data
   static async loadAllData() {
     try {
-      const [propertiesResult, loansResult, transactionsResult, expensesResult, rentalsResult, agentsResult, settingsResult] = await Promise.all([
+      const [propertiesResult, loansResult, rateChangesResult, offsetAccountsResult, offsetBalancesResult, extraRepaymentsResult, transactionsResult, expensesResult, rentalsResult, vacanciesResult, rentChangesResult, rentPaymentsResult, agentsResult, tenantsResult, unitsResult, recurringExpensesResult, documentsResult, capitalImprovementsResult, depreciationAssetsResult, ownersResult, propertyOwnershipsResult, settingsResult] = await Promise.all([
         this.getProperties(),
         this.getLoans(),
+        this.getLoanRateChanges(),
+        this.getOffsetAccounts(),
+        this.getOffsetBalances(),
+        this.getExtraRepayments(),
         this.getTransactions(),
         this.getExpenses(),
         this.getRentals(),
+        this.getVacancies(),
+        this.getRentChanges(),
+        this.getRentPayments(),
         this.getAgents(),
+        this.getTenants(),
+        this.getUnits(),
+        this.getRecurringExpenses(),
+        this.getDocuments(),
+        this.getCapitalImprovements(),
+        this.getDepreciationAssets(),
+        this.getOwners(),
+        this.getPropertyOwnerships(),
         this.getSettings()
       ]);
 
       return {
         properties: propertiesResult.properties || [],
         loans: loansResult.loans || [],
+        loanRateChanges: rateChangesResult.rateChanges || [],
+        loanOffsetAccounts: offsetAccountsResult.offsetAccounts || [],
+        loanOffsetBalances: offsetBalancesResult.offsetBalances || [],
+        loanExtraRepayments: extraRepaymentsResult.extraRepayments || [],
         transactions: transactionsResult.transactions || [],
         expenses: expensesResult.expenses || [],
         rentals: rentalsResult.rentals || [],
+        vacancies: vacanciesResult.vacancies || [],
+        rentChanges: rentChangesResult.rentChanges || [],
+        rentPayments: rentPaymentsResult.rentPayments || [],
         agents: agentsResult.agents || [],
+        tenants: tenantsResult.tenants || [],
+        units: unitsResult.units || [],
+        recurringExpenses: recurringExpensesResult.recurringExpenses || [],
+        documents: documentsResult.documents || [],
+        capitalImprovements: capitalImprovementsResult.capitalImprovements || [],
+        depreciationAssets: depreciationAssetsResult.depreciationAssets || [],
+        owners: ownersResult.owners || [],
+        propertyOwnerships: propertyOwnershipsResult.propertyOwnerships || [],
         settings: settingsResult.settings || {
           financialYearStart: '07-01',
           notifications: []
@@ -791,10 +2072,25 @@ class SupabaseManager {
       return {
         properties: [],
         loans: [],
+        loanRateChanges: [],
+        loanOffsetAccounts: [],
+        loanOffsetBalances: [],
+        loanExtraRepayments: [],
         transactions: [],
         expenses: [],
         rentals: [],
+        vacancies: [],
+        rentChanges: [],
+        rentPayments: [],
         agents: [],
+        tenants: [],
+        units: [],
+        recurringExpenses: [],
+        documents: [],
+        capitalImprovements: [],
+        depreciationAssets: [],
+        owners: [],
+        propertyOwnerships: [],
         settings: {
           financialYearStart: '07-01',
           notifications: []
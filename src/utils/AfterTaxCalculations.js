@@ -0,0 +1,233 @@
+import { sanitize } from './number';
+import { getTransactionPnlSide } from './FinancialCalculations';
+import { getLoanInterestInRange } from './LoanCalculations';
+import { calculateRentalSchedule, getDeductionKey, isCapitalCost } from './TaxCalculations';
+import { OWNER_TYPES, getOwnerList, getOwnerPercentageForPeriod } from './OwnershipCalculations';
+
+// Australian resident individual rates from 1 July 2024. Each rate applies to income above
+// its threshold, up to the next one.
+export const RESIDENT_TAX_BRACKETS = [
+  { threshold: 0, rate: 0 },
+  { threshold: 18200, rate: 0.16 },
+  { threshold: 45000, rate: 0.3 },
+  { threshold: 135000, rate: 0.37 },
+  { threshold: 190000, rate: 0.45 }
+];
+
+export const MEDICARE_LEVY_RATE = 0.02;
+// Single taxpayers at or below this pay no Medicare levy (the shade-in above it isn't modelled)
+export const MEDICARE_LEVY_THRESHOLD = 27222;
+
+// Flat rates for entities without a marginal rate of their own. A property investment company
+// earns mostly passive income so isn't a base rate entity; a trust that distributes all of
+// its income pays no tax itself.
+export const ENTITY_TAX_RATES = {
+  [OWNER_TYPES.COMPANY]: 30,
+  [OWNER_TYPES.SMSF]: 15,
+  [OWNER_TYPES.TRUST]: 0
+};
+
+const DEPRECIATION_KEYS = ['capital_allowances', 'capital_works'];
+
+const roundCents = (value) => Math.round(value * 100) / 100;
+
+// Parse 'YYYY-MM-DD' as a local date so financial years don't shift with the timezone
+const parseLocalDate = (value) => {
+  if (!value) return null;
+  const match = /^(\d{4})-(\d{2})-(\d{2})/.exec(String(value));
+  const date = match
+    ? new Date(Number(match[1]), Number(match[2]) - 1, Number(match[3]))
+    : new Date(value);
+  return isNaN(date.getTime()) ? null : date;
+};
+
+// Income tax plus Medicare levy on a taxable income. Offsets aren't included.
+export const calculateIncomeTax = (taxableIncome) => {
+  const income = Math.max(0, Number(taxableIncome) || 0);
+  const tax = RESIDENT_TAX_BRACKETS.reduce((sum, bracket, index) => {
+    const next = index + 1 < RESIDENT_TAX_BRACKETS.length ? RESIDENT_TAX_BRACKETS[index + 1].threshold : Infinity;
+    return income > bracket.threshold
+      ? sum + (Math.min(income, next) - bracket.threshold) * bracket.rate
+      : sum;
+  }, 0);
+  const medicare = income > MEDICARE_LEVY_THRESHOLD ? income * MEDICARE_LEVY_RATE : 0;
+  return roundCents(tax + medicare);
+};
+
+// Rate on the next dollar of income, including the Medicare levy, as a percentage
+export const getMarginalTaxRate = (taxableIncome) => {
+  const income = Math.max(0, Number(taxableIncome) || 0);
+  const bracket = [...RESIDENT_TAX_BRACKETS].reverse().find(b => income > b.threshold) || RESIDENT_TAX_BRACKETS[0];
+  const medicare = income > MEDICARE_LEVY_THRESHOLD ? MEDICARE_LEVY_RATE : 0;
+  return roundCents((bracket.rate + medicare) * 100);
+};
+
+// The owner's own marginal rate, or the entity rate for trusts, companies and SMSFs.
+// Null for individuals taxed at the resident rates.
+const getFlatRate = (owner) => {
+  const rate = parseFloat(owner?.marginal_rate);
+  if (!isNaN(rate)) return rate;
+  const type = owner?.owner_type || OWNER_TYPES.INDIVIDUAL;
+  return type === OWNER_TYPES.INDIVIDUAL ? null : ENTITY_TAX_RATES[type] ?? null;
+};
+
+// Only individuals can set a rental loss against their other income. Trusts, companies and
+// SMSFs carry it forward to later years instead.
+const canNegativelyGear = (owner) => (owner?.owner_type || OWNER_TYPES.INDIVIDUAL) === OWNER_TYPES.INDIVIDUAL;
+
+// The part of a rental loss the owner can't use this year
+export const getLossCarriedForward = (owner, rentalNet) =>
+  !canNegativelyGear(owner) && rentalNet < 0 ? roundCents(-rentalNet) : 0;
+
+// Change in an owner's tax from adding rentalNet to their other income: positive is extra tax
+// payable, negative a refund from negative gearing. Owners with a flat rate pay it on the
+// rental result; otherwise the tax is worked out at the resident rates before and after.
+// Entities get no refund for a loss.
+export const calculateOwnerTaxChange = (owner, rentalNet) => {
+  const flatRate = getFlatRate(owner);
+  if (flatRate !== null) {
+    const taxable = canNegativelyGear(owner) ? rentalNet : Math.max(0, rentalNet);
+    return roundCents(taxable * flatRate / 100);
+  }
+  const otherIncome = sanitize(owner?.other_income);
+  return roundCents(calculateIncomeTax(otherIncome + rentalNet) - calculateIncomeTax(otherIncome));
+};
+
+// Cash in and out of a property over [start, end]. Depreciation isn't cash, and capital
+// costs go into the cost base, so neither counts. Interest comes from the loan schedules
+// when the property has loans in the app, as it does in the rental schedule. Principal and
+// bond money sit outside the P&L.
+const calculatePropertyCash = (property, { transactions = [], loans = [] }, start, end) => {
+  const propertyLoans = (Array.isArray(loans) ? loans : []).filter(loan => loan && loan.property_id === property.id);
+  let income = 0;
+  let expenses = 0;
+
+  (Array.isArray(transactions) ? transactions : [])
+    .filter(t => t && (t.property_id || t.propertyId) === property.id && t.date)
+    .filter(t => {
+      const date = new Date(t.date);
+      return date >= start && date <= end;
+    })
+    .forEach(t => {
+      const side = getTransactionPnlSide(t);
+      const amount = Math.abs(sanitize(t.amount));
+      if (side === 'income') {
+        income += amount;
+        return;
+      }
+      if (side !== 'expense' || isCapitalCost(t.category)) return;
+
+      const key = getDeductionKey(t.category);
+      if (DEPRECIATION_KEYS.includes(key)) return;
+      if (key === 'interest' && propertyLoans.length > 0) return;
+      expenses += amount;
+    });
+
+  propertyLoans.forEach(loan => {
+    expenses += getLoanInterestInRange(loan, start, end);
+  });
+
+  return { income: roundCents(income), expenses: roundCents(expenses) };
+};
+
+const isHeldDuring = (property, start, end) => {
+  const purchased = parseLocalDate(property?.purchase_date);
+  const sold = parseLocalDate(property?.sale_date);
+  return (!purchased || purchased <= end) && (!sold || sold >= start);
+};
+
+// After-tax cash flow for the financial year starting in `year`, per property and per owner.
+// The taxable result is the net rent from the rental schedule, so depreciation and other
+// non-cash deductions lower the tax without lowering the cash flow. Each owner's tax change is
+// worked out on their share of every property together, then shared back to the properties in
+// proportion to each one's taxable result.
+// Property amounts are for the whole property, except taxChange and afterTaxCashFlow which
+// cover the ownedPercentage held by the owners. Shares are weighted by the days each applied
+// in the year. Totals are the owners' shares.
+// Returns { properties: [{ property, income, cashExpenses, preTaxCashFlow, depreciation,
+//           taxableNet, owners: [{ owner, percentage, preTaxCashFlow, taxableNet, taxChange,
+//           afterTaxCashFlow }], ownedPercentage, taxChange, afterTaxCashFlow }],
+//           owners: [{ owner, otherIncome, rentalNet, taxChange, lossCarriedForward, marginalRate,
+//           preTaxCashFlow, afterTaxCashFlow, properties: [...] }], totals }
+export const calculateAfterTaxCashFlow = (properties, records = {}, { owners = [], propertyOwnerships = [] } = {}, year, { startMonth = 7 } = {}) => {
+  const start = new Date(year, startMonth - 1, 1);
+  const end = new Date(year + 1, startMonth - 1, 0, 23, 59, 59);
+  const taxOwners = getOwnerList(owners);
+  const ownership = { owners: taxOwners, propertyOwnerships };
+
+  const propertyResults = (Array.isArray(properties) ? properties : [])
+    .filter(property => property && isHeldDuring(property, start, end))
+    .map(property => {
+      const schedule = calculateRentalSchedule(property, records, start, end, 100);
+      const cash = calculatePropertyCash(property, records, start, end);
+      const preTaxCashFlow = roundCents(cash.income - cash.expenses);
+      const depreciation = roundCents(schedule.deductions
+        .filter(line => DEPRECIATION_KEYS.includes(line.key))
+        .reduce((sum, line) => sum + line.amount, 0));
+
+      return {
+        property,
+        income: cash.income,
+        cashExpenses: cash.expenses,
+        preTaxCashFlow,
+        depreciation,
+        taxableNet: schedule.totals.net,
+        owners: taxOwners
+          .map(owner => ({ owner, percentage: getOwnerPercentageForPeriod(property, ownership, owner.id, start, end) }))
+          .filter(share => share.percentage > 0)
+          .map(({ owner, percentage }) => ({
+            owner,
+            percentage,
+            preTaxCashFlow: roundCents(preTaxCashFlow * percentage / 100),
+            taxableNet: roundCents(schedule.totals.net * percentage / 100)
+          }))
+      };
+    });
+
+  const ownerResults = taxOwners.map(owner => {
+    const shares = propertyResults.flatMap(result => result.owners.filter(share => share.owner.id === owner.id));
+    const rentalNet = roundCents(shares.reduce((sum, share) => sum + share.taxableNet, 0));
+    const taxChange = calculateOwnerTaxChange(owner, rentalNet);
+    const otherIncome = sanitize(owner.other_income);
+    const flatRate = getFlatRate(owner);
+
+    shares.forEach(share => {
+      share.taxChange = rentalNet !== 0 ? roundCents(taxChange * share.taxableNet / rentalNet) : 0;
+      share.afterTaxCashFlow = roundCents(share.preTaxCashFlow - share.taxChange);
+    });
+
+    const preTaxCashFlow = roundCents(shares.reduce((sum, share) => sum + share.preTaxCashFlow, 0));
+    return {
+      owner,
+      otherIncome,
+      rentalNet,
+      taxChange,
+      lossCarriedForward: getLossCarriedForward(owner, rentalNet),
+      marginalRate: flatRate !== null ? flatRate : getMarginalTaxRate(otherIncome + rentalNet),
+      preTaxCashFlow,
+      afterTaxCashFlow: roundCents(preTaxCashFlow - taxChange),
+      properties: propertyResults
+        .filter(result => result.owners.some(share => share.owner.id === owner.id))
+        .map(result => result.property)
+    };
+  });
+
+  propertyResults.forEach(result => {
+    result.ownedPercentage = result.owners.reduce((sum, share) => sum + share.percentage, 0);
+    result.taxChange = roundCents(result.owners.reduce((sum, share) => sum + (share.taxChange || 0), 0));
+    result.afterTaxCashFlow = roundCents(result.owners.reduce((sum, share) => sum + (share.afterTaxCashFlow || 0), 0));
+  });
+
+  const sum = (items, field) => roundCents(items.reduce((total, item) => total + item[field], 0));
+  return {
+    properties: propertyResults,
+    owners: ownerResults,
+    totals: {
+      preTaxCashFlow: sum(ownerResults, 'preTaxCashFlow'),
+      rentalNet: sum(ownerResults, 'rentalNet'),
+      taxChange: sum(ownerResults, 'taxChange'),
+      lossCarriedForward: sum(ownerResults, 'lossCarriedForward'),
+      afterTaxCashFlow: sum(ownerResults, 'afterTaxCashFlow')
+    }
+  };
+};
@@ -96,10 +96,25 @@ export const handleLogout = async (setUser, setData) => {
   setData({
     properties: [],
     loans: [],
+    loanRateChanges: [],
+    loanOffsetAccounts: [],
+    loanOffsetBalances: [],
+    loanExtraRepayments: [],
     transactions: [],
     expenses: [],
     rentals: [],
+    vacancies: [],
+    rentChanges: [],
+    rentPayments: [],
     agents: [],
+    tenants: [],
+    units: [],
+    recurringExpenses: [],
+    documents: [],
+    capitalImprovements: [],
+    depreciationAssets: [],
+    owners: [],
+    propertyOwnerships: [],
     settings: {
       financialYearStart: '07-01',
       notifications: []
@@ -0,0 +1,63 @@
+import { sanitize } from './number';
+
+const roundCents = (value) => Math.round(value * 100) / 100;
+
+// Bond lifecycle on a tenancy:
+// held         - received but not yet lodged with the bond authority
+// lodged       - lodged and held by the authority
+// claim_lodged - lease over, claim for deductions and refund lodged
+// refunded     - released to the tenant (less any deductions)
+export const BOND_STATUSES = {
+  HELD: 'held',
+  LODGED: 'lodged',
+  CLAIM_LODGED: 'claim_lodged',
+  REFUNDED: 'refunded'
+};
+
+export const BOND_AUTHORITIES = [
+  'NSW Fair Trading',
+  'Residential Tenancies Bond Authority (VIC)',
+  'Residential Tenancies Authority (QLD)',
+  'Bond Administrator (WA)',
+  'Consumer and Business Services (SA)',
+  'Rental Deposit Authority (TAS)',
+  'ACT Revenue Office',
+  'Held by landlord (NT)'
+];
+
+// Bond figures for a rental: deductions claimed at the end of the lease and what goes
+// back to the tenant. Deductions can't exceed the bond.
+export const getBondSummary = (rental) => {
+  const amount = sanitize(rental?.bond_amount);
+  const deductions = (Array.isArray(rental?.bond_deductions) ? rental.bond_deductions : [])
+    .filter(item => item && sanitize(item.amount) > 0);
+  const deductionsTotal = Math.min(amount, roundCents(deductions.reduce((sum, item) => sum + sanitize(item.amount), 0)));
+  const status = rental?.bond_status || BOND_STATUSES.HELD;
+
+  return {
+    amount,
+    status,
+    deductions,
+    deductionsTotal,
+    refundToTenant: roundCents(amount - deductionsTotal),
+    isHeld: amount > 0 && status !== BOND_STATUSES.REFUNDED
+  };
+};
+
+// Bonds across the portfolio, with totals for those still held. A renewed lease's bond
+// carries over to the renewal, so only the latest lease is listed.
+export const getPortfolioBonds = (rentals) => {
+  const safeRentals = Array.isArray(rentals) ? rentals.filter(Boolean) : [];
+  const renewedIds = new Set(safeRentals.map(rental => rental.renewed_from).filter(Boolean));
+  const bonds = safeRentals
+    .filter(rental => sanitize(rental.bond_amount) > 0 && !renewedIds.has(rental.id))
+    .map(rental => ({ rental, ...getBondSummary(rental) }));
+  const held = bonds.filter(bond => bond.isHeld);
+
+  return {
+    bonds,
+    totalHeld: roundCents(held.reduce((sum, bond) => sum + bond.amount, 0)),
+    heldCount: held.length,
+    unlodgedCount: bonds.filter(bond => bond.status === BOND_STATUSES.HELD).length
+  };
+};
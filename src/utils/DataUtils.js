@@ -1,4 +1,9 @@
 import SupabaseManager from '../services/SupabaseManager';
+import DataManager from '../services/DataManager';
+import { attachLoanHistory, LOAN_STATUSES } from './LoanCalculations';
+import { attachRentChanges } from './RentCalculations';
+import { getDueRecurringExpenses, getNextDueDate, toDateString } from './RecurringExpenseCalculations';
+import { DEPRECIATION_ASSET_TYPES, DEPRECIATION_METHODS, DEFAULT_CAPITAL_WORKS_RATE } from './DepreciationCalculations';
 
 // Load all user data
 export const loadUserData = async (setData) => {
@@ -10,16 +15,61 @@ export const loadUserData = async (setData) => {
       transactionsResult,
       expensesResult,
       rentalsResult,
-      agentsResult
+      agentsResult,
+      rateChangesResult,
+      offsetAccountsResult,
+      offsetBalancesResult,
+      extraRepaymentsResult,
+      vacanciesResult,
+      rentChangesResult,
+      rentPaymentsResult,
+      tenantsResult,
+      unitsResult,
+      recurringExpensesResult,
+      documentsResult,
+      capitalImprovementsResult,
+      depreciationAssetsResult,
+      ownersResult,
+      propertyOwnershipsResult
     ] = await Promise.all([
       SupabaseManager.getProperties(),
       SupabaseManager.getLoans(),
       SupabaseManager.getTransactions(),
       SupabaseManager.getExpenses(),
       SupabaseManager.getRentals(),
-      SupabaseManager.getAgents()
+      SupabaseManager.getAgents(),
+      SupabaseManager.getLoanRateChanges(),
+      SupabaseManager.getOffsetAccounts(),
+      SupabaseManager.getOffsetBalances(),
+      SupabaseManager.getExtraRepayments(),
+      SupabaseManager.getVacancies(),
+      SupabaseManager.getRentChanges(),
+      SupabaseManager.getRentPayments(),
+      SupabaseManager.getTenants(),
+      SupabaseManager.getUnits(),
+      SupabaseManager.getRecurringExpenses(),
+      SupabaseManager.getDocuments(),
+      SupabaseManager.getCapitalImprovements(),
+      SupabaseManager.getDepreciationAssets(),
+      SupabaseManager.getOwners(),
+      SupabaseManager.getPropertyOwnerships()
     ]);
 
+    // Recurring expenses set to record themselves are added once they fall due
+    let expenses = expensesResult?.expenses || [];
+    let transactions = transactionsResult?.transactions || [];
+    let recurringExpenses = recurringExpensesResult?.recurringExpenses || [];
+    if (await createDueRecurringExpenses(recurringExpenses) > 0) {
+      const [refreshedExpenses, refreshedTransactions, refreshedRecurringExpenses] = await Promise.all([
+        SupabaseManager.getExpenses(),
+        SupabaseManager.getTransactions(),
+        SupabaseManager.getRecurringExpenses()
+      ]);
+      expenses = refreshedExpenses?.expenses || [];
+      transactions = refreshedTransactions?.transactions || [];
+      recurringExpenses = refreshedRecurringExpenses?.recurringExpenses || [];
+    }
+
     // DEBUG: Log the raw responses
     console.log('DataUtils - Properties result:', propertiesResult);
     console.log('DataUtils - Properties data:', propertiesResult?.properties);
@@ -28,11 +78,31 @@ export const loadUserData = async (setData) => {
     setData(prevData => ({
       ...prevData,
       properties: propertiesResult?.properties || [],
-      loans: loansResult?.loans || [],
-      transactions: transactionsResult?.transactions || [],
-      expenses: expensesResult?.expenses || [],
-      rentals: rentalsResult?.rentals || [],
-      agents: agentsResult?.agents || []
+      loans: attachLoanHistory(loansResult?.loans || [], {
+        rateChanges: rateChangesResult?.rateChanges || [],
+        offsetAccounts: offsetAccountsResult?.offsetAccounts || [],
+        offsetBalances: offsetBalancesResult?.offsetBalances || [],
+        extraRepayments: extraRepaymentsResult?.extraRepayments || []
+      }),
+      loanRateChanges: rateChangesResult?.rateChanges || [],
+      loanOffsetAccounts: offsetAccountsResult?.offsetAccounts || [],
+      loanOffsetBalances: offsetBalancesResult?.offsetBalances || [],
+      loanExtraRepayments: extraRepaymentsResult?.extraRepayments || [],
+      transactions,
+      expenses,
+      rentals: attachRentChanges(rentalsResult?.rentals || [], rentChangesResult?.rentChanges || []),
+      vacancies: vacanciesResult?.vacancies || [],
+      rentChanges: rentChangesResult?.rentChanges || [],
+      rentPayments: rentPaymentsResult?.rentPayments || [],
+      agents: agentsResult?.agents || [],
+      tenants: tenantsResult?.tenants || [],
+      units: unitsResult?.units || [],
+      recurringExpenses,
+      documents: documentsResult?.documents || [],
+      capitalImprovements: capitalImprovementsResult?.capitalImprovements || [],
+      depreciationAssets: depreciationAssetsResult?.depreciationAssets || [],
+      owners: ownersResult?.owners || [],
+      propertyOwnerships: propertyOwnershipsResult?.propertyOwnerships || []
     }));
     
     // Handle settings separately if needed
@@ -49,10 +119,25 @@ export const loadUserData = async (setData) => {
     setData({
       properties: [],
       loans: [],
+      loanRateChanges: [],
+      loanOffsetAccounts: [],
+      loanOffsetBalances: [],
+      loanExtraRepayments: [],
       transactions: [],
       expenses: [],
       rentals: [],
+      vacancies: [],
+      rentChanges: [],
+      rentPayments: [],
       agents: [],
+      tenants: [],
+      units: [],
+      recurringExpenses: [],
+      documents: [],
+      capitalImprovements: [],
+      depreciationAssets: [],
+      owners: [],
+      propertyOwnerships: [],
       settings: {
         financialYearStart: '07-01',
         notifications: []
@@ -94,6 +179,20 @@ export const handleSaveDataWithNotification = async (newData, setData, addNotifi
   }
 };
 
+// Settings are stored as a single JSON document per user
+export const saveSettings = async (settings) => {
+  try {
+    const result = await SupabaseManager.saveSettings(settings);
+    if (!result.success) {
+      throw new Error(result.error || 'Failed to save settings');
+    }
+    return { success: true, settings: result.settings };
+  } catch (error) {
+    console.error('Failed to save settings:', error);
+    return { success: false, error: error.message };
+  }
+};
+
 // Property-specific operations
 export const createProperty = async (propertyData) => {
   try {
@@ -134,6 +233,65 @@ export const deleteProperty = async (id) => {
   }
 };
 
+// Records (or with sale = null, reverses) the sale of a property. updateProperty always
+// writes acquisition_costs, so the current ones are passed back unchanged. Loans secured on
+// the property are paid out at settlement, so they end on the sale date; reversing the sale
+// reopens the loans it closed.
+export const recordPropertySale = async (property, sale, loans = []) => {
+  try {
+    const result = await SupabaseManager.updateProperty(property.id, {
+      acquisitionCosts: property.acquisition_costs || [],
+      saleDate: sale ? sale.saleDate : null,
+      sellingPrice: sale ? sale.sellingPrice : null,
+      sellingCosts: sale ? sale.sellingCosts : []
+    });
+    if (!result.success) {
+      throw new Error(result.error || 'Failed to record property sale');
+    }
+
+    const previousSaleDate = property.sale_date || null;
+    const securedLoans = (Array.isArray(loans) ? loans : [])
+      .filter(loan => loan && loan.property_id === property.id && loan.status !== LOAN_STATUSES.REFINANCED);
+    for (const loan of securedLoans) {
+      const closedBySale = !!previousSaleDate && loan.end_date === previousSaleDate;
+      let endDate = loan.end_date || null;
+      if (sale && (!endDate || closedBySale || endDate > sale.saleDate)) {
+        endDate = sale.saleDate;
+      } else if (!sale && closedBySale) {
+        endDate = null;
+      }
+      if (endDate === (loan.end_date || null)) continue;
+
+      const loanResult = await SupabaseManager.updateLoan(loan.id, { end_date: endDate });
+      if (!loanResult.success) {
+        throw new Error(`The sale was saved but loan "${loan.lender || loan.id}" could not be updated: ${loanResult.error}`);
+      }
+    }
+
+    return { success: true, property: result.property };
+  } catch (error) {
+    console.error('Failed to record property sale:', error);
+    return { success: false, error: error.message };
+  }
+};
+
+// Moves a property to an entity's books, or with entityId = null to the personal ledger
+export const updatePropertyEntity = async (property, entityId) => {
+  try {
+    const result = await SupabaseManager.updateProperty(property.id, {
+      acquisitionCosts: property.acquisition_costs || [],
+      entityId
+    });
+    if (!result.success) {
+      throw new Error(result.error || 'Failed to update property entity');
+    }
+    return { success: true, property: result.property };
+  } catch (error) {
+    console.error('Failed to update property entity:', error);
+    return { success: false, error: error.message };
+  }
+};
+
 // Transaction-specific operations
 export const createTransaction = async (transactionData) => {
   try {
@@ -214,6 +372,165 @@ export const deleteLoan = async (id) => {
   }
 };
 
+// Loan rate change operations
+export const createLoanRateChange = async (rateChangeData) => {
+  try {
+    const result = await SupabaseManager.createLoanRateChange(rateChangeData);
+    if (!result.success) {
+      throw new Error(result.error || 'Failed to create loan rate change');
+    }
+    return { success: true, rateChange: result.rateChange };
+  } catch (error) {
+    console.error('Failed to create loan rate change:', error);
+    return { success: false, error: error.message };
+  }
+};
+
+export const updateLoanRateChange = async (id, rateChangeData) => {
+  try {
+    const result = await SupabaseManager.updateLoanRateChange(id, rateChangeData);
+    if (!result.success) {
+      return { success: false, error: result.error || 'Failed to update loan rate change' };
+    }
+    return { success: true, rateChange: result.rateChange };
+  } catch (error) {
+    console.error('Failed to update loan rate change:', error);
+    return { success: false, error: error.message };
+  }
+};
+
+export const deleteLoanRateChange = async (id) => {
+  try {
+    const result = await SupabaseManager.deleteLoanRateChange(id);
+    if (!result.success) {
+      throw new Error(result.error || 'Failed to delete loan rate change');
+    }
+    return { success: true };
+  } catch (error) {
+    console.error('Failed to delete loan rate change:', error);
+    return { success: false, error: error.message };
+  }
+};
+
+// Loan offset/redraw account operations
+export const createOffsetAccount = async (offsetAccountData) => {
+  try {
+    const result = await SupabaseManager.createOffsetAccount(offsetAccountData);
+    if (!result.success) {
+      throw new Error(result.error || 'Failed to create loan offset account');
+    }
+    return { success: true, offsetAccount: result.offsetAccount };
+  } catch (error) {
+    console.error('Failed to create loan offset account:', error);
+    return { success: false, error: error.message };
+  }
+};
+
+export const updateOffsetAccount = async (id, offsetAccountData) => {
+  try {
+    const result = await SupabaseManager.updateOffsetAccount(id, offsetAccountData);
+    if (!result.success) {
+      return { success: false, error: result.error || 'Failed to update loan offset account' };
+    }
+    return { success: true, offsetAccount: result.offsetAccount };
+  } catch (error) {
+    console.error('Failed to update loan offset account:', error);
+    return { success: false, error: error.message };
+  }
+};
+
+export const deleteOffsetAccount = async (id) => {
+  try {
+    const result = await SupabaseManager.deleteOffsetAccount(id);
+    if (!result.success) {
+      throw new Error(result.error || 'Failed to delete loan offset account');
+    }
+    return { success: true };
+  } catch (error) {
+    console.error('Failed to delete loan offset account:', error);
+    return { success: false, error: error.message };
+  }
+};
+
+export const createOffsetBalance = async (offsetBalanceData) => {
+  try {
+    const result = await SupabaseManager.createOffsetBalance(offsetBalanceData);
+    if (!result.success) {
+      throw new Error(result.error || 'Failed to create loan offset balance');
+    }
+    return { success: true, offsetBalance: result.offsetBalance };
+  } catch (error) {
+    console.error('Failed to create loan offset balance:', error);
+    return { success: false, error: error.message };
+  }
+};
+
+export const updateOffsetBalance = async (id, offsetBalanceData) => {
+  try {
+    const result = await SupabaseManager.updateOffsetBalance(id, offsetBalanceData);
+    if (!result.success) {
+      return { success: false, error: result.error || 'Failed to update loan offset balance' };
+    }
+    return { success: true, offsetBalance: result.offsetBalance };
+  } catch (error) {
+    console.error('Failed to update loan offset balance:', error);
+    return { success: false, error: error.message };
+  }
+};
+
+export const deleteOffsetBalance = async (id) => {
+  try {
+    const result = await SupabaseManager.deleteOffsetBalance(id);
+    if (!result.success) {
+      throw new Error(result.error || 'Failed to delete loan offset balance');
+    }
+    return { success: true };
+  } catch (error) {
+    console.error('Failed to delete loan offset balance:', error);
+    return { success: false, error: error.message };
+  }
+};
+
+// Loan extra repayment operations
+export const createExtraRepayment = async (extraRepaymentData) => {
+  try {
+    const result = await SupabaseManager.createExtraRepayment(extraRepaymentData);
+    if (!result.success) {
+      throw new Error(result.error || 'Failed to create loan extra repayment');
+    }
+    return { success: true, extraRepayment: result.extraRepayment };
+  } catch (error) {
+    console.error('Failed to create loan extra repayment:', error);
+    return { success: false, error: error.message };
+  }
+};
+
+export const updateExtraRepayment = async (id, extraRepaymentData) => {
+  try {
+    const result = await SupabaseManager.updateExtraRepayment(id, extraRepaymentData);
+    if (!result.success) {
+      return { success: false, error: result.error || 'Failed to update loan extra repayment' };
+    }
+    return { success: true, extraRepayment: result.extraRepayment };
+  } catch (error) {
+    console.error('Failed to update loan extra repayment:', error);
+    return { success: false, error: error.message };
+  }
+};
+
+export const deleteExtraRepayment = async (id) => {
+  try {
+    const result = await SupabaseManager.deleteExtraRepayment(id);
+    if (!result.success) {
+      throw new Error(result.error || 'Failed to delete loan extra repayment');
+    }
+    return { success: true };
+  } catch (error) {
+    console.error('Failed to delete loan extra repayment:', error);
+    return { success: false, error: error.message };
+  }
+};
+
 // Expense-specific operations
 export const createExpense = async (expenseData) => {
   try {
@@ -248,6 +565,144 @@ export const deleteExpense = async (id) => {
   }
 };
 
+// Recurring expense operations
+export const createRecurringExpense = async (recurringExpenseData) => {
+  try {
+    const result = await SupabaseManager.createRecurringExpense(recurringExpenseData);
+    if (!result.success) {
+      throw new Error(result.error || 'Failed to create recurring expense');
+    }
+    return { success: true, recurringExpense: result.recurringExpense };
+  } catch (error) {
+    console.error('Failed to create recurring expense:', error);
+    return { success: false, error: error.message };
+  }
+};
+
+export const updateRecurringExpense = async (id, recurringExpenseData) => {
+  try {
+    const result = await SupabaseManager.updateRecurringExpense(id, recurringExpenseData);
+    if (!result.success) {
+      throw new Error(result.error || 'Failed to update recurring expense');
+    }
+    return { success: true, recurringExpense: result.recurringExpense };
+  } catch (error) {
+    console.error('Failed to update recurring expense:', error);
+    return { success: false, error: error.message };
+  }
+};
+
+export const deleteRecurringExpense = async (id) => {
+  try {
+    const result = await SupabaseManager.deleteRecurringExpense(id);
+    if (!result.success) {
+      throw new Error(result.error || 'Failed to delete recurring expense');
+    }
+    return { success: true };
+  } catch (error) {
+    console.error('Failed to delete recurring expense:', error);
+    return { success: false, error: error.message };
+  }
+};
+
+// Record one due date of a recurring expense as an expense with its transaction, then move
+// the template on to its next due date (or switch it off once past its end date). A due date
+// that already has an expense is not recorded again. If a later step fails, the rows created
+// here are removed so the next attempt starts clean.
+export const recordRecurringExpense = async (template, dueDate) => {
+  const created = { expense: null, transaction: null };
+  try {
+    const date = dueDate instanceof Date ? toDateString(dueDate) : dueDate;
+    const amount = Math.abs(parseFloat(template.amount) || 0);
+
+    const existingResult = await SupabaseManager.getRecurringExpenseRecord(template.id, date);
+    if (!existingResult.success) {
+      throw new Error(existingResult.error || 'Failed to check for an existing expense');
+    }
+
+    let expense = existingResult.expense;
+    if (!expense) {
+      const expenseResult = await SupabaseManager.createExpense({
+        property_id: template.property_id,
+        unit_id: template.unit_id || null,
+        recurring_expense_id: template.id,
+        category: template.category,
+        amount,
+        date,
+        description: template.description,
+        vendor: template.vendor || '',
+        deductible: template.deductible !== false,
+        notes: template.notes || ''
+      });
+      if (!expenseResult.success) {
+        throw new Error(expenseResult.error || 'Failed to create expense');
+      }
+      expense = created.expense = expenseResult.expense;
+
+      const transactionResult = await SupabaseManager.createTransaction({
+        property_id: template.property_id,
+        type: 'expense',
+        category: template.category,
+        description: template.description,
+        amount: -amount,
+        date,
+        payee: template.vendor || '',
+        expense_id: expense.id,
+        unit_id: template.unit_id || null,
+        deductible: template.deductible !== false,
+        notes: template.notes || ''
+      });
+      if (!transactionResult.success) {
+        throw new Error(transactionResult.error || 'Failed to create transaction');
+      }
+      created.transaction = transactionResult.transaction;
+    }
+
+    const nextDue = getNextDueDate(template, date);
+    const updateResult = await SupabaseManager.updateRecurringExpense(
+      template.id,
+      nextDue ? { next_due_date: toDateString(nextDue) } : { is_active: false }
+    );
+    if (!updateResult.success) {
+      throw new Error(updateResult.error || 'Failed to update recurring expense');
+    }
+
+    return { success: true, expense };
+  } catch (error) {
+    if (created.transaction) {
+      await SupabaseManager.deleteTransaction(created.transaction.id);
+    }
+    if (created.expense) {
+      await SupabaseManager.deleteExpense(created.expense.id);
+    }
+    console.error('Failed to record recurring expense:', error);
+    return { success: false, error: error.message };
+  }
+};
+
+// Loads can overlap when several saves refresh at once; only one pass records due expenses
+let recordingDueExpenses = false;
+
+// Record every due date of auto-recording templates up to `asOf`. Returns how many were added.
+export const createDueRecurringExpenses = async (recurringExpenses, asOf = new Date()) => {
+  if (recordingDueExpenses) return 0;
+  recordingDueExpenses = true;
+
+  let recorded = 0;
+  try {
+    for (const { template, dates } of getDueRecurringExpenses(recurringExpenses, asOf)) {
+      for (const date of dates) {
+        const result = await recordRecurringExpense(template, date);
+        if (!result.success) break;
+        recorded += 1;
+      }
+    }
+  } finally {
+    recordingDueExpenses = false;
+  }
+  return recorded;
+};
+
 // Rental-specific operations
 export const createRental = async (rentalData) => {
   try {
@@ -288,6 +743,164 @@ export const deleteRental = async (id) => {
   }
 };
 
+// Vacancy, rent change and rent payment operations
+export const createVacancy = async (vacancyData) => {
+  try {
+    const result = await SupabaseManager.createVacancy(vacancyData);
+    if (!result.success) {
+      throw new Error(result.error || 'Failed to create vacancy');
+    }
+    return { success: true, vacancy: result.vacancy };
+  } catch (error) {
+    console.error('Failed to create vacancy:', error);
+    return { success: false, error: error.message };
+  }
+};
+
+export const updateVacancy = async (id, vacancyData) => {
+  try {
+    const result = await SupabaseManager.updateVacancy(id, vacancyData);
+    if (!result.success) {
+      throw new Error(result.error || 'Failed to update vacancy');
+    }
+    return { success: true, vacancy: result.vacancy };
+  } catch (error) {
+    console.error('Failed to update vacancy:', error);
+    return { success: false, error: error.message };
+  }
+};
+
+export const deleteVacancy = async (id) => {
+  try {
+    const result = await SupabaseManager.deleteVacancy(id);
+    if (!result.success) {
+      throw new Error(result.error || 'Failed to delete vacancy');
+    }
+    return { success: true };
+  } catch (error) {
+    console.error('Failed to delete vacancy:', error);
+    return { success: false, error: error.message };
+  }
+};
+
+export const createRentChange = async (rentChangeData) => {
+  try {
+    const result = await SupabaseManager.createRentChange(rentChangeData);
+    if (!result.success) {
+      throw new Error(result.error || 'Failed to create rent change');
+    }
+    return { success: true, rentChange: result.rentChange };
+  } catch (error) {
+    console.error('Failed to create rent change:', error);
+    return { success: false, error: error.message };
+  }
+};
+
+export const updateRentChange = async (id, rentChangeData) => {
+  try {
+    const result = await SupabaseManager.updateRentChange(id, rentChangeData);
+    if (!result.success) {
+      throw new Error(result.error || 'Failed to update rent change');
+    }
+    return { success: true, rentChange: result.rentChange };
+  } catch (error) {
+    console.error('Failed to update rent change:', error);
+    return { success: false, error: error.message };
+  }
+};
+
+export const deleteRentChange = async (id) => {
+  try {
+    const result = await SupabaseManager.deleteRentChange(id);
+    if (!result.success) {
+      throw new Error(result.error || 'Failed to delete rent change');
+    }
+    return { success: true };
+  } catch (error) {
+    console.error('Failed to delete rent change:', error);
+    return { success: false, error: error.message };
+  }
+};
+
+export const createRentPayment = async (rentPaymentData) => {
+  try {
+    const result = await SupabaseManager.createRentPayment(rentPaymentData);
+    if (!result.success) {
+      throw new Error(result.error || 'Failed to create rent payment');
+    }
+    return { success: true, rentPayment: result.rentPayment };
+  } catch (error) {
+    console.error('Failed to create rent payment:', error);
+    return { success: false, error: error.message };
+  }
+};
+
+export const updateRentPayment = async (id, rentPaymentData) => {
+  try {
+    const result = await SupabaseManager.updateRentPayment(id, rentPaymentData);
+    if (!result.success) {
+      throw new Error(result.error || 'Failed to update rent payment');
+    }
+    return { success: true, rentPayment: result.rentPayment };
+  } catch (error) {
+    console.error('Failed to update rent payment:', error);
+    return { success: false, error: error.message };
+  }
+};
+
+export const deleteRentPayment = async (id) => {
+  try {
+    const result = await SupabaseManager.deleteRentPayment(id);
+    if (!result.success) {
+      throw new Error(result.error || 'Failed to delete rent payment');
+    }
+    return { success: true };
+  } catch (error) {
+    console.error('Failed to delete rent payment:', error);
+    return { success: false, error: error.message };
+  }
+};
+
+// Unit operations
+export const createUnit = async (unitData) => {
+  try {
+    const result = await SupabaseManager.createUnit(unitData);
+    if (!result.success) {
+      throw new Error(result.error || 'Failed to create unit');
+    }
+    return { success: true, unit: result.unit };
+  } catch (error) {
+    console.error('Failed to create unit:', error);
+    return { success: false, error: error.message };
+  }
+};
+
+export const updateUnit = async (id, unitData) => {
+  try {
+    const result = await SupabaseManager.updateUnit(id, unitData);
+    if (!result.success) {
+      throw new Error(result.error || 'Failed to update unit');
+    }
+    return { success: true, unit: result.unit };
+  } catch (error) {
+    console.error('Failed to update unit:', error);
+    return { success: false, error: error.message };
+  }
+};
+
+export const deleteUnit = async (id) => {
+  try {
+    const result = await SupabaseManager.deleteUnit(id);
+    if (!result.success) {
+      throw new Error(result.error || 'Failed to delete unit');
+    }
+    return { success: true };
+  } catch (error) {
+    console.error('Failed to delete unit:', error);
+    return { success: false, error: error.message };
+  }
+};
+
 // Agent-specific operations
 export const createAgent = async (agentData) => {
   try {
@@ -326,4 +939,418 @@ export const deleteAgent = async (id) => {
     console.error('Failed to delete agent:', error);
     return { success: false, error: error.message };
   }
-};
\ No newline at end of file
+};
+
+// Tenant-specific operations
+export const createTenant = async (tenantData) => {
+  try {
+    const result = await SupabaseManager.createTenant(tenantData);
+    if (!result.success) {
+      throw new Error(result.error || 'Failed to create tenant');
+    }
+    return { success: true, tenant: result.tenant };
+  } catch (error) {
+    console.error('Failed to create tenant:', error);
+    return { success: false, error: error.message };
+  }
+};
+
+export const updateTenant = async (id, tenantData) => {
+  try {
+    const result = await SupabaseManager.updateTenant(id, tenantData);
+    if (!result.success) {
+      return { success: false, error: result.error || 'Failed to update tenant' };
+    }
+    return { success: true, tenant: result.tenant };
+  } catch (error) {
+    console.error('Failed to update tenant:', error);
+    return { success: false, error: error.message };
+  }
+};
+
+export const deleteTenant = async (id) => {
+  try {
+    const result = await SupabaseManager.deleteTenant(id);
+    if (!result.success) {
+      throw new Error(result.error || 'Failed to delete tenant');
+    }
+    return { success: true };
+  } catch (error) {
+    console.error('Failed to delete tenant:', error);
+    return { success: false, error: error.message };
+  }
+};
+
+// Capital improvement operations. Each improvement keeps a cash transaction for its cost
+// (category 'Capital Improvement', so the tax report leaves it out of deductions) and can
+// have a capital works depreciation entry that follows its amount and date.
+export const CAPITAL_IMPROVEMENT_CATEGORY = 'Capital Improvement';
+
+const getImprovementTransactionData = (improvement) => ({
+  property_id: improvement.property_id,
+  type: 'expense',
+  category: CAPITAL_IMPROVEMENT_CATEGORY,
+  description: improvement.description,
+  amount: -Math.abs(parseFloat(improvement.amount) || 0),
+  date: improvement.completion_date,
+  payee: improvement.vendor || '',
+  deductible: false,
+  notes: improvement.notes || ''
+});
+
+const getImprovementDepreciationData = (improvement, rate = DEFAULT_CAPITAL_WORKS_RATE) => ({
+  property_id: improvement.property_id,
+  capital_improvement_id: improvement.id,
+  asset_type: DEPRECIATION_ASSET_TYPES.CAPITAL_WORKS,
+  name: improvement.description,
+  cost: Math.abs(parseFloat(improvement.amount) || 0),
+  start_date: improvement.completion_date,
+  method: DEPRECIATION_METHODS.PRIME_COST,
+  rate
+});
+
+// Creates the improvement with its transaction, or reuses `transactionId` when the cost was
+// already recorded. With claimCapitalWorks a capital works entry is added at the default rate.
+export const createCapitalImprovement = async (improvementData, { transactionId = null, claimCapitalWorks = false } = {}) => {
+  try {
+    let linkedTransactionId = transactionId;
+    if (!linkedTransactionId) {
+      const transactionResult = await SupabaseManager.createTransaction(getImprovementTransactionData(improvementData));
+      if (!transactionResult.success) {
+        throw new Error(transactionResult.error || 'Failed to create transaction');
+      }
+      linkedTransactionId = transactionResult.transaction.id;
+    }
+
+    const result = await SupabaseManager.createCapitalImprovement({
+      ...improvementData,
+      transaction_id: linkedTransactionId
+    });
+    if (!result.success) {
+      // Don't leave a transaction behind for an improvement that wasn't saved
+      if (!transactionId) {
+        await SupabaseManager.deleteTransaction(linkedTransactionId);
+      }
+      throw new Error(result.error || 'Failed to create capital improvement');
+    }
+
+    if (claimCapitalWorks) {
+      const assetResult = await SupabaseManager.createDepreciationAsset(getImprovementDepreciationData(result.capitalImprovement));
+      if (!assetResult.success) {
+        throw new Error(assetResult.error || 'Failed to create capital works entry');
+      }
+    }
+
+    return { success: true, capitalImprovement: result.capitalImprovement };
+  } catch (error) {
+    console.error('Failed to create capital improvement:', error);
+    return { success: false, error: error.message };
+  }
+};
+
+// Updates the improvement and keeps its transaction and capital works entry in step.
+// claimCapitalWorks adds or removes the capital works entry.
+export const updateCapitalImprovement = async (improvement, improvementData, { depreciationAssets = [], claimCapitalWorks = false } = {}) => {
+  try {
+    const result = await SupabaseManager.updateCapitalImprovement(improvement.id, improvementData);
+    if (!result.success) {
+      throw new Error(result.error || 'Failed to update capital improvement');
+    }
+    const updated = result.capitalImprovement;
+
+    if (updated.transaction_id) {
+      const transactionResult = await SupabaseManager.updateTransaction(updated.transaction_id, getImprovementTransactionData(updated));
+      if (!transactionResult.success) {
+        throw new Error(transactionResult.error || 'Failed to update transaction');
+      }
+    }
+
+    const asset = depreciationAssets.find(a => a && a.capital_improvement_id === improvement.id);
+    let assetResult = { success: true };
+    if (asset && claimCapitalWorks) {
+      assetResult = await SupabaseManager.updateDepreciationAsset(asset.id, getImprovementDepreciationData(updated, asset.rate || DEFAULT_CAPITAL_WORKS_RATE));
+    } else if (asset) {
+      assetResult = await SupabaseManager.deleteDepreciationAsset(asset.id);
+    } else if (claimCapitalWorks) {
+      assetResult = await SupabaseManager.createDepreciationAsset(getImprovementDepreciationData(updated));
+    }
+    if (!assetResult.success) {
+      throw new Error(assetResult.error || 'Failed to update capital works entry');
+    }
+
+    return { success: true, capitalImprovement: updated };
+  } catch (error) {
+    console.error('Failed to update capital improvement:', error);
+    return { success: false, error: error.message };
+  }
+};
+
+// Deletes the improvement and its transaction; its capital works entry goes with it
+export const deleteCapitalImprovement = async (improvement) => {
+  try {
+    const result = await SupabaseManager.deleteCapitalImprovement(improvement.id);
+    if (!result.success) {
+      throw new Error(result.error || 'Failed to delete capital improvement');
+    }
+
+    if (improvement.transaction_id) {
+      const transactionResult = await SupabaseManager.deleteTransaction(improvement.transaction_id);
+      if (!transactionResult.success) {
+        throw new Error(transactionResult.error || 'Failed to delete transaction');
+      }
+    }
+
+    return { success: true };
+  } catch (error) {
+    console.error('Failed to delete capital improvement:', error);
+    return { success: false, error: error.message };
+  }
+};
+
+// Moves an expense into the capital improvements register. The expense's transaction is kept
+// for cash flow but recategorised, so it is no longer claimed as a deduction.
+export const convertExpenseToCapitalImprovement = async (expense, improvementData, { transactions = [], claimCapitalWorks = false } = {}) => {
+  try {
+    const transaction = transactions.find(t => t && t.expense_id === expense.id);
+    if (transaction) {
+      const transactionResult = await SupabaseManager.updateTransaction(transaction.id, {
+        ...getImprovementTransactionData(improvementData),
+        expense_id: null
+      });
+      if (!transactionResult.success) {
+        throw new Error(transactionResult.error || 'Failed to update transaction');
+      }
+    }
+
+    const result = await createCapitalImprovement(improvementData, {
+      transactionId: transaction ? transaction.id : null,
+      claimCapitalWorks
+    });
+    if (!result.success) {
+      throw new Error(result.error);
+    }
+
+    const expenseResult = await SupabaseManager.deleteExpense(expense.id);
+    if (!expenseResult.success) {
+      throw new Error(expenseResult.error || 'Failed to remove the expense');
+    }
+
+    return { success: true, capitalImprovement: result.capitalImprovement };
+  } catch (error) {
+    console.error('Failed to convert expense to capital improvement:', error);
+    return { success: false, error: error.message };
+  }
+};
+
+// Depreciation asset operations
+export const createDepreciationAsset = async (depreciationAssetData) => {
+  try {
+    const result = await SupabaseManager.createDepreciationAsset(depreciationAssetData);
+    if (!result.success) {
+      throw new Error(result.error || 'Failed to create depreciation asset');
+    }
+    return { success: true, depreciationAsset: result.depreciationAsset };
+  } catch (error) {
+    console.error('Failed to create depreciation asset:', error);
+    return { success: false, error: error.message };
+  }
+};
+
+export const updateDepreciationAsset = async (id, depreciationAssetData) => {
+  try {
+    const result = await SupabaseManager.updateDepreciationAsset(id, depreciationAssetData);
+    if (!result.success) {
+      throw new Error(result.error || 'Failed to update depreciation asset');
+    }
+    return { success: true, depreciationAsset: result.depreciationAsset };
+  } catch (error) {
+    console.error('Failed to update depreciation asset:', error);
+    return { success: false, error: error.message };
+  }
+};
+
+export const deleteDepreciationAsset = async (id) => {
+  try {
+    const result = await SupabaseManager.deleteDepreciationAsset(id);
+    if (!result.success) {
+      throw new Error(result.error || 'Failed to delete depreciation asset');
+    }
+    return { success: true };
+  } catch (error) {
+    console.error('Failed to delete depreciation asset:', error);
+    return { success: false, error: error.message };
+  }
+};
+
+// Owner operations
+export const createOwner = async (ownerData) => {
+  try {
+    const result = await SupabaseManager.createOwner(ownerData);
+    if (!result.success) {
+      throw new Error(result.error || 'Failed to create owner');
+    }
+    return { success: true, owner: result.owner };
+  } catch (error) {
+    console.error('Failed to create owner:', error);
+    return { success: false, error: error.message };
+  }
+};
+
+export const updateOwner = async (id, ownerData) => {
+  try {
+    const result = await SupabaseManager.updateOwner(id, ownerData);
+    if (!result.success) {
+      throw new Error(result.error || 'Failed to update owner');
+    }
+    return { success: true, owner: result.owner };
+  } catch (error) {
+    console.error('Failed to update owner:', error);
+    return { success: false, error: error.message };
+  }
+};
+
+// Deleting an owner also deletes their property_ownerships rows (ON DELETE CASCADE)
+export const deleteOwner = async (id) => {
+  try {
+    const result = await SupabaseManager.deleteOwner(id);
+    if (!result.success) {
+      throw new Error(result.error || 'Failed to delete owner');
+    }
+    return { success: true };
+  } catch (error) {
+    console.error('Failed to delete owner:', error);
+    return { success: false, error: error.message };
+  }
+};
+
+// Records the shares in a property from effectiveFrom, as [{ owner_id, percentage }]. Any
+// shares already recorded for the same date are replaced. An empty list removes the change.
+// The new rows are saved before the old ones are removed, so a failed save leaves the
+// recorded shares as they were.
+export const setPropertyOwnership = async (property, effectiveFrom, shares, propertyOwnerships = []) => {
+  const created = [];
+  try {
+    for (const share of shares) {
+      const result = await SupabaseManager.createPropertyOwnership({
+        property_id: property.id,
+        owner_id: share.owner_id,
+        percentage: share.percentage,
+        effective_from: effectiveFrom
+      });
+      if (!result.success) {
+        throw new Error(result.error || 'Failed to save property ownership');
+      }
+      created.push(result.propertyOwnership);
+    }
+  } catch (error) {
+    console.error('Failed to set property ownership:', error);
+    await Promise.all(created.map(row => SupabaseManager.deletePropertyOwnership(row.id)));
+    return { success: false, error: error.message };
+  }
+
+  const replaced = propertyOwnerships.filter(row =>
+    row && row.property_id === property.id && row.effective_from === effectiveFrom);
+  const results = await Promise.all(replaced.map(row => SupabaseManager.deletePropertyOwnership(row.id)));
+  const failed = results.find(result => !result.success);
+  if (failed) {
+    console.error('Failed to remove replaced property ownership:', failed.error);
+    return { success: false, error: failed.error || 'Failed to remove the previous shares', propertyOwnerships: created };
+  }
+  return { success: true, propertyOwnerships: created };
+};
+
+// Document operations. The file goes to Supabase Storage when a documents bucket is
+// configured, otherwise to IndexedDB on this device; the record always goes to Supabase.
+export const createDocument = async (file, documentData) => {
+  try {
+    const useSupabaseStorage = SupabaseManager.isDocumentStorageConfigured();
+    const stored = useSupabaseStorage
+      ? await SupabaseManager.uploadDocumentFile(file.name, file)
+      : await DataManager.saveDocumentFile(file);
+    if (!stored.success) {
+      throw new Error(stored.error || 'Failed to store document file');
+    }
+
+    const storagePath = useSupabaseStorage ? stored.path : stored.id;
+    const result = await SupabaseManager.createDocument({
+      ...documentData,
+      file_name: file.name,
+      file_type: file.type || null,
+      file_size: file.size,
+      storage_provider: useSupabaseStorage ? 'supabase' : 'local',
+      storage_path: storagePath
+    });
+    if (!result.success) {
+      // Don't leave an orphaned file behind
+      if (useSupabaseStorage) {
+        await SupabaseManager.deleteDocumentFile(storagePath);
+      } else {
+        await DataManager.deleteDocumentFile(storagePath);
+      }
+      throw new Error(result.error || 'Failed to create document');
+    }
+    return { success: true, document: result.document };
+  } catch (error) {
+    console.error('Failed to create document:', error);
+    return { success: false, error: error.message };
+  }
+};
+
+export const updateDocument = async (id, documentData) => {
+  try {
+    const result = await SupabaseManager.updateDocument(id, documentData);
+    if (!result.success) {
+      throw new Error(result.error || 'Failed to update document');
+    }
+    return { success: true, document: result.document };
+  } catch (error) {
+    console.error('Failed to update document:', error);
+    return { success: false, error: error.message };
+  }
+};
+
+export const deleteDocument = async (document) => {
+  try {
+    const result = await SupabaseManager.deleteDocument(document.id);
+    if (!result.success) {
+      throw new Error(result.error || 'Failed to delete document');
+    }
+
+    const removed = document.storage_provider === 'local'
+      ? await DataManager.deleteDocumentFile(document.storage_path)
+      : await SupabaseManager.deleteDocumentFile(document.storage_path);
+    if (!removed.success) {
+      console.warn('Document deleted but its file could not be removed:', removed.error);
+    }
+    return { success: true };
+  } catch (error) {
+    console.error('Failed to delete document:', error);
+    return { success: false, error: error.message };
+  }
+};
+
+// URL to preview or download a document's file. Local files get an object URL, which the
+// caller should release with URL.revokeObjectURL once done (isObjectUrl is true).
+export const getDocumentFileUrl = async (document) => {
+  try {
+    if (document.storage_provider === 'local') {
+      const result = await DataManager.getDocumentFile(document.storage_path);
+      if (!result.success) {
+        throw new Error(result.error || 'Failed to load document file');
+      }
+      return { success: true, url: URL.createObjectURL(result.file), isObjectUrl: true };
+    }
+
+    if (!SupabaseManager.isDocumentStorageConfigured()) {
+      throw new Error('Supabase Storage is not configured for documents');
+    }
+    const result = await SupabaseManager.getDocumentFileUrl(document.storage_path);
+    if (!result.success) {
+      throw new Error(result.error || 'Failed to load document file');
+    }
+    return { success: true, url: result.url, isObjectUrl: false };
+  } catch (error) {
+    console.error('Failed to load document file:', error);
+    return { success: false, error: error.message };
+  }
+};
@@ -0,0 +1,123 @@
+import DateUtils from './DateUtils';
+
+// Division 40 plant and equipment, and Division 43 capital works
+export const DEPRECIATION_ASSET_TYPES = {
+  PLANT: 'plant',
+  CAPITAL_WORKS: 'capital_works'
+};
+
+export const DEPRECIATION_METHODS = {
+  DIMINISHING_VALUE: 'diminishing_value',
+  PRIME_COST: 'prime_cost'
+};
+
+export const DEFAULT_CAPITAL_WORKS_RATE = 2.5;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DAYS_IN_YEAR = 365;
+const MAX_SCHEDULE_YEARS = 100;
+
+const roundCents = (value) => Math.round(value * 100) / 100;
+
+// Parse 'YYYY-MM-DD' as a local date so financial years don't shift with the timezone
+const parseLocalDate = (value) => {
+  if (!value) return null;
+  if (value instanceof Date) {
+    return isNaN(value.getTime()) ? null : new Date(value.getFullYear(), value.getMonth(), value.getDate());
+  }
+  const match = /^(\d{4})-(\d{2})-(\d{2})/.exec(String(value));
+  const date = match
+    ? new Date(Number(match[1]), Number(match[2]) - 1, Number(match[3]))
+    : new Date(value);
+  return isNaN(date.getTime()) ? null : date;
+};
+
+// Share of the cost written off in a full year. Diminishing value uses 200% / effective life
+// against the opening value; prime cost 100% / effective life against the cost. Capital
+// works is a flat rate of the construction cost.
+const getAnnualRate = (asset) => {
+  if (asset?.asset_type === DEPRECIATION_ASSET_TYPES.CAPITAL_WORKS) {
+    const rate = parseFloat(asset.rate);
+    return (rate > 0 ? rate : DEFAULT_CAPITAL_WORKS_RATE) / 100;
+  }
+  const life = parseFloat(asset?.effective_life_years);
+  if (!(life > 0)) return 0;
+  return asset.method === DEPRECIATION_METHODS.PRIME_COST ? 1 / life : 2 / life;
+};
+
+const isWrittenOffAgainstCost = (asset) =>
+  asset?.asset_type === DEPRECIATION_ASSET_TYPES.CAPITAL_WORKS || asset?.method === DEPRECIATION_METHODS.PRIME_COST;
+
+// Deductions for an asset, one row per financial year from the year it's first used.
+// The first year is apportioned by the days held; the schedule stops once the asset is
+// written off, or at endDate (e.g. the property's sale date).
+// Returns [{ year, startDate, endDate, days, openingValue, deduction, closingValue }]
+export const getDepreciationSchedule = (asset, { startMonth = 7, endDate = null } = {}) => {
+  const cost = parseFloat(asset?.cost) || 0;
+  const start = parseLocalDate(asset?.start_date);
+  const annualRate = getAnnualRate(asset);
+  if (!start || cost <= 0 || annualRate <= 0) return [];
+
+  const stop = parseLocalDate(endDate);
+  const schedule = [];
+  let value = cost;
+  let yearStart = DateUtils.getFinancialYearStart(start, startMonth);
+
+  while (value >= 0.01 && schedule.length < MAX_SCHEDULE_YEARS) {
+    const yearEnd = DateUtils.getFinancialYearEnd(yearStart, startMonth);
+    const from = start > yearStart ? start : yearStart;
+    const to = stop && stop < yearEnd ? stop : yearEnd;
+    if (to < from) break;
+
+    const days = Math.min(DAYS_IN_YEAR, Math.round((to - from) / DAY_MS) + 1);
+    const base = isWrittenOffAgainstCost(asset) ? cost : value;
+    const deduction = roundCents(Math.min(value, base * annualRate * days / DAYS_IN_YEAR));
+
+    schedule.push({
+      year: yearStart.getFullYear(),
+      startDate: yearStart,
+      endDate: yearEnd,
+      days,
+      openingValue: roundCents(value),
+      deduction,
+      closingValue: roundCents(value - deduction)
+    });
+    value = roundCents(value - deduction);
+
+    if (stop && stop <= yearEnd) break;
+    yearStart = new Date(yearStart.getFullYear() + 1, startMonth - 1, 1);
+  }
+
+  return schedule;
+};
+
+// Deductions for one property in the financial year starting in `year`, split into plant and
+// equipment (Div 40) and capital works (Div 43). Depreciation stops when the property is sold.
+// Returns { plant, capitalWorks, total, items: [{ asset, openingValue, deduction, closingValue }] }
+export const getPropertyDepreciationForYear = (assets, property, year, { startMonth = 7 } = {}) => {
+  const items = (Array.isArray(assets) ? assets : [])
+    .filter(asset => asset && asset.property_id === property?.id)
+    .map(asset => {
+      const row = getDepreciationSchedule(asset, { startMonth, endDate: property?.sale_date })
+        .find(r => r.year === year);
+      return {
+        asset,
+        openingValue: row ? row.openingValue : null,
+        deduction: row ? row.deduction : 0,
+        closingValue: row ? row.closingValue : null
+      };
+    });
+
+  const sumOfType = (type) => roundCents(items
+    .filter(item => item.asset.asset_type === type)
+    .reduce((sum, item) => sum + item.deduction, 0));
+  const plant = sumOfType(DEPRECIATION_ASSET_TYPES.PLANT);
+  const capitalWorks = sumOfType(DEPRECIATION_ASSET_TYPES.CAPITAL_WORKS);
+
+  return { plant, capitalWorks, total: roundCents(plant + capitalWorks), items };
+};
+
+// Total deductions claimed on an asset up to and including `endDate`
+export const getDepreciationClaimedToDate = (asset, endDate, { startMonth = 7 } = {}) =>
+  roundCents(getDepreciationSchedule(asset, { startMonth, endDate })
+    .reduce((sum, row) => sum + row.deduction, 0));
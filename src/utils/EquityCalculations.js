@@ -0,0 +1,172 @@
+import { sanitize } from './number';
+import { calculatePropertyMetrics, isPropertyHeldAt } from './FinancialCalculations';
+
+const roundCents = (value) => Math.round(value * 100) / 100;
+
+// Lenders typically release equity up to 80% of a property's value without LMI
+export const DEFAULT_EQUITY_LENDING_RATIO = 80;
+
+export const STAMP_DUTY_STATES = ['NSW', 'VIC', 'QLD', 'WA', 'SA', 'TAS', 'ACT', 'NT'];
+
+// General (investor) transfer duty scales. Each bracket applies from `from`: duty is
+// `base` plus `rate` on the amount above `from`, or `flat` on the whole price.
+// Scales change most years, so results are estimates only.
+const STAMP_DUTY_SCALES = {
+  NSW: [
+    { from: 0, base: 0, rate: 0.0125 },
+    { from: 17000, base: 212, rate: 0.015 },
+    { from: 36000, base: 497, rate: 0.0175 },
+    { from: 97000, base: 1564, rate: 0.035 },
+    { from: 364000, base: 10909, rate: 0.045 },
+    { from: 1212000, base: 49069, rate: 0.055 }
+  ],
+  VIC: [
+    { from: 0, base: 0, rate: 0.014 },
+    { from: 25000, base: 350, rate: 0.024 },
+    { from: 130000, base: 2870, rate: 0.06 },
+    { from: 960000, flat: 0.055 },
+    { from: 2000000, base: 110000, rate: 0.065 }
+  ],
+  QLD: [
+    { from: 0, base: 0, rate: 0 },
+    { from: 5000, base: 0, rate: 0.015 },
+    { from: 75000, base: 1050, rate: 0.035 },
+    { from: 540000, base: 17325, rate: 0.045 },
+    { from: 1000000, base: 38025, rate: 0.0575 }
+  ],
+  WA: [
+    { from: 0, base: 0, rate: 0.019 },
+    { from: 120000, base: 2280, rate: 0.0285 },
+    { from: 150000, base: 3135, rate: 0.038 },
+    { from: 360000, base: 11115, rate: 0.0475 },
+    { from: 725000, base: 28453, rate: 0.0515 }
+  ],
+  SA: [
+    { from: 0, base: 0, rate: 0.01 },
+    { from: 12000, base: 120, rate: 0.02 },
+    { from: 30000, base: 480, rate: 0.03 },
+    { from: 50000, base: 1080, rate: 0.035 },
+    { from: 100000, base: 2830, rate: 0.04 },
+    { from: 200000, base: 6830, rate: 0.0425 },
+    { from: 250000, base: 8955, rate: 0.0475 },
+    { from: 300000, base: 11330, rate: 0.05 },
+    { from: 500000, base: 21330, rate: 0.055 }
+  ],
+  TAS: [
+    { from: 0, base: 50, rate: 0 },
+    { from: 3000, base: 50, rate: 0.0175 },
+    { from: 25000, base: 435, rate: 0.0225 },
+    { from: 75000, base: 1560, rate: 0.035 },
+    { from: 200000, base: 5935, rate: 0.04 },
+    { from: 375000, base: 12935, rate: 0.0425 },
+    { from: 725000, base: 27810, rate: 0.045 }
+  ],
+  ACT: [
+    { from: 0, base: 0, rate: 0.012 },
+    { from: 200000, base: 2400, rate: 0.022 },
+    { from: 300000, base: 4600, rate: 0.034 },
+    { from: 500000, base: 11400, rate: 0.0432 },
+    { from: 750000, base: 22200, rate: 0.059 },
+    { from: 1000000, base: 36950, rate: 0.064 },
+    { from: 1455000, flat: 0.0454 }
+  ],
+  NT: [
+    { from: 525000, flat: 0.0495 },
+    { from: 3000000, flat: 0.0575 },
+    { from: 5000000, flat: 0.0595 }
+  ]
+};
+
+// Estimated transfer duty on a purchase price for the given state
+export const calculateStampDuty = (price, state = 'NSW') => {
+  const value = sanitize(price);
+  if (value <= 0) return 0;
+
+  // NT charges duty below $525,000 on a sliding formula rather than brackets
+  if (state === 'NT' && value <= 525000) {
+    const thousands = value / 1000;
+    return roundCents(0.06571441 * thousands * thousands + 15 * thousands);
+  }
+
+  const scale = STAMP_DUTY_SCALES[state] || STAMP_DUTY_SCALES.NSW;
+  const bracket = [...scale].reverse().find(b => value > b.from) || scale[0];
+
+  const duty = bracket.flat !== undefined
+    ? value * bracket.flat
+    : bracket.base + (value - bracket.from) * bracket.rate;
+
+  return roundCents(duty);
+};
+
+// Usable equity per property: the lending ratio of its value less the debt secured
+// against it. Properties already past the ratio contribute nothing to the total, and
+// sold properties are left out.
+export const calculateUsableEquity = (properties, loans, lendingRatio = DEFAULT_EQUITY_LENDING_RATIO) => {
+  const safeProperties = Array.isArray(properties)
+    ? properties.filter(property => property && isPropertyHeldAt(property))
+    : [];
+  const safeLoans = Array.isArray(loans) ? loans.filter(Boolean) : [];
+  const ratio = sanitize(lendingRatio) / 100;
+
+  const propertyEquity = safeProperties.map(property => {
+    const metrics = calculatePropertyMetrics(property, [], [], [], safeLoans);
+    const lendableValue = roundCents(metrics.propertyValue * ratio);
+
+    return {
+      propertyId: property.id,
+      name: property.name || property.address,
+      propertyValue: metrics.propertyValue,
+      debt: metrics.totalLoanAmount,
+      lvr: metrics.lvr,
+      lendableValue,
+      usableEquity: Math.max(0, roundCents(lendableValue - metrics.totalLoanAmount))
+    };
+  });
+
+  return {
+    properties: propertyEquity,
+    totalValue: propertyEquity.reduce((sum, p) => sum + p.propertyValue, 0),
+    totalDebt: propertyEquity.reduce((sum, p) => sum + p.debt, 0),
+    totalUsableEquity: roundCents(propertyEquity.reduce((sum, p) => sum + p.usableEquity, 0))
+  };
+};
+
+// Deposit, duty and costs needed to buy at `price` with the new loan capped at `targetLvr` %
+export const getPurchaseCashRequired = (price, { state = 'NSW', targetLvr = 80, acquisitionCosts = [] } = {}) => {
+  const purchasePrice = sanitize(price);
+  const deposit = roundCents(purchasePrice * (1 - sanitize(targetLvr) / 100));
+  const stampDuty = calculateStampDuty(purchasePrice, state);
+  const otherCosts = (Array.isArray(acquisitionCosts) ? acquisitionCosts : [])
+    .reduce((sum, cost) => sum + sanitize(cost.amount), 0);
+
+  return {
+    purchasePrice,
+    deposit,
+    stampDuty,
+    otherCosts,
+    loanAmount: roundCents(purchasePrice - deposit),
+    totalCashRequired: roundCents(deposit + stampDuty + otherCosts)
+  };
+};
+
+// Largest purchase price the available funds cover once deposit, stamp duty and
+// acquisition costs are paid. Duty rises with price, so search for the limit.
+export const calculateMaxPurchasePrice = (availableFunds, options = {}) => {
+  const funds = sanitize(availableFunds);
+  const depositRatio = 1 - sanitize(options.targetLvr ?? 80) / 100;
+
+  if (funds <= 0 || depositRatio <= 0) return getPurchaseCashRequired(0, options);
+
+  let low = 0;
+  let high = funds / depositRatio;
+  while (high - low > 1) {
+    const mid = (low + high) / 2;
+    if (getPurchaseCashRequired(roundCents(mid), options).totalCashRequired <= funds) {
+      low = mid;
+    } else {
+      high = mid;
+    }
+  }
+
+  return getPurchaseCashRequired(Math.floor(low), options);
+};
@@ -1,9 +1,39 @@
 import { formatCurrency, sanitize } from './number';
+import {
+  generateAmortizationSchedule,
+  getScheduleRowsInRange,
+  getLoanBalanceAt,
+  getLoanMonthlyPayment,
+  getLoanRateAt,
+  getLoanInterestInRange,
+  isLoanActiveAt,
+  LOAN_STATUSES
+} from './LoanCalculations';
+import { getRentSchedule, getRentAt, getDailyShare, isTenancyActiveAt, getTenancyEnd, LEASE_STATUSES, RENT_SCHEDULE_MODES } from './RentCalculations';
+import { getRecurringOccurrences, toDateString } from './RecurringExpenseCalculations';
+import { getOwnerPercentageAt, getOwnerPercentageForPeriod } from './OwnershipCalculations';
 
 const INCOME_TYPES = new Set(["income", "rent", "rental", "other_income"]);
 const EXPENSE_TYPES = new Set(["expense", "maintenance", "repair", "fees", "insurance", "tax", "management_fee", "interest"]);
 const IGNORE_IN_PNL = new Set(["principal"]);
 
+// Bond money is held for the tenant and goes back at the end of the lease, so neither
+// receiving nor refunding it is income or expense
+const isBondTransaction = (t) =>
+  String(t?.type || "").toLowerCase() === "bond" || /\bbond\b/i.test(String(t?.category || ""));
+
+// 'income' or 'expense' for a transaction's P&L side, or null when it sits outside the P&L
+// (principal repayments and bond money). Untyped rows go by the sign of the amount.
+export const getTransactionPnlSide = (t) => {
+  if (!t) return null;
+  const ttype = String(t.type || "").toLowerCase();
+  if (IGNORE_IN_PNL.has(ttype) || isBondTransaction(t)) return null;
+  const amt = sanitize(t.amount);
+  if (INCOME_TYPES.has(ttype) || (!ttype && amt > 0)) return 'income';
+  if (EXPENSE_TYPES.has(ttype) || (!ttype && amt < 0)) return 'expense';
+  return null;
+};
+
 const filterTransactionsByDateRange = (transactions, startDate, endDate) => {
   return transactions.filter(transaction => {
     if (!transaction.date) return false;
@@ -19,7 +49,8 @@ const getYearRange = (year) => {
   };
 };
 
-// Enhanced daily conversion function with precise calculations
+// Average daily equivalent of an amount paid at `frequency`, for annualised figures.
+// Dated rent rows come from the calendar schedule in RentCalculations instead.
 export const calculateDailyAmount = (amount, frequency) => {
   const numAmount = sanitize(amount);
 
@@ -49,8 +80,53 @@ export const calculateDailyAmount = (amount, frequency) => {
   }
 };
 
-// Generate rental transactions with precise daily conversion
-export const generateRentalTransactions = (property, startDate, endDate) => {
+// Income and management fee rows for one rental over [start, end]
+const buildRentalRows = (property, rental, { amount, feeRate, label, feeNotes, start, end, mode }) => {
+  const frequency = rental.frequency || 'monthly';
+  const isAccrual = mode === RENT_SCHEDULE_MODES.ACCRUAL;
+  const rows = [];
+
+  getRentSchedule(rental, amount, start, end, mode).forEach(entry => {
+    // Rental income transaction
+    rows.push({
+      property_id: property.id,
+      type: 'income',
+      category: 'Rental Income',
+      description: `${isAccrual ? 'Daily Rent' : 'Rent'} (${frequency}) - ${label}`,
+      amount: entry.amount,
+      date: entry.date,
+      payee: rental.tenant_name || '',
+      expense_id: rental.id || null,
+      deductible: false,
+      notes: rental.notes || ''
+    });
+
+    // Management fee transaction; accrual fees split the period's fee the same way as its rent
+    const fee = isAccrual
+      ? getDailyShare(Math.round(entry.periodAmount * feeRate * 100) / 100, entry.periodDays, entry.dayIndex)
+      : Math.round(entry.amount * feeRate * 100) / 100;
+    if (fee > 0) {
+      rows.push({
+        property_id: property.id,
+        type: 'management_fee',
+        category: 'Management Fees',
+        description: `${isAccrual ? 'Daily Management Fee' : 'Management Fee'} (${(feeRate * 100).toFixed(1)}%)${label ? ` - ${label}` : ''}`,
+        amount: fee,
+        date: entry.date,
+        payee: 'Property Manager',
+        expense_id: rental.id || null,
+        deductible: true,
+        notes: feeNotes
+      });
+    }
+  });
+
+  return rows;
+};
+
+// Generate rental transactions on each rent due date (weekly, fortnightly, or monthly on
+// the lease's due day). Pass { mode: RENT_SCHEDULE_MODES.ACCRUAL } for pro-rata daily rows.
+export const generateRentalTransactions = (property, startDate, endDate, { mode = RENT_SCHEDULE_MODES.SCHEDULED } = {}) => {
   const transactions = [];
 
   if (!property || !startDate || !endDate) return transactions;
@@ -59,56 +135,17 @@ export const generateRentalTransactions = (property, startDate, endDate) => {
   const end = new Date(endDate);
 
   // Process property-level rental if exists
-  if (property.rental && property.rental.bond_amount) {
+  if (property.rental) {
     const rental = property.rental;
-    const dailyAmount = calculateDailyAmount(rental.bond_amount, rental.frequency || 'monthly');
-    const managementFeeRate = sanitize(rental.management_fee_percentage || rental.feeRate || 0) / 100;
-    const dailyFee = dailyAmount * managementFeeRate;
-
-    // Generate daily transactions for the date range
-    for (let currentDate = new Date(start); currentDate <= end; currentDate.setDate(currentDate.getDate() + 1)) {
-      const dateStr = currentDate.toISOString().split('T')[0];
-
-      // Rental income transaction
-      if (dailyAmount > 0) {
-        transactions.push({
-          property_id: property.id,
-          // propertyId: property.id, // Keep for backward compatibility
-          type: 'income',
-          category: 'Rental Income',
-          description: `Daily Rent (${rental.frequency || 'monthly'}) - ${property.address || property.name || 'Property'}`,
-          amount: dailyAmount,
-          date: dateStr,
-          payee: rental.tenant_name || '',
-          expense_id: rental.id || null,
-          deductible: false,
-          notes: rental.notes || '',
-          // isAutoGenerated: true,
-          // originalAmount: rental.bond_amount,
-          // originalFrequency: rental.frequency || 'monthly'
-        });
-      }
-
-      // Management fee transaction
-      if (dailyFee > 0) {
-        transactions.push({
-          property_id: property.id,
-          // propertyId: property.id, // Keep for backward compatibility
-          type: 'management_fee',
-          category: 'Management Fees',
-          description: `Daily Management Fee (${(managementFeeRate * 100).toFixed(1)}%)`,
-          amount: dailyFee,
-          date: dateStr,
-          payee: 'Property Manager',
-          expense_id: rental.id || null,
-          deductible: true,
-          notes: `Management fee for ${rental.tenant_name || 'tenant'}`,
-          // isAutoGenerated: true,
-          // originalAmount: rental.amount * managementFeeRate,
-          // originalFrequency: rental.frequency || 'monthly'
-        });
-      }
-    }
+    transactions.push(...buildRentalRows(property, rental, {
+      amount: rental.monthly_rent ?? rental.amount,
+      feeRate: sanitize(rental.management_fee_percentage || rental.feeRate || 0) / 100,
+      label: property.address || property.name || 'Property',
+      feeNotes: `Management fee for ${rental.tenant_name || 'tenant'}`,
+      start,
+      end,
+      mode
+    }));
   }
 
   // Process rentals array if exists
@@ -116,54 +153,15 @@ export const generateRentalTransactions = (property, startDate, endDate) => {
     property.rentals.forEach((rental, index) => {
       if (!rental || !rental.amount) return;
 
-      const dailyAmount = calculateDailyAmount(rental.amount, rental.frequency || 'monthly');
-      const managementFeeRate = sanitize(rental.managementFeeRate || rental.feeRate || 0) / 100;
-      const dailyFee = dailyAmount * managementFeeRate;
-      const unitName = rental.unitName || rental.name || `Unit ${index + 1}`;
-
-      for (let currentDate = new Date(start); currentDate <= end; currentDate.setDate(currentDate.getDate() + 1)) {
-        const dateStr = currentDate.toISOString().split('T')[0];
-
-        // Rental income transaction
-        if (dailyAmount > 0) {
-          transactions.push({
-            property_id: property.id,
-            type: 'income',
-            category: 'Rental Income',
-            description: `Daily Rent (${rental.frequency || 'monthly'}) - ${unitName}`,
-            amount: dailyAmount,
-            date: dateStr,
-            payee: rental.tenant_name || '',
-            expense_id: rental.id || null,
-            deductible: false,
-            notes: rental.notes || '',
-            // isAutoGenerated: true,
-            // originalAmount: rental.amount,
-            // originalFrequency: rental.frequency || 'monthly',
-            // unitName: unitName
-          });
-        }
-
-        // Management fee transaction
-        if (dailyFee > 0) {
-          transactions.push({
-            property_id: property.id,
-            type: 'management_fee',
-            category: 'Management Fees',
-            description: `Daily Management Fee (${(managementFeeRate * 100).toFixed(1)}%) - ${unitName}`,
-            amount: dailyFee,
-            date: dateStr,
-            payee: 'Property Manager',
-            expense_id: rental.id || null,
-            deductible: true,
-            notes: `Management fee for ${rental.tenant_name || 'tenant'}`,
-            // isAutoGenerated: true,
-            // originalAmount: rental.amount * managementFeeRate,
-            // originalFrequency: rental.frequency || 'monthly',
-            // unitName: unitName
-          });
-        }
-      }
+      transactions.push(...buildRentalRows(property, rental, {
+        amount: rental.amount,
+        feeRate: sanitize(rental.managementFeeRate || rental.feeRate || 0) / 100,
+        label: rental.unitName || rental.name || `Unit ${index + 1}`,
+        feeNotes: `Management fee for ${rental.tenant_name || 'tenant'}`,
+        start,
+        end,
+        mode
+      }));
     });
   }
 
@@ -173,123 +171,88 @@ export const generateRentalTransactions = (property, startDate, endDate) => {
       if (!unit || !unit.rental || !unit.rental.amount) return;
 
       const rental = unit.rental;
-      const dailyAmount = calculateDailyAmount(rental.amount, rental.frequency || 'monthly');
-      const managementFeeRate = sanitize(rental.managementFeeRate || rental.feeRate || 0) / 100;
-      const dailyFee = dailyAmount * managementFeeRate;
       const unitName = unit.name || `Unit ${unitIndex + 1}`;
-
-      for (let currentDate = new Date(start); currentDate <= end; currentDate.setDate(currentDate.getDate() + 1)) {
-        const dateStr = currentDate.toISOString().split('T')[0];
-
-        // Rental income transaction
-        if (dailyAmount > 0) {
-          transactions.push({
-            property_id: property.id,
-            // propertyId: property.id, // Keep for backward compatibility
-            type: 'income',
-            category: 'Rental Income',
-            description: `Daily Rent (${rental.frequency || 'monthly'}) - ${unitName}`,
-            amount: dailyAmount,
-            date: dateStr,
-            payee: rental.tenant_name || '',
-            expense_id: rental.id || null,
-            deductible: false,
-            notes: rental.notes || '',
-            // isAutoGenerated: true,
-            // originalAmount: rental.amount,
-            // originalFrequency: rental.frequency || 'monthly',
-            // unitName: unitName
-          });
-        }
-
-        // Management fee transaction
-        if (dailyFee > 0) {
-          transactions.push({
-            property_id: property.id,
-            // propertyId: property.id, // Keep for backward compatibility
-            type: 'management_fee',
-            category: 'Management Fees',
-            description: `Daily Management Fee (${(managementFeeRate * 100).toFixed(1)}%) - ${unitName}`,
-            amount: dailyFee,
-            date: dateStr,
-            payee: 'Property Manager',
-            expense_id: rental.id || null,
-            deductible: true,
-            notes: `Management fee for ${rental.tenant_name || 'tenant'} - ${unitName}`,
-            // isAutoGenerated: true,
-            // originalAmount: rental.amount * managementFeeRate,
-            // originalFrequency: rental.frequency || 'monthly',
-            // unitName: unitName
-          });
-        }
-      }
+      transactions.push(...buildRentalRows(property, rental, {
+        amount: rental.amount,
+        feeRate: sanitize(rental.managementFeeRate || rental.feeRate || 0) / 100,
+        label: unitName,
+        feeNotes: `Management fee for ${rental.tenant_name || 'tenant'} - ${unitName}`,
+        start,
+        end,
+        mode
+      }));
     });
   }
 
   return transactions;
 };
 
-// Generate loan payment transactions with daily conversion
+// Generate loan repayment transactions from each loan's amortization schedule
 export const generateLoanPayments = (loans, properties, startDate, endDate) => {
   const transactions = [];
 
   if (!Array.isArray(loans) || !startDate || !endDate) return transactions;
 
-  const start = new Date(startDate);
-  const end = new Date(endDate);
-
   loans.forEach(loan => {
-    if (!loan || loan.status !== 'active' || !loan.monthlyPayment) return;
+    // Refinanced loans keep their repayments up to the refinance date
+    if (!loan || (loan.status && loan.status !== LOAN_STATUSES.ACTIVE && loan.status !== LOAN_STATUSES.REFINANCED)) return;
 
-    const property = properties?.find(p => p?.id === loan.propertyId);
+    const propertyId = loan.property_id || loan.propertyId;
+    const property = properties?.find(p => p?.id === propertyId);
     if (!property) return;
 
-    // Convert monthly loan payment to daily
-    const dailyPayment = calculateDailyAmount(loan.monthlyPayment, 'monthly');
-    const interestRate = sanitize(loan.interestRate || 0) / 100 / 365.25; // Daily interest rate
-    const currentBalance = sanitize(loan.currentBalance || loan.originalAmount || 0);
-
-    // Calculate daily interest and principal portions
-    const dailyInterest = currentBalance * interestRate;
-    const dailyPrincipal = Math.max(0, dailyPayment - dailyInterest);
-
-    for (let currentDate = new Date(start); currentDate <= end; currentDate.setDate(currentDate.getDate() + 1)) {
-      const dateStr = currentDate.toISOString().split('T')[0];
+    const schedule = generateAmortizationSchedule(loan);
+    const rows = getScheduleRowsInRange(schedule, startDate, endDate);
 
-      // Daily interest payment
-      if (dailyInterest > 0) {
+    rows.forEach(row => {
+      // Interest portion of the repayment
+      if (row.interest > 0) {
         transactions.push({
-          id: `loan_interest_daily_${loan.id}_${dateStr}`,
-          propertyId: loan.propertyId,
+          id: `loan_interest_${loan.id}_${row.date}`,
+          property_id: propertyId,
+          propertyId,
           type: 'interest',
           category: 'Loan Interest',
-          description: `Daily Loan Interest - ${loan.lender || 'Lender'}`,
-          amount: dailyInterest,
-          date: dateStr,
+          description: `Loan Interest (repayment ${row.period}) - ${loan.lender || 'Lender'}`,
+          amount: row.interest,
+          date: row.date,
           isAutoGenerated: true,
-          originalAmount: loan.monthlyPayment,
-          originalFrequency: 'monthly',
           loanId: loan.id
         });
       }
 
-      // Daily principal payment
-      if (dailyPrincipal > 0) {
+      // Principal portion of the repayment
+      if (row.principal > 0) {
         transactions.push({
-          id: `loan_principal_daily_${loan.id}_${dateStr}`,
-          propertyId: loan.propertyId,
+          id: `loan_principal_${loan.id}_${row.date}`,
+          property_id: propertyId,
+          propertyId,
           type: 'principal',
           category: 'Loan Principal',
-          description: `Daily Loan Principal - ${loan.lender || 'Lender'}`,
-          amount: dailyPrincipal,
-          date: dateStr,
+          description: `Loan Principal (repayment ${row.period}) - ${loan.lender || 'Lender'}`,
+          amount: row.principal,
+          date: row.date,
           isAutoGenerated: true,
-          originalAmount: loan.monthlyPayment,
-          originalFrequency: 'monthly',
           loanId: loan.id
         });
       }
-    }
+
+      // Extra repayments applied on this repayment date
+      if (row.extra > 0) {
+        transactions.push({
+          id: `loan_extra_${loan.id}_${row.date}`,
+          property_id: propertyId,
+          propertyId,
+          type: 'principal',
+          category: 'Extra Repayment',
+          description: `Extra Repayment - ${loan.lender || 'Lender'}`,
+          amount: row.extra,
+          date: row.date,
+          isAutoGenerated: true,
+          loanId: loan.id
+        });
+      }
+    });
   });
 
   return transactions;
@@ -309,34 +272,37 @@ export const calculatePropertyMetrics = (property, transactions, rentals, expens
 
   // Calculate income and expenses using unified type sets
   const income = yearTransactions
-    .filter(t => t && !IGNORE_IN_PNL.has(String(t.type || "").toLowerCase()))
-    .filter(t => {
-      const ttype = String(t.type || "").toLowerCase();
-      const amt = sanitize(t.amount);
-      return INCOME_TYPES.has(ttype) || (!ttype && amt > 0);
-    })
+    .filter(t => getTransactionPnlSide(t) === 'income')
     .reduce((sum, t) => sum + sanitize(t.amount), 0);
 
   const totalExpenses = yearTransactions
-    .filter(t => t && !IGNORE_IN_PNL.has(String(t.type || "").toLowerCase()))
-    .filter(t => {
-      const ttype = String(t.type || "").toLowerCase();
-      const amt = sanitize(t.amount);
-      return EXPENSE_TYPES.has(ttype) || (!ttype && amt < 0);
-    })
+    .filter(t => getTransactionPnlSide(t) === 'expense')
     .reduce((sum, t) => sum + Math.abs(sanitize(t.amount)), 0);
 
   const netCashFlow = income - totalExpenses;
 
   // Property loan information
+  // Balances, repayments and interest come from each loan's schedule so rate changes are respected
   const propertyLoans = loans.filter(loan => loan.property_id === property.id);
-  const totalLoanAmount = propertyLoans.reduce((sum, loan) => sum + sanitize(loan.current_balance || loan.amount), 0);
-  const totalMonthlyLoanPayment = propertyLoans.reduce((sum, loan) => sum + sanitize(loan.monthly_payment), 0);
+  const loanSchedules = propertyLoans.map(loan => ({ loan, schedule: generateAmortizationSchedule(loan) }));
+  const totalLoanAmount = loanSchedules.reduce((sum, { loan, schedule }) => {
+    if (!isLoanActiveAt(loan)) return sum;
+    return sum + (loan.current_balance ? sanitize(loan.current_balance) : getLoanBalanceAt(loan, new Date(), schedule));
+  }, 0);
+  const totalMonthlyLoanPayment = loanSchedules.reduce((sum, { loan, schedule }) =>
+    sum + getLoanMonthlyPayment(loan, new Date(), schedule), 0);
+  const loanInterest = loanSchedules.reduce((sum, { loan, schedule }) =>
+    sum + getLoanInterestInRange(loan, yearStart, yearEnd, schedule), 0);
+  const averageInterestRate = totalLoanAmount > 0
+    ? loanSchedules.reduce((sum, { loan, schedule }) =>
+      sum + getLoanRateAt(loan) * getLoanBalanceAt(loan, new Date(), schedule), 0) / totalLoanAmount
+    : 0;
 
   // Calculate property value and equity
   const propertyValue = sanitize(property.current_value || property.purchase_price);
   const equity = Math.max(0, propertyValue - totalLoanAmount);
   const equityPercentage = propertyValue > 0 ? (equity / propertyValue) * 100 : 0;
+  const lvr = propertyValue > 0 ? Math.round((totalLoanAmount / propertyValue) * 10000) / 100 : 0;
 
   // Calculate cash-on-cash return
   const cashInvested = sanitize(property.down_payment) + sanitize(property.closing_costs) + sanitize(property.renovation_costs);
@@ -351,17 +317,36 @@ export const calculatePropertyMetrics = (property, transactions, rentals, expens
     netCashFlow,
     totalLoanAmount,
     totalMonthlyLoanPayment,
-    activeLoanCount: propertyLoans.length,
+    loanInterest,
+    averageInterestRate,
+    activeLoanCount: propertyLoans.filter(loan => isLoanActiveAt(loan)).length,
     propertyValue,
     equity,
     equityPercentage,
+    lvr,
     cashOnCashReturn,
     capRate,
     cashInvested
   };
 };
 
-export const calculatePortfolioMetrics = (properties, loans, transactions, year = new Date().getFullYear(), settings = {}) => {
+// Annualised rent for a rentals row at the rent in force on `date`; rent amounts are per `frequency`
+export const getAnnualRent = (rental, date = new Date()) => {
+  if (!rental) return 0;
+  return calculateDailyAmount(getRentAt(rental, date), rental.frequency || 'weekly') * 365.25;
+};
+
+// A sold property leaves the portfolio on its sale date
+export const isPropertyHeldAt = (property, date = new Date()) => {
+  if (!property?.sale_date) return true;
+  const asAt = date instanceof Date ? toDateString(date) : String(date).slice(0, 10);
+  return asAt < String(property.sale_date).slice(0, 10);
+};
+
+// With ownerId set, every property counts at that owner's share: income and expenses at their
+// share over the year, values, loans and rent roll at their share today. `ownership` holds the
+// owners and propertyOwnerships.
+export const calculatePortfolioMetrics = (properties, loans, transactions, year = new Date().getFullYear(), settings = {}, rentals = [], { ownerId = null, ownership = {} } = {}) => {
   if (!properties || properties.length === 0) return getDefaultPortfolioMetrics();
 
   let totalIncome = 0;
@@ -370,34 +355,54 @@ export const calculatePortfolioMetrics = (properties, loans, transactions, year
   let totalPurchasePrice = 0;
   let totalLoanAmount = 0;
   let totalMonthlyRepayment = 0;
+  let totalLoanInterest = 0;
   let activeLoanCount = 0;
   let propertiesWithLoans = 0;
-
+  let annualRentalIncome = 0;
+  let propertyCount = 0;
+  const today = new Date();
+  const { start: yearStart, end: yearEnd } = getYearRange(year);
 
   // Calculate metrics for each property and aggregate
   properties.forEach(property => {
     if (!property) return;
 
+    const yearShare = ownerId ? getOwnerPercentageForPeriod(property, ownership, ownerId, yearStart, yearEnd) / 100 : 1;
+    const currentShare = ownerId ? getOwnerPercentageAt(property, ownership, ownerId, today) / 100 : 1;
+    if (yearShare === 0 && currentShare === 0) return;
+
     const metrics = calculatePropertyMetrics(property, transactions, [], [], loans, year);
 
-    totalIncome += metrics.income;
-    totalExpenses += metrics.expenses;
-    totalValue += sanitize(property.current_value || property.purchase_price || 0);
+    totalIncome += metrics.income * yearShare;
+    totalExpenses += metrics.expenses * yearShare;
+
+    // Income and expenses for the year still count after a sale; value and debt don't
+    if (!isPropertyHeldAt(property, today) || currentShare === 0) return;
+    propertyCount++;
+    totalValue += sanitize(property.current_value || property.purchase_price || 0) * currentShare;
 
     // Calculate purchase price including acquisition costs
     const basePrice = sanitize(property.purchase_price || 0);
     const acqCosts = Array.isArray(property.acquisition_costs) ?
       property.acquisition_costs.reduce((sum, cost) => sum + sanitize(cost.amount || 0), 0) : 0;
-    totalPurchasePrice += basePrice + acqCosts;
+    totalPurchasePrice += (basePrice + acqCosts) * currentShare;
 
-    totalLoanAmount += metrics.totalLoanAmount;
-    totalMonthlyRepayment += metrics.totalMonthlyLoanPayment;
+    totalLoanAmount += metrics.totalLoanAmount * currentShare;
+    totalMonthlyRepayment += metrics.totalMonthlyLoanPayment * currentShare;
+    totalLoanInterest += metrics.loanInterest * yearShare;
     activeLoanCount += metrics.activeLoanCount;
     if (metrics.activeLoanCount > 0) propertiesWithLoans++;
+
+    // Current rent roll from the leases running today
+    annualRentalIncome += (Array.isArray(rentals) ? rentals : [])
+      .filter(rental => rental && rental.property_id === property.id && isTenancyActiveAt(rental, today))
+      .reduce((sum, rental) => sum + getAnnualRent(rental, today), 0) * currentShare;
   });
 
   const netCashFlow = totalIncome - totalExpenses;
   const averageYield = totalValue > 0 ? (totalIncome / totalValue) * 100 : 0;
+  // Cross-collateralised view: all debt secured against all properties
+  const portfolioLvr = totalValue > 0 ? Math.round((totalLoanAmount / totalValue) * 10000) / 100 : 0;
 
   return {
     totalIncome,
@@ -406,14 +411,164 @@ export const calculatePortfolioMetrics = (properties, loans, transactions, year
     totalValue,
     totalPurchasePrice,
     averageYield,
-    propertyCount: properties.length,
+    propertyCount,
     totalLoanAmount,
     totalMonthlyRepayment,
+    totalLoanInterest,
     activeLoanCount,
-    propertiesWithLoans
+    propertiesWithLoans,
+    portfolioLvr,
+    annualRentalIncome: Math.round(annualRentalIncome * 100) / 100
+  };
+};
+
+// Month-by-month cash flow for the `months` months from startDate's month: rent due on the
+// leases less management fees, loan repayments from each schedule and recurring expenses
+// still to come. Returns [{ month: 'YYYY-MM', rent, managementFees, loanRepayments,
+// recurringExpenses, net, cumulative }]
+export const calculateCashFlowForecast = ({ properties = [], rentals = [], loans = [], recurringExpenses = [] }, startDate = new Date(), months = 12) => {
+  const start = new Date(startDate.getFullYear(), startDate.getMonth(), 1);
+  const end = new Date(start.getFullYear(), start.getMonth() + months, 0);
+  const safeProperties = Array.isArray(properties) ? properties.filter(Boolean) : [];
+
+  const rows = Array.from({ length: months }, (_, i) => ({
+    month: toDateString(new Date(start.getFullYear(), start.getMonth() + i, 1)).substring(0, 7),
+    rent: 0,
+    managementFees: 0,
+    loanRepayments: 0,
+    recurringExpenses: 0
+  }));
+  const byMonth = new Map(rows.map(row => [row.month, row]));
+  const add = (date, field, amount) => {
+    const row = byMonth.get(String(date).substring(0, 7));
+    if (row) row[field] += Number(amount) || 0;
+  };
+
+  (Array.isArray(rentals) ? rentals : [])
+    .filter(rental => rental && (getTenancyEnd(rental) || rental.lease_status !== LEASE_STATUSES.ENDED))
+    .forEach(rental => {
+      const property = safeProperties.find(p => p.id === rental.property_id);
+      if (!property) return;
+
+      generateRentalTransactions({ ...property, rental }, start, end).forEach(row =>
+        add(row.date, row.type === 'income' ? 'rent' : 'managementFees', row.amount));
+    });
+
+  generateLoanPayments(loans, safeProperties, start, end).forEach(row =>
+    add(row.date, 'loanRepayments', row.amount));
+
+  (Array.isArray(recurringExpenses) ? recurringExpenses : [])
+    .filter(template => template && safeProperties.some(p => p.id === template.property_id))
+    .forEach(template => {
+      getRecurringOccurrences(template, start, end).forEach(date =>
+        add(toDateString(date), 'recurringExpenses', template.amount));
+    });
+
+  let cumulative = 0;
+  return rows.map(row => {
+    const roundedRow = {
+      month: row.month,
+      rent: Math.round(row.rent * 100) / 100,
+      managementFees: Math.round(row.managementFees * 100) / 100,
+      loanRepayments: Math.round(row.loanRepayments * 100) / 100,
+      recurringExpenses: Math.round(row.recurringExpenses * 100) / 100
+    };
+    const net = Math.round((roundedRow.rent - roundedRow.managementFees - roundedRow.loanRepayments - roundedRow.recurringExpenses) * 100) / 100;
+    cumulative = Math.round((cumulative + net) * 100) / 100;
+    return { ...roundedRow, net, cumulative };
+  });
+};
+
+// LVR thresholds in percent; lenders usually charge LMI above 80%
+export const DEFAULT_LVR_THRESHOLDS = { warning: 80, max: 90 };
+
+export const getLvrThresholds = (settings = {}) => {
+  const warning = parseFloat(settings?.lvrWarningThreshold);
+  const max = parseFloat(settings?.lvrMaxThreshold);
+  return {
+    warning: warning > 0 ? warning : DEFAULT_LVR_THRESHOLDS.warning,
+    max: max > 0 ? max : DEFAULT_LVR_THRESHOLDS.max
   };
 };
 
+// 'max' at or above the hard cap, 'warning' at or above the LMI threshold, otherwise 'ok'
+export const getLvrStatus = (lvr, thresholds = DEFAULT_LVR_THRESHOLDS) => {
+  if (lvr >= thresholds.max) return 'max';
+  if (lvr >= thresholds.warning) return 'warning';
+  return 'ok';
+};
+
+// Most recent event that could have moved a property's LVR: a new loan drawn against it
+// or a change to its value. Null when neither is recorded.
+const getLvrTrigger = (property, propertyLoans) => {
+  const loanDate = propertyLoans
+    .map(loan => new Date(loan.created_at || loan.start_date))
+    .filter(date => !isNaN(date))
+    .sort((a, b) => b - a)[0];
+  const valuationDate = property.valuation_date ? new Date(property.valuation_date) : null;
+
+  if (loanDate && !(valuationDate > loanDate)) {
+    return { trigger: 'new_loan', date: loanDate };
+  }
+  if (valuationDate && !isNaN(valuationDate)) {
+    return { trigger: 'valuation', date: valuationDate };
+  }
+  return { trigger: null, date: new Date() };
+};
+
+// Properties (and the portfolio as a whole) at or above an LVR threshold, highest LVR first.
+// Portfolio alerts have a null propertyId.
+export const getLvrAlerts = (properties, loans, settings = {}) => {
+  const safeProperties = Array.isArray(properties)
+    ? properties.filter(property => property && isPropertyHeldAt(property))
+    : [];
+  const safeLoans = Array.isArray(loans) ? loans.filter(Boolean) : [];
+  const thresholds = getLvrThresholds(settings);
+  const alerts = [];
+
+  let totalValue = 0;
+  let totalLoanAmount = 0;
+
+  safeProperties.forEach(property => {
+    const metrics = calculatePropertyMetrics(property, [], [], [], safeLoans);
+    totalValue += metrics.propertyValue;
+    totalLoanAmount += metrics.totalLoanAmount;
+
+    const status = getLvrStatus(metrics.lvr, thresholds);
+    if (status === 'ok') return;
+
+    const propertyLoans = safeLoans.filter(loan => loan.property_id === property.id && isLoanActiveAt(loan));
+    alerts.push({
+      propertyId: property.id,
+      name: property.name || property.address,
+      lvr: metrics.lvr,
+      status,
+      threshold: thresholds[status],
+      propertyValue: metrics.propertyValue,
+      totalLoanAmount: metrics.totalLoanAmount,
+      ...getLvrTrigger(property, propertyLoans)
+    });
+  });
+
+  const portfolioLvr = totalValue > 0 ? Math.round((totalLoanAmount / totalValue) * 10000) / 100 : 0;
+  const portfolioStatus = getLvrStatus(portfolioLvr, thresholds);
+  if (safeProperties.length > 1 && portfolioStatus !== 'ok') {
+    alerts.push({
+      propertyId: null,
+      name: 'Portfolio',
+      lvr: portfolioLvr,
+      status: portfolioStatus,
+      threshold: thresholds[portfolioStatus],
+      propertyValue: totalValue,
+      totalLoanAmount,
+      trigger: null,
+      date: new Date()
+    });
+  }
+
+  return alerts.sort((a, b) => b.lvr - a.lvr);
+};
+
 export const getPropertyLoanInfo = (propertyId, loans) => {
   const propertyLoans = loans.filter(loan => loan.property_id === propertyId && loan.status === 'active');
 
@@ -524,10 +679,13 @@ const getDefaultMetrics = () => ({
   netCashFlow: 0,
   totalLoanAmount: 0,
   totalMonthlyLoanPayment: 0,
+  loanInterest: 0,
+  averageInterestRate: 0,
   activeLoanCount: 0,
   propertyValue: 0,
   equity: 0,
   equityPercentage: 0,
+  lvr: 0,
   cashOnCashReturn: 0,
   capRate: 0,
   cashInvested: 0
@@ -543,6 +701,9 @@ const getDefaultPortfolioMetrics = () => ({
   propertyCount: 0,
   totalLoanAmount: 0,
   totalMonthlyRepayment: 0,
+  totalLoanInterest: 0,
   activeLoanCount: 0,
-  propertiesWithLoans: 0
+  propertiesWithLoans: 0,
+  portfolioLvr: 0,
+  annualRentalIncome: 0
 });
\ No newline at end of file
@@ -0,0 +1,658 @@
+import { sanitize } from './number';
+import DateUtils from './DateUtils';
+
+const PERIODS_PER_YEAR = 12;
+
+// Parse 'YYYY-MM-DD' as a local date so repayment dates don't shift with the timezone
+const parseLocalDate = (value) => {
+  if (!value) return null;
+  if (value instanceof Date) return isNaN(value.getTime()) ? null : new Date(value);
+
+  const match = /^(\d{4})-(\d{2})-(\d{2})/.exec(String(value));
+  if (match) {
+    return new Date(Number(match[1]), Number(match[2]) - 1, Number(match[3]));
+  }
+
+  const parsed = new Date(value);
+  return isNaN(parsed.getTime()) ? null : parsed;
+};
+
+// Add whole months, clamping to the last day of shorter months (31 Jan -> 28/29 Feb)
+const addMonthsClamped = (date, months) => {
+  const target = new Date(date.getFullYear(), date.getMonth() + months, 1);
+  const lastDay = new Date(target.getFullYear(), target.getMonth() + 1, 0).getDate();
+  target.setDate(Math.min(date.getDate(), lastDay));
+  return target;
+};
+
+const roundCents = (value) => Math.round(value * 100) / 100;
+
+// Loans rows store interest_rate as a decimal (0.0585); older records used percentages (5.85).
+// sanitize() only accepts two decimal places, so rates are parsed directly.
+export const normalizeInterestRate = (rate) => {
+  const parsed = typeof rate === 'number' ? rate : parseFloat(rate);
+  const value = Number.isFinite(parsed) ? parsed : 0;
+  return value > 1 ? value / 100 : value;
+};
+
+export const REPAYMENT_TYPES = {
+  PRINCIPAL_AND_INTEREST: 'principal_and_interest',
+  INTEREST_ONLY: 'interest_only'
+};
+
+export const RATE_TYPES = {
+  VARIABLE: 'variable',
+  FIXED: 'fixed'
+};
+
+export const LOAN_STATUSES = {
+  ACTIVE: 'active',
+  REFINANCED: 'refinanced'
+};
+
+export const EXTRA_REPAYMENT_TYPES = {
+  LUMP_SUM: 'lump_sum',
+  RECURRING: 'recurring'
+};
+
+// Read a loans row, falling back to the legacy camelCase fields used by demo data
+export const getLoanTerms = (loan) => {
+  if (!loan) return null;
+
+  const splitTotal = Array.isArray(loan.splits)
+    ? loan.splits.reduce((sum, split) => sum + sanitize(split?.amount), 0)
+    : 0;
+  const amount = splitTotal > 0 ? splitTotal : sanitize(loan.amount ?? loan.originalAmount);
+  const annualRate = normalizeInterestRate(loan.interest_rate ?? loan.interestRate);
+  const termYears = sanitize(loan.term_years ?? loan.loanTerm ?? loan.termYears);
+  const startDate = parseLocalDate(loan.start_date || loan.startDate);
+  const monthlyPayment = sanitize(loan.monthly_payment ?? loan.monthlyPayment ?? loan.regularPaymentAmount);
+  const endDate = parseLocalDate(loan.end_date);
+
+  return {
+    amount,
+    annualRate,
+    termYears,
+    totalPeriods: Math.round(termYears * PERIODS_PER_YEAR),
+    startDate,
+    endDate,
+    monthlyPayment
+  };
+};
+
+// A refinanced or closed loan stops on its end_date; the balance was paid out on that day
+export const isLoanActiveAt = (loan, date = new Date()) => {
+  const terms = getLoanTerms(loan);
+  if (!terms) return false;
+
+  const asAt = parseLocalDate(date);
+  return !terms.endDate || !asAt || asAt < terms.endDate;
+};
+
+// Total of a loan's one-off costs (break costs, establishment fees, ...)
+export const getLoanCostsTotal = (loan) => {
+  const costs = Array.isArray(loan?.loan_costs) ? loan.loan_costs : [];
+  return roundCents(costs.reduce((sum, cost) => sum + sanitize(cost?.amount), 0));
+};
+
+// Attach each loan's related rows so every schedule built from the loan sees them:
+// loan.rate_changes (rate in force on each repayment date), loan.offset_accounts,
+// each with its balance history as account.balances, and loan.extra_repayments
+export const attachLoanHistory = (loans, { rateChanges = [], offsetAccounts = [], offsetBalances = [], extraRepayments = [] } = {}) => {
+  if (!Array.isArray(loans)) return [];
+
+  return loans.map(loan => ({
+    ...loan,
+    rate_changes: rateChanges.filter(change => change && change.loan_id === loan.id),
+    offset_accounts: offsetAccounts
+      .filter(account => account && account.loan_id === loan.id)
+      .map(account => ({
+        ...account,
+        balances: offsetBalances.filter(entry => entry && entry.account_id === account.id)
+      })),
+    extra_repayments: extraRepayments.filter(extra => extra && extra.loan_id === loan.id)
+  }));
+};
+
+const getOffsetAccounts = (loan) => {
+  const accounts = Array.isArray(loan?.offset_accounts) ? loan.offset_accounts : [];
+
+  return accounts.map(account => ({
+    id: account.id,
+    splitId: account.split_id || null,
+    balances: (Array.isArray(account.balances) ? account.balances : [])
+      .map(entry => ({ date: parseLocalDate(entry.balance_date), balance: sanitize(entry.balance) }))
+      .filter(entry => entry.date)
+      .sort((a, b) => a.date - b.date)
+  }));
+};
+
+// Latest recorded balance of an offset or redraw account on or before the given date
+export const getOffsetBalanceAt = (account, date = new Date()) => {
+  const asAt = parseLocalDate(date);
+  const balances = Array.isArray(account?.balances) ? account.balances : [];
+
+  const latest = balances.reduce((current, entry) => {
+    const entryDate = parseLocalDate(entry.balance_date);
+    if (!entryDate || !asAt || entryDate > asAt) return current;
+    if (current && parseLocalDate(current.balance_date) > entryDate) return current;
+    return entry;
+  }, null);
+
+  return latest ? sanitize(latest.balance) : 0;
+};
+
+const getExtraRepayments = (loan) => {
+  const extras = Array.isArray(loan?.extra_repayments) ? loan.extra_repayments : [];
+
+  return extras
+    .map(extra => ({
+      id: extra.id,
+      splitId: extra.split_id || null,
+      recurring: extra.repayment_type === EXTRA_REPAYMENT_TYPES.RECURRING,
+      amount: sanitize(extra.amount),
+      startDate: parseLocalDate(extra.payment_date),
+      endDate: parseLocalDate(extra.end_date)
+    }))
+    .filter(extra => extra.startDate && extra.amount > 0);
+};
+
+const normalizeRateChanges = (loan) => {
+  const changes = Array.isArray(loan.rate_changes) ? loan.rate_changes : [];
+
+  return changes
+    .map(change => ({
+      id: change.id,
+      splitId: change.split_id || null,
+      effectiveDate: parseLocalDate(change.effective_date),
+      rate: normalizeInterestRate(change.interest_rate)
+    }))
+    .filter(change => change.effectiveDate)
+    .sort((a, b) => a.effectiveDate - b.effectiveDate);
+};
+
+// Normalise one tranche of a loan. Unsplit loans carry their structure on the loans row itself.
+const normalizeTranche = (source, fallback = {}) => {
+  const rateType = source.rate_type || fallback.rate_type || RATE_TYPES.VARIABLE;
+  const repaymentType = source.repayment_type || fallback.repayment_type || REPAYMENT_TYPES.PRINCIPAL_AND_INTEREST;
+  const interestRate = normalizeInterestRate(source.interest_rate ?? fallback.interest_rate);
+  const revertRate = source.revert_rate ?? fallback.revert_rate;
+
+  return {
+    id: source.id || 'main',
+    label: source.label || fallback.label || '',
+    amount: sanitize(source.amount),
+    rateType,
+    interestRate,
+    fixedRateExpiry: rateType === RATE_TYPES.FIXED ? parseLocalDate(source.fixed_rate_expiry) : null,
+    revertRate: revertRate !== undefined && revertRate !== null && revertRate !== ''
+      ? normalizeInterestRate(revertRate)
+      : interestRate,
+    repaymentType,
+    interestOnlyEndDate: repaymentType === REPAYMENT_TYPES.INTEREST_ONLY
+      ? parseLocalDate(source.interest_only_end_date)
+      : null,
+    rateChanges: fallback.rateChanges || []
+  };
+};
+
+// Split loans store their tranches in loans.splits; everything else is a single tranche
+export const getLoanTranches = (loan) => {
+  const terms = getLoanTerms(loan);
+  if (!terms) return [];
+
+  const splits = Array.isArray(loan.splits)
+    ? loan.splits.filter(split => split && sanitize(split.amount) > 0)
+    : [];
+
+  const rateChanges = normalizeRateChanges(loan);
+
+  if (splits.length > 0) {
+    return splits.map((split, index) => normalizeTranche(
+      { ...split, id: split.id || `split_${index + 1}` },
+      { label: `Split ${index + 1}`, rateChanges }
+    ));
+  }
+
+  return [normalizeTranche({
+    id: 'main',
+    label: loan.lender,
+    amount: terms.amount,
+    interest_rate: loan.interest_rate ?? loan.interestRate,
+    rate_type: loan.rate_type,
+    fixed_rate_expiry: loan.fixed_rate_expiry,
+    revert_rate: loan.revert_rate,
+    repayment_type: loan.repayment_type,
+    interest_only_end_date: loan.interest_only_end_date
+  }, { rateChanges })];
+};
+
+// Rate charged on a tranche for the repayment falling due on the given date.
+// The latest rate change effective on or before the date wins. Loan-wide changes only move
+// variable-rate tranches; a change logged against a specific split applies to that split alone.
+export const getTrancheRateAt = (tranche, date) => {
+  const isFixed = tranche.rateType === RATE_TYPES.FIXED;
+  const inFixedPeriod = isFixed && (!tranche.fixedRateExpiry || date <= tranche.fixedRateExpiry);
+
+  // Once a fixed period ends the revert rate applies, so earlier changes no longer matter
+  const revertFrom = isFixed && !inFixedPeriod ? tranche.fixedRateExpiry : null;
+  let rate = revertFrom ? tranche.revertRate : tranche.interestRate;
+
+  tranche.rateChanges.forEach(change => {
+    if (change.effectiveDate > date) return;
+    if (revertFrom && change.effectiveDate <= revertFrom) return;
+    if (change.splitId && change.splitId !== tranche.id) return;
+    if (!change.splitId && inFixedPeriod) return;
+
+    rate = change.rate;
+  });
+
+  return rate;
+};
+
+// Balance-weighted rate across a loan's tranches for the repayment due on the given date
+export const getLoanRateAt = (loan, date = new Date()) => {
+  const asAt = parseLocalDate(date);
+  const tranches = getLoanTranches(loan);
+  const total = tranches.reduce((sum, tranche) => sum + tranche.amount, 0);
+  if (!asAt || total <= 0) return normalizeInterestRate(loan?.interest_rate ?? loan?.interestRate);
+
+  return tranches.reduce((sum, tranche) => sum + getTrancheRateAt(tranche, asAt) * tranche.amount, 0) / total;
+};
+
+const isInterestOnlyAt = (tranche, date) =>
+  tranche.repaymentType === REPAYMENT_TYPES.INTEREST_ONLY &&
+  (!tranche.interestOnlyEndDate || date <= tranche.interestOnlyEndDate);
+
+// Standard annuity repayment for a fully amortising loan
+export const calculateRepayment = (principal, annualRate, totalPeriods, periodsPerYear = PERIODS_PER_YEAR) => {
+  const balance = sanitize(principal);
+  const periods = Math.max(0, Math.round(sanitize(totalPeriods)));
+  if (balance <= 0 || periods === 0) return 0;
+
+  const periodRate = normalizeInterestRate(annualRate) / periodsPerYear;
+  if (periodRate === 0) return roundCents(balance / periods);
+
+  const factor = Math.pow(1 + periodRate, periods);
+  return roundCents((balance * periodRate * factor) / (factor - 1));
+};
+
+// Offset and redraw balances in force on a date, per linked split (null = whole loan)
+const getOffsetAllocationAt = (offsetAccounts, date) => {
+  const allocation = { loan: 0, bySplit: {} };
+
+  offsetAccounts.forEach(account => {
+    let balance = 0;
+    for (const entry of account.balances) {
+      if (entry.date > date) break;
+      balance = entry.balance;
+    }
+    if (balance <= 0) return;
+
+    if (account.splitId) {
+      allocation.bySplit[account.splitId] = (allocation.bySplit[account.splitId] || 0) + balance;
+    } else {
+      allocation.loan += balance;
+    }
+  });
+
+  return allocation;
+};
+
+// Extra repayments due on a repayment date, per split (null = whole loan). A lump sum is
+// applied on the first repayment on or after its date; a recurring extra is added to every
+// repayment from its start date up to its end date.
+const getExtraRepaymentsDue = (extras, previousDate, paymentDate) => {
+  const due = { loan: 0, bySplit: {} };
+
+  extras.forEach(extra => {
+    const applies = extra.recurring
+      ? extra.startDate <= paymentDate && (!extra.endDate || paymentDate <= extra.endDate)
+      : extra.startDate > previousDate && extra.startDate <= paymentDate;
+    if (!applies) return;
+
+    if (extra.splitId) {
+      due.bySplit[extra.splitId] = (due.bySplit[extra.splitId] || 0) + extra.amount;
+    } else {
+      due.loan += extra.amount;
+    }
+  });
+
+  return due;
+};
+
+// Advance one tranche by one repayment period.
+// The repayment is recalculated over the remaining term whenever the rate or repayment
+// type changes (fixed expiry, end of interest-only), as lenders do. The recalculation uses
+// the contractual balance, so offsets and extra repayments shorten the term instead of
+// lowering the repayment. Offset balances reduce the balance interest is charged on;
+// extra repayments come off the balance after the scheduled repayment.
+const stepTranche = (state, { period, paymentDate, remainingPeriods, isFinalPeriod, agreedPayment, offset, extra }) => {
+  const { tranche } = state;
+  const rate = getTrancheRateAt(tranche, paymentDate);
+  const interestOnly = isInterestOnlyAt(tranche, paymentDate);
+  const openingBalance = state.balance;
+  const appliedOffset = Math.min(openingBalance, Math.max(0, offset));
+  const interest = roundCents((openingBalance - appliedOffset) * rate / PERIODS_PER_YEAR);
+
+  if (!interestOnly && (rate !== state.previousRate || state.previousInterestOnly !== false)) {
+    state.scheduledPayment = period === 1 && agreedPayment > 0
+      ? agreedPayment
+      : calculateRepayment(state.contractualBalance, rate, remainingPeriods);
+  }
+  state.previousRate = rate;
+  state.previousInterestOnly = interestOnly;
+
+  // Balance the loan would have had with no offsets or extra repayments
+  if (!interestOnly) {
+    const contractualInterest = roundCents(state.contractualBalance * rate / PERIODS_PER_YEAR);
+    const contractualPrincipal = Math.max(0, state.scheduledPayment - contractualInterest);
+    state.contractualBalance = roundCents(Math.max(0, state.contractualBalance - contractualPrincipal));
+  }
+
+  // Interest-only repayments leave the balance untouched; the final period clears
+  // whatever is left so the loan matures on time
+  let payment = interestOnly ? interest : state.scheduledPayment;
+  if (isFinalPeriod) payment = openingBalance + interest;
+  let principal = payment - interest;
+
+  if (principal > openingBalance) {
+    principal = openingBalance;
+    payment = principal + interest;
+  }
+
+  const extraPrincipal = Math.min(openingBalance - principal, Math.max(0, extra));
+  state.balance = roundCents(openingBalance - principal - extraPrincipal);
+
+  return {
+    trancheId: tranche.id,
+    label: tranche.label,
+    rate,
+    interestOnly,
+    offset: roundCents(appliedOffset),
+    openingBalance: roundCents(openingBalance),
+    payment: roundCents(payment),
+    interest,
+    principal: roundCents(principal),
+    extra: roundCents(extraPrincipal),
+    closingBalance: Math.max(0, state.balance)
+  };
+};
+
+// Build the full repayment schedule for a loan.
+// Each row carries the opening balance, interest charged, principal repaid and closing balance
+// for one monthly repayment period, plus the per-tranche breakdown for split loans.
+// The first repayment falls one month after start_date and the schedule stops at end_date
+// for a refinanced loan. Pass { ignoreOffsets: true } or
+// { ignoreExtraRepayments: true } to build the schedule the loan would follow without its
+// offset and redraw accounts or without its extra repayments.
+export const generateAmortizationSchedule = (loan, options = {}) => {
+  const terms = getLoanTerms(loan);
+  if (!terms || terms.totalPeriods <= 0 || !terms.startDate) return [];
+
+  const tranches = getLoanTranches(loan);
+  if (tranches.length === 0 || tranches.every(tranche => tranche.amount <= 0)) return [];
+
+  const offsetAccounts = options.ignoreOffsets ? [] : getOffsetAccounts(loan);
+  const extras = options.ignoreExtraRepayments ? [] : getExtraRepayments(loan);
+  const states = tranches.map(tranche => ({
+    tranche,
+    balance: tranche.amount,
+    contractualBalance: tranche.amount,
+    scheduledPayment: 0,
+    previousRate: null,
+    previousInterestOnly: null
+  }));
+
+  // An agreed repayment only makes sense against a single tranche
+  const agreedPayment = tranches.length === 1 ? terms.monthlyPayment : 0;
+  const schedule = [];
+
+  for (let period = 1; period <= terms.totalPeriods; period++) {
+    const activeStates = states.filter(state => state.balance > 0.005);
+    if (activeStates.length === 0) break;
+
+    const periodStart = addMonthsClamped(terms.startDate, period - 1);
+    const paymentDate = addMonthsClamped(terms.startDate, period);
+    if (terms.endDate && paymentDate > terms.endDate) break;
+
+    // Offsets are taken at the start of the period; loan-wide offsets and extra repayments
+    // are shared across tranches in proportion to their balances
+    const allocation = getOffsetAllocationAt(offsetAccounts, periodStart);
+    const extrasDue = getExtraRepaymentsDue(extras, periodStart, paymentDate);
+    const activeBalance = activeStates.reduce((sum, state) => sum + state.balance, 0);
+    const shareOf = (state, amount) => activeBalance > 0 ? amount * state.balance / activeBalance : 0;
+
+    const breakdown = activeStates.map(state => stepTranche(state, {
+      period,
+      paymentDate,
+      remainingPeriods: terms.totalPeriods - period + 1,
+      isFinalPeriod: period === terms.totalPeriods,
+      agreedPayment,
+      offset: (allocation.bySplit[state.tranche.id] || 0) + shareOf(state, allocation.loan),
+      extra: (extrasDue.bySplit[state.tranche.id] || 0) + shareOf(state, extrasDue.loan)
+    }));
+    const sum = (field) => roundCents(breakdown.reduce((total, row) => total + row[field], 0));
+
+    schedule.push({
+      period,
+      date: DateUtils.formatDate(paymentDate, 'YYYY-MM-DD'),
+      openingBalance: sum('openingBalance'),
+      offset: sum('offset'),
+      payment: sum('payment'),
+      interest: sum('interest'),
+      principal: sum('principal'),
+      extra: sum('extra'),
+      closingBalance: sum('closingBalance'),
+      interestOnly: breakdown.every(row => row.interestOnly),
+      tranches: breakdown
+    });
+  }
+
+  return schedule;
+};
+
+// Group consecutive periods of a tranche that share a rate and repayment type
+const buildSegments = (schedule, trancheId) => {
+  const segments = [];
+
+  schedule.forEach(row => {
+    const part = row.tranches.find(tranche => tranche.trancheId === trancheId);
+    if (!part) return;
+
+    const current = segments[segments.length - 1];
+    if (current && current.rate === part.rate && current.interestOnly === part.interestOnly) {
+      current.endDate = row.date;
+      current.periods += 1;
+      current.interest += part.interest;
+      current.principal += part.principal;
+      return;
+    }
+
+    segments.push({
+      startDate: row.date,
+      endDate: row.date,
+      periods: 1,
+      rate: part.rate,
+      interestOnly: part.interestOnly,
+      payment: part.payment,
+      interest: part.interest,
+      principal: part.principal
+    });
+  });
+
+  return segments.map(segment => ({
+    ...segment,
+    interest: roundCents(segment.interest),
+    principal: roundCents(segment.principal)
+  }));
+};
+
+// Totals and payoff details for a generated schedule, broken down by tranche and segment
+export const summarizeSchedule = (schedule) => {
+  const rows = Array.isArray(schedule) ? schedule : [];
+
+  const totalInterest = rows.reduce((sum, row) => sum + row.interest, 0);
+  const totalExtra = rows.reduce((sum, row) => sum + (row.extra || 0), 0);
+  const totalPrincipal = rows.reduce((sum, row) => sum + row.principal, 0) + totalExtra;
+  const lastRow = rows[rows.length - 1];
+  const firstPrincipalRow = rows.find(row => !row.interestOnly);
+
+  const tranches = rows.length > 0
+    ? rows[0].tranches.map(first => {
+      const segments = buildSegments(rows, first.trancheId);
+      return {
+        id: first.trancheId,
+        label: first.label,
+        amount: first.openingBalance,
+        totalInterest: roundCents(segments.reduce((sum, segment) => sum + segment.interest, 0)),
+        segments
+      };
+    })
+    : [];
+
+  return {
+    periods: rows.length,
+    regularPayment: rows.length > 0 ? rows[0].payment : 0,
+    principalAndInterestPayment: firstPrincipalRow ? firstPrincipalRow.payment : 0,
+    interestOnlyPeriods: rows.filter(row => row.interestOnly).length,
+    totalInterest: roundCents(totalInterest),
+    totalPrincipal: roundCents(totalPrincipal),
+    totalExtraRepayments: roundCents(totalExtra),
+    totalPaid: roundCents(totalInterest + totalPrincipal),
+    payoffDate: lastRow ? lastRow.date : null,
+    tranches
+  };
+};
+
+// Rows whose repayment date falls within [startDate, endDate]
+export const getScheduleRowsInRange = (schedule, startDate, endDate) => {
+  const start = parseLocalDate(startDate);
+  const end = parseLocalDate(endDate);
+  if (!Array.isArray(schedule) || !start || !end) return [];
+
+  return schedule.filter(row => {
+    const rowDate = parseLocalDate(row.date);
+    return rowDate >= start && rowDate <= end;
+  });
+};
+
+// Interest charged by the repayments falling within [startDate, endDate]
+export const getLoanInterestInRange = (loan, startDate, endDate, schedule = null) => {
+  const rows = getScheduleRowsInRange(schedule || generateAmortizationSchedule(loan), startDate, endDate);
+  return roundCents(rows.reduce((sum, row) => sum + row.interest, 0));
+};
+
+// Interest with and without the loan's offset and redraw accounts, grouped by financial year.
+// Years after the latest recorded balance are projected on that balance.
+export const getOffsetInterestSavings = (loan, fyStartMonth = 7) => {
+  if (getOffsetAccounts(loan).length === 0) return [];
+
+  const years = {};
+  const addInterest = (rows, field) => {
+    rows.forEach(row => {
+      const fyStart = DateUtils.getFinancialYearStart(parseLocalDate(row.date), fyStartMonth);
+      const year = fyStart.getFullYear();
+      if (!years[year]) years[year] = { year, interest: 0, interestWithoutOffset: 0 };
+      years[year][field] += row.interest;
+    });
+  };
+
+  addInterest(generateAmortizationSchedule(loan), 'interest');
+  addInterest(generateAmortizationSchedule(loan, { ignoreOffsets: true }), 'interestWithoutOffset');
+
+  return Object.values(years)
+    .sort((a, b) => a.year - b.year)
+    .map(entry => ({
+      year: entry.year,
+      interest: roundCents(entry.interest),
+      interestWithoutOffset: roundCents(entry.interestWithoutOffset),
+      saved: roundCents(entry.interestWithoutOffset - entry.interest)
+    }));
+};
+
+// Effect of a loan's extra repayments: interest saved and how much sooner the loan is paid off.
+// Returns null when the loan has no extra repayments.
+export const getExtraRepaymentSavings = (loan, schedule = null) => {
+  if (getExtraRepayments(loan).length === 0) return null;
+
+  const withExtras = summarizeSchedule(schedule || generateAmortizationSchedule(loan));
+  const withoutExtras = summarizeSchedule(generateAmortizationSchedule(loan, { ignoreExtraRepayments: true }));
+
+  return {
+    totalExtraRepayments: withExtras.totalExtraRepayments,
+    interestSaved: roundCents(withoutExtras.totalInterest - withExtras.totalInterest),
+    periodsSaved: withoutExtras.periods - withExtras.periods,
+    payoffDate: withExtras.payoffDate,
+    originalPayoffDate: withoutExtras.payoffDate
+  };
+};
+
+// Outstanding balance after every repayment due on or before the given date
+export const getLoanBalanceAt = (loan, date = new Date(), schedule = null) => {
+  const terms = getLoanTerms(loan);
+  if (!terms) return 0;
+
+  const asAt = parseLocalDate(date);
+  if (!isLoanActiveAt(loan, asAt)) return 0;
+  if (!terms.startDate || !asAt || asAt < terms.startDate) return terms.amount;
+
+  const rows = schedule || generateAmortizationSchedule(loan);
+  let balance = terms.amount;
+
+  for (const row of rows) {
+    if (parseLocalDate(row.date) > asAt) break;
+    balance = row.closingBalance;
+  }
+
+  return balance;
+};
+
+// Repayment currently due: the schedule row for the next repayment on or after the given date
+export const getLoanMonthlyPayment = (loan, date = new Date(), schedule = null) => {
+  const terms = getLoanTerms(loan);
+  if (!terms) return 0;
+
+  const asAt = parseLocalDate(date);
+  if (!isLoanActiveAt(loan, asAt)) return 0;
+
+  const rows = schedule || generateAmortizationSchedule(loan);
+  if (rows.length === 0) return terms.monthlyPayment;
+
+  const nextRow = rows.find(row => !asAt || parseLocalDate(row.date) >= asAt);
+  return nextRow ? nextRow.payment : 0;
+};
+
+// Before/after view of a refinance: the old loan's remaining repayments had it run on from
+// the refinance date, against the new loan's full schedule plus the costs of switching
+export const compareRefinance = (oldLoan, newLoan, refinanceDate) => {
+  const asAt = parseLocalDate(refinanceDate);
+  if (!oldLoan || !newLoan || !asAt) return null;
+
+  const oldRows = generateAmortizationSchedule({ ...oldLoan, end_date: null })
+    .filter(row => parseLocalDate(row.date) > asAt);
+  const newRows = generateAmortizationSchedule(newLoan);
+  const costs = getLoanCostsTotal(newLoan);
+
+  const summarize = (rows) => {
+    const summary = summarizeSchedule(rows);
+    return {
+      payment: summary.regularPayment,
+      periods: summary.periods,
+      totalInterest: summary.totalInterest,
+      payoffDate: summary.payoffDate
+    };
+  };
+
+  const before = summarize(oldRows);
+  const after = summarize(newRows);
+
+  return {
+    before,
+    after,
+    costs,
+    paymentChange: roundCents(after.payment - before.payment),
+    interestSaved: roundCents(before.totalInterest - after.totalInterest),
+    netSaving: roundCents(before.totalInterest - after.totalInterest - costs)
+  };
+};
@@ -0,0 +1,171 @@
+// People and entities that hold properties
+export const OWNER_TYPES = {
+  INDIVIDUAL: 'individual',
+  TRUST: 'trust',
+  COMPANY: 'company',
+  SMSF: 'smsf'
+};
+
+export const OWNER_TYPE_LABELS = {
+  [OWNER_TYPES.INDIVIDUAL]: 'Individual',
+  [OWNER_TYPES.TRUST]: 'Trust',
+  [OWNER_TYPES.COMPANY]: 'Company',
+  [OWNER_TYPES.SMSF]: 'SMSF'
+};
+
+// Stands in for the user when no owners have been set up
+export const DEFAULT_OWNER = {
+  id: 'self',
+  name: 'You',
+  owner_type: OWNER_TYPES.INDIVIDUAL,
+  other_income: 0,
+  marginal_rate: null
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Parse 'YYYY-MM-DD' as a local date so effective dates don't shift with the timezone
+const parseLocalDate = (value) => {
+  if (!value) return null;
+  if (value instanceof Date) {
+    return isNaN(value.getTime()) ? null : new Date(value.getFullYear(), value.getMonth(), value.getDate());
+  }
+  const match = /^(\d{4})-(\d{2})-(\d{2})/.exec(String(value));
+  const date = match
+    ? new Date(Number(match[1]), Number(match[2]) - 1, Number(match[3]))
+    : new Date(value);
+  return isNaN(date.getTime()) ? null : date;
+};
+
+// The owners set up, or the default owner when there are none
+export const getOwnerList = (owners) => {
+  const list = (Array.isArray(owners) ? owners : []).filter(owner => owner && owner.id);
+  return list.length > 0 ? list : [DEFAULT_OWNER];
+};
+
+// Ownership changes recorded for a property, oldest first:
+// [{ effectiveFrom: 'YYYY-MM-DD', date, shares: [{ owner_id, percentage }] }]
+export const getOwnershipHistory = (property, propertyOwnerships) => {
+  const byDate = {};
+  (Array.isArray(propertyOwnerships) ? propertyOwnerships : [])
+    .filter(row => row && row.property_id === property?.id && parseLocalDate(row.effective_from))
+    .forEach(row => {
+      const key = String(row.effective_from).split('T')[0];
+      (byDate[key] = byDate[key] || []).push({ owner_id: row.owner_id, percentage: parseFloat(row.percentage) || 0 });
+    });
+
+  return Object.keys(byDate)
+    .sort()
+    .map(effectiveFrom => ({ effectiveFrom, date: parseLocalDate(effectiveFrom), shares: byDate[effectiveFrom] }));
+};
+
+// Shares in a property on `date`: [{ owner, percentage }]. `ownership` holds the owners (from
+// getOwnerList) and propertyOwnerships. The latest change on or before the date applies, and
+// the first recorded shares apply before that. A property with no recorded shares is held by
+// its entity, or the first owner, at the property's ownership_percentage.
+export const getPropertySharesAt = (property, { owners = [], propertyOwnerships = [] } = {}, date = new Date()) => {
+  const list = getOwnerList(owners);
+  const history = getOwnershipHistory(property, propertyOwnerships);
+  if (history.length === 0) {
+    const ownership = parseFloat(property?.ownership_percentage);
+    const holder = list.find(owner => owner.id === property?.entity_id) || list[0];
+    return [{ owner: holder, percentage: ownership > 0 ? ownership : 100 }];
+  }
+
+  const on = parseLocalDate(date) || new Date();
+  const current = [...history].reverse().find(change => change.date <= on) || history[0];
+  const ownersById = new Map(list.map(owner => [owner.id, owner]));
+  return current.shares
+    .filter(share => ownersById.has(share.owner_id) && share.percentage > 0)
+    .map(share => ({ owner: ownersById.get(share.owner_id), percentage: share.percentage }));
+};
+
+export const getOwnerPercentageAt = (property, ownership, ownerId, date = new Date()) =>
+  getPropertySharesAt(property, ownership, date)
+    .filter(share => share.owner.id === ownerId)
+    .reduce((sum, share) => sum + share.percentage, 0);
+
+// An owner's share of a property over [start, end], weighted by the days each recorded share
+// applied. Income and deductions for the period are split by it.
+export const getOwnerPercentageForPeriod = (property, ownership, ownerId, start, end) => {
+  const from = parseLocalDate(start);
+  const to = parseLocalDate(end);
+  if (!from || !to || to < from) return getOwnerPercentageAt(property, ownership, ownerId, start);
+
+  const changes = getOwnershipHistory(property, ownership?.propertyOwnerships)
+    .map(change => change.date)
+    .filter(date => date > from && date <= to);
+  const boundaries = [from, ...changes];
+  const totalDays = Math.round((to - from) / DAY_MS) + 1;
+
+  const weighted = boundaries.reduce((sum, segmentStart, index) => {
+    const segmentEnd = index + 1 < boundaries.length ? boundaries[index + 1] : new Date(to.getTime() + DAY_MS);
+    const days = Math.round((segmentEnd - segmentStart) / DAY_MS);
+    return sum + getOwnerPercentageAt(property, ownership, ownerId, segmentStart) * days;
+  }, 0);
+
+  return Math.round(weighted / totalDays * 100) / 100;
+};
+
+// Entities keep their own books: each trust, company and SMSF owner has a ledger, and
+// everything else is in the personal ledger. Properties, loans and transactions carry an
+// entity_id; loans and transactions without one follow their property.
+export const CONSOLIDATED_ENTITY_ID = 'all';
+export const PERSONAL_ENTITY_ID = 'personal';
+
+export const PERSONAL_ENTITY = {
+  id: PERSONAL_ENTITY_ID,
+  name: 'Personal',
+  owner_type: OWNER_TYPES.INDIVIDUAL
+};
+
+export const getEntities = (owners) =>
+  (Array.isArray(owners) ? owners : [])
+    .filter(owner => owner && owner.id && owner.owner_type && owner.owner_type !== OWNER_TYPES.INDIVIDUAL);
+
+// The personal ledger followed by each entity
+export const getLedgers = (owners) => [PERSONAL_ENTITY, ...getEntities(owners)];
+
+export const getEntityName = (entityId, owners) =>
+  getLedgers(owners).find(ledger => ledger.id === entityId)?.name || PERSONAL_ENTITY.name;
+
+// Returns record => ledger id. Entity ids that aren't a current entity fall back to the
+// personal ledger.
+export const createEntityResolver = (owners, properties) => {
+  const entityIds = new Set(getEntities(owners).map(entity => entity.id));
+  const ledgerOf = (entityId) => (entityIds.has(entityId) ? entityId : null);
+  const propertyLedgers = new Map((Array.isArray(properties) ? properties : [])
+    .filter(Boolean)
+    .map(property => [property.id, ledgerOf(property.entity_id)]));
+
+  return (record) => ledgerOf(record?.entity_id)
+    || propertyLedgers.get(record?.property_id || record?.propertyId)
+    || PERSONAL_ENTITY_ID;
+};
+
+// Properties, loans and transactions in one ledger. The consolidated view keeps everything.
+export const filterByEntity = ({ properties = [], loans = [], transactions = [], owners = [] }, entityId) => {
+  const safeProperties = Array.isArray(properties) ? properties : [];
+  const safeLoans = Array.isArray(loans) ? loans : [];
+  const safeTransactions = Array.isArray(transactions) ? transactions : [];
+  if (!entityId || entityId === CONSOLIDATED_ENTITY_ID) {
+    return { properties: safeProperties, loans: safeLoans, transactions: safeTransactions };
+  }
+
+  const resolve = createEntityResolver(owners, safeProperties);
+  const inLedger = (record) => record && resolve(record) === entityId;
+  return {
+    properties: safeProperties.filter(inLedger),
+    loans: safeLoans.filter(inLedger),
+    transactions: safeTransactions.filter(inLedger)
+  };
+};
+
+// Adds an `entity` column with each record's ledger name, for exports
+export const withEntityNames = (records, owners, properties) => {
+  const resolve = createEntityResolver(owners, properties);
+  return (Array.isArray(records) ? records : []).map(record => ({
+    ...record,
+    entity: getEntityName(resolve(record), owners)
+  }));
+};
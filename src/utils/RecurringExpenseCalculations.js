@@ -0,0 +1,104 @@
+import { sanitize } from './number';
+
+// Bills that come round on a fixed cycle: council rates, water, strata levies, insurance
+export const RECURRING_FREQUENCIES = {
+  MONTHLY: 'monthly',
+  QUARTERLY: 'quarterly',
+  HALF_YEARLY: 'half_yearly',
+  YEARLY: 'yearly'
+};
+
+const FREQUENCY_MONTHS = {
+  [RECURRING_FREQUENCIES.MONTHLY]: 1,
+  [RECURRING_FREQUENCIES.QUARTERLY]: 3,
+  [RECURRING_FREQUENCIES.HALF_YEARLY]: 6,
+  [RECURRING_FREQUENCIES.YEARLY]: 12
+};
+
+// Parse 'YYYY-MM-DD' as a local date so due dates don't shift with the timezone
+const parseLocalDate = (value) => {
+  if (!value) return null;
+  if (value instanceof Date) {
+    return isNaN(value.getTime()) ? null : new Date(value.getFullYear(), value.getMonth(), value.getDate());
+  }
+
+  const match = /^(\d{4})-(\d{2})-(\d{2})/.exec(String(value));
+  if (match) {
+    return new Date(Number(match[1]), Number(match[2]) - 1, Number(match[3]));
+  }
+
+  const parsed = new Date(value);
+  return isNaN(parsed.getTime()) ? null : new Date(parsed.getFullYear(), parsed.getMonth(), parsed.getDate());
+};
+
+export const toDateString = (date) => {
+  const pad = (n) => String(n).padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+};
+
+// Same day `months` later, clamped to the end of shorter months (31st -> 28/29 Feb)
+const addMonthsOnDay = (date, months, day) => {
+  const target = new Date(date.getFullYear(), date.getMonth() + months, 1);
+  const lastDay = new Date(target.getFullYear(), target.getMonth() + 1, 0).getDate();
+  target.setDate(Math.min(day, lastDay));
+  return target;
+};
+
+const getStepMonths = (template) => FREQUENCY_MONTHS[template?.frequency] || 3;
+
+// Every due date of a template, stepping from its first due date (start_date) so a bill due
+// on the 31st stays on the last day of shorter months. Only dates from next_due_date on
+// are still to come; earlier ones have been recorded.
+const eachDueDate = function* (template) {
+  const first = parseLocalDate(template?.start_date || template?.next_due_date);
+  if (!first) return;
+
+  const step = getStepMonths(template);
+  const day = first.getDate();
+  for (let i = 0; i < 1200; i += 1) {
+    yield addMonthsOnDay(first, i * step, day);
+  }
+};
+
+// Due dates of a template in [startDate, endDate] that have not been recorded yet
+export const getRecurringOccurrences = (template, startDate, endDate) => {
+  if (!template || template.is_active === false) return [];
+
+  const nextDue = parseLocalDate(template.next_due_date);
+  const requestedStart = parseLocalDate(startDate);
+  const start = nextDue && (!requestedStart || nextDue > requestedStart) ? nextDue : requestedStart;
+  const templateEnd = parseLocalDate(template.end_date);
+  const requestedEnd = parseLocalDate(endDate);
+  const end = templateEnd && (!requestedEnd || templateEnd < requestedEnd) ? templateEnd : requestedEnd;
+  if (!start || !end || end < start) return [];
+
+  const dates = [];
+  for (const date of eachDueDate(template)) {
+    if (date > end) break;
+    if (date >= start) dates.push(date);
+  }
+  return dates;
+};
+
+// First due date after `date`, or null once the template has ended
+export const getNextDueDate = (template, date) => {
+  const after = parseLocalDate(date);
+  const templateEnd = parseLocalDate(template?.end_date);
+
+  for (const due of eachDueDate(template)) {
+    if (templateEnd && due > templateEnd) return null;
+    if (!after || due > after) return due;
+  }
+  return null;
+};
+
+// Templates set to record themselves, with each due date up to `asOf` still to record
+export const getDueRecurringExpenses = (templates, asOf = new Date()) =>
+  (Array.isArray(templates) ? templates : [])
+    .filter(template => template && template.auto_create)
+    .map(template => ({ template, dates: getRecurringOccurrences(template, null, asOf) }))
+    .filter(due => due.dates.length > 0);
+
+// Average yearly cost of a template
+export const getAnnualRecurringCost = (template) =>
+  Math.round(sanitize(template?.amount) * (12 / getStepMonths(template)) * 100) / 100;
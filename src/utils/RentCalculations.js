@@ -0,0 +1,481 @@
+import { sanitize } from './number';
+import DateUtils from './DateUtils';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// How rent is spread over a reporting range:
+// scheduled - one row per due date for the full rent (cash received)
+// accrual   - each rent period's amount spread evenly over its days (pro-rata reporting)
+export const RENT_SCHEDULE_MODES = {
+  SCHEDULED: 'scheduled',
+  ACCRUAL: 'accrual'
+};
+
+// Length of one rent period, in days or in calendar months
+const FREQUENCY_STEPS = {
+  daily: { days: 1 },
+  weekly: { days: 7 },
+  fortnightly: { days: 14 },
+  monthly: { months: 1 },
+  quarterly: { months: 3 },
+  'semi-annually': { months: 6 },
+  annually: { months: 12 }
+};
+
+const FREQUENCY_ALIASES = {
+  biweekly: 'fortnightly',
+  yearly: 'annually',
+  annual: 'annually'
+};
+
+export const normalizeRentFrequency = (frequency) => {
+  const key = String(frequency || 'weekly').toLowerCase().trim();
+  const normalized = FREQUENCY_ALIASES[key] || key;
+  return FREQUENCY_STEPS[normalized] ? normalized : 'weekly';
+};
+
+// Parse 'YYYY-MM-DD' as a local date so due dates don't shift with the timezone
+const parseLocalDate = (value) => {
+  if (!value) return null;
+  if (value instanceof Date) {
+    return isNaN(value.getTime()) ? null : new Date(value.getFullYear(), value.getMonth(), value.getDate());
+  }
+
+  const match = /^(\d{4})-(\d{2})-(\d{2})/.exec(String(value));
+  if (match) {
+    return new Date(Number(match[1]), Number(match[2]) - 1, Number(match[3]));
+  }
+
+  const parsed = new Date(value);
+  return isNaN(parsed.getTime()) ? null : new Date(parsed.getFullYear(), parsed.getMonth(), parsed.getDate());
+};
+
+const addDays = (date, days) => new Date(date.getFullYear(), date.getMonth(), date.getDate() + days);
+
+// Whole days between two local dates; rounding absorbs daylight-saving shifts
+const daysBetween = (start, end) => Math.round((end - start) / DAY_MS);
+
+// Same due day `months` later, clamped to the end of shorter months (31st -> 28/29 Feb)
+const addMonthsOnDay = (date, months, dueDay) => {
+  const target = new Date(date.getFullYear(), date.getMonth() + months, 1);
+  const lastDay = new Date(target.getFullYear(), target.getMonth() + 1, 0).getDate();
+  target.setDate(Math.min(dueDay, lastDay));
+  return target;
+};
+
+const roundCents = (value) => Math.round(value * 100) / 100;
+
+// Lease bounds for rentals rows and the older camelCase shapes
+const getLeaseStart = (rental) =>
+  parseLocalDate(rental?.lease_start || rental?.leaseStartDate || rental?.startDate);
+
+const getLeaseEnd = (rental) =>
+  parseLocalDate(rental?.lease_end || rental?.leaseEndDate || rental?.endDate);
+
+// active       - within the fixed term
+// periodic     - fixed term over, tenant stays on and rent continues
+// notice_given - a vacate_date has been set
+// ended        - tenant has moved out or the lease was renewed into a new one
+export const LEASE_STATUSES = {
+  ACTIVE: 'active',
+  PERIODIC: 'periodic',
+  NOTICE_GIVEN: 'notice_given',
+  ENDED: 'ended'
+};
+
+// Last day of the tenancy: the vacate date once notice is given, open while periodic,
+// otherwise the fixed-term end
+export const getTenancyEnd = (rental) => {
+  const vacateDate = parseLocalDate(rental?.vacate_date);
+  if (vacateDate) return vacateDate;
+  if (rental?.lease_status === LEASE_STATUSES.PERIODIC) return null;
+  return getLeaseEnd(rental);
+};
+
+// Lease state on `asOf`. Rentals saved before lease states existed have no lease_status
+// and simply end at lease_end.
+export const getLeaseStatus = (rental, asOf = new Date()) => {
+  const today = parseLocalDate(asOf);
+  const end = getTenancyEnd(rental);
+
+  if (rental?.lease_status === LEASE_STATUSES.ENDED || (end && today && end < today)) {
+    return LEASE_STATUSES.ENDED;
+  }
+  if (rental?.lease_status === LEASE_STATUSES.NOTICE_GIVEN || rental?.vacate_date) {
+    return LEASE_STATUSES.NOTICE_GIVEN;
+  }
+  if (rental?.lease_status === LEASE_STATUSES.PERIODIC) return LEASE_STATUSES.PERIODIC;
+  return LEASE_STATUSES.ACTIVE;
+};
+
+// Whether the tenant is in the property on `date`
+export const isTenancyActiveAt = (rental, date = new Date()) => {
+  const day = parseLocalDate(date);
+  const start = getLeaseStart(rental);
+  const end = getTenancyEnd(rental);
+  if (!day || (start && start > day)) return false;
+  if (end) return end >= day;
+  return rental?.lease_status !== LEASE_STATUSES.ENDED;
+};
+
+// How a rent change moves the rent:
+// amount     - sets a new rent
+// fixed      - adds a dollar amount (negative for a reduction)
+// percentage - adds a percentage of the current rent
+// cpi        - adds the CPI figure as a percentage
+export const RENT_CHANGE_TYPES = {
+  AMOUNT: 'amount',
+  FIXED: 'fixed',
+  PERCENTAGE: 'percentage',
+  CPI: 'cpi'
+};
+
+// Attach each rental's rent changes as rental.rent_changes so every schedule built from it sees them
+export const attachRentChanges = (rentals, rentChanges = []) => {
+  if (!Array.isArray(rentals)) return [];
+
+  return rentals.map(rental => ({
+    ...rental,
+    rent_changes: rentChanges.filter(change => change && change.rental_id === rental.id)
+  }));
+};
+
+// Percentages like a 3.456% CPI figure need more precision than sanitize() allows
+const toChangeValue = (value) => {
+  const number = parseFloat(value);
+  return Number.isFinite(number) ? number : 0;
+};
+
+// A rental's rent changes in effective date order
+const getRentChanges = (rental) =>
+  (Array.isArray(rental?.rent_changes) ? rental.rent_changes : [])
+    .map(change => ({
+      id: change.id,
+      date: parseLocalDate(change.effective_date),
+      type: change.change_type || RENT_CHANGE_TYPES.AMOUNT,
+      value: toChangeValue(change.value),
+      notes: change.notes || '',
+      record: change
+    }))
+    .filter(change => change.date)
+    .sort((a, b) => a.date - b.date);
+
+const applyRentChange = (rent, change) => {
+  switch (change.type) {
+    case RENT_CHANGE_TYPES.AMOUNT:
+      return roundCents(change.value);
+    case RENT_CHANGE_TYPES.FIXED:
+      return roundCents(rent + change.value);
+    case RENT_CHANGE_TYPES.PERCENTAGE:
+    case RENT_CHANGE_TYPES.CPI:
+      return roundCents(rent * (1 + change.value / 100));
+    default:
+      return rent;
+  }
+};
+
+// Base rent with every change effective on or before `date` applied in order
+const applyRentChanges = (baseRent, changes, date) =>
+  changes.reduce((rent, change) => (change.date <= date ? applyRentChange(rent, change) : rent), baseRent);
+
+// Rent in force on `date`. `monthly_rent` is the rent at the lease start; rent changes
+// move it from their effective dates, so past periods keep the rent they were charged at.
+export const getRentAt = (rental, date = new Date(), baseRent = rental?.monthly_rent ?? rental?.amount) => {
+  const on = parseLocalDate(date);
+  const rent = sanitize(baseRent);
+  return on ? applyRentChanges(rent, getRentChanges(rental), on) : rent;
+};
+
+// Rent price history: [{ id, date, type, value, notes, previousRent, rent, record }]
+export const getRentHistory = (rental) => {
+  let rent = sanitize(rental?.monthly_rent ?? rental?.amount);
+
+  return getRentChanges(rental).map(change => {
+    const previousRent = rent;
+    rent = applyRentChange(rent, change);
+    return { ...change, previousRent, rent };
+  });
+};
+
+// Day of month monthly rent falls due; defaults to the lease start's day
+export const getRentDueDay = (rental) => {
+  const dueDay = parseInt(rental?.rent_due_day, 10);
+  if (dueDay >= 1 && dueDay <= 31) return dueDay;
+  return getLeaseStart(rental)?.getDate() || 1;
+};
+
+// Rent periods overlapping [startDate, endDate]. Each period runs from its due date up to
+// (not including) the next one and is charged the rent in force on its due date. A first
+// period shortened by a set due day, or a last period cut short by the lease end, is
+// charged pro-rata against a full period.
+// Returns [{ dueDate, start, end, days, fullDays, amount }] with `end` exclusive.
+export const getRentPeriods = (rental, amount, startDate, endDate) => {
+  const rent = sanitize(amount);
+  const leaseStart = getLeaseStart(rental) || parseLocalDate(startDate);
+  const rangeStart = parseLocalDate(startDate);
+  const rangeEnd = parseLocalDate(endDate);
+  if (rent <= 0 || !leaseStart || !rangeStart || !rangeEnd || rangeEnd < rangeStart) return [];
+
+  const leaseEnd = getTenancyEnd(rental);
+  const leaseEndExclusive = leaseEnd ? addDays(leaseEnd, 1) : null;
+  const step = FREQUENCY_STEPS[normalizeRentFrequency(rental?.frequency)];
+  const dueDay = getRentDueDay(rental);
+  const rentChanges = getRentChanges(rental);
+
+  // Next boundary after `date`, and the nominal start of the period ending there
+  const nextBoundary = (date) => {
+    if (step.days) return addDays(date, step.days);
+    const onDueDay = addMonthsOnDay(date, 0, dueDay);
+    if (onDueDay.getTime() === date.getTime()) return addMonthsOnDay(date, step.months, dueDay);
+    // Lease starts off the due day: a short first period runs to the next due day
+    return onDueDay > date ? onDueDay : addMonthsOnDay(date, 1, dueDay);
+  };
+  const nominalStart = (boundary) =>
+    step.days ? addDays(boundary, -step.days) : addMonthsOnDay(boundary, -step.months, dueDay);
+
+  let periodStart = leaseStart;
+  // Weekly-style periods can jump straight to the range instead of walking from the lease start
+  if (step.days && rangeStart > leaseStart) {
+    const skipped = Math.floor(daysBetween(leaseStart, rangeStart) / step.days);
+    periodStart = addDays(leaseStart, skipped * step.days);
+  }
+
+  const periods = [];
+  while (periodStart <= rangeEnd && (!leaseEndExclusive || periodStart < leaseEndExclusive)) {
+    const boundary = nextBoundary(periodStart);
+    const periodEnd = leaseEndExclusive && leaseEndExclusive < boundary ? leaseEndExclusive : boundary;
+
+    if (periodEnd > rangeStart) {
+      const fullDays = daysBetween(nominalStart(boundary), boundary);
+      const days = daysBetween(periodStart, periodEnd);
+      const periodRent = applyRentChanges(rent, rentChanges, periodStart);
+      periods.push({
+        dueDate: periodStart,
+        start: periodStart,
+        end: periodEnd,
+        days,
+        fullDays,
+        amount: days >= fullDays ? periodRent : roundCents(periodRent * days / fullDays)
+      });
+    }
+
+    periodStart = boundary;
+  }
+
+  return periods;
+};
+
+// Dates rent falls due within [startDate, endDate]
+export const getRentDueDates = (rental, startDate, endDate) => {
+  const rangeStart = parseLocalDate(startDate);
+  return getRentPeriods(rental, rental?.monthly_rent ?? rental?.amount, startDate, endDate)
+    .filter(period => period.dueDate >= rangeStart)
+    .map(period => period.dueDate);
+};
+
+// Share of a period total for one of its days, rounded to cents. The last day takes the
+// rounding remainder so the days add back up to the period total.
+export const getDailyShare = (total, days, dayIndex) => {
+  if (days <= 0) return 0;
+  const daily = roundCents(total / days);
+  return dayIndex === days - 1 ? roundCents(total - daily * (days - 1)) : daily;
+};
+
+// Rent amounts by date for a reporting range: one entry per due date in scheduled mode,
+// one per day (that period's amount spread over its days) in accrual mode.
+// Returns [{ date: 'YYYY-MM-DD', amount }]; accrual entries add { periodAmount, periodDays, dayIndex }.
+export const getRentSchedule = (rental, amount, startDate, endDate, mode = RENT_SCHEDULE_MODES.SCHEDULED) => {
+  const rangeStart = parseLocalDate(startDate);
+  const rangeEnd = parseLocalDate(endDate);
+  const periods = getRentPeriods(rental, amount, startDate, endDate);
+
+  if (mode !== RENT_SCHEDULE_MODES.ACCRUAL) {
+    return periods
+      .filter(period => period.dueDate >= rangeStart)
+      .map(period => ({
+        date: DateUtils.formatDate(period.dueDate, 'YYYY-MM-DD'),
+        amount: period.amount
+      }));
+  }
+
+  const entries = [];
+  periods.forEach(period => {
+    const from = period.start > rangeStart ? period.start : rangeStart;
+    const lastDay = addDays(period.end, -1);
+    const to = lastDay < rangeEnd ? lastDay : rangeEnd;
+
+    for (let day = from; day <= to; day = addDays(day, 1)) {
+      const dayIndex = daysBetween(period.start, day);
+      entries.push({
+        date: DateUtils.formatDate(day, 'YYYY-MM-DD'),
+        amount: getDailyShare(period.amount, period.days, dayIndex),
+        periodAmount: period.amount,
+        periodDays: period.days,
+        dayIndex
+      });
+    }
+  });
+
+  return entries;
+};
+
+// Charges before the ledger start are treated as settled; defaults to the lease start
+const getLedgerStart = (rental) => parseLocalDate(rental?.rent_ledger_start) || getLeaseStart(rental);
+
+// Expected rent charges for a tenancy from its ledger start up to `asOf`, one per due date
+export const getRentCharges = (rental, asOf = new Date()) => {
+  const ledgerStart = getLedgerStart(rental);
+  const until = parseLocalDate(asOf);
+  if (!ledgerStart || !until) return [];
+
+  return getRentPeriods(rental, rental.monthly_rent ?? rental.amount, ledgerStart, until)
+    .filter(period => period.dueDate >= ledgerStart)
+    .map(period => ({ date: period.dueDate, amount: period.amount, periodEnd: period.end }));
+};
+
+// Running rent ledger for one tenancy: expected charges and recorded receipts in date order.
+// Payments are applied to the oldest charges first, so arrears date from the earliest charge
+// that is not fully paid.
+export const buildRentLedger = (rental, rentPayments = [], asOf = new Date()) => {
+  const today = parseLocalDate(asOf);
+  const charges = getRentCharges(rental, today);
+  const payments = (Array.isArray(rentPayments) ? rentPayments : [])
+    .filter(payment => payment && payment.rental_id === rental?.id)
+    .map(payment => ({ date: parseLocalDate(payment.payment_date), amount: sanitize(payment.amount), payment }))
+    .filter(payment => payment.date);
+
+  const entries = [
+    ...charges.map(charge => ({ date: charge.date, type: 'charge', charge: charge.amount, payment: 0, periodEnd: charge.periodEnd })),
+    ...payments.map(payment => ({ date: payment.date, type: 'payment', charge: 0, payment: payment.amount, record: payment.payment }))
+  ].sort((a, b) => (a.date - b.date) || (a.type === 'charge' ? -1 : 1));
+
+  let balance = 0;
+  entries.forEach(entry => {
+    balance = roundCents(balance + entry.charge - entry.payment);
+    entry.balance = balance;
+  });
+
+  const totalCharged = roundCents(charges.reduce((sum, charge) => sum + charge.amount, 0));
+  const totalPaid = roundCents(payments.reduce((sum, payment) => sum + payment.amount, 0));
+
+  let arrearsSince = null;
+  let covered = totalPaid;
+  for (const charge of charges) {
+    if (covered + 0.005 < charge.amount) {
+      arrearsSince = charge.date;
+      break;
+    }
+    covered -= charge.amount;
+  }
+
+  const amountOwing = Math.max(0, roundCents(totalCharged - totalPaid));
+
+  return {
+    entries,
+    totalCharged,
+    totalPaid,
+    balance: roundCents(totalCharged - totalPaid),
+    amountOwing,
+    credit: Math.max(0, roundCents(totalPaid - totalCharged)),
+    arrearsSince: amountOwing > 0 ? arrearsSince : null,
+    daysInArrears: amountOwing > 0 && arrearsSince ? Math.max(0, daysBetween(arrearsSince, today)) : 0
+  };
+};
+
+// Tenancies behind on rent, most days in arrears first
+export const getTenantsInArrears = (rentals, rentPayments = [], asOf = new Date()) =>
+  (Array.isArray(rentals) ? rentals : [])
+    .filter(Boolean)
+    .map(rental => ({ rental, ledger: buildRentLedger(rental, rentPayments, asOf) }))
+    .filter(({ ledger }) => ledger.amountOwing > 0 && ledger.daysInArrears > 0)
+    .map(({ rental, ledger }) => ({
+      rentalId: rental.id,
+      propertyId: rental.property_id,
+      tenantName: rental.tenant_name,
+      amountOwing: ledger.amountOwing,
+      daysInArrears: ledger.daysInArrears,
+      arrearsSince: ledger.arrearsSince
+    }))
+    .sort((a, b) => b.daysInArrears - a.daysInArrears);
+
+const toPercent = (part, whole) => (whole > 0 ? Math.round((part / whole) * 10000) / 100 : 0);
+
+// Occupied and vacant days for a property over [startDate, endDate], from the day it was
+// bought. Vacant stretches are the gaps between tenancies; a recorded vacancy overlapping
+// a gap supplies its reason.
+// Returns { days, occupiedDays, vacantDays, occupancyRate, vacancyRate,
+//           vacancies: [{ start, end, days, reason, notes, recorded }] } with `end` inclusive.
+export const calculateOccupancy = (property, rentals = [], vacancies = [], startDate, endDate) => {
+  const purchaseDate = parseLocalDate(property?.purchase_date);
+  const requestedStart = parseLocalDate(startDate);
+  const rangeStart = purchaseDate && requestedStart && purchaseDate > requestedStart ? purchaseDate : requestedStart;
+  const rangeEnd = parseLocalDate(endDate);
+  const empty = { days: 0, occupiedDays: 0, vacantDays: 0, occupancyRate: 0, vacancyRate: 0, vacancies: [] };
+  if (!property || !rangeStart || !rangeEnd || rangeEnd < rangeStart) return empty;
+
+  const rangeEndExclusive = addDays(rangeEnd, 1);
+
+  // Tenancies as [start, end) clipped to the range, merged where they overlap
+  const tenancies = (Array.isArray(rentals) ? rentals : [])
+    .filter(rental => rental && rental.property_id === property.id && getLeaseStart(rental))
+    .filter(rental => getTenancyEnd(rental) || rental.lease_status !== LEASE_STATUSES.ENDED)
+    .map(rental => {
+      const start = getLeaseStart(rental);
+      const end = getTenancyEnd(rental);
+      return {
+        start: start > rangeStart ? start : rangeStart,
+        end: end && addDays(end, 1) < rangeEndExclusive ? addDays(end, 1) : rangeEndExclusive
+      };
+    })
+    .filter(tenancy => tenancy.start < tenancy.end)
+    .sort((a, b) => a.start - b.start);
+
+  const occupied = [];
+  tenancies.forEach(tenancy => {
+    const last = occupied[occupied.length - 1];
+    if (last && tenancy.start <= last.end) {
+      if (tenancy.end > last.end) last.end = tenancy.end;
+    } else {
+      occupied.push({ ...tenancy });
+    }
+  });
+
+  const recorded = (Array.isArray(vacancies) ? vacancies : [])
+    .filter(vacancy => vacancy && vacancy.property_id === property.id)
+    .map(vacancy => ({
+      start: parseLocalDate(vacancy.start_date),
+      end: vacancy.end_date ? addDays(parseLocalDate(vacancy.end_date), 1) : rangeEndExclusive,
+      record: vacancy
+    }))
+    .filter(vacancy => vacancy.start);
+
+  const gaps = [];
+  let cursor = rangeStart;
+  [...occupied, { start: rangeEndExclusive, end: rangeEndExclusive }].forEach(period => {
+    if (period.start > cursor) {
+      const match = recorded.find(vacancy => vacancy.start < period.start && vacancy.end > cursor);
+      gaps.push({
+        start: cursor,
+        end: addDays(period.start, -1),
+        days: daysBetween(cursor, period.start),
+        reason: match?.record.reason || '',
+        notes: match?.record.notes || '',
+        recorded: match?.record || null
+      });
+    }
+    if (period.end > cursor) cursor = period.end;
+  });
+
+  const days = daysBetween(rangeStart, rangeEndExclusive);
+  const vacantDays = gaps.reduce((sum, gap) => sum + gap.days, 0);
+  const occupiedDays = days - vacantDays;
+
+  return {
+    days,
+    occupiedDays,
+    vacantDays,
+    occupancyRate: toPercent(occupiedDays, days),
+    vacancyRate: toPercent(vacantDays, days),
+    vacancies: gaps
+  };
+};
@@ -0,0 +1,120 @@
+import { sanitize } from './number';
+import {
+  calculateRepayment,
+  generateAmortizationSchedule,
+  getLoanBalanceAt,
+  getLoanRateAt,
+  isLoanActiveAt
+} from './LoanCalculations';
+
+const PERIODS_PER_YEAR = 12;
+
+const roundCents = (value) => Math.round(value * 100) / 100;
+
+// Percent inputs (3, 80) are entered as whole numbers; stored rates are decimals
+const fromPercent = (value) => {
+  const parsed = parseFloat(value);
+  return Number.isFinite(parsed) ? parsed / 100 : 0;
+};
+
+// Rental income arrives already computed (weekly rent × 52, portfolio totals), so it can carry
+// floating-point noise past the two decimal places sanitize() accepts
+const toAmount = (value) => {
+  const parsed = Number(value);
+  return Number.isFinite(parsed) ? parsed : 0;
+};
+
+// Largest principal a monthly repayment can service at the given rate and term
+const getMaxPrincipal = (monthlyRepayment, annualRate, totalPeriods) => {
+  if (monthlyRepayment <= 0 || totalPeriods <= 0) return 0;
+
+  const periodRate = annualRate / PERIODS_PER_YEAR;
+  if (periodRate === 0) return roundCents(monthlyRepayment * totalPeriods);
+
+  return roundCents(monthlyRepayment * (1 - Math.pow(1 + periodRate, -totalPeriods)) / periodRate);
+};
+
+// Existing loans assessed the way lenders do: principal and interest on today's balance
+// over the remaining term, at the current rate plus the buffer
+export const getAssessedCommitments = (loans, bufferRate, date = new Date()) => {
+  const activeLoans = (Array.isArray(loans) ? loans : []).filter(loan => loan && isLoanActiveAt(loan, date));
+
+  return activeLoans
+    .map(loan => {
+      const schedule = generateAmortizationSchedule(loan);
+      const balance = getLoanBalanceAt(loan, date, schedule);
+      const remainingPeriods = schedule.filter(row => new Date(row.date) > date).length;
+      const assessmentRate = getLoanRateAt(loan, date) + bufferRate;
+
+      return {
+        loanId: loan.id,
+        lender: loan.lender,
+        balance,
+        assessmentRate,
+        remainingPeriods,
+        monthlyRepayment: calculateRepayment(balance, assessmentRate, remainingPeriods)
+      };
+    })
+    .filter(commitment => commitment.balance > 0);
+};
+
+// Borrowing capacity and surplus for a proposed new loan.
+// All income and expense figures are monthly. Rental income is shaded (e.g. 80%) to allow
+// for vacancy and costs. The new loan is assessed at its rate plus the buffer.
+export const calculateServiceability = ({
+  householdIncome = 0,
+  livingExpenses = 0,
+  annualRentalIncome = 0,
+  rentalShading = 80,
+  bufferRate = 3,
+  loans = [],
+  newLoan = {}
+} = {}) => {
+  const buffer = fromPercent(bufferRate);
+  const shading = fromPercent(rentalShading);
+
+  const monthlyHouseholdIncome = sanitize(householdIncome) / PERIODS_PER_YEAR;
+  const monthlyRentalIncome = toAmount(annualRentalIncome) * shading / PERIODS_PER_YEAR;
+  const proposedRent = toAmount(newLoan.annualRent) * shading / PERIODS_PER_YEAR;
+  const monthlyExpenses = sanitize(livingExpenses);
+
+  const commitments = getAssessedCommitments(loans, buffer);
+  const existingRepayments = commitments.reduce((sum, commitment) => sum + commitment.monthlyRepayment, 0);
+
+  const newLoanAmount = sanitize(newLoan.amount);
+  const newLoanTermPeriods = Math.round(sanitize(newLoan.termYears) * PERIODS_PER_YEAR);
+  const newLoanAssessmentRate = fromPercent(newLoan.interestRate) + buffer;
+  const newLoanRepayment = calculateRepayment(newLoanAmount, newLoanAssessmentRate, newLoanTermPeriods);
+
+  const totalIncome = monthlyHouseholdIncome + monthlyRentalIncome;
+  const surplusBeforeNewLoan = totalIncome - monthlyExpenses - existingRepayments;
+
+  // Capacity counts the rent the new property would bring in
+  const maxBorrowing = getMaxPrincipal(
+    surplusBeforeNewLoan + proposedRent,
+    newLoanAssessmentRate,
+    newLoanTermPeriods
+  );
+
+  const incomeWithNewLoan = totalIncome + proposedRent;
+  const surplusAfterNewLoan = incomeWithNewLoan - monthlyExpenses - existingRepayments - newLoanRepayment;
+
+  return {
+    monthlyHouseholdIncome: roundCents(monthlyHouseholdIncome),
+    monthlyRentalIncome: roundCents(monthlyRentalIncome),
+    proposedRent: roundCents(proposedRent),
+    monthlyExpenses: roundCents(monthlyExpenses),
+    commitments,
+    existingRepayments: roundCents(existingRepayments),
+    newLoanAssessmentRate,
+    newLoanRepayment,
+    surplusBeforeNewLoan: roundCents(surplusBeforeNewLoan),
+    surplusAfterNewLoan: roundCents(surplusAfterNewLoan),
+    maxBorrowing: Math.max(0, maxBorrowing),
+    // Share of income going to debt repayments, before and after the new loan
+    debtServiceRatio: totalIncome > 0 ? (existingRepayments / totalIncome) * 100 : 0,
+    debtServiceRatioWithNewLoan: incomeWithNewLoan > 0
+      ? ((existingRepayments + newLoanRepayment) / incomeWithNewLoan) * 100
+      : 0
+  };
+};
@@ -0,0 +1,476 @@
+import { sanitize } from './number';
+import { getTransactionPnlSide } from './FinancialCalculations';
+import { getLoanInterestInRange } from './LoanCalculations';
+import { DEPRECIATION_ASSET_TYPES, getDepreciationSchedule, getDepreciationClaimedToDate } from './DepreciationCalculations';
+import { OWNER_TYPES } from './OwnershipCalculations';
+
+const roundCents = (value) => Math.round(value * 100) / 100;
+
+// Parse 'YYYY-MM-DD' as a local date so sale dates don't shift with the timezone
+const parseLocalDate = (value) => {
+  if (!value) return null;
+  const match = /^(\d{4})-(\d{2})-(\d{2})/.exec(String(value));
+  const date = match
+    ? new Date(Number(match[1]), Number(match[2]) - 1, Number(match[3]))
+    : new Date(value);
+  return isNaN(date.getTime()) ? null : date;
+};
+
+const toDateString = (date) =>
+  `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+
+// Labels of the ATO rental property schedule, in the order the schedule lists them
+export const RENTAL_SCHEDULE_INCOME = [
+  { key: 'gross_rent', label: 'Gross rent' },
+  { key: 'other_income', label: 'Other rental-related income' }
+];
+
+export const RENTAL_SCHEDULE_DEDUCTIONS = [
+  { key: 'advertising', label: 'Advertising for tenants' },
+  { key: 'body_corporate', label: 'Body corporate fees and charges' },
+  { key: 'borrowing', label: 'Borrowing expenses' },
+  { key: 'cleaning', label: 'Cleaning' },
+  { key: 'council_rates', label: 'Council rates' },
+  { key: 'capital_allowances', label: 'Capital allowances (depreciation on plant)' },
+  { key: 'gardening', label: 'Gardening/lawn mowing' },
+  { key: 'insurance', label: 'Insurance' },
+  { key: 'interest', label: 'Interest on loans' },
+  { key: 'land_tax', label: 'Land tax' },
+  { key: 'legal', label: 'Legal fees' },
+  { key: 'pest_control', label: 'Pest control' },
+  { key: 'agent_fees', label: 'Property agent fees/commission' },
+  { key: 'repairs', label: 'Repairs and maintenance' },
+  { key: 'capital_works', label: 'Capital works deductions' },
+  { key: 'stationery', label: 'Stationery, telephone and postage' },
+  { key: 'water', label: 'Water charges' },
+  { key: 'sundry', label: 'Sundry rental expenses' }
+];
+
+const CAPITAL_IMPROVEMENT_PATTERN = /capital improvement|renovation|extension/i;
+const BORROWING_PATTERN = /borrowing|loan establishment|establishment fee|loan fee|mortgage registration|lenders mortgage|\blmi\b|valuation/i;
+
+// Categories that are capital or private rather than a deduction this year. Travel to
+// residential rentals hasn't been deductible since 1 July 2017.
+const NON_DEDUCTIBLE_PATTERNS = [
+  { pattern: CAPITAL_IMPROVEMENT_PATTERN, reason: 'Capital improvement' },
+  { pattern: /stamp duty|purchase|acquisition/i, reason: 'Cost of acquiring the property' },
+  { pattern: /principal|extra repayment/i, reason: 'Loan principal' },
+  { pattern: /travel/i, reason: 'Travel to residential rental property' }
+];
+
+// First match wins, so the more specific patterns come first (lenders mortgage insurance
+// is a borrowing expense, water rates aren't council rates)
+const DEDUCTION_PATTERNS = [
+  { pattern: BORROWING_PATTERN, key: 'borrowing' },
+  { pattern: /interest/i, key: 'interest' },
+  { pattern: /body corporate|strata|owners corporation/i, key: 'body_corporate' },
+  { pattern: /water/i, key: 'water' },
+  { pattern: /council/i, key: 'council_rates' },
+  { pattern: /land tax/i, key: 'land_tax' },
+  { pattern: /insurance/i, key: 'insurance' },
+  { pattern: /advertis|marketing/i, key: 'advertising' },
+  { pattern: /clean/i, key: 'cleaning' },
+  { pattern: /garden|lawn/i, key: 'gardening' },
+  { pattern: /pest/i, key: 'pest_control' },
+  { pattern: /capital works|division 43|div 43/i, key: 'capital_works' },
+  { pattern: /depreciation|capital allowance|division 40|div 40/i, key: 'capital_allowances' },
+  { pattern: /legal|conveyanc|solicitor/i, key: 'legal' },
+  { pattern: /management|agent|commission|letting/i, key: 'agent_fees' },
+  { pattern: /repair|maintenance/i, key: 'repairs' },
+  { pattern: /stationery|telephone|phone|postage/i, key: 'stationery' }
+];
+
+// Schedule label key for an expense category, or null when it isn't deductible
+export const getDeductionKey = (category) => {
+  const text = String(category || '');
+  if (NON_DEDUCTIBLE_PATTERNS.some(({ pattern }) => pattern.test(text))) return null;
+  const match = DEDUCTION_PATTERNS.find(({ pattern }) => pattern.test(text));
+  return match ? match.key : 'sundry';
+};
+
+const getNonDeductibleReason = (category) =>
+  NON_DEDUCTIBLE_PATTERNS.find(({ pattern }) => pattern.test(String(category || '')))?.reason;
+
+// Improvements and the costs of buying go into the cost base; they aren't running costs
+export const isCapitalCost = (category) =>
+  ['Capital improvement', 'Cost of acquiring the property'].includes(getNonDeductibleReason(category));
+
+const getIncomeKey = (t) => (/rent/i.test(`${t.category || ''} ${t.type || ''}`) ? 'gross_rent' : 'other_income');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const BORROWING_SPREAD_THRESHOLD = 100;
+const BORROWING_SPREAD_YEARS = 5;
+
+// Borrowing costs on a loan deducted in [start, end]. Up to $100 is deductible in full when
+// the loan starts; above that the cost is spread by days over five years or the loan term
+// if shorter. Break costs are deductible when incurred and go under sundry expenses.
+const getLoanBorrowingDeductions = (loan, start, end) => {
+  const costs = Array.isArray(loan?.loan_costs) ? loan.loan_costs : [];
+  const loanStart = loan?.start_date ? new Date(loan.start_date) : null;
+  if (!loanStart || isNaN(loanStart.getTime())) return { borrowing: 0, sundry: 0 };
+
+  const startsInRange = loanStart >= start && loanStart <= end;
+  const breakCosts = costs
+    .filter(cost => /break/i.test(cost?.category || ''))
+    .reduce((sum, cost) => sum + sanitize(cost.amount), 0);
+  const borrowingCosts = costs
+    .filter(cost => !/break/i.test(cost?.category || ''))
+    .reduce((sum, cost) => sum + sanitize(cost.amount), 0);
+
+  let borrowing = 0;
+  if (borrowingCosts > 0 && borrowingCosts <= BORROWING_SPREAD_THRESHOLD) {
+    borrowing = startsInRange ? borrowingCosts : 0;
+  } else if (borrowingCosts > 0) {
+    const years = Math.min(BORROWING_SPREAD_YEARS, parseInt(loan.term_years) || BORROWING_SPREAD_YEARS);
+    const spreadEnd = new Date(loanStart);
+    spreadEnd.setFullYear(spreadEnd.getFullYear() + years);
+    const loanEnd = loan.end_date ? new Date(loan.end_date) : null;
+    const endsEarly = loanEnd && loanEnd < spreadEnd;
+    const periodEnd = endsEarly ? loanEnd : spreadEnd;
+    const totalDays = Math.max(1, (spreadEnd - loanStart) / DAY_MS);
+    const overlapStart = Math.max(start.getTime(), loanStart.getTime());
+    const overlapEnd = Math.min(end.getTime(), periodEnd.getTime());
+    const days = Math.max(0, (overlapEnd - overlapStart) / DAY_MS);
+    borrowing = borrowingCosts * (days / totalDays);
+    // Whatever is left is deductible in the year the loan is repaid or refinanced
+    if (endsEarly && loanEnd >= start && loanEnd <= end) {
+      borrowing += borrowingCosts * ((spreadEnd - loanEnd) / DAY_MS / totalDays);
+    }
+  }
+
+  return { borrowing, sundry: startsInRange ? breakCosts : 0 };
+};
+
+// ATO rental property schedule for one property over [startDate, endDate].
+// Transactions map to schedule labels by category. Interest comes from the loan schedules
+// when the property has loans in the app, otherwise from interest transactions. Likewise
+// depreciation comes from the property's depreciation assets when it has any (counting the
+// financial years that start in the range), otherwise from depreciation transactions.
+// Expenses recorded as not deductible, and capital or private costs, are listed under excluded.
+// ownershipPercentage splits every amount into the owner's share.
+// Returns { income, deductions: [{ key, label, amount, share }], totals: { income, deductions,
+//           net, incomeShare, deductionsShare, netShare }, excluded: [{ category, reason, amount }],
+//           interestSource: 'loans' | 'transactions', depreciationSource: 'assets' | 'transactions',
+//           ownershipPercentage }
+export const calculateRentalSchedule = (property, { transactions = [], expenses = [], loans = [], depreciationAssets = [] } = {}, startDate, endDate, ownershipPercentage = 100) => {
+  const start = new Date(startDate);
+  const end = new Date(endDate);
+  end.setHours(23, 59, 59);
+  const ownership = Math.min(100, Math.max(0, Number(ownershipPercentage) || 0));
+
+  const amounts = {};
+  const add = (key, amount) => {
+    amounts[key] = (amounts[key] || 0) + amount;
+  };
+  const excluded = {};
+  const exclude = (category, reason, amount) => {
+    const id = `${category}|${reason}`;
+    if (!excluded[id]) excluded[id] = { category, reason, amount: 0 };
+    excluded[id].amount += amount;
+  };
+
+  const propertyLoans = (Array.isArray(loans) ? loans : []).filter(loan => loan && loan.property_id === property?.id);
+  const interestSource = propertyLoans.length > 0 ? 'loans' : 'transactions';
+  const propertyAssets = (Array.isArray(depreciationAssets) ? depreciationAssets : [])
+    .filter(asset => asset && asset.property_id === property?.id);
+  const depreciationSource = propertyAssets.length > 0 ? 'assets' : 'transactions';
+  const expensesById = new Map((Array.isArray(expenses) ? expenses : []).filter(Boolean).map(e => [e.id, e]));
+
+  (Array.isArray(transactions) ? transactions : [])
+    .filter(t => t && (t.property_id || t.propertyId) === property?.id && t.date)
+    .filter(t => {
+      const date = new Date(t.date);
+      return date >= start && date <= end;
+    })
+    .forEach(t => {
+      const side = getTransactionPnlSide(t);
+      if (!side) return;
+
+      const amount = Math.abs(sanitize(t.amount));
+      if (side === 'income') {
+        add(getIncomeKey(t), amount);
+        return;
+      }
+
+      const category = t.category || 'Uncategorised';
+      // Transactions have no deductible switch of their own; expenses do
+      const expense = expensesById.get(t.expense_id);
+      if (expense && expense.deductible === false) {
+        exclude(category, 'Marked as not deductible', amount);
+        return;
+      }
+
+      const key = getDeductionKey(category);
+      if (!key) {
+        exclude(category, getNonDeductibleReason(category), amount);
+      } else if (key === 'interest' && interestSource === 'loans') {
+        // Already counted from the loan schedules
+      } else if ((key === 'capital_allowances' || key === 'capital_works') && depreciationSource === 'assets') {
+        // Already counted from the depreciation assets
+      } else {
+        add(key, amount);
+      }
+    });
+
+  propertyLoans.forEach(loan => {
+    add('interest', getLoanInterestInRange(loan, start, end));
+    const { borrowing, sundry } = getLoanBorrowingDeductions(loan, start, end);
+    add('borrowing', borrowing);
+    add('sundry', sundry);
+  });
+
+  propertyAssets.forEach(asset => {
+    const key = asset.asset_type === DEPRECIATION_ASSET_TYPES.CAPITAL_WORKS ? 'capital_works' : 'capital_allowances';
+    getDepreciationSchedule(asset, { startMonth: start.getMonth() + 1, endDate: property?.sale_date })
+      .filter(row => row.startDate >= start && row.startDate <= end)
+      .forEach(row => add(key, row.deduction));
+  });
+
+  const toLine = ({ key, label }) => {
+    const amount = roundCents(amounts[key] || 0);
+    return { key, label, amount, share: roundCents(amount * ownership / 100) };
+  };
+  const income = RENTAL_SCHEDULE_INCOME.map(toLine);
+  const deductions = RENTAL_SCHEDULE_DEDUCTIONS.map(toLine);
+  const sum = (lines, field) => roundCents(lines.reduce((total, line) => total + line[field], 0));
+
+  const totals = {
+    income: sum(income, 'amount'),
+    deductions: sum(deductions, 'amount'),
+    incomeShare: sum(income, 'share'),
+    deductionsShare: sum(deductions, 'share')
+  };
+  totals.net = roundCents(totals.income - totals.deductions);
+  totals.netShare = roundCents(totals.incomeShare - totals.deductionsShare);
+
+  return {
+    income,
+    deductions,
+    totals,
+    excluded: Object.values(excluded)
+      .map(item => ({ ...item, amount: roundCents(item.amount) }))
+      .sort((a, b) => b.amount - a.amount),
+    interestSource,
+    depreciationSource,
+    ownershipPercentage: ownership
+  };
+};
+
+// Rows for a CSV of one or more schedules: one line per label, with the owner's share
+export const getRentalScheduleCsvRows = (schedules, financialYearLabel) => {
+  const rows = [['Financial year', 'Property', 'Section', 'Label', 'Total amount', 'Ownership %', 'Your share']];
+  schedules.forEach(({ property, schedule }) => {
+    const name = property.name || property.address || '';
+    const line = (section, item) => [financialYearLabel, name, section, item.label, item.amount.toFixed(2), schedule.ownershipPercentage, item.share.toFixed(2)];
+    schedule.income.forEach(item => rows.push(line('Income', item)));
+    schedule.deductions.forEach(item => rows.push(line('Deductions', item)));
+    rows.push(line('Total', { label: 'Net rent', amount: schedule.totals.net, share: schedule.totals.netShare }));
+    schedule.excluded.forEach(item =>
+      rows.push([financialYearLabel, name, 'Not deductible', `${item.category} (${item.reason})`, item.amount.toFixed(2), schedule.ownershipPercentage, '']));
+  });
+  return rows;
+};
+
+export const CGT_DISCOUNT_RATE = 0.5;
+
+// The discount depends on who makes the gain: individuals and trusts get half, complying
+// super funds a third, and companies none
+export const CGT_DISCOUNT_RATES = {
+  [OWNER_TYPES.INDIVIDUAL]: CGT_DISCOUNT_RATE,
+  [OWNER_TYPES.TRUST]: CGT_DISCOUNT_RATE,
+  [OWNER_TYPES.SMSF]: 1 / 3,
+  [OWNER_TYPES.COMPANY]: 0
+};
+
+export const getCgtDiscountRate = (ownerType) => CGT_DISCOUNT_RATES[ownerType] ?? CGT_DISCOUNT_RATE;
+
+export const isPropertySold = (property) => !!property?.sale_date;
+
+const sumAmounts = (items) => (Array.isArray(items) ? items : [])
+  .reduce((sum, item) => sum + (parseFloat(item?.amount) || 0), 0);
+
+const isOnOrBefore = (value, date) => {
+  const parsed = parseLocalDate(value);
+  return !!parsed && (!date || parsed <= date);
+};
+
+// Cost base of a property at its sale date: purchase price, the acquisition costs that
+// aren't borrowing expenses (those are deducted against rent instead), capital
+// improvements made up to the sale and the costs of selling, less the capital works
+// deductions claimed while it was held. Improvements come from the capital improvements
+// register, plus any capital improvement transactions that aren't linked to an entry in it.
+export const calculateCostBase = (property, { transactions = [], capitalImprovements = [], depreciationAssets = [] } = {}, saleDate = property?.sale_date) => {
+  const sale = parseLocalDate(saleDate);
+  const purchasePrice = parseFloat(property?.purchase_price ?? property?.base_property_cost) || 0;
+  const acquisitionCosts = sumAmounts((property?.acquisition_costs || [])
+    .filter(cost => !BORROWING_PATTERN.test(cost?.category || '')));
+  const propertyImprovements = (Array.isArray(capitalImprovements) ? capitalImprovements : [])
+    .filter(improvement => improvement && improvement.property_id === property?.id);
+  const registeredTransactionIds = new Set(propertyImprovements.map(improvement => improvement.transaction_id).filter(Boolean));
+  const registered = propertyImprovements.filter(improvement => isOnOrBefore(improvement.completion_date, sale));
+  const unregistered = (Array.isArray(transactions) ? transactions : [])
+    .filter(t => t && (t.property_id || t.propertyId) === property?.id)
+    .filter(t => CAPITAL_IMPROVEMENT_PATTERN.test(t.category || '') && !registeredTransactionIds.has(t.id))
+    .filter(t => isOnOrBefore(t.date, sale));
+  const improvementsTotal = registered.reduce((sum, improvement) => sum + Math.abs(parseFloat(improvement.amount) || 0), 0) +
+    unregistered.reduce((sum, t) => sum + Math.abs(parseFloat(t.amount) || 0), 0);
+  const sellingCosts = sumAmounts(property?.selling_costs);
+  const capitalWorksClaimed = (Array.isArray(depreciationAssets) ? depreciationAssets : [])
+    .filter(asset => asset && asset.property_id === property?.id && asset.asset_type === DEPRECIATION_ASSET_TYPES.CAPITAL_WORKS)
+    .reduce((sum, asset) => sum + getDepreciationClaimedToDate(asset, sale || new Date()), 0);
+
+  return {
+    purchasePrice: roundCents(purchasePrice),
+    acquisitionCosts: roundCents(acquisitionCosts),
+    capitalImprovements: roundCents(improvementsTotal),
+    sellingCosts: roundCents(sellingCosts),
+    capitalWorksClaimed: roundCents(capitalWorksClaimed),
+    total: roundCents(purchasePrice + acquisitionCosts + improvementsTotal + sellingCosts - capitalWorksClaimed)
+  };
+};
+
+// Owned for at least 12 months, not counting the days of purchase and sale
+const isDiscountEligible = (purchaseDate, saleDate) => {
+  if (!purchaseDate || !saleDate) return false;
+  const anniversary = new Date(purchaseDate);
+  anniversary.setFullYear(anniversary.getFullYear() + 1);
+  return saleDate > anniversary;
+};
+
+// Capital gain or loss on a sold property, before losses and the discount. `records` holds
+// the transactions, capital improvements and depreciation assets used for the cost base.
+// `sale` overrides the property's sale fields so a sale can be previewed before it's saved,
+// and sale.ownershipPercentage sets the owner's share of the gain (ownership_percentage by default).
+// Returns null when there is no sale date.
+export const calculateCapitalGain = (property, records = {}, sale = {}) => {
+  const saleDate = sale.saleDate ?? property?.sale_date;
+  const sold = parseLocalDate(saleDate);
+  if (!sold) return null;
+
+  const saleProperty = {
+    ...property,
+    selling_costs: sale.sellingCosts ?? property?.selling_costs
+  };
+  const proceeds = roundCents(parseFloat(sale.sellingPrice ?? property?.selling_price) || 0);
+  const costBase = calculateCostBase(saleProperty, records, saleDate);
+  const gain = roundCents(proceeds - costBase.total);
+  const ownershipValue = parseFloat(sale.ownershipPercentage ?? property?.ownership_percentage);
+  const ownership = Math.min(100, Math.max(0, isNaN(ownershipValue) ? 100 : ownershipValue));
+  const purchased = parseLocalDate(property?.purchase_date);
+
+  return {
+    property,
+    saleDate: sold,
+    proceeds,
+    costBase,
+    gain,
+    ownershipPercentage: ownership,
+    share: roundCents(gain * ownership / 100),
+    discountEligible: isDiscountEligible(purchased, sold)
+  };
+};
+
+// Applies losses to gains the way the CGT schedule does: capital losses come off gains that
+// can't be discounted first, then off discountable gains, and the discount applies to what's
+// left. Any loss not used carries forward. Amounts are the owner's share.
+const applyLossesAndDiscount = (events, lossBroughtForward, discountRate) => {
+  const gains = events.filter(e => e.share > 0);
+  const discountable = gains.filter(e => e.discountEligible).reduce((sum, e) => sum + e.share, 0);
+  const nonDiscountable = gains.filter(e => !e.discountEligible).reduce((sum, e) => sum + e.share, 0);
+  const currentLosses = events.filter(e => e.share < 0).reduce((sum, e) => sum - e.share, 0);
+
+  let lossesAvailable = currentLosses + lossBroughtForward;
+  const fromNonDiscountable = Math.min(nonDiscountable, lossesAvailable);
+  lossesAvailable -= fromNonDiscountable;
+  const fromDiscountable = Math.min(discountable, lossesAvailable);
+  lossesAvailable -= fromDiscountable;
+
+  const discountableLeft = discountable - fromDiscountable;
+  const discount = discountableLeft * discountRate;
+
+  return {
+    totalGains: roundCents(discountable + nonDiscountable),
+    currentYearLosses: roundCents(currentLosses),
+    lossBroughtForward: roundCents(lossBroughtForward),
+    lossesApplied: roundCents(fromNonDiscountable + fromDiscountable),
+    discount: roundCents(discount),
+    netCapitalGain: roundCents(nonDiscountable - fromNonDiscountable + discountableLeft - discount),
+    lossCarriedForward: roundCents(lossesAvailable)
+  };
+};
+
+// CGT summary for every financial year with a sale, oldest first. Net capital losses carry
+// forward into later years. startMonth is the month the financial year begins (7 = July).
+// getOwnershipPercentage(property, saleDate) gives one owner's share of each sale; properties
+// the owner held none of at the sale are left out.
+// Returns [{ year, startDate, endDate, events, totalGains, currentYearLosses, lossBroughtForward,
+//           lossesApplied, discount, netCapitalGain, lossCarriedForward }]
+export const calculateCgtSummaries = (properties = [], records = {}, { startMonth = 7, discountRate = CGT_DISCOUNT_RATE, getOwnershipPercentage = null } = {}) => {
+  const byYear = {};
+  (Array.isArray(properties) ? properties : [])
+    .filter(isPropertySold)
+    .forEach(property => {
+      const ownershipPercentage = getOwnershipPercentage
+        ? getOwnershipPercentage(property, parseLocalDate(property.sale_date))
+        : undefined;
+      if (ownershipPercentage === 0) return;
+      const event = calculateCapitalGain(property, records, { ownershipPercentage });
+      if (!event) return;
+      const year = event.saleDate.getMonth() + 1 >= startMonth
+        ? event.saleDate.getFullYear()
+        : event.saleDate.getFullYear() - 1;
+      (byYear[year] = byYear[year] || []).push(event);
+    });
+
+  let lossBroughtForward = 0;
+  return Object.keys(byYear)
+    .map(Number)
+    .sort((a, b) => a - b)
+    .map(year => {
+      const events = byYear[year].sort((a, b) => a.saleDate - b.saleDate);
+      const summary = applyLossesAndDiscount(events, lossBroughtForward, discountRate);
+      lossBroughtForward = summary.lossCarriedForward;
+      const endDate = new Date(year + 1, startMonth - 1, 1);
+      endDate.setDate(endDate.getDate() - 1);
+      return { year, startDate: new Date(year, startMonth - 1, 1), endDate, events, ...summary };
+    });
+};
+
+// Summary for one financial year. A year without sales still carries forward earlier losses.
+export const getCgtSummaryForYear = (summaries, year) => {
+  const summary = summaries.find(s => s.year === year);
+  if (summary) return summary;
+
+  const earlier = summaries.filter(s => s.year < year);
+  const lossBroughtForward = earlier.length > 0 ? earlier[earlier.length - 1].lossCarriedForward : 0;
+  return {
+    year,
+    events: [],
+    ...applyLossesAndDiscount([], lossBroughtForward, 0)
+  };
+};
+
+// Rows for the CGT part of the CSV export, in the same columns as the rental schedule rows
+export const getCgtCsvRows = (summary, financialYearLabel) => {
+  const rows = summary.events.map(event => [
+    financialYearLabel,
+    event.property.name || event.property.address || '',
+    'Capital gains',
+    `Sold ${toDateString(event.saleDate)}: proceeds ${event.proceeds.toFixed(2)}, cost base ${event.costBase.total.toFixed(2)}${event.discountEligible ? ', held over 12 months' : ''}`,
+    event.gain.toFixed(2),
+    event.ownershipPercentage,
+    event.share.toFixed(2)
+  ]);
+  if (summary.events.length === 0 && summary.lossBroughtForward === 0) return rows;
+
+  const total = (label, amount) => [financialYearLabel, '', 'Capital gains', label, '', '', amount.toFixed(2)];
+  return [
+    ...rows,
+    total('Total capital gains', summary.totalGains),
+    total('Capital losses this year', summary.currentYearLosses),
+    total('Net capital losses from earlier years', summary.lossBroughtForward),
+    total('CGT discount', summary.discount),
+    total('Net capital gain', summary.netCapitalGain),
+    total('Net capital losses carried forward', summary.lossCarriedForward)
+  ];
+};
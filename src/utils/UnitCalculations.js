@@ -0,0 +1,133 @@
+import { sanitize } from './number';
+import { getTransactionPnlSide } from './FinancialCalculations';
+import { calculateOccupancy } from './RentCalculations';
+
+const roundCents = (value) => Math.round(value * 100) / 100;
+
+// Separately let parts of a property: units in a duplex or block, rooms in a rooming house
+export const UNIT_TYPES = {
+  UNIT: 'unit',
+  ROOM: 'room',
+  GRANNY_FLAT: 'granny_flat',
+  COMMERCIAL: 'commercial'
+};
+
+export const getPropertyUnits = (units, propertyId) =>
+  (Array.isArray(units) ? units : [])
+    .filter(unit => unit && unit.property_id === propertyId)
+    .sort((a, b) => (a.name || '').localeCompare(b.name || '', undefined, { numeric: true }));
+
+// Fraction of shared expenses each unit carries. Units with an expense_share take that
+// percentage and the rest split what is left evenly. Set shares are scaled to cover 100%
+// when they overshoot it, or when every unit has one.
+export const getUnitExpenseShares = (units) => {
+  const safeUnits = Array.isArray(units) ? units.filter(Boolean) : [];
+  const shares = new Map();
+  if (safeUnits.length === 0) return shares;
+
+  // Percentages are parsed directly; sanitize() would zero any share stored with more than two decimals
+  const getShare = (unit) => {
+    const share = parseFloat(unit.expense_share);
+    return Number.isFinite(share) && share > 0 ? share : 0;
+  };
+  const withShare = safeUnits.filter(unit => getShare(unit) > 0);
+  const withoutShare = safeUnits.filter(unit => !(getShare(unit) > 0));
+  const setTotal = withShare.reduce((sum, unit) => sum + getShare(unit), 0);
+  const scale = setTotal > 100 || withoutShare.length === 0 ? 100 / setTotal : 1;
+  const remainder = Math.max(0, 100 - setTotal * scale);
+
+  withShare.forEach(unit => shares.set(unit.id, (getShare(unit) * scale) / 100));
+  withoutShare.forEach(unit => shares.set(unit.id, remainder / withoutShare.length / 100));
+
+  return shares;
+};
+
+// The unit a transaction belongs to: its own unit_id, or the unit of the lease its rent
+// rows were generated from (expense_id holds the rental id on those)
+export const getTransactionUnitId = (transaction, rentals = []) => {
+  if (!transaction) return null;
+  if (transaction.unit_id) return transaction.unit_id;
+  if (!transaction.expense_id) return null;
+  const rental = rentals.find(r => r && r.id === transaction.expense_id);
+  return rental?.unit_id || null;
+};
+
+const inRange = (value, start, end) => {
+  if (!value) return false;
+  const date = new Date(value);
+  return date >= start && date <= end;
+};
+
+// Income and expenses per unit for a property over [startDate, endDate]. Transactions tied
+// to a unit count against it in full; the rest are shared, with expenses split by
+// getUnitExpenseShares and income left unallocated.
+// Returns { rows: [{ unit, share, income, directExpenses, sharedExpenses, expenses, net, occupancyRate }],
+//           unallocatedIncome, sharedExpenses, totals: { income, expenses, net } }
+export const calculateUnitBreakdown = (property, units, rentals, transactions, startDate, endDate) => {
+  const propertyUnits = getPropertyUnits(units, property?.id);
+  const safeRentals = Array.isArray(rentals) ? rentals.filter(Boolean) : [];
+  const shares = getUnitExpenseShares(propertyUnits);
+  const start = new Date(startDate);
+  const end = new Date(endDate);
+  end.setHours(23, 59, 59);
+
+  const totals = new Map(propertyUnits.map(unit => [unit.id, { income: 0, directExpenses: 0 }]));
+  let unallocatedIncome = 0;
+  let sharedExpenses = 0;
+
+  (Array.isArray(transactions) ? transactions : [])
+    .filter(t => t && (t.property_id || t.propertyId) === property?.id && inRange(t.date, start, end))
+    .forEach(t => {
+      const side = getTransactionPnlSide(t);
+      if (!side) return;
+
+      const amount = Math.abs(sanitize(t.amount));
+      const unitTotals = totals.get(getTransactionUnitId(t, safeRentals));
+      if (side === 'income') {
+        if (unitTotals) unitTotals.income += amount;
+        else unallocatedIncome += amount;
+      } else if (unitTotals) {
+        unitTotals.directExpenses += amount;
+      } else {
+        sharedExpenses += amount;
+      }
+    });
+
+  const rows = propertyUnits.map(unit => {
+    const { income, directExpenses } = totals.get(unit.id);
+    const share = shares.get(unit.id) || 0;
+    const unitShared = sharedExpenses * share;
+    const occupancy = calculateOccupancy(
+      property,
+      safeRentals.filter(rental => rental.unit_id === unit.id),
+      [],
+      startDate,
+      endDate
+    );
+
+    return {
+      unit,
+      share,
+      income: roundCents(income),
+      directExpenses: roundCents(directExpenses),
+      sharedExpenses: roundCents(unitShared),
+      expenses: roundCents(directExpenses + unitShared),
+      net: roundCents(income - directExpenses - unitShared),
+      occupancyRate: occupancy.occupancyRate
+    };
+  });
+
+  const income = rows.reduce((sum, row) => sum + row.income, 0) + unallocatedIncome;
+  const expenses = rows.reduce((sum, row) => sum + row.directExpenses, 0) + sharedExpenses;
+
+  return {
+    rows,
+    unallocatedIncome: roundCents(unallocatedIncome),
+    sharedExpenses: roundCents(sharedExpenses),
+    totals: {
+      income: roundCents(income),
+      expenses: roundCents(expenses),
+      net: roundCents(income - expenses)
+    }
+  };
+};
@@ -3,6 +3,23 @@
 
 -- Note: JWT secret is automatically managed by Supabase, no manual configuration needed
 
+-- Create owners table
+-- People and entities that hold properties. other_income and marginal_rate feed the after-tax
+-- cash flow; individuals without a marginal_rate are taxed at the resident rates. Trusts,
+-- companies and SMSFs are also the entities whose books properties, loans and transactions
+-- are kept in (entity_id), so this table is created first.
+CREATE TABLE IF NOT EXISTS owners (
+    id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+    name TEXT NOT NULL,
+    owner_type VARCHAR NOT NULL DEFAULT 'individual' CHECK (owner_type IN ('individual', 'trust', 'company', 'smsf')),
+    other_income DECIMAL(15,2) DEFAULT 0,
+    marginal_rate DECIMAL(5,2) CHECK (marginal_rate >= 0 AND marginal_rate <= 100),
+    notes TEXT,
+    user_id UUID REFERENCES auth.users(id) ON DELETE CASCADE NOT NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
 -- Create properties table
 CREATE TABLE IF NOT EXISTS properties (
     id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
@@ -11,6 +28,8 @@ CREATE TABLE IF NOT EXISTS properties (
     purchase_price DECIMAL(15,2) NOT NULL,
     base_property_cost DECIMAL(15,2),
     current_value DECIMAL(15,2),
+    -- When current_value was last changed; LVR alerts use it to spot a valuation change
+    valuation_date DATE,
     purchase_date DATE NOT NULL,
     property_type TEXT NOT NULL,
     bedrooms INTEGER,
@@ -18,6 +37,14 @@ CREATE TABLE IF NOT EXISTS properties (
     area DECIMAL(10,2),
     notes TEXT,
     acquisition_costs JSONB DEFAULT '[]'::jsonb,
+    -- Share of the property the user owns, used until ownership is recorded in property_ownerships
+    ownership_percentage DECIMAL(5,2) DEFAULT 100 CHECK (ownership_percentage > 0 AND ownership_percentage <= 100),
+    -- Set when the property is sold; selling_costs: [{ id, category, amount, notes }]
+    sale_date DATE,
+    selling_price DECIMAL(15,2),
+    selling_costs JSONB DEFAULT '[]'::jsonb,
+    -- Entity whose books the property is kept in; NULL for the personal ledger
+    entity_id UUID REFERENCES owners(id) ON DELETE SET NULL,
     user_id UUID REFERENCES auth.users(id) ON DELETE CASCADE NOT NULL,
     created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
     updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
@@ -33,6 +60,102 @@ CREATE TABLE IF NOT EXISTS loans (
     term_years INTEGER NOT NULL,
     start_date DATE NOT NULL,
     monthly_payment DECIMAL(10,2) NOT NULL,
+    loan_type TEXT DEFAULT 'conventional',
+    repayment_type TEXT NOT NULL DEFAULT 'principal_and_interest' CHECK (repayment_type IN ('principal_and_interest','interest_only')),
+    -- Last repayment date that is interest-only; P&I repayments start the following period
+    interest_only_end_date DATE,
+    rate_type TEXT NOT NULL DEFAULT 'variable' CHECK (rate_type IN ('variable','fixed')),
+    -- Fixed rate applies up to this date, then the loan reverts to revert_rate
+    fixed_rate_expiry DATE,
+    revert_rate DECIMAL(5,4),
+    -- Split tranches: [{ id, label, amount, rate_type, interest_rate, fixed_rate_expiry, revert_rate, repayment_type, interest_only_end_date }]
+    splits JSONB DEFAULT '[]'::jsonb,
+    -- A refinanced loan stops on end_date; the replacement loan points back via refinanced_from
+    status TEXT NOT NULL DEFAULT 'active' CHECK (status IN ('active','refinanced')),
+    end_date DATE,
+    refinanced_from UUID REFERENCES loans(id) ON DELETE SET NULL,
+    -- One-off costs such as break costs and establishment fees: [{ id, category, amount, notes }]
+    loan_costs JSONB DEFAULT '[]'::jsonb,
+    -- Entity that borrowed; NULL follows the property's entity
+    entity_id UUID REFERENCES owners(id) ON DELETE SET NULL,
+    user_id UUID REFERENCES auth.users(id) ON DELETE CASCADE NOT NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Create loan_rate_changes table
+-- Each row is a rate that applies to repayments due on or after effective_date.
+-- split_id targets one tranche of a split loan; NULL applies to the loan's variable-rate portions.
+CREATE TABLE IF NOT EXISTS loan_rate_changes (
+    id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+    loan_id UUID REFERENCES loans(id) ON DELETE CASCADE NOT NULL,
+    split_id TEXT,
+    effective_date DATE NOT NULL,
+    interest_rate DECIMAL(5,4) NOT NULL,
+    notes TEXT,
+    user_id UUID REFERENCES auth.users(id) ON DELETE CASCADE NOT NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Create loan_offset_accounts table
+-- Offset and redraw accounts reduce the balance a loan charges interest on.
+-- split_id links the account to one tranche of a split loan; NULL offsets the whole loan.
+CREATE TABLE IF NOT EXISTS loan_offset_accounts (
+    id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+    loan_id UUID REFERENCES loans(id) ON DELETE CASCADE NOT NULL,
+    split_id TEXT,
+    name TEXT NOT NULL,
+    account_type TEXT NOT NULL DEFAULT 'offset' CHECK (account_type IN ('offset','redraw')),
+    notes TEXT,
+    user_id UUID REFERENCES auth.users(id) ON DELETE CASCADE NOT NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Create loan_offset_balances table
+-- Balance history for an offset/redraw account; each balance holds until the next entry
+CREATE TABLE IF NOT EXISTS loan_offset_balances (
+    id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+    account_id UUID REFERENCES loan_offset_accounts(id) ON DELETE CASCADE NOT NULL,
+    balance_date DATE NOT NULL,
+    balance DECIMAL(15,2) NOT NULL,
+    notes TEXT,
+    user_id UUID REFERENCES auth.users(id) ON DELETE CASCADE NOT NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Create loan_extra_repayments table
+-- Payments on top of the scheduled repayment. A lump_sum is paid once on payment_date;
+-- a recurring extra is added to every repayment from payment_date until end_date (NULL = open-ended).
+-- split_id targets one tranche of a split loan; NULL spreads the payment across the loan.
+CREATE TABLE IF NOT EXISTS loan_extra_repayments (
+    id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+    loan_id UUID REFERENCES loans(id) ON DELETE CASCADE NOT NULL,
+    split_id TEXT,
+    repayment_type TEXT NOT NULL DEFAULT 'lump_sum' CHECK (repayment_type IN ('lump_sum','recurring')),
+    amount DECIMAL(15,2) NOT NULL,
+    payment_date DATE NOT NULL,
+    end_date DATE,
+    notes TEXT,
+    user_id UUID REFERENCES auth.users(id) ON DELETE CASCADE NOT NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Create units table
+-- Separately let parts of a property (units, rooms); rentals, expenses and transactions can point at one.
+-- expense_share is the percentage of shared property expenses the unit carries; NULL splits the remainder evenly.
+CREATE TABLE IF NOT EXISTS units (
+    id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+    property_id TEXT NOT NULL,
+    name TEXT NOT NULL,
+    unit_type VARCHAR NOT NULL DEFAULT 'unit' CHECK (unit_type IN ('unit', 'room', 'granny_flat', 'commercial')),
+    description TEXT,
+    bedrooms INTEGER,
+    expense_share DECIMAL(5,2) CHECK (expense_share BETWEEN 0 AND 100),
+    notes TEXT,
     user_id UUID REFERENCES auth.users(id) ON DELETE CASCADE NOT NULL,
     created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
     updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
@@ -49,8 +172,12 @@ CREATE TABLE IF NOT EXISTS transactions (
     description TEXT,
     payee TEXT,
     expense_id UUID,
+    -- Unit the transaction belongs to; NULL for whole-property transactions
+    unit_id UUID REFERENCES units(id) ON DELETE SET NULL,
     deductible BOOLEAN DEFAULT FALSE,
     notes TEXT,
+    -- Entity whose books the transaction belongs to; NULL follows the property's entity
+    entity_id UUID REFERENCES owners(id) ON DELETE SET NULL,
     user_id UUID REFERENCES auth.users(id) ON DELETE CASCADE NOT NULL,
     created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
     updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
@@ -65,6 +192,10 @@ CREATE TABLE IF NOT EXISTS expenses (
     date DATE NOT NULL,
     description TEXT,
     vendor TEXT,
+    -- Unit the expense is for; NULL shares it across the property's units
+    unit_id UUID REFERENCES units(id) ON DELETE SET NULL,
+    -- Recurring expense template this entry was recorded from
+    recurring_expense_id UUID,
     deductible BOOLEAN DEFAULT FALSE,
     notes TEXT,
     user_id UUID REFERENCES auth.users(id) ON DELETE CASCADE NOT NULL,
@@ -72,11 +203,55 @@ CREATE TABLE IF NOT EXISTS expenses (
     updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
 );
 
+-- Create recurring_expenses table
+-- Bills on a fixed cycle (council rates, water, strata levies, insurance). Due dates step from
+-- start_date by the frequency; next_due_date is the first one not yet recorded as an expense.
+CREATE TABLE IF NOT EXISTS recurring_expenses (
+    id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+    property_id TEXT NOT NULL,
+    unit_id UUID REFERENCES units(id) ON DELETE SET NULL,
+    description TEXT NOT NULL,
+    category TEXT NOT NULL,
+    amount DECIMAL(15,2) NOT NULL,
+    frequency VARCHAR NOT NULL DEFAULT 'quarterly' CHECK (frequency IN ('monthly', 'quarterly', 'half_yearly', 'yearly')),
+    start_date DATE NOT NULL,
+    next_due_date DATE NOT NULL,
+    end_date DATE,
+    vendor TEXT,
+    deductible BOOLEAN DEFAULT TRUE,
+    -- Record the expense automatically once it falls due
+    auto_create BOOLEAN DEFAULT FALSE,
+    is_active BOOLEAN DEFAULT TRUE,
+    notes TEXT,
+    user_id UUID REFERENCES auth.users(id) ON DELETE CASCADE NOT NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Create tenants table
+-- Tenant contacts, reused across leases; rentals link back through tenant_id
+CREATE TABLE IF NOT EXISTS tenants (
+    id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+    name TEXT NOT NULL,
+    email TEXT,
+    phone TEXT,
+    emergency_contact_name TEXT,
+    emergency_contact_phone TEXT,
+    emergency_contact_relationship TEXT,
+    id_verification_notes TEXT,
+    notes TEXT,
+    user_id UUID REFERENCES auth.users(id) ON DELETE CASCADE NOT NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
 -- Create rentals table
 CREATE TABLE IF NOT EXISTS rentals (
     id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
     property_id TEXT,
     tenant_name TEXT,
+    -- Tenant record the lease belongs to; tenant_name keeps the name as entered on the lease
+    tenant_id UUID REFERENCES tenants(id) ON DELETE SET NULL,
     monthly_rent NUMERIC,
     lease_start DATE,
     lease_end DATE,
@@ -85,11 +260,74 @@ CREATE TABLE IF NOT EXISTS rentals (
     created_at TIMESTAMPTZ DEFAULT NOW(),
     updated_at TIMESTAMPTZ DEFAULT NOW(),
     room_description TEXT,
+    -- Unit or room the lease is for in a multi-unit property
+    unit_id UUID REFERENCES units(id) ON DELETE SET NULL,
     frequency VARCHAR DEFAULT 'Weekly',
     bond_amount NUMERIC DEFAULT 0,
     notes TEXT,
     reminder_date DATE,
-    management_fee_percentage NUMERIC
+    management_fee_percentage NUMERIC,
+    -- Day of month month-based rent falls due; defaults to the lease start's day
+    rent_due_day INTEGER CHECK (rent_due_day BETWEEN 1 AND 31),
+    -- Rent ledger charges from this date; earlier rent is treated as paid
+    rent_ledger_start DATE,
+    lease_status VARCHAR DEFAULT 'active' CHECK (lease_status IN ('active', 'periodic', 'notice_given', 'ended')),
+    -- Move-out date once notice is given; rent stops after it
+    vacate_date DATE,
+    -- Earlier lease this one renewed, carrying the tenant forward
+    renewed_from UUID REFERENCES rentals(id) ON DELETE SET NULL,
+    bond_status VARCHAR DEFAULT 'held' CHECK (bond_status IN ('held', 'lodged', 'claim_lodged', 'refunded')),
+    bond_authority TEXT,
+    bond_lodgement_reference TEXT,
+    bond_lodged_date DATE,
+    -- Claim items at the end of the lease: [{ description, amount }]
+    bond_deductions JSONB DEFAULT '[]'::jsonb,
+    bond_refund_date DATE
+);
+
+-- Create vacancies table
+-- Recorded vacant periods between tenancies; end_date NULL while still vacant
+CREATE TABLE IF NOT EXISTS vacancies (
+    id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+    property_id TEXT NOT NULL,
+    start_date DATE NOT NULL,
+    end_date DATE,
+    reason TEXT,
+    notes TEXT,
+    user_id UUID REFERENCES auth.users(id) ON DELETE CASCADE NOT NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Create rent_changes table
+-- Rent reviews on a tenancy; each row changes the rent for periods due on or after effective_date.
+-- change_type 'amount' sets a new rent, 'fixed' adds a dollar amount, 'percentage' and 'cpi' add a percentage.
+CREATE TABLE IF NOT EXISTS rent_changes (
+    id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+    rental_id UUID REFERENCES rentals(id) ON DELETE CASCADE NOT NULL,
+    effective_date DATE NOT NULL,
+    change_type VARCHAR NOT NULL DEFAULT 'amount' CHECK (change_type IN ('amount', 'fixed', 'percentage', 'cpi')),
+    value DECIMAL(15,4) NOT NULL,
+    notes TEXT,
+    user_id UUID REFERENCES auth.users(id) ON DELETE CASCADE NOT NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Create rent_payments table
+-- Rent actually received for a tenancy; expected charges are generated from the lease
+CREATE TABLE IF NOT EXISTS rent_payments (
+    id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+    rental_id UUID REFERENCES rentals(id) ON DELETE CASCADE NOT NULL,
+    property_id TEXT,
+    amount DECIMAL(15,2) NOT NULL,
+    payment_date DATE NOT NULL,
+    -- Set when the receipt was matched to an existing transaction
+    transaction_id UUID REFERENCES transactions(id) ON DELETE SET NULL,
+    notes TEXT,
+    user_id UUID REFERENCES auth.users(id) ON DELETE CASCADE NOT NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
 );
 
 -- Create agents table
@@ -106,6 +344,85 @@ CREATE TABLE IF NOT EXISTS agents (
     updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
 );
 
+-- Create documents table
+-- Invoices, receipts, contracts, leases and depreciation schedules filed against a property and
+-- optionally one of its records. The file itself lives in Supabase Storage (storage_provider
+-- 'supabase') or in the browser's IndexedDB on the device that uploaded it ('local').
+CREATE TABLE IF NOT EXISTS documents (
+    id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+    property_id TEXT NOT NULL,
+    name TEXT NOT NULL,
+    document_type VARCHAR NOT NULL DEFAULT 'other' CHECK (document_type IN ('invoice', 'receipt', 'contract_of_sale', 'lease', 'depreciation_schedule', 'insurance', 'loan', 'other')),
+    document_date DATE,
+    amount DECIMAL(15,2),
+    expense_id UUID REFERENCES expenses(id) ON DELETE SET NULL,
+    transaction_id UUID REFERENCES transactions(id) ON DELETE SET NULL,
+    loan_id UUID REFERENCES loans(id) ON DELETE SET NULL,
+    rental_id UUID REFERENCES rentals(id) ON DELETE SET NULL,
+    file_name TEXT NOT NULL,
+    file_type TEXT,
+    file_size BIGINT,
+    storage_provider VARCHAR NOT NULL DEFAULT 'supabase' CHECK (storage_provider IN ('supabase', 'local')),
+    storage_path TEXT NOT NULL,
+    notes TEXT,
+    user_id UUID REFERENCES auth.users(id) ON DELETE CASCADE NOT NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Create capital_improvements table
+-- Renovations, extensions and other capital work on a property. They add to the cost base
+-- rather than being deducted; transaction_id is the cash transaction recorded for the cost.
+CREATE TABLE IF NOT EXISTS capital_improvements (
+    id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+    property_id TEXT NOT NULL,
+    description TEXT NOT NULL,
+    category TEXT,
+    amount DECIMAL(15,2) NOT NULL,
+    completion_date DATE NOT NULL,
+    vendor TEXT,
+    transaction_id UUID REFERENCES transactions(id) ON DELETE SET NULL,
+    notes TEXT,
+    user_id UUID REFERENCES auth.users(id) ON DELETE CASCADE NOT NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Create depreciation_assets table
+-- Division 40 plant and equipment (asset_type 'plant') is written off over effective_life_years by
+-- method; Division 43 capital works (asset_type 'capital_works') at rate percent of cost a year.
+CREATE TABLE IF NOT EXISTS depreciation_assets (
+    id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+    property_id TEXT NOT NULL,
+    name TEXT NOT NULL,
+    asset_type VARCHAR NOT NULL DEFAULT 'plant' CHECK (asset_type IN ('plant', 'capital_works')),
+    cost DECIMAL(15,2) NOT NULL,
+    start_date DATE NOT NULL,
+    effective_life_years DECIMAL(5,2),
+    method VARCHAR NOT NULL DEFAULT 'diminishing_value' CHECK (method IN ('diminishing_value', 'prime_cost')),
+    rate DECIMAL(5,2) DEFAULT 2.5,
+    -- Capital works deductions for a capital improvement go when the improvement is deleted
+    capital_improvement_id UUID REFERENCES capital_improvements(id) ON DELETE CASCADE,
+    notes TEXT,
+    user_id UUID REFERENCES auth.users(id) ON DELETE CASCADE NOT NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Create property_ownerships table
+-- Each owner's share of a property from effective_from. The rows sharing a property's latest
+-- effective_from on or before a date are the shares in force on that date.
+CREATE TABLE IF NOT EXISTS property_ownerships (
+    id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+    property_id TEXT NOT NULL,
+    owner_id UUID REFERENCES owners(id) ON DELETE CASCADE NOT NULL,
+    percentage DECIMAL(5,2) NOT NULL CHECK (percentage > 0 AND percentage <= 100),
+    effective_from DATE NOT NULL,
+    user_id UUID REFERENCES auth.users(id) ON DELETE CASCADE NOT NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
 -- Create user_profiles table
 CREATE TABLE IF NOT EXISTS user_profiles (
     id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
@@ -130,10 +447,25 @@ CREATE TABLE IF NOT EXISTS user_settings (
 -- WARNING: Only use this in development environments, not in production
 ALTER TABLE properties DISABLE ROW LEVEL SECURITY;
 ALTER TABLE loans DISABLE ROW LEVEL SECURITY;
+ALTER TABLE loan_rate_changes DISABLE ROW LEVEL SECURITY;
+ALTER TABLE loan_offset_accounts DISABLE ROW LEVEL SECURITY;
+ALTER TABLE loan_offset_balances DISABLE ROW LEVEL SECURITY;
+ALTER TABLE loan_extra_repayments DISABLE ROW LEVEL SECURITY;
+ALTER TABLE units DISABLE ROW LEVEL SECURITY;
 ALTER TABLE transactions DISABLE ROW LEVEL SECURITY;
 ALTER TABLE expenses DISABLE ROW LEVEL SECURITY;
+ALTER TABLE recurring_expenses DISABLE ROW LEVEL SECURITY;
+ALTER TABLE tenants DISABLE ROW LEVEL SECURITY;
 ALTER TABLE rentals DISABLE ROW LEVEL SECURITY;
+ALTER TABLE vacancies DISABLE ROW LEVEL SECURITY;
+ALTER TABLE rent_changes DISABLE ROW LEVEL SECURITY;
+ALTER TABLE rent_payments DISABLE ROW LEVEL SECURITY;
 ALTER TABLE agents DISABLE ROW LEVEL SECURITY;
+ALTER TABLE documents DISABLE ROW LEVEL SECURITY;
+ALTER TABLE capital_improvements DISABLE ROW LEVEL SECURITY;
+ALTER TABLE depreciation_assets DISABLE ROW LEVEL SECURITY;
+ALTER TABLE owners DISABLE ROW LEVEL SECURITY;
+ALTER TABLE property_ownerships DISABLE ROW LEVEL SECURITY;
 ALTER TABLE user_profiles DISABLE ROW LEVEL SECURITY;
 ALTER TABLE user_settings DISABLE ROW LEVEL SECURITY;
 
@@ -163,6 +495,71 @@ CREATE POLICY "Users can update their own loans" ON loans
 CREATE POLICY "Users can delete their own loans" ON loans
     FOR DELETE USING (auth.uid() = user_id);
 
+-- Create RLS policies for loan_rate_changes
+CREATE POLICY "Users can view their own loan rate changes" ON loan_rate_changes
+    FOR SELECT USING (auth.uid() = user_id);
+
+CREATE POLICY "Users can insert their own loan rate changes" ON loan_rate_changes
+    FOR INSERT WITH CHECK (auth.uid() = user_id);
+
+CREATE POLICY "Users can update their own loan rate changes" ON loan_rate_changes
+    FOR UPDATE USING (auth.uid() = user_id);
+
+CREATE POLICY "Users can delete their own loan rate changes" ON loan_rate_changes
+    FOR DELETE USING (auth.uid() = user_id);
+
+-- Create RLS policies for loan_offset_accounts
+CREATE POLICY "Users can view their own loan offset accounts" ON loan_offset_accounts
+    FOR SELECT USING (auth.uid() = user_id);
+
+CREATE POLICY "Users can insert their own loan offset accounts" ON loan_offset_accounts
+    FOR INSERT WITH CHECK (auth.uid() = user_id);
+
+CREATE POLICY "Users can update their own loan offset accounts" ON loan_offset_accounts
+    FOR UPDATE USING (auth.uid() = user_id);
+
+CREATE POLICY "Users can delete their own loan offset accounts" ON loan_offset_accounts
+    FOR DELETE USING (auth.uid() = user_id);
+
+-- Create RLS policies for loan_offset_balances
+CREATE POLICY "Users can view their own loan offset balances" ON loan_offset_balances
+    FOR SELECT USING (auth.uid() = user_id);
+
+CREATE POLICY "Users can insert their own loan offset balances" ON loan_offset_balances
+    FOR INSERT WITH CHECK (auth.uid() = user_id);
+
+CREATE POLICY "Users can update their own loan offset balances" ON loan_offset_balances
+    FOR UPDATE USING (auth.uid() = user_id);
+
+CREATE POLICY "Users can delete their own loan offset balances" ON loan_offset_balances
+    FOR DELETE USING (auth.uid() = user_id);
+
+-- Create RLS policies for loan_extra_repayments
+CREATE POLICY "Users can view their own loan extra repayments" ON loan_extra_repayments
+    FOR SELECT USING (auth.uid() = user_id);
+
+CREATE POLICY "Users can insert their own loan extra repayments" ON loan_extra_repayments
+    FOR INSERT WITH CHECK (auth.uid() = user_id);
+
+CREATE POLICY "Users can update their own loan extra repayments" ON loan_extra_repayments
+    FOR UPDATE USING (auth.uid() = user_id);
+
+CREATE POLICY "Users can delete their own loan extra repayments" ON loan_extra_repayments
+    FOR DELETE USING (auth.uid() = user_id);
+
+-- Create RLS policies for units
+CREATE POLICY "Users can view their own units" ON units
+    FOR SELECT USING (auth.uid() = user_id);
+
+CREATE POLICY "Users can insert their own units" ON units
+    FOR INSERT WITH CHECK (auth.uid() = user_id);
+
+CREATE POLICY "Users can update their own units" ON units
+    FOR UPDATE USING (auth.uid() = user_id);
+
+CREATE POLICY "Users can delete their own units" ON units
+    FOR DELETE USING (auth.uid() = user_id);
+
 -- Create RLS policies for transactions
 CREATE POLICY "Users can view their own transactions" ON transactions
     FOR SELECT USING (auth.uid() = user_id);
@@ -202,6 +599,45 @@ CREATE POLICY "Users can update their own rentals" ON rentals
 CREATE POLICY "Users can delete their own rentals" ON rentals
     FOR DELETE USING (auth.uid() = user_id);
 
+-- Create RLS policies for vacancies
+CREATE POLICY "Users can view their own vacancies" ON vacancies
+    FOR SELECT USING (auth.uid() = user_id);
+
+CREATE POLICY "Users can insert their own vacancies" ON vacancies
+    FOR INSERT WITH CHECK (auth.uid() = user_id);
+
+CREATE POLICY "Users can update their own vacancies" ON vacancies
+    FOR UPDATE USING (auth.uid() = user_id);
+
+CREATE POLICY "Users can delete their own vacancies" ON vacancies
+    FOR DELETE USING (auth.uid() = user_id);
+
+-- Create RLS policies for rent_changes
+CREATE POLICY "Users can view their own rent changes" ON rent_changes
+    FOR SELECT USING (auth.uid() = user_id);
+
+CREATE POLICY "Users can insert their own rent changes" ON rent_changes
+    FOR INSERT WITH CHECK (auth.uid() = user_id);
+
+CREATE POLICY "Users can update their own rent changes" ON rent_changes
+    FOR UPDATE USING (auth.uid() = user_id);
+
+CREATE POLICY "Users can delete their own rent changes" ON rent_changes
+    FOR DELETE USING (auth.uid() = user_id);
+
+-- Create RLS policies for rent_payments
+CREATE POLICY "Users can view their own rent payments" ON rent_payments
+    FOR SELECT USING (auth.uid() = user_id);
+
+CREATE POLICY "Users can insert their own rent payments" ON rent_payments
+    FOR INSERT WITH CHECK (auth.uid() = user_id);
+
+CREATE POLICY "Users can update their own rent payments" ON rent_payments
+    FOR UPDATE USING (auth.uid() = user_id);
+
+CREATE POLICY "Users can delete their own rent payments" ON rent_payments
+    FOR DELETE USING (auth.uid() = user_id);
+
 -- Create RLS policies for agents
 CREATE POLICY "Users can view their own agents" ON agents
     FOR SELECT USING (auth.uid() = user_id);
@@ -215,6 +651,97 @@ CREATE POLICY "Users can update their own agents" ON agents
 CREATE POLICY "Users can delete their own agents" ON agents
     FOR DELETE USING (auth.uid() = user_id);
 
+-- Create RLS policies for documents
+CREATE POLICY "Users can view their own documents" ON documents
+    FOR SELECT USING (auth.uid() = user_id);
+
+CREATE POLICY "Users can insert their own documents" ON documents
+    FOR INSERT WITH CHECK (auth.uid() = user_id);
+
+CREATE POLICY "Users can update their own documents" ON documents
+    FOR UPDATE USING (auth.uid() = user_id);
+
+CREATE POLICY "Users can delete their own documents" ON documents
+    FOR DELETE USING (auth.uid() = user_id);
+
+-- Create RLS policies for capital_improvements
+CREATE POLICY "Users can view their own capital improvements" ON capital_improvements
+    FOR SELECT USING (auth.uid() = user_id);
+
+CREATE POLICY "Users can insert their own capital improvements" ON capital_improvements
+    FOR INSERT WITH CHECK (auth.uid() = user_id);
+
+CREATE POLICY "Users can update their own capital improvements" ON capital_improvements
+    FOR UPDATE USING (auth.uid() = user_id);
+
+CREATE POLICY "Users can delete their own capital improvements" ON capital_improvements
+    FOR DELETE USING (auth.uid() = user_id);
+
+-- Create RLS policies for depreciation_assets
+CREATE POLICY "Users can view their own depreciation assets" ON depreciation_assets
+    FOR SELECT USING (auth.uid() = user_id);
+
+CREATE POLICY "Users can insert their own depreciation assets" ON depreciation_assets
+    FOR INSERT WITH CHECK (auth.uid() = user_id);
+
+CREATE POLICY "Users can update their own depreciation assets" ON depreciation_assets
+    FOR UPDATE USING (auth.uid() = user_id);
+
+CREATE POLICY "Users can delete their own depreciation assets" ON depreciation_assets
+    FOR DELETE USING (auth.uid() = user_id);
+
+-- Create RLS policies for owners
+CREATE POLICY "Users can view their own owners" ON owners
+    FOR SELECT USING (auth.uid() = user_id);
+
+CREATE POLICY "Users can insert their own owners" ON owners
+    FOR INSERT WITH CHECK (auth.uid() = user_id);
+
+CREATE POLICY "Users can update their own owners" ON owners
+    FOR UPDATE USING (auth.uid() = user_id);
+
+CREATE POLICY "Users can delete their own owners" ON owners
+    FOR DELETE USING (auth.uid() = user_id);
+
+-- Create RLS policies for property_ownerships
+CREATE POLICY "Users can view their own property ownerships" ON property_ownerships
+    FOR SELECT USING (auth.uid() = user_id);
+
+CREATE POLICY "Users can insert their own property ownerships" ON property_ownerships
+    FOR INSERT WITH CHECK (auth.uid() = user_id);
+
+CREATE POLICY "Users can update their own property ownerships" ON property_ownerships
+    FOR UPDATE USING (auth.uid() = user_id);
+
+CREATE POLICY "Users can delete their own property ownerships" ON property_ownerships
+    FOR DELETE USING (auth.uid() = user_id);
+
+-- Create RLS policies for recurring_expenses
+CREATE POLICY "Users can view their own recurring expenses" ON recurring_expenses
+    FOR SELECT USING (auth.uid() = user_id);
+
+CREATE POLICY "Users can insert their own recurring expenses" ON recurring_expenses
+    FOR INSERT WITH CHECK (auth.uid() = user_id);
+
+CREATE POLICY "Users can update their own recurring expenses" ON recurring_expenses
+    FOR UPDATE USING (auth.uid() = user_id);
+
+CREATE POLICY "Users can delete their own recurring expenses" ON recurring_expenses
+    FOR DELETE USING (auth.uid() = user_id);
+
+-- Create RLS policies for tenants
+CREATE POLICY "Users can view their own tenants" ON tenants
+    FOR SELECT USING (auth.uid() = user_id);
+
+CREATE POLICY "Users can insert their own tenants" ON tenants
+    FOR INSERT WITH CHECK (auth.uid() = user_id);
+
+CREATE POLICY "Users can update their own tenants" ON tenants
+    FOR UPDATE USING (auth.uid() = user_id);
+
+CREATE POLICY "Users can delete their own tenants" ON tenants
+    FOR DELETE USING (auth.uid() = user_id);
+
 -- Create RLS policies for user_profiles
 CREATE POLICY "Users can view their own profile" ON user_profiles
     FOR SELECT USING (auth.uid() = user_id);
@@ -243,11 +770,46 @@ CREATE POLICY "Users can delete their own settings" ON user_settings
 
 -- Create indexes for better performance
 CREATE INDEX IF NOT EXISTS idx_properties_user_id ON properties(user_id);
+CREATE INDEX IF NOT EXISTS idx_properties_entity_id ON properties(entity_id);
 CREATE INDEX IF NOT EXISTS idx_loans_user_id ON loans(user_id);
+CREATE INDEX IF NOT EXISTS idx_loans_entity_id ON loans(entity_id);
+CREATE INDEX IF NOT EXISTS idx_loan_rate_changes_user_id ON loan_rate_changes(user_id);
+CREATE INDEX IF NOT EXISTS idx_loan_rate_changes_loan_id ON loan_rate_changes(loan_id);
+CREATE INDEX IF NOT EXISTS idx_loan_offset_accounts_user_id ON loan_offset_accounts(user_id);
+CREATE INDEX IF NOT EXISTS idx_loan_offset_accounts_loan_id ON loan_offset_accounts(loan_id);
+CREATE INDEX IF NOT EXISTS idx_loan_offset_balances_user_id ON loan_offset_balances(user_id);
+CREATE INDEX IF NOT EXISTS idx_loan_offset_balances_account_id ON loan_offset_balances(account_id);
+CREATE INDEX IF NOT EXISTS idx_loan_extra_repayments_user_id ON loan_extra_repayments(user_id);
+CREATE INDEX IF NOT EXISTS idx_loan_extra_repayments_loan_id ON loan_extra_repayments(loan_id);
+CREATE INDEX IF NOT EXISTS idx_units_user_id ON units(user_id);
+CREATE INDEX IF NOT EXISTS idx_units_property_id ON units(property_id);
 CREATE INDEX IF NOT EXISTS idx_transactions_user_id ON transactions(user_id);
+CREATE INDEX IF NOT EXISTS idx_transactions_entity_id ON transactions(entity_id);
 CREATE INDEX IF NOT EXISTS idx_expenses_user_id ON expenses(user_id);
+CREATE INDEX IF NOT EXISTS idx_recurring_expenses_user_id ON recurring_expenses(user_id);
+CREATE INDEX IF NOT EXISTS idx_recurring_expenses_property_id ON recurring_expenses(property_id);
+CREATE INDEX IF NOT EXISTS idx_tenants_user_id ON tenants(user_id);
 CREATE INDEX IF NOT EXISTS idx_rentals_user_id ON rentals(user_id);
+CREATE INDEX IF NOT EXISTS idx_rentals_tenant_id ON rentals(tenant_id);
+CREATE INDEX IF NOT EXISTS idx_rentals_unit_id ON rentals(unit_id);
+CREATE INDEX IF NOT EXISTS idx_vacancies_user_id ON vacancies(user_id);
+CREATE INDEX IF NOT EXISTS idx_vacancies_property_id ON vacancies(property_id);
+CREATE INDEX IF NOT EXISTS idx_rent_changes_user_id ON rent_changes(user_id);
+CREATE INDEX IF NOT EXISTS idx_rent_changes_rental_id ON rent_changes(rental_id);
+CREATE INDEX IF NOT EXISTS idx_rent_payments_user_id ON rent_payments(user_id);
+CREATE INDEX IF NOT EXISTS idx_rent_payments_rental_id ON rent_payments(rental_id);
 CREATE INDEX IF NOT EXISTS idx_agents_user_id ON agents(user_id);
+CREATE INDEX IF NOT EXISTS idx_documents_user_id ON documents(user_id);
+CREATE INDEX IF NOT EXISTS idx_documents_property_id ON documents(property_id);
+CREATE INDEX IF NOT EXISTS idx_capital_improvements_user_id ON capital_improvements(user_id);
+CREATE INDEX IF NOT EXISTS idx_capital_improvements_property_id ON capital_improvements(property_id);
+CREATE INDEX IF NOT EXISTS idx_depreciation_assets_user_id ON depreciation_assets(user_id);
+CREATE INDEX IF NOT EXISTS idx_depreciation_assets_property_id ON depreciation_assets(property_id);
+CREATE INDEX IF NOT EXISTS idx_depreciation_assets_capital_improvement_id ON depreciation_assets(capital_improvement_id);
+CREATE INDEX IF NOT EXISTS idx_owners_user_id ON owners(user_id);
+CREATE INDEX IF NOT EXISTS idx_property_ownerships_user_id ON property_ownerships(user_id);
+CREATE INDEX IF NOT EXISTS idx_property_ownerships_property_id ON property_ownerships(property_id);
+CREATE INDEX IF NOT EXISTS idx_property_ownerships_owner_id ON property_ownerships(owner_id);
 CREATE INDEX IF NOT EXISTS idx_user_profiles_user_id ON user_profiles(user_id);
 CREATE INDEX IF NOT EXISTS idx_user_settings_user_id ON user_settings(user_id);
 
@@ -267,18 +829,63 @@ CREATE TRIGGER update_properties_updated_at BEFORE UPDATE ON properties
 CREATE TRIGGER update_loans_updated_at BEFORE UPDATE ON loans
     FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
 
+CREATE TRIGGER update_loan_rate_changes_updated_at BEFORE UPDATE ON loan_rate_changes
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+CREATE TRIGGER update_loan_offset_accounts_updated_at BEFORE UPDATE ON loan_offset_accounts
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+CREATE TRIGGER update_loan_offset_balances_updated_at BEFORE UPDATE ON loan_offset_balances
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+CREATE TRIGGER update_loan_extra_repayments_updated_at BEFORE UPDATE ON loan_extra_repayments
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+CREATE TRIGGER update_units_updated_at BEFORE UPDATE ON units
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
 CREATE TRIGGER update_transactions_updated_at BEFORE UPDATE ON transactions
     FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
 
 CREATE TRIGGER update_expenses_updated_at BEFORE UPDATE ON expenses
     FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
 
+CREATE TRIGGER update_recurring_expenses_updated_at BEFORE UPDATE ON recurring_expenses
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+CREATE TRIGGER update_tenants_updated_at BEFORE UPDATE ON tenants
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
 CREATE TRIGGER update_rentals_updated_at BEFORE UPDATE ON rentals
     FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
 
+CREATE TRIGGER update_vacancies_updated_at BEFORE UPDATE ON vacancies
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+CREATE TRIGGER update_rent_changes_updated_at BEFORE UPDATE ON rent_changes
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+CREATE TRIGGER update_rent_payments_updated_at BEFORE UPDATE ON rent_payments
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
 CREATE TRIGGER update_agents_updated_at BEFORE UPDATE ON agents
     FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
 
+CREATE TRIGGER update_documents_updated_at BEFORE UPDATE ON documents
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+CREATE TRIGGER update_capital_improvements_updated_at BEFORE UPDATE ON capital_improvements
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+CREATE TRIGGER update_depreciation_assets_updated_at BEFORE UPDATE ON depreciation_assets
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+CREATE TRIGGER update_owners_updated_at BEFORE UPDATE ON owners
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+CREATE TRIGGER update_property_ownerships_updated_at BEFORE UPDATE ON property_ownerships
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
 CREATE TRIGGER update_user_profiles_updated_at BEFORE UPDATE ON user_profiles
     FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
 